@@ -0,0 +1,77 @@
+-- CreateEnum
+CREATE TYPE "quote_status" AS ENUM ('DRAFT', 'SENT', 'ACCEPTED', 'REJECTED', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "quotes" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "number" INTEGER NOT NULL,
+    "customer_id" UUID NOT NULL,
+    "quote_date" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "valid_until" TIMESTAMPTZ(6),
+    "subtotal" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "tax_rate" DECIMAL(5,4) NOT NULL DEFAULT 0,
+    "tax_amount" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "discount" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "total" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "status" "quote_status" NOT NULL DEFAULT 'DRAFT',
+    "order_id" UUID,
+    "seller_id" VARCHAR(100) NOT NULL,
+    "seller_name" VARCHAR(200) NOT NULL,
+    "notes" TEXT,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "quotes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "quote_items" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "quote_id" UUID NOT NULL,
+    "product_id" UUID,
+    "description" TEXT NOT NULL,
+    "quantity" DECIMAL(10,2) NOT NULL DEFAULT 1,
+    "unit_price" DECIMAL(12,2) NOT NULL,
+    "line_total" DECIMAL(14,2) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "quote_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quotes_order_id_key" ON "quotes"("order_id");
+
+-- CreateIndex
+CREATE INDEX "quotes_tenant_id_idx" ON "quotes"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "quotes_tenant_id_status_idx" ON "quotes"("tenant_id", "status");
+
+-- CreateIndex
+CREATE INDEX "quotes_tenant_id_customer_id_idx" ON "quotes"("tenant_id", "customer_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quotes_tenant_id_number_key" ON "quotes"("tenant_id", "number");
+
+-- CreateIndex
+CREATE INDEX "quote_items_tenant_id_idx" ON "quote_items"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "quote_items_quote_id_idx" ON "quote_items"("quote_id");
+
+-- AddForeignKey
+ALTER TABLE "quotes" ADD CONSTRAINT "quotes_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quotes" ADD CONSTRAINT "quotes_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "customers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quotes" ADD CONSTRAINT "quotes_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quote_items" ADD CONSTRAINT "quote_items_quote_id_fkey" FOREIGN KEY ("quote_id") REFERENCES "quotes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quote_items" ADD CONSTRAINT "quote_items_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("id") ON DELETE SET NULL ON UPDATE CASCADE;
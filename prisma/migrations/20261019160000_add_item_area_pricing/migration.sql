@@ -0,0 +1,16 @@
+-- CreateEnum
+CREATE TYPE "pricing_mode" AS ENUM ('UNIT', 'AREA', 'LINEAR');
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "height" DECIMAL(10,3),
+ADD COLUMN     "measure" DECIMAL(12,4),
+ADD COLUMN     "measure_unit" VARCHAR(10),
+ADD COLUMN     "pricing_mode" "pricing_mode" NOT NULL DEFAULT 'UNIT',
+ADD COLUMN     "width" DECIMAL(10,3);
+
+-- AlterTable
+ALTER TABLE "quote_items" ADD COLUMN     "height" DECIMAL(10,3),
+ADD COLUMN     "measure" DECIMAL(12,4),
+ADD COLUMN     "measure_unit" VARCHAR(10),
+ADD COLUMN     "pricing_mode" "pricing_mode" NOT NULL DEFAULT 'UNIT',
+ADD COLUMN     "width" DECIMAL(10,3);
@@ -0,0 +1,67 @@
+-- CreateTable
+CREATE TABLE "order_taxes" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "order_id" UUID NOT NULL,
+    "order_item_id" UUID NOT NULL,
+    "tax_config_id" UUID,
+    "name" VARCHAR(50) NOT NULL,
+    "rate" DECIMAL(5,4) NOT NULL,
+    "base" DECIMAL(14,2) NOT NULL,
+    "amount" DECIMAL(14,2) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_taxes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "quote_taxes" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "quote_id" UUID NOT NULL,
+    "quote_item_id" UUID NOT NULL,
+    "tax_config_id" UUID,
+    "name" VARCHAR(50) NOT NULL,
+    "rate" DECIMAL(5,4) NOT NULL,
+    "base" DECIMAL(14,2) NOT NULL,
+    "amount" DECIMAL(14,2) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "quote_taxes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_taxes_tenant_id_idx" ON "order_taxes"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "order_taxes_order_id_idx" ON "order_taxes"("order_id");
+
+-- CreateIndex
+CREATE INDEX "order_taxes_order_item_id_idx" ON "order_taxes"("order_item_id");
+
+-- CreateIndex
+CREATE INDEX "quote_taxes_tenant_id_idx" ON "quote_taxes"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "quote_taxes_quote_id_idx" ON "quote_taxes"("quote_id");
+
+-- CreateIndex
+CREATE INDEX "quote_taxes_quote_item_id_idx" ON "quote_taxes"("quote_item_id");
+
+-- AddForeignKey
+ALTER TABLE "order_taxes" ADD CONSTRAINT "order_taxes_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_taxes" ADD CONSTRAINT "order_taxes_order_item_id_fkey" FOREIGN KEY ("order_item_id") REFERENCES "order_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_taxes" ADD CONSTRAINT "order_taxes_tax_config_id_fkey" FOREIGN KEY ("tax_config_id") REFERENCES "tax_configs"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quote_taxes" ADD CONSTRAINT "quote_taxes_quote_id_fkey" FOREIGN KEY ("quote_id") REFERENCES "quotes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quote_taxes" ADD CONSTRAINT "quote_taxes_quote_item_id_fkey" FOREIGN KEY ("quote_item_id") REFERENCES "quote_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quote_taxes" ADD CONSTRAINT "quote_taxes_tax_config_id_fkey" FOREIGN KEY ("tax_config_id") REFERENCES "tax_configs"("id") ON DELETE SET NULL ON UPDATE CASCADE;
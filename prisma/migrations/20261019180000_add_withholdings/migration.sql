@@ -0,0 +1,94 @@
+-- CreateEnum
+CREATE TYPE "withholding_kind" AS ENUM ('RETEFUENTE', 'RETEIVA', 'RETEICA');
+
+-- AlterEnum
+ALTER TYPE "order_event_type" ADD VALUE 'WITHHOLDING_ADDED';
+ALTER TYPE "order_event_type" ADD VALUE 'WITHHOLDING_DELETED';
+
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN     "withholding_amount" DECIMAL(14,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "withholding_types" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "kind" "withholding_kind" NOT NULL,
+    "rate" DECIMAL(7,6) NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "withholding_types_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "order_withholdings" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "order_id" UUID NOT NULL,
+    "withholding_type_id" UUID,
+    "kind" "withholding_kind" NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "rate" DECIMAL(7,6) NOT NULL,
+    "base" DECIMAL(14,2) NOT NULL,
+    "amount" DECIMAL(14,2) NOT NULL,
+    "certificate_number" VARCHAR(50),
+    "withholding_date" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "registered_by" VARCHAR(100) NOT NULL,
+    "notes" TEXT,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_withholdings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "expense_withholdings" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "expense_id" UUID NOT NULL,
+    "withholding_type_id" UUID,
+    "kind" "withholding_kind" NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "rate" DECIMAL(7,6) NOT NULL,
+    "base" DECIMAL(14,2) NOT NULL,
+    "amount" DECIMAL(14,2) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "expense_withholdings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "withholding_types_tenant_id_idx" ON "withholding_types"("tenant_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "withholding_types_tenant_id_name_key" ON "withholding_types"("tenant_id", "name");
+
+-- CreateIndex
+CREATE INDEX "order_withholdings_tenant_id_idx" ON "order_withholdings"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "order_withholdings_tenant_id_withholding_date_idx" ON "order_withholdings"("tenant_id", "withholding_date");
+
+-- CreateIndex
+CREATE INDEX "order_withholdings_order_id_idx" ON "order_withholdings"("order_id");
+
+-- CreateIndex
+CREATE INDEX "expense_withholdings_tenant_id_idx" ON "expense_withholdings"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "expense_withholdings_expense_id_idx" ON "expense_withholdings"("expense_id");
+
+-- AddForeignKey
+ALTER TABLE "withholding_types" ADD CONSTRAINT "withholding_types_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_withholdings" ADD CONSTRAINT "order_withholdings_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_withholdings" ADD CONSTRAINT "order_withholdings_withholding_type_id_fkey" FOREIGN KEY ("withholding_type_id") REFERENCES "withholding_types"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "expense_withholdings" ADD CONSTRAINT "expense_withholdings_expense_id_fkey" FOREIGN KEY ("expense_id") REFERENCES "expenses"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "expense_withholdings" ADD CONSTRAINT "expense_withholdings_withholding_type_id_fkey" FOREIGN KEY ("withholding_type_id") REFERENCES "withholding_types"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,153 @@
+-- CreateEnum
+CREATE TYPE "invoice_type" AS ENUM ('INVOICE', 'CREDIT_NOTE');
+
+-- CreateEnum
+CREATE TYPE "invoice_status" AS ENUM ('GENERATED', 'SENT', 'ACCEPTED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "invoicing_configs" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "nit" VARCHAR(20) NOT NULL,
+    "dv" VARCHAR(1) NOT NULL,
+    "legal_name" VARCHAR(300) NOT NULL,
+    "trade_name" VARCHAR(300),
+    "tax_level_code" VARCHAR(30) NOT NULL DEFAULT 'R-99-PN',
+    "address" VARCHAR(300) NOT NULL,
+    "city_code" VARCHAR(5) NOT NULL,
+    "city_name" VARCHAR(100) NOT NULL,
+    "department_code" VARCHAR(2) NOT NULL,
+    "department_name" VARCHAR(100) NOT NULL,
+    "email" VARCHAR(200),
+    "phone" VARCHAR(50),
+    "software_id" VARCHAR(100) NOT NULL,
+    "software_pin" VARCHAR(100) NOT NULL,
+    "environment" INTEGER NOT NULL DEFAULT 2,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "invoicing_configs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "invoice_resolutions" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "document_type" "invoice_type" NOT NULL DEFAULT 'INVOICE',
+    "resolution_number" VARCHAR(50) NOT NULL,
+    "prefix" VARCHAR(10) NOT NULL,
+    "range_from" INTEGER NOT NULL,
+    "range_to" INTEGER NOT NULL,
+    "valid_from" TIMESTAMPTZ(6) NOT NULL,
+    "valid_to" TIMESTAMPTZ(6) NOT NULL,
+    "technical_key" VARCHAR(100),
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "invoice_resolutions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "invoices" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "type" "invoice_type" NOT NULL DEFAULT 'INVOICE',
+    "resolution_id" UUID NOT NULL,
+    "prefix" VARCHAR(10) NOT NULL,
+    "number" INTEGER NOT NULL,
+    "order_id" UUID NOT NULL,
+    "customer_id" UUID NOT NULL,
+    "reference_invoice_id" UUID,
+    "issue_date" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "due_date" TIMESTAMPTZ(6),
+    "subtotal" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "tax_amount" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "discount" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "total" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "cufe" VARCHAR(96) NOT NULL,
+    "xml" TEXT NOT NULL,
+    "status" "invoice_status" NOT NULL DEFAULT 'GENERATED',
+    "discrepancy_code" VARCHAR(2),
+    "discrepancy_reason" TEXT,
+    "dian_track_id" VARCHAR(100),
+    "dian_response" JSONB,
+    "sent_at" TIMESTAMPTZ(6),
+    "issued_by" VARCHAR(100) NOT NULL,
+    "notes" TEXT,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "invoices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "invoice_lines" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "invoice_id" UUID NOT NULL,
+    "order_item_id" UUID,
+    "line_number" INTEGER NOT NULL,
+    "description" TEXT NOT NULL,
+    "quantity" DECIMAL(10,2) NOT NULL,
+    "unit_price" DECIMAL(12,2) NOT NULL,
+    "line_total" DECIMAL(14,2) NOT NULL,
+    "tax_amount" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "taxes" JSONB NOT NULL DEFAULT '[]',
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "invoice_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoicing_configs_tenant_id_key" ON "invoicing_configs"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "invoice_resolutions_tenant_id_idx" ON "invoice_resolutions"("tenant_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoice_resolutions_tenant_id_document_type_prefix_resolut_key" ON "invoice_resolutions"("tenant_id", "document_type", "prefix", "resolution_number");
+
+-- CreateIndex
+CREATE INDEX "invoices_tenant_id_idx" ON "invoices"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "invoices_tenant_id_issue_date_idx" ON "invoices"("tenant_id", "issue_date");
+
+-- CreateIndex
+CREATE INDEX "invoices_order_id_idx" ON "invoices"("order_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_tenant_id_type_prefix_number_key" ON "invoices"("tenant_id", "type", "prefix", "number");
+
+-- CreateIndex
+CREATE INDEX "invoice_lines_tenant_id_idx" ON "invoice_lines"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "invoice_lines_invoice_id_idx" ON "invoice_lines"("invoice_id");
+
+-- AddForeignKey
+ALTER TABLE "invoicing_configs" ADD CONSTRAINT "invoicing_configs_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoice_resolutions" ADD CONSTRAINT "invoice_resolutions_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_resolution_id_fkey" FOREIGN KEY ("resolution_id") REFERENCES "invoice_resolutions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "customers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_reference_invoice_id_fkey" FOREIGN KEY ("reference_invoice_id") REFERENCES "invoices"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoice_lines" ADD CONSTRAINT "invoice_lines_invoice_id_fkey" FOREIGN KEY ("invoice_id") REFERENCES "invoices"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoice_lines" ADD CONSTRAINT "invoice_lines_order_item_id_fkey" FOREIGN KEY ("order_item_id") REFERENCES "order_items"("id") ON DELETE SET NULL ON UPDATE CASCADE;
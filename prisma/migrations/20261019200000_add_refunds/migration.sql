@@ -0,0 +1,89 @@
+-- CreateEnum
+CREATE TYPE "refund_type" AS ENUM ('CANCELLATION', 'ADJUSTMENT');
+
+-- CreateEnum
+CREATE TYPE "refund_destination" AS ENUM ('ACCOUNT', 'CUSTOMER_CREDIT');
+
+-- CreateEnum
+CREATE TYPE "customer_credit_type" AS ENUM ('REFUND');
+
+-- AlterEnum
+ALTER TYPE "order_event_type" ADD VALUE 'REFUND_ISSUED';
+
+-- CreateTable
+CREATE TABLE "refunds" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "number" INTEGER NOT NULL,
+    "order_id" UUID NOT NULL,
+    "type" "refund_type" NOT NULL,
+    "order_reduction" DECIMAL(14,2) NOT NULL,
+    "amount" DECIMAL(14,2) NOT NULL,
+    "destination" "refund_destination",
+    "payment_method_id" UUID,
+    "credit_note_id" UUID,
+    "reason" TEXT NOT NULL,
+    "refund_date" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "registered_by" VARCHAR(100) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "refunds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "customer_credit_movements" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "customer_id" UUID NOT NULL,
+    "type" "customer_credit_type" NOT NULL,
+    "amount" DECIMAL(14,2) NOT NULL,
+    "order_id" UUID,
+    "refund_id" UUID,
+    "description" TEXT NOT NULL,
+    "registered_by" VARCHAR(100) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "customer_credit_movements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "refunds_tenant_id_idx" ON "refunds"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "refunds_tenant_id_refund_date_idx" ON "refunds"("tenant_id", "refund_date");
+
+-- CreateIndex
+CREATE INDEX "refunds_order_id_idx" ON "refunds"("order_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "refunds_tenant_id_number_key" ON "refunds"("tenant_id", "number");
+
+-- CreateIndex
+CREATE INDEX "customer_credit_movements_tenant_id_idx" ON "customer_credit_movements"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "customer_credit_movements_customer_id_idx" ON "customer_credit_movements"("customer_id");
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_payment_method_id_fkey" FOREIGN KEY ("payment_method_id") REFERENCES "payment_methods"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_credit_note_id_fkey" FOREIGN KEY ("credit_note_id") REFERENCES "invoices"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "customer_credit_movements" ADD CONSTRAINT "customer_credit_movements_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "customer_credit_movements" ADD CONSTRAINT "customer_credit_movements_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "customers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "customer_credit_movements" ADD CONSTRAINT "customer_credit_movements_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "customer_credit_movements" ADD CONSTRAINT "customer_credit_movements_refund_id_fkey" FOREIGN KEY ("refund_id") REFERENCES "refunds"("id") ON DELETE SET NULL ON UPDATE CASCADE;
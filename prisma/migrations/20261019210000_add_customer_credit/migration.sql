@@ -0,0 +1,17 @@
+-- AlterEnum
+ALTER TYPE "customer_credit_type" ADD VALUE 'DEPOSIT';
+ALTER TYPE "customer_credit_type" ADD VALUE 'OVERPAYMENT';
+ALTER TYPE "customer_credit_type" ADD VALUE 'APPLICATION';
+
+-- AlterEnum
+ALTER TYPE "order_event_type" ADD VALUE 'CREDIT_APPLIED';
+
+-- AlterTable
+ALTER TABLE "customer_credit_movements" ADD COLUMN     "payment_id" UUID,
+ADD COLUMN     "payment_method_id" UUID;
+
+-- AddForeignKey
+ALTER TABLE "customer_credit_movements" ADD CONSTRAINT "customer_credit_movements_payment_id_fkey" FOREIGN KEY ("payment_id") REFERENCES "payments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "customer_credit_movements" ADD CONSTRAINT "customer_credit_movements_payment_method_id_fkey" FOREIGN KEY ("payment_method_id") REFERENCES "payment_methods"("id") ON DELETE SET NULL ON UPDATE CASCADE;
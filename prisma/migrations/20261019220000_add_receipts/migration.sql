@@ -0,0 +1,51 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "receipt_id" UUID;
+
+-- AlterTable
+ALTER TABLE "customer_credit_movements" ADD COLUMN     "receipt_id" UUID;
+
+-- CreateTable
+CREATE TABLE "receipts" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "number" INTEGER NOT NULL,
+    "customer_id" UUID NOT NULL,
+    "payment_method_id" UUID NOT NULL,
+    "amount" DECIMAL(14,2) NOT NULL,
+    "receipt_date" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "registered_by" VARCHAR(100) NOT NULL,
+    "notes" TEXT,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "receipts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "payments_receipt_id_idx" ON "payments"("receipt_id");
+
+-- CreateIndex
+CREATE INDEX "receipts_tenant_id_idx" ON "receipts"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "receipts_tenant_id_receipt_date_idx" ON "receipts"("tenant_id", "receipt_date");
+
+-- CreateIndex
+CREATE INDEX "receipts_customer_id_idx" ON "receipts"("customer_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "receipts_tenant_id_number_key" ON "receipts"("tenant_id", "number");
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_receipt_id_fkey" FOREIGN KEY ("receipt_id") REFERENCES "receipts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "customers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_payment_method_id_fkey" FOREIGN KEY ("payment_method_id") REFERENCES "payment_methods"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "customer_credit_movements" ADD CONSTRAINT "customer_credit_movements_receipt_id_fkey" FOREIGN KEY ("receipt_id") REFERENCES "receipts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,75 @@
+-- CreateEnum
+CREATE TYPE "cash_session_status" AS ENUM ('OPEN', 'CLOSED');
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "cash_session_id" UUID;
+
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN     "cash_session_id" UUID;
+
+-- AlterTable
+ALTER TABLE "refunds" ADD COLUMN     "cash_session_id" UUID;
+
+-- AlterTable
+ALTER TABLE "customer_credit_movements" ADD COLUMN     "cash_session_id" UUID;
+
+-- CreateTable
+CREATE TABLE "cash_sessions" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "number" INTEGER NOT NULL,
+    "account_id" UUID NOT NULL,
+    "status" "cash_session_status" NOT NULL DEFAULT 'OPEN',
+    "opening_float" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "opened_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "opened_by" VARCHAR(100) NOT NULL,
+    "opened_by_name" VARCHAR(200) NOT NULL,
+    "opening_notes" TEXT,
+    "closed_at" TIMESTAMPTZ(6),
+    "closed_by" VARCHAR(100),
+    "closed_by_name" VARCHAR(200),
+    "expected_amount" DECIMAL(14,2),
+    "counted_amount" DECIMAL(14,2),
+    "difference" DECIMAL(14,2),
+    "denominations" JSONB,
+    "closing_notes" TEXT,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "cash_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "payments_cash_session_id_idx" ON "payments"("cash_session_id");
+
+-- CreateIndex
+CREATE INDEX "expenses_cash_session_id_idx" ON "expenses"("cash_session_id");
+
+-- CreateIndex
+CREATE INDEX "cash_sessions_tenant_id_idx" ON "cash_sessions"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "cash_sessions_tenant_id_opened_at_idx" ON "cash_sessions"("tenant_id", "opened_at");
+
+-- CreateIndex
+CREATE INDEX "cash_sessions_account_id_status_idx" ON "cash_sessions"("account_id", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cash_sessions_tenant_id_number_key" ON "cash_sessions"("tenant_id", "number");
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_cash_session_id_fkey" FOREIGN KEY ("cash_session_id") REFERENCES "cash_sessions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "expenses" ADD CONSTRAINT "expenses_cash_session_id_fkey" FOREIGN KEY ("cash_session_id") REFERENCES "cash_sessions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_cash_session_id_fkey" FOREIGN KEY ("cash_session_id") REFERENCES "cash_sessions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "customer_credit_movements" ADD CONSTRAINT "customer_credit_movements_cash_session_id_fkey" FOREIGN KEY ("cash_session_id") REFERENCES "cash_sessions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cash_sessions" ADD CONSTRAINT "cash_sessions_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cash_sessions" ADD CONSTRAINT "cash_sessions_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- Backfill: expenses registered before expenses debited their account.
+-- Creates the missing DEBIT transaction (net paid = amount - withholding_amount) for every
+-- expense whose payment method has an account, and lowers those account balances by the
+-- amounts inserted here.
+
+-- InsertData / UpdateData
+WITH "inserted" AS (
+    INSERT INTO "transactions" ("tenant_id", "account_id", "type", "amount", "description", "reference_id", "reference_type", "transaction_date", "registered_by")
+    SELECT e."tenant_id",
+           a."id",
+           'DEBIT',
+           e."amount" - e."withholding_amount",
+           'Egreso #' || e."number" || ' - ' || e."description",
+           e."id",
+           'EXPENSE',
+           e."expense_date",
+           e."registered_by"
+    FROM "expenses" e
+    JOIN "accounts" a ON a."tenant_id" = e."tenant_id" AND a."payment_method_id" = e."payment_method_id"
+    WHERE NOT EXISTS (
+        SELECT 1 FROM "transactions" t
+        WHERE t."reference_id" = e."id" AND t."reference_type" = 'EXPENSE'
+    )
+    RETURNING "account_id", "amount"
+)
+UPDATE "accounts" a
+SET "balance" = a."balance" - d."total"
+FROM (
+    SELECT "account_id", SUM("amount") AS "total"
+    FROM "inserted"
+    GROUP BY "account_id"
+) d
+WHERE d."account_id" = a."id";
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "ledger_audits" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "accounts_checked" INTEGER NOT NULL,
+    "orders_checked" INTEGER NOT NULL,
+    "discrepancy_count" INTEGER NOT NULL,
+    "discrepancies" JSONB NOT NULL,
+    "run_by" VARCHAR(100) NOT NULL,
+    "run_by_name" VARCHAR(200) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ledger_audits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ledger_audits_tenant_id_idx" ON "ledger_audits"("tenant_id");
+
+-- AddForeignKey
+ALTER TABLE "ledger_audits" ADD CONSTRAINT "ledger_audits_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
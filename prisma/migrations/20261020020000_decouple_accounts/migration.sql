@@ -0,0 +1,57 @@
+-- CreateEnum
+CREATE TYPE "account_type" AS ENUM ('CASH', 'BANK', 'WALLET');
+
+-- AlterTable
+ALTER TABLE "accounts" ADD COLUMN     "name" VARCHAR(100),
+ADD COLUMN     "type" "account_type" NOT NULL DEFAULT 'CASH',
+ADD COLUMN     "bank_name" VARCHAR(100),
+ADD COLUMN     "account_number" VARCHAR(50),
+ADD COLUMN     "opening_balance" DECIMAL(14,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "opening_date" TIMESTAMPTZ(6),
+ADD COLUMN     "is_active" BOOLEAN NOT NULL DEFAULT true;
+
+-- AlterTable
+ALTER TABLE "payment_methods" ADD COLUMN     "account_id" UUID;
+
+-- MigrateData: every existing payment method keeps pointing to its own account,
+-- which takes the method's name (type guessed from it, editable afterwards)
+UPDATE "payment_methods" pm
+SET "account_id" = a."id"
+FROM "accounts" a
+WHERE a."payment_method_id" = pm."id";
+
+UPDATE "accounts" a
+SET "name" = pm."name",
+    "type" = CASE
+        WHEN pm."name" ILIKE '%efectivo%' OR pm."name" ILIKE '%caja%' THEN 'CASH'::"account_type"
+        WHEN pm."name" ILIKE '%nequi%' OR pm."name" ILIKE '%daviplata%' THEN 'WALLET'::"account_type"
+        ELSE 'BANK'::"account_type"
+    END
+FROM "payment_methods" pm
+WHERE pm."id" = a."payment_method_id";
+
+ALTER TABLE "accounts" ALTER COLUMN "name" SET NOT NULL;
+
+-- MigrateData: whatever the balance holds beyond its recorded movements was loaded
+-- before them, so it becomes the opening balance
+UPDATE "accounts" a
+SET "opening_balance" = a."balance" - COALESCE((
+    SELECT SUM(CASE WHEN t."type" = 'CREDIT' THEN t."amount" ELSE -t."amount" END)
+    FROM "transactions" t
+    WHERE t."account_id" = a."id"
+), 0);
+
+-- DropForeignKey
+ALTER TABLE "accounts" DROP CONSTRAINT "accounts_payment_method_id_fkey";
+
+-- DropIndex
+DROP INDEX "accounts_tenant_id_payment_method_id_key";
+
+-- AlterTable
+ALTER TABLE "accounts" DROP COLUMN "payment_method_id";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "accounts_tenant_id_name_key" ON "accounts"("tenant_id", "name");
+
+-- AddForeignKey
+ALTER TABLE "payment_methods" ADD CONSTRAINT "payment_methods_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,94 @@
+-- CreateEnum
+CREATE TYPE "statement_format" AS ENUM ('CSV', 'OFX');
+
+-- CreateEnum
+CREATE TYPE "bank_statement_status" AS ENUM ('OPEN', 'CLOSED');
+
+-- CreateEnum
+CREATE TYPE "statement_line_status" AS ENUM ('UNMATCHED', 'AUTO', 'MANUAL', 'IGNORED');
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "reconciled_at" TIMESTAMPTZ(6),
+ADD COLUMN     "bank_statement_id" UUID;
+
+-- CreateTable
+CREATE TABLE "bank_statements" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "number" INTEGER NOT NULL,
+    "account_id" UUID NOT NULL,
+    "format" "statement_format" NOT NULL,
+    "profile" VARCHAR(50) NOT NULL,
+    "file_name" VARCHAR(255),
+    "period_start" DATE NOT NULL,
+    "period_end" DATE NOT NULL,
+    "opening_balance" DECIMAL(14,2),
+    "closing_balance" DECIMAL(14,2),
+    "book_balance" DECIMAL(14,2),
+    "status" "bank_statement_status" NOT NULL DEFAULT 'OPEN',
+    "imported_by" VARCHAR(100) NOT NULL,
+    "imported_by_name" VARCHAR(200) NOT NULL,
+    "closed_at" TIMESTAMPTZ(6),
+    "closed_by" VARCHAR(100),
+    "closed_by_name" VARCHAR(200),
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bank_statements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "bank_statement_lines" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "statement_id" UUID NOT NULL,
+    "line_number" INTEGER NOT NULL,
+    "line_date" DATE NOT NULL,
+    "description" TEXT NOT NULL,
+    "reference" VARCHAR(100),
+    "amount" DECIMAL(14,2) NOT NULL,
+    "balance" DECIMAL(14,2),
+    "match_status" "statement_line_status" NOT NULL DEFAULT 'UNMATCHED',
+    "transaction_id" UUID,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bank_statement_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transactions_bank_statement_id_idx" ON "transactions"("bank_statement_id");
+
+-- CreateIndex
+CREATE INDEX "bank_statements_tenant_id_idx" ON "bank_statements"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "bank_statements_account_id_status_idx" ON "bank_statements"("account_id", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bank_statements_tenant_id_number_key" ON "bank_statements"("tenant_id", "number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bank_statement_lines_transaction_id_key" ON "bank_statement_lines"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "bank_statement_lines_tenant_id_idx" ON "bank_statement_lines"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "bank_statement_lines_statement_id_idx" ON "bank_statement_lines"("statement_id");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_bank_statement_id_fkey" FOREIGN KEY ("bank_statement_id") REFERENCES "bank_statements"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_statements" ADD CONSTRAINT "bank_statements_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_statements" ADD CONSTRAINT "bank_statements_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_statement_id_fkey" FOREIGN KEY ("statement_id") REFERENCES "bank_statements"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "payment_methods" ADD COLUMN     "fee_percentage" DECIMAL(5,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "fee_fixed" DECIMAL(14,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "fee_amount" DECIMAL(14,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "fee_expense_id" UUID;
+
+-- AlterTable
+ALTER TABLE "receipts" ADD COLUMN     "fee_amount" DECIMAL(14,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "fee_expense_id" UUID;
+
+-- AlterTable
+ALTER TABLE "financial_configs" ADD COLUMN     "fee_category_id" UUID;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payments_fee_expense_id_key" ON "payments"("fee_expense_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "receipts_fee_expense_id_key" ON "receipts"("fee_expense_id");
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_fee_expense_id_fkey" FOREIGN KEY ("fee_expense_id") REFERENCES "expenses"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_fee_expense_id_fkey" FOREIGN KEY ("fee_expense_id") REFERENCES "expenses"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "financial_configs" ADD CONSTRAINT "financial_configs_fee_category_id_fkey" FOREIGN KEY ("fee_category_id") REFERENCES "categories"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "currency" VARCHAR(3) NOT NULL DEFAULT 'COP',
+ADD COLUMN     "exchange_rate" DECIMAL(18,6) NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "currency" VARCHAR(3) NOT NULL DEFAULT 'COP',
+ADD COLUMN     "exchange_rate" DECIMAL(18,6) NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "exchange_rates" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "currency" VARCHAR(3) NOT NULL,
+    "rate" DECIMAL(18,6) NOT NULL,
+    "effective_date" DATE NOT NULL,
+    "notes" TEXT,
+    "created_by" VARCHAR(100) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "exchange_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "exchange_rates_tenant_id_idx" ON "exchange_rates"("tenant_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "exchange_rates_tenant_id_currency_effective_date_key" ON "exchange_rates"("tenant_id", "currency", "effective_date");
+
+-- AddForeignKey
+ALTER TABLE "exchange_rates" ADD CONSTRAINT "exchange_rates_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing amounts are in the tenant's base currency
+UPDATE "orders" o SET "currency" = fc."currency"
+FROM "financial_configs" fc
+WHERE fc."tenant_id" = o."tenant_id" AND fc."currency" IS NOT NULL;
+
+UPDATE "payments" p SET "currency" = o."currency"
+FROM "orders" o
+WHERE o."id" = p."order_id";
@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "supplier_bill_status" AS ENUM ('OPEN', 'PAID', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN     "supplier_bill_id" UUID;
+
+-- CreateTable
+CREATE TABLE "supplier_bills" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "number" INTEGER NOT NULL,
+    "supplier_id" UUID NOT NULL,
+    "category_id" UUID NOT NULL,
+    "bill_number" VARCHAR(50),
+    "description" TEXT NOT NULL,
+    "bill_date" TIMESTAMPTZ(6) NOT NULL,
+    "due_date" TIMESTAMPTZ(6),
+    "total" DECIMAL(14,2) NOT NULL,
+    "balance" DECIMAL(14,2) NOT NULL,
+    "status" "supplier_bill_status" NOT NULL DEFAULT 'OPEN',
+    "cancellation_reason" TEXT,
+    "registered_by" VARCHAR(100) NOT NULL,
+    "notes" TEXT,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "supplier_bills_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "supplier_bills_tenant_id_idx" ON "supplier_bills"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "supplier_bills_tenant_id_supplier_id_idx" ON "supplier_bills"("tenant_id", "supplier_id");
+
+-- CreateIndex
+CREATE INDEX "supplier_bills_tenant_id_status_idx" ON "supplier_bills"("tenant_id", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "supplier_bills_tenant_id_number_key" ON "supplier_bills"("tenant_id", "number");
+
+-- CreateIndex
+CREATE INDEX "expenses_supplier_bill_id_idx" ON "expenses"("supplier_bill_id");
+
+-- AddForeignKey
+ALTER TABLE "supplier_bills" ADD CONSTRAINT "supplier_bills_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "supplier_bills" ADD CONSTRAINT "supplier_bills_supplier_id_fkey" FOREIGN KEY ("supplier_id") REFERENCES "suppliers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "supplier_bills" ADD CONSTRAINT "supplier_bills_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "categories"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "expenses" ADD CONSTRAINT "expenses_supplier_bill_id_fkey" FOREIGN KEY ("supplier_bill_id") REFERENCES "supplier_bills"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,141 @@
+-- CreateEnum
+CREATE TYPE "purchase_order_status" AS ENUM ('DRAFT', 'SENT', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "purchase_orders" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "number" INTEGER NOT NULL,
+    "supplier_id" UUID NOT NULL,
+    "status" "purchase_order_status" NOT NULL DEFAULT 'DRAFT',
+    "order_date" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expected_date" TIMESTAMPTZ(6),
+    "total" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "sent_at" TIMESTAMPTZ(6),
+    "cancellation_reason" TEXT,
+    "created_by" VARCHAR(100) NOT NULL,
+    "created_by_name" VARCHAR(200) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "purchase_orders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "purchase_order_lines" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "purchase_order_id" UUID NOT NULL,
+    "material_id" UUID NOT NULL,
+    "description" TEXT NOT NULL,
+    "unit" VARCHAR(30),
+    "quantity" DECIMAL(12,3) NOT NULL,
+    "unit_price" DECIMAL(12,2) NOT NULL,
+    "line_total" DECIMAL(14,2) NOT NULL,
+    "received_quantity" DECIMAL(12,3) NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "purchase_order_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "purchase_receipts" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "number" INTEGER NOT NULL,
+    "purchase_order_id" UUID NOT NULL,
+    "receipt_date" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "amount" DECIMAL(14,2) NOT NULL,
+    "supplier_bill_id" UUID,
+    "expense_id" UUID,
+    "notes" TEXT,
+    "received_by" VARCHAR(100) NOT NULL,
+    "received_by_name" VARCHAR(200) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "purchase_receipts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "purchase_receipt_lines" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "purchase_receipt_id" UUID NOT NULL,
+    "purchase_order_line_id" UUID NOT NULL,
+    "quantity" DECIMAL(12,3) NOT NULL,
+    "unit_price" DECIMAL(12,2) NOT NULL,
+    "line_total" DECIMAL(14,2) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "purchase_receipt_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "purchase_orders_tenant_id_idx" ON "purchase_orders"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "purchase_orders_tenant_id_status_idx" ON "purchase_orders"("tenant_id", "status");
+
+-- CreateIndex
+CREATE INDEX "purchase_orders_tenant_id_supplier_id_idx" ON "purchase_orders"("tenant_id", "supplier_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "purchase_orders_tenant_id_number_key" ON "purchase_orders"("tenant_id", "number");
+
+-- CreateIndex
+CREATE INDEX "purchase_order_lines_tenant_id_idx" ON "purchase_order_lines"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "purchase_order_lines_purchase_order_id_idx" ON "purchase_order_lines"("purchase_order_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "purchase_receipts_supplier_bill_id_key" ON "purchase_receipts"("supplier_bill_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "purchase_receipts_expense_id_key" ON "purchase_receipts"("expense_id");
+
+-- CreateIndex
+CREATE INDEX "purchase_receipts_tenant_id_idx" ON "purchase_receipts"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "purchase_receipts_purchase_order_id_idx" ON "purchase_receipts"("purchase_order_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "purchase_receipts_tenant_id_number_key" ON "purchase_receipts"("tenant_id", "number");
+
+-- CreateIndex
+CREATE INDEX "purchase_receipt_lines_tenant_id_idx" ON "purchase_receipt_lines"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "purchase_receipt_lines_purchase_receipt_id_idx" ON "purchase_receipt_lines"("purchase_receipt_id");
+
+-- AddForeignKey
+ALTER TABLE "purchase_orders" ADD CONSTRAINT "purchase_orders_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_orders" ADD CONSTRAINT "purchase_orders_supplier_id_fkey" FOREIGN KEY ("supplier_id") REFERENCES "suppliers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_order_lines" ADD CONSTRAINT "purchase_order_lines_purchase_order_id_fkey" FOREIGN KEY ("purchase_order_id") REFERENCES "purchase_orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_order_lines" ADD CONSTRAINT "purchase_order_lines_material_id_fkey" FOREIGN KEY ("material_id") REFERENCES "materials"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_receipts" ADD CONSTRAINT "purchase_receipts_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_receipts" ADD CONSTRAINT "purchase_receipts_purchase_order_id_fkey" FOREIGN KEY ("purchase_order_id") REFERENCES "purchase_orders"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_receipts" ADD CONSTRAINT "purchase_receipts_supplier_bill_id_fkey" FOREIGN KEY ("supplier_bill_id") REFERENCES "supplier_bills"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_receipts" ADD CONSTRAINT "purchase_receipts_expense_id_fkey" FOREIGN KEY ("expense_id") REFERENCES "expenses"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_receipt_lines" ADD CONSTRAINT "purchase_receipt_lines_purchase_receipt_id_fkey" FOREIGN KEY ("purchase_receipt_id") REFERENCES "purchase_receipts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_receipt_lines" ADD CONSTRAINT "purchase_receipt_lines_purchase_order_line_id_fkey" FOREIGN KEY ("purchase_order_line_id") REFERENCES "purchase_order_lines"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "stock_movement_type" AS ENUM ('PURCHASE', 'CONSUMPTION', 'ADJUSTMENT', 'WASTE');
+
+-- AlterTable
+ALTER TABLE "materials" ADD COLUMN     "stock_quantity" DECIMAL(12,3) NOT NULL DEFAULT 0,
+ADD COLUMN     "average_cost" DECIMAL(12,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "min_stock" DECIMAL(12,3);
+
+-- CreateTable
+CREATE TABLE "stock_movements" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "material_id" UUID NOT NULL,
+    "type" "stock_movement_type" NOT NULL,
+    "quantity" DECIMAL(12,3) NOT NULL,
+    "unit_cost" DECIMAL(12,2) NOT NULL,
+    "total_cost" DECIMAL(14,2) NOT NULL,
+    "stock_after" DECIMAL(12,3) NOT NULL,
+    "average_cost_after" DECIMAL(12,2) NOT NULL,
+    "order_id" UUID,
+    "purchase_receipt_id" UUID,
+    "notes" TEXT,
+    "movement_date" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_by" VARCHAR(100) NOT NULL,
+    "created_by_name" VARCHAR(200) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_movements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_movements_tenant_id_idx" ON "stock_movements"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "stock_movements_material_id_movement_date_idx" ON "stock_movements"("material_id", "movement_date");
+
+-- CreateIndex
+CREATE INDEX "stock_movements_order_id_idx" ON "stock_movements"("order_id");
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_material_id_fkey" FOREIGN KEY ("material_id") REFERENCES "materials"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_purchase_receipt_id_fkey" FOREIGN KEY ("purchase_receipt_id") REFERENCES "purchase_receipts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,56 @@
+-- CreateEnum
+CREATE TYPE "material_basis" AS ENUM ('PER_UNIT', 'PER_M2');
+
+-- CreateTable
+CREATE TABLE "product_materials" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "product_id" UUID NOT NULL,
+    "material_id" UUID NOT NULL,
+    "quantity" DECIMAL(12,4) NOT NULL,
+    "basis" "material_basis" NOT NULL DEFAULT 'PER_UNIT',
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "product_materials_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "order_materials" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "order_id" UUID NOT NULL,
+    "material_id" UUID NOT NULL,
+    "estimated_quantity" DECIMAL(12,3) NOT NULL,
+    "unit_cost" DECIMAL(12,2) NOT NULL,
+    "estimated_cost" DECIMAL(14,2) NOT NULL,
+    "consumed_quantity" DECIMAL(12,3),
+    "consumed_cost" DECIMAL(14,2),
+    "consumed_at" TIMESTAMPTZ(6),
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_materials_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "product_materials_tenant_id_idx" ON "product_materials"("tenant_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_materials_product_id_material_id_key" ON "product_materials"("product_id", "material_id");
+
+-- CreateIndex
+CREATE INDEX "order_materials_tenant_id_idx" ON "order_materials"("tenant_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "order_materials_order_id_material_id_key" ON "order_materials"("order_id", "material_id");
+
+-- AddForeignKey
+ALTER TABLE "product_materials" ADD CONSTRAINT "product_materials_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_materials" ADD CONSTRAINT "product_materials_material_id_fkey" FOREIGN KEY ("material_id") REFERENCES "materials"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_materials" ADD CONSTRAINT "order_materials_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_materials" ADD CONSTRAINT "order_materials_material_id_fkey" FOREIGN KEY ("material_id") REFERENCES "materials"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
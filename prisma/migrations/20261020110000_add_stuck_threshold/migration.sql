@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "financial_configs" ADD COLUMN     "stuck_after_hours" INTEGER NOT NULL DEFAULT 72;
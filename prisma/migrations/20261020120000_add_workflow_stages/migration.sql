@@ -0,0 +1,73 @@
+-- AlterTable: operational status becomes the key of a tenant-defined stage
+ALTER TABLE "orders" ALTER COLUMN "operational_status" DROP DEFAULT;
+ALTER TABLE "orders" ALTER COLUMN "operational_status" TYPE VARCHAR(50) USING "operational_status"::text;
+ALTER TABLE "orders" ALTER COLUMN "operational_status" SET DEFAULT 'PENDING';
+
+-- DropEnum
+DROP TYPE "operational_status";
+
+-- CreateTable
+CREATE TABLE "workflow_stages" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "key" VARCHAR(50) NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "position" INTEGER NOT NULL,
+    "required_permission" VARCHAR(50),
+    "is_delivered" BOOLEAN NOT NULL DEFAULT false,
+    "consumes_materials" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "workflow_stages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "workflow_transitions" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "from_stage_id" UUID NOT NULL,
+    "to_stage_id" UUID NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "workflow_transitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "workflow_stages_tenant_id_idx" ON "workflow_stages"("tenant_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workflow_stages_tenant_id_key_key" ON "workflow_stages"("tenant_id", "key");
+
+-- CreateIndex
+CREATE INDEX "workflow_transitions_tenant_id_idx" ON "workflow_transitions"("tenant_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workflow_transitions_from_stage_id_to_stage_id_key" ON "workflow_transitions"("from_stage_id", "to_stage_id");
+
+-- AddForeignKey
+ALTER TABLE "workflow_stages" ADD CONSTRAINT "workflow_stages_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workflow_transitions" ADD CONSTRAINT "workflow_transitions_from_stage_id_fkey" FOREIGN KEY ("from_stage_id") REFERENCES "workflow_stages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workflow_transitions" ADD CONSTRAINT "workflow_transitions_to_stage_id_fkey" FOREIGN KEY ("to_stage_id") REFERENCES "workflow_stages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing tenants get the default flow their orders already follow:
+-- PENDING → APPROVED → IN_PRODUCTION → PRODUCED → DELIVERED, moving one step forward or back
+INSERT INTO "workflow_stages" ("tenant_id", "key", "name", "position", "is_delivered", "consumes_materials", "updated_at")
+SELECT t."id", s."key", s."name", s."position", s."key" = 'DELIVERED', s."key" = 'PRODUCED', CURRENT_TIMESTAMP
+FROM "tenants" t
+CROSS JOIN (VALUES
+    ('PENDING', 'Pendiente', 1),
+    ('APPROVED', 'Aprobada', 2),
+    ('IN_PRODUCTION', 'En producción', 3),
+    ('PRODUCED', 'Producida', 4),
+    ('DELIVERED', 'Entregada', 5)
+) AS s("key", "name", "position");
+
+INSERT INTO "workflow_transitions" ("tenant_id", "from_stage_id", "to_stage_id")
+SELECT a."tenant_id", a."id", b."id"
+FROM "workflow_stages" a
+JOIN "workflow_stages" b ON b."tenant_id" = a."tenant_id" AND ABS(a."position" - b."position") = 1;
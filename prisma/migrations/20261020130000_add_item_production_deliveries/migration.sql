@@ -0,0 +1,79 @@
+-- CreateEnum
+CREATE TYPE "delivery_note_status" AS ENUM ('ISSUED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "delivered_quantity" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "operational_status" VARCHAR(50) NOT NULL DEFAULT 'PENDING';
+
+-- CreateTable
+CREATE TABLE "delivery_notes" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "number" INTEGER NOT NULL,
+    "order_id" UUID NOT NULL,
+    "delivery_date" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "received_by" VARCHAR(200),
+    "notes" TEXT,
+    "status" "delivery_note_status" NOT NULL DEFAULT 'ISSUED',
+    "cancel_reason" TEXT,
+    "cancelled_at" TIMESTAMPTZ(6),
+    "created_by" VARCHAR(100) NOT NULL,
+    "created_by_name" VARCHAR(200) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "delivery_notes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "delivery_note_lines" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "delivery_note_id" UUID NOT NULL,
+    "order_item_id" UUID,
+    "description" TEXT NOT NULL,
+    "quantity" DECIMAL(10,2) NOT NULL,
+    "previous_stage" VARCHAR(50),
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "delivery_note_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "delivery_notes_tenant_id_idx" ON "delivery_notes"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "delivery_notes_order_id_idx" ON "delivery_notes"("order_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "delivery_notes_tenant_id_number_key" ON "delivery_notes"("tenant_id", "number");
+
+-- CreateIndex
+CREATE INDEX "delivery_note_lines_tenant_id_idx" ON "delivery_note_lines"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "delivery_note_lines_delivery_note_id_idx" ON "delivery_note_lines"("delivery_note_id");
+
+-- CreateIndex
+CREATE INDEX "delivery_note_lines_order_item_id_idx" ON "delivery_note_lines"("order_item_id");
+
+-- AddForeignKey
+ALTER TABLE "delivery_notes" ADD CONSTRAINT "delivery_notes_tenant_id_fkey" FOREIGN KEY ("tenant_id") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "delivery_notes" ADD CONSTRAINT "delivery_notes_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "delivery_note_lines" ADD CONSTRAINT "delivery_note_lines_delivery_note_id_fkey" FOREIGN KEY ("delivery_note_id") REFERENCES "delivery_notes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "delivery_note_lines" ADD CONSTRAINT "delivery_note_lines_order_item_id_fkey" FOREIGN KEY ("order_item_id") REFERENCES "order_items"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Items start in the stage of their order. Orders already in the delivered stage count as
+-- fully delivered (there are no delivery notes for deliveries made before this change)
+UPDATE "order_items" oi
+SET "operational_status" = o."operational_status",
+    "delivered_quantity" = CASE WHEN ws."id" IS NOT NULL THEN oi."quantity" ELSE 0 END
+FROM "orders" o
+LEFT JOIN "workflow_stages" ws
+    ON ws."tenant_id" = o."tenant_id" AND ws."key" = o."operational_status" AND ws."is_delivered" = true
+WHERE oi."order_id" = o."id";
@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "order_events" ADD COLUMN     "performed_by_id" VARCHAR(100),
+ADD COLUMN     "performed_by_name" VARCHAR(200);
+
+-- CreateTable
+CREATE TABLE "order_assignments" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "tenant_id" UUID NOT NULL,
+    "order_id" UUID NOT NULL,
+    "stage" VARCHAR(50),
+    "user_id" VARCHAR(100) NOT NULL,
+    "user_name" VARCHAR(200) NOT NULL,
+    "assigned_by" VARCHAR(100) NOT NULL,
+    "assigned_by_name" VARCHAR(200) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_assignments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_assignments_tenant_id_idx" ON "order_assignments"("tenant_id");
+
+-- CreateIndex
+CREATE INDEX "order_assignments_order_id_idx" ON "order_assignments"("order_id");
+
+-- CreateIndex
+CREATE INDEX "order_assignments_tenant_id_user_id_idx" ON "order_assignments"("tenant_id", "user_id");
+
+-- AddForeignKey
+ALTER TABLE "order_assignments" ADD CONSTRAINT "order_assignments_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Stage transitions recorded so far were performed by whoever registered them
+UPDATE "order_events"
+SET "performed_by_id" = "changed_by_id",
+    "performed_by_name" = "changed_by_name"
+WHERE "metadata" ? 'toOperational' OR "metadata" ? 'toItemStage';
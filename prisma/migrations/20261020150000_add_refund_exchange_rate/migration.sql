@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "refunds" ADD COLUMN     "exchange_rate" DECIMAL(18,6) NOT NULL DEFAULT 1;
+
+-- MigrateData: refunds already issued take the rate they were posted at, from the account
+-- DEBIT or the customer credit they created, or their order's rate when nothing was posted
+UPDATE "refunds" r
+SET "exchange_rate" = o."exchange_rate"
+FROM "orders" o
+WHERE o."id" = r."order_id";
+
+UPDATE "refunds" r
+SET "exchange_rate" = ROUND(t."amount" / r."amount", 6)
+FROM "transactions" t
+WHERE t."reference_type" = 'REFUND'
+  AND t."reference_id" = r."id"
+  AND r."amount" > 0;
+
+UPDATE "refunds" r
+SET "exchange_rate" = ROUND(m."amount" / r."amount", 6)
+FROM "customer_credit_movements" m
+WHERE m."refund_id" = r."id"
+  AND m."type" = 'REFUND'
+  AND r."amount" > 0;
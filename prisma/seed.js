@@ -51,22 +51,24 @@ async function main() {
     }
     console.log(`   ✅ Categories: ${categories.length}`);
 
-    // Accounts (one per payment method)
+    // Accounts (one per payment method, named after it)
+    const accountTypes = { Efectivo: "CASH", Nequi: "WALLET", Bancolombia: "BANK" };
     for (const method of createdMethods) {
-        await prisma.account.upsert({
-            where: {
-                tenantId_paymentMethodId: {
-                    tenantId: tenant.id,
-                    paymentMethodId: method.id,
-                },
-            },
+        const account = await prisma.account.upsert({
+            where: { tenantId_name: { tenantId: tenant.id, name: method.name } },
             update: {},
             create: {
                 tenantId: tenant.id,
-                paymentMethodId: method.id,
+                name: method.name,
+                type: accountTypes[method.name] || "CASH",
+                bankName: method.name === "Bancolombia" ? "Bancolombia" : null,
                 balance: 0,
             },
         });
+        await prisma.paymentMethod.update({
+            where: { id: method.id },
+            data: { accountId: account.id },
+        });
     }
     console.log(`   ✅ Accounts: ${createdMethods.length}`);
 
@@ -83,6 +85,22 @@ async function main() {
     });
     console.log("   ✅ Tax Config: IVA 19%");
 
+    // Withholding Types
+    const withholdingTypes = [
+        { name: "ReteFuente Compras 2.5%", kind: "RETEFUENTE", rate: 0.025 },
+        { name: "ReteFuente Servicios 4%", kind: "RETEFUENTE", rate: 0.04 },
+        { name: "ReteIVA 15%", kind: "RETEIVA", rate: 0.15 },
+        { name: "ReteICA 9.66‰", kind: "RETEICA", rate: 0.00966 },
+    ];
+    for (const wt of withholdingTypes) {
+        await prisma.withholdingType.upsert({
+            where: { tenantId_name: { tenantId: tenant.id, name: wt.name } },
+            update: {},
+            create: { tenantId: tenant.id, ...wt },
+        });
+    }
+    console.log(`   ✅ Withholding Types: ${withholdingTypes.length}`);
+
     // Financial Config
     await prisma.financialConfig.upsert({
         where: { tenantId: tenant.id },
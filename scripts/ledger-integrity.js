@@ -0,0 +1,72 @@
+/**
+ * Ledger integrity checker
+ * Recomputes account and order balances for every tenant (or one, by slug) and reports drift.
+ *
+ * Usage:
+ *   node scripts/ledger-integrity.js                 # check all tenants
+ *   node scripts/ledger-integrity.js --tenant demo   # check one tenant
+ *   node scripts/ledger-integrity.js --repair        # also fix the balances (writes a LedgerAudit)
+ */
+require("../src/config/env");
+const prisma = require("../src/config/prisma");
+const ledgerService = require("../src/services/ledger.service");
+
+async function main() {
+    const args = process.argv.slice(2);
+    const repair = args.includes("--repair");
+    const tenantIdx = args.indexOf("--tenant");
+    const slug = tenantIdx >= 0 ? args[tenantIdx + 1] : null;
+
+    const tenants = await prisma.tenant.findMany({
+        where: slug ? { slug } : {},
+        select: { id: true, name: true, slug: true },
+        orderBy: { name: "asc" },
+    });
+
+    if (tenants.length === 0) {
+        console.log(slug ? `❌ Tenant "${slug}" not found` : "No tenants found");
+        return slug ? 1 : 0;
+    }
+
+    let drifted = 0;
+    for (const tenant of tenants) {
+        const result = repair
+            ? await ledgerService.repair(tenant.id, { id: "cli", name: "ledger-integrity script" })
+            : await ledgerService.check(tenant.id);
+        const count = result.accounts.length + result.orders.length + result.bills.length;
+
+        console.log(`\n🏢 ${tenant.name} (${tenant.slug}) — ${result.accountsChecked} accounts, ${result.ordersChecked} orders, ${result.billsChecked} supplier bills`);
+        if (count === 0) {
+            console.log("   ✅ No discrepancies");
+            continue;
+        }
+
+        drifted += 1;
+        result.accounts.forEach((a) => {
+            console.log(`   ⚠️  Account ${a.name}: stored ${a.stored}, expected ${a.expected} (diff ${a.difference})`);
+        });
+        result.orders.forEach((o) => {
+            console.log(`   ⚠️  Order #${o.number} [${o.status}]: stored ${o.stored}, expected ${o.expected} (diff ${o.difference})`);
+        });
+        result.bills.forEach((b) => {
+            console.log(`   ⚠️  Supplier bill #${b.number} [${b.status}]: stored ${b.stored}, expected ${b.expected} (diff ${b.difference})`);
+        });
+        if (repair) {
+            console.log(`   🔧 Repaired ${count} balance(s) — audit ${result.audit.id}`);
+        }
+    }
+
+    console.log(`\n${drifted} of ${tenants.length} tenant(s) with discrepancies${repair ? " (repaired)" : ""}`);
+    // Non-zero exit when drift was found and left unrepaired, so it can run in CI/cron
+    return drifted > 0 && !repair ? 2 : 0;
+}
+
+main()
+    .then((code) => { process.exitCode = code; })
+    .catch((e) => {
+        console.error("❌ Ledger integrity check failed:", e);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        await prisma.$disconnect();
+    });
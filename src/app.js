@@ -12,9 +12,20 @@ const customerRoutes = require("./routes/customer.routes");
 const productRoutes = require("./routes/product.routes");
 const materialRoutes = require("./routes/material.routes");
 const orderRoutes = require("./routes/order.routes");
+const quoteRoutes = require("./routes/quote.routes");
+const invoiceRoutes = require("./routes/invoice.routes");
 const expenseRoutes = require("./routes/expense.routes");
 const accountRoutes = require("./routes/account.routes");
 const paymentRoutes = require("./routes/payment.routes");
+const withholdingRoutes = require("./routes/withholding.routes");
+const refundRoutes = require("./routes/refund.routes");
+const receiptRoutes = require("./routes/receipt.routes");
+const cashSessionRoutes = require("./routes/cashSession.routes");
+const ledgerRoutes = require("./routes/ledger.routes");
+const bankStatementRoutes = require("./routes/bankStatement.routes");
+const supplierBillRoutes = require("./routes/supplierBill.routes");
+const purchaseOrderRoutes = require("./routes/purchaseOrder.routes");
+const productionRoutes = require("./routes/production.routes");
 const settingsRoutes = require("./routes/settings.routes");
 const reportRoutes = require("./routes/report.routes");
 
@@ -43,9 +54,20 @@ app.use("/api/customers", ssoAuthMiddleware, tenantScope, customerRoutes);
 app.use("/api/products", ssoAuthMiddleware, tenantScope, productRoutes);
 app.use("/api/materials", ssoAuthMiddleware, tenantScope, materialRoutes);
 app.use("/api/orders", ssoAuthMiddleware, tenantScope, orderRoutes);
+app.use("/api/quotes", ssoAuthMiddleware, tenantScope, quoteRoutes);
+app.use("/api/invoices", ssoAuthMiddleware, tenantScope, invoiceRoutes);
 app.use("/api/expenses", ssoAuthMiddleware, tenantScope, expenseRoutes);
 app.use("/api/accounts", ssoAuthMiddleware, tenantScope, accountRoutes);
 app.use("/api/payments", ssoAuthMiddleware, tenantScope, paymentRoutes);
+app.use("/api/withholdings", ssoAuthMiddleware, tenantScope, withholdingRoutes);
+app.use("/api/refunds", ssoAuthMiddleware, tenantScope, refundRoutes);
+app.use("/api/receipts", ssoAuthMiddleware, tenantScope, receiptRoutes);
+app.use("/api/cash-sessions", ssoAuthMiddleware, tenantScope, cashSessionRoutes);
+app.use("/api/ledger", ssoAuthMiddleware, tenantScope, ledgerRoutes);
+app.use("/api/bank-statements", ssoAuthMiddleware, tenantScope, bankStatementRoutes);
+app.use("/api/supplier-bills", ssoAuthMiddleware, tenantScope, supplierBillRoutes);
+app.use("/api/purchase-orders", ssoAuthMiddleware, tenantScope, purchaseOrderRoutes);
+app.use("/api/production", ssoAuthMiddleware, tenantScope, productionRoutes);
 app.use("/api/settings", ssoAuthMiddleware, tenantScope, settingsRoutes);
 app.use("/api/reports", ssoAuthMiddleware, tenantScope, reportRoutes);
 
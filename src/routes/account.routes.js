@@ -1,18 +1,38 @@
 const express = require("express");
+const crypto = require("crypto");
 const rbac = require("../middlewares/rbac.middleware");
 const { getDayBounds } = require("../utils/date.util");
+const { round } = require("../utils/math.util");
 
 const router = express.Router();
 
+const ACCOUNT_TYPES = ["CASH", "BANK", "WALLET"];
+
+/**
+ * Check that every payment method id belongs to the tenant
+ */
+async function validatePaymentMethods(prisma, paymentMethodIds) {
+    if (!Array.isArray(paymentMethodIds) || paymentMethodIds.length === 0) return true;
+    const count = await prisma.paymentMethod.count({ where: { id: { in: paymentMethodIds } } });
+    return count === new Set(paymentMethodIds).size;
+}
+
 /**
  * GET /api/accounts
- * List all accounts (one per payment method) with balances
+ * List all accounts with balances and the payment methods that deposit into them
  */
 router.get("/", rbac("cashier", "read"), async (req, res) => {
     try {
+        const { type, isActive } = req.query;
+
+        const where = {};
+        if (type) where.type = type;
+        if (isActive !== undefined) where.isActive = isActive === "true";
+
         const accounts = await req.prisma.account.findMany({
+            where,
             include: {
-                paymentMethod: { select: { id: true, name: true } },
+                paymentMethods: { select: { id: true, name: true } },
             },
             orderBy: { createdAt: "asc" },
         });
@@ -24,16 +44,196 @@ router.get("/", rbac("cashier", "read"), async (req, res) => {
     }
 });
 
+/**
+ * GET /api/accounts/:id
+ * Account detail with its payment methods and open cash session
+ */
+router.get("/:id", rbac("cashier", "read"), async (req, res) => {
+    try {
+        const account = await req.prisma.account.findFirst({
+            where: { id: req.params.id },
+            include: {
+                paymentMethods: { select: { id: true, name: true, isActive: true } },
+                cashSessions: {
+                    where: { status: "OPEN" },
+                    select: { id: true, number: true, openedAt: true, openedByName: true },
+                },
+            },
+        });
+
+        if (!account) {
+            return res.status(404).json({ error: "Account not found" });
+        }
+
+        res.json({ success: true, data: account });
+    } catch (error) {
+        console.error("❌ Error getting account:", error.message);
+        res.status(500).json({ error: "Failed to get account" });
+    }
+});
+
+/**
+ * POST /api/accounts
+ * Create an account (caja, cuenta bancaria o billetera) with its opening balance.
+ * Body: { name, type?, bankName?, accountNumber?, openingBalance?, openingDate?, paymentMethodIds? }
+ * The listed payment methods are mapped to the new account.
+ */
+router.post("/", rbac("settings", "update"), async (req, res) => {
+    try {
+        const { name, type = "CASH", bankName, accountNumber, openingBalance = 0, openingDate, paymentMethodIds } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ error: "name is required" });
+        }
+        if (!ACCOUNT_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Invalid type. Valid: ${ACCOUNT_TYPES.join(", ")}` });
+        }
+        if (isNaN(parseFloat(openingBalance))) {
+            return res.status(400).json({ error: "openingBalance must be a number" });
+        }
+        if (!(await validatePaymentMethods(req.prisma, paymentMethodIds))) {
+            return res.status(404).json({ error: "Payment method not found" });
+        }
+
+        const opening = round(parseFloat(openingBalance));
+
+        const account = await req.prisma.$transaction(async (tx) => {
+            const created = await tx.account.create({
+                data: {
+                    tenantId: req.tenantId,
+                    name,
+                    type,
+                    bankName,
+                    accountNumber,
+                    openingBalance: opening,
+                    openingDate: openingDate ? new Date(openingDate) : null,
+                    balance: opening,
+                },
+            });
+
+            if (paymentMethodIds?.length) {
+                await tx.paymentMethod.updateMany({
+                    where: { id: { in: paymentMethodIds }, tenantId: req.tenantId },
+                    data: { accountId: created.id },
+                });
+            }
+
+            return created;
+        });
+
+        res.status(201).json({ success: true, data: account });
+    } catch (error) {
+        if (error.code === "P2002") return res.status(409).json({ error: "Account already exists" });
+        console.error("❌ Error creating account:", error.message);
+        res.status(500).json({ error: "Failed to create account" });
+    }
+});
+
+/**
+ * PUT /api/accounts/:id
+ * Update account data. Changing the opening balance shifts the current balance by the same difference.
+ * Body: { name?, type?, bankName?, accountNumber?, openingBalance?, openingDate?, isActive?, paymentMethodIds? }
+ */
+router.put("/:id", rbac("settings", "update"), async (req, res) => {
+    try {
+        const { name, type, bankName, accountNumber, openingBalance, openingDate, isActive, paymentMethodIds } = req.body;
+
+        if (type !== undefined && !ACCOUNT_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Invalid type. Valid: ${ACCOUNT_TYPES.join(", ")}` });
+        }
+        if (openingBalance !== undefined && isNaN(parseFloat(openingBalance))) {
+            return res.status(400).json({ error: "openingBalance must be a number" });
+        }
+
+        const account = await req.prisma.account.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!account) {
+            return res.status(404).json({ error: "Account not found" });
+        }
+        if (!(await validatePaymentMethods(req.prisma, paymentMethodIds))) {
+            return res.status(404).json({ error: "Payment method not found" });
+        }
+
+        const data = {};
+        if (name !== undefined) data.name = name;
+        if (type !== undefined) data.type = type;
+        if (bankName !== undefined) data.bankName = bankName;
+        if (accountNumber !== undefined) data.accountNumber = accountNumber;
+        if (openingDate !== undefined) data.openingDate = openingDate ? new Date(openingDate) : null;
+        if (isActive !== undefined) data.isActive = isActive;
+        if (openingBalance !== undefined) {
+            const opening = round(parseFloat(openingBalance));
+            const diff = round(opening - parseFloat(account.openingBalance));
+            data.openingBalance = opening;
+            if (diff !== 0) data.balance = { increment: diff };
+        }
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const updated = await tx.account.update({
+                where: { id: account.id },
+                data,
+            });
+
+            if (paymentMethodIds?.length) {
+                await tx.paymentMethod.updateMany({
+                    where: { id: { in: paymentMethodIds }, tenantId: req.tenantId },
+                    data: { accountId: account.id },
+                });
+            }
+
+            return updated;
+        });
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        if (error.code === "P2002") return res.status(409).json({ error: "Account already exists" });
+        console.error("❌ Error updating account:", error.message);
+        res.status(500).json({ error: "Failed to update account" });
+    }
+});
+
+/**
+ * DELETE /api/accounts/:id
+ * Delete an account without movements. Accounts with history must be deactivated instead.
+ */
+router.delete("/:id", rbac("settings", "delete"), async (req, res) => {
+    try {
+        const account = await req.prisma.account.findFirst({
+            where: { id: req.params.id },
+            include: { _count: { select: { transactions: true, cashSessions: true, bankStatements: true } } },
+        });
+
+        if (!account) {
+            return res.status(404).json({ error: "Account not found" });
+        }
+
+        if (account._count.transactions > 0 || account._count.cashSessions > 0 || account._count.bankStatements > 0) {
+            return res.status(400).json({ error: "No se puede eliminar: la cuenta tiene movimientos. Desactívela en su lugar" });
+        }
+
+        // Mapped payment methods are left without a target account (ON DELETE SET NULL)
+        await req.prisma.account.delete({ where: { id: account.id } });
+
+        res.json({ success: true, message: "Account deleted" });
+    } catch (error) {
+        console.error("❌ Error deleting account:", error.message);
+        res.status(500).json({ error: "Failed to delete account" });
+    }
+});
+
 /**
  * GET /api/accounts/:id/transactions
- * List transactions for a specific account
+ * List transactions for a specific account (filter by referenceType, e.g. TRANSFER, ADJUSTMENT)
  */
 router.get("/:id/transactions", rbac("cashier", "read"), async (req, res) => {
     try {
-        const { from, to, page = 1, limit = 50 } = req.query;
+        const { from, to, referenceType, page = 1, limit = 50 } = req.query;
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
         const where = { accountId: req.params.id };
+        if (referenceType) where.referenceType = referenceType;
         if (from || to) {
             where.transactionDate = {};
 
@@ -70,4 +270,156 @@ router.get("/:id/transactions", rbac("cashier", "read"), async (req, res) => {
     }
 });
 
+/**
+ * POST /api/accounts/transfers
+ * Move money between two accounts (e.g. Efectivo -> Bancolombia).
+ * Creates a DEBIT on the source and a CREDIT on the destination sharing the same referenceId.
+ * Body: { fromAccountId, toAccountId, amount, description?, transferDate? }
+ */
+router.post("/transfers", rbac("cashier", "update"), async (req, res) => {
+    try {
+        const { fromAccountId, toAccountId, amount, description, transferDate } = req.body;
+
+        if (!fromAccountId || !toAccountId || !amount) {
+            return res.status(400).json({ error: "fromAccountId, toAccountId and amount are required" });
+        }
+        if (fromAccountId === toAccountId) {
+            return res.status(400).json({ error: "Source and destination accounts must be different" });
+        }
+
+        const transferAmount = round(parseFloat(amount));
+        if (!(transferAmount > 0)) {
+            return res.status(400).json({ error: "amount must be greater than 0" });
+        }
+
+        const date = transferDate ? new Date(transferDate) : new Date();
+        if (isNaN(date.getTime())) {
+            return res.status(400).json({ error: "transferDate must be a valid date" });
+        }
+
+        const accounts = await req.prisma.account.findMany({
+            where: { id: { in: [fromAccountId, toAccountId] } },
+        });
+        const from = accounts.find((a) => a.id === fromAccountId);
+        const to = accounts.find((a) => a.id === toAccountId);
+
+        if (!from || !to) {
+            return res.status(404).json({ error: "Account not found" });
+        }
+
+        const transferId = crypto.randomUUID();
+        const note = description ? ` - ${description}` : "";
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const debit = await tx.transaction.create({
+                data: {
+                    tenantId: req.tenantId,
+                    accountId: from.id,
+                    type: "DEBIT",
+                    amount: transferAmount,
+                    description: `Traslado a ${to.name}${note}`,
+                    referenceId: transferId,
+                    referenceType: "TRANSFER",
+                    transactionDate: date,
+                    registeredBy: req.user.userId,
+                },
+            });
+
+            const credit = await tx.transaction.create({
+                data: {
+                    tenantId: req.tenantId,
+                    accountId: to.id,
+                    type: "CREDIT",
+                    amount: transferAmount,
+                    description: `Traslado desde ${from.name}${note}`,
+                    referenceId: transferId,
+                    referenceType: "TRANSFER",
+                    transactionDate: date,
+                    registeredBy: req.user.userId,
+                },
+            });
+
+            await tx.account.update({
+                where: { id: from.id },
+                data: { balance: { decrement: transferAmount } },
+            });
+
+            await tx.account.update({
+                where: { id: to.id },
+                data: { balance: { increment: transferAmount } },
+            });
+
+            return { transferId, amount: transferAmount, debit, credit };
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error creating transfer:", error.message);
+        res.status(500).json({ error: "Failed to create transfer" });
+    }
+});
+
+/**
+ * POST /api/accounts/:id/adjustments
+ * Manual balance adjustment with a reason (bank fees, interest, count corrections).
+ * Body: { type: "CREDIT" | "DEBIT", amount, reason, adjustmentDate? }
+ */
+router.post("/:id/adjustments", rbac("cashier", "update"), async (req, res) => {
+    try {
+        const { type, amount, reason, adjustmentDate } = req.body;
+
+        if (!type || !amount || !reason) {
+            return res.status(400).json({ error: "type, amount and reason are required" });
+        }
+        if (!["CREDIT", "DEBIT"].includes(type)) {
+            return res.status(400).json({ error: "Invalid type. Valid: CREDIT, DEBIT" });
+        }
+
+        const adjustmentAmount = round(parseFloat(amount));
+        if (!(adjustmentAmount > 0)) {
+            return res.status(400).json({ error: "amount must be greater than 0" });
+        }
+
+        const date = adjustmentDate ? new Date(adjustmentDate) : new Date();
+        if (isNaN(date.getTime())) {
+            return res.status(400).json({ error: "adjustmentDate must be a valid date" });
+        }
+
+        const account = await req.prisma.account.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!account) {
+            return res.status(404).json({ error: "Account not found" });
+        }
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const transaction = await tx.transaction.create({
+                data: {
+                    tenantId: req.tenantId,
+                    accountId: account.id,
+                    type,
+                    amount: adjustmentAmount,
+                    description: `Ajuste: ${reason}`,
+                    referenceType: "ADJUSTMENT",
+                    transactionDate: date,
+                    registeredBy: req.user.userId,
+                },
+            });
+
+            await tx.account.update({
+                where: { id: account.id },
+                data: { balance: type === "CREDIT" ? { increment: adjustmentAmount } : { decrement: adjustmentAmount } },
+            });
+
+            return transaction;
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error creating adjustment:", error.message);
+        res.status(500).json({ error: "Failed to create adjustment" });
+    }
+});
+
 module.exports = router;
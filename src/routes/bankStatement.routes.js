@@ -0,0 +1,596 @@
+const express = require("express");
+const rbac = require("../middlewares/rbac.middleware");
+const { getDayBounds, getLocalDateTime } = require("../utils/date.util");
+const { STATEMENT_PROFILES, parseStatement } = require("../utils/statement.util");
+const { round } = require("../utils/math.util");
+
+const router = express.Router();
+
+// A bank line may post a few days after (or before) the movement was registered
+const DATE_TOLERANCE_DAYS = 3;
+
+// @db.Date values come back as UTC midnight
+function toDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function shiftDay(day, days) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDay(date);
+}
+
+async function getTimezone(prisma, tenantId) {
+    const config = await prisma.financialConfig.findFirst({
+        where: { tenantId },
+        select: { timezone: true }
+    });
+    return config?.timezone || 'UTC';
+}
+
+/**
+ * Transactions of the statement's account not yet reconciled nor matched to a line,
+ * dated within the statement period (widened by `toleranceDays`).
+ * Each one carries its signed amount (CREDIT +, DEBIT -) and local day.
+ */
+async function findOpenTransactions(prisma, statement, timeZone, toleranceDays = 0) {
+    const { startOfDay } = getDayBounds(shiftDay(toDay(statement.periodStart), -toleranceDays), timeZone);
+    const { endOfDay } = getDayBounds(shiftDay(toDay(statement.periodEnd), toleranceDays), timeZone);
+
+    const transactions = await prisma.transaction.findMany({
+        where: {
+            accountId: statement.accountId,
+            reconciledAt: null,
+            statementLine: { is: null },
+            transactionDate: { gte: startOfDay, lte: endOfDay },
+        },
+        orderBy: { transactionDate: "asc" },
+    });
+
+    return transactions.map((t) => ({
+        ...t,
+        signedAmount: parseFloat(t.amount) * (t.type === "CREDIT" ? 1 : -1),
+        day: getLocalDateTime(t.transactionDate, timeZone).date,
+    }));
+}
+
+/**
+ * Match the statement's unmatched lines to open transactions with the same signed amount
+ * posted within DATE_TOLERANCE_DAYS. Among candidates, one whose description or reference
+ * contains the line reference wins, then the closest date.
+ * @returns {Promise<number>} Lines matched
+ */
+async function autoMatch(tx, statement, timeZone) {
+    const lines = await tx.bankStatementLine.findMany({
+        where: { statementId: statement.id, matchStatus: "UNMATCHED" },
+        orderBy: { lineNumber: "asc" },
+    });
+    if (lines.length === 0) return 0;
+
+    const candidates = await findOpenTransactions(tx, statement, timeZone, DATE_TOLERANCE_DAYS);
+    const used = new Set();
+    let matched = 0;
+
+    for (const line of lines) {
+        const lineDay = toDay(line.lineDate);
+        const amount = parseFloat(line.amount);
+        const ref = line.reference?.toLowerCase();
+
+        const ranked = candidates
+            .filter((c) => !used.has(c.id) && Math.abs(c.signedAmount - amount) < 0.005)
+            .map((c) => ({
+                c,
+                days: Math.abs(Date.parse(c.day) - Date.parse(lineDay)) / 86400000,
+                byReference: !!ref && (c.description.toLowerCase().includes(ref) || c.referenceId === line.reference),
+            }))
+            .filter((o) => o.days <= DATE_TOLERANCE_DAYS)
+            .sort((a, b) => (b.byReference - a.byReference) || (a.days - b.days));
+
+        if (ranked.length === 0) continue;
+
+        const best = ranked[0].c;
+        used.add(best.id);
+        await tx.bankStatementLine.update({
+            where: { id: line.id },
+            data: { matchStatus: "AUTO", transactionId: best.id },
+        });
+        matched++;
+    }
+
+    return matched;
+}
+
+/**
+ * Counts and totals of a statement's lines
+ */
+function summarize(lines) {
+    const count = (status) => lines.filter((l) => l.matchStatus === status).length;
+    return {
+        lines: lines.length,
+        matched: count("AUTO") + count("MANUAL"),
+        autoMatched: count("AUTO"),
+        manuallyMatched: count("MANUAL"),
+        ignored: count("IGNORED"),
+        unmatched: count("UNMATCHED"),
+        statementTotal: round(lines.reduce((sum, l) => sum + parseFloat(l.amount), 0)),
+        matchedTotal: round(lines
+            .filter((l) => l.transactionId)
+            .reduce((sum, l) => sum + parseFloat(l.amount), 0)),
+    };
+}
+
+/**
+ * GET /api/bank-statements
+ * List imported statements (extractos) with filters
+ */
+router.get("/", rbac("reconciliation", "read"), async (req, res) => {
+    try {
+        const { accountId, status, page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const where = {};
+        if (accountId) where.accountId = accountId;
+        if (status) where.status = status;
+
+        const [statements, total] = await Promise.all([
+            req.prisma.bankStatement.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { periodEnd: "desc" },
+                include: {
+                    account: { select: { id: true, name: true, type: true } },
+                    _count: { select: { lines: true } },
+                },
+            }),
+            req.prisma.bankStatement.count({ where }),
+        ]);
+
+        res.json({ success: true, data: statements, total, page: parseInt(page), limit: parseInt(limit) });
+    } catch (error) {
+        console.error("❌ Error listing bank statements:", error.message);
+        res.status(500).json({ error: "Failed to list bank statements" });
+    }
+});
+
+/**
+ * GET /api/bank-statements/profiles
+ * Built-in CSV column mappings per bank
+ */
+router.get("/profiles", rbac("reconciliation", "read"), async (req, res) => {
+    res.json({ success: true, data: STATEMENT_PROFILES });
+});
+
+/**
+ * GET /api/bank-statements/:id
+ * Statement detail: lines with their matched transaction, plus the account's transactions
+ * of the period that are still unmatched (the "book side" of the reconciliation)
+ */
+router.get("/:id", rbac("reconciliation", "read"), async (req, res) => {
+    try {
+        const statement = await req.prisma.bankStatement.findFirst({
+            where: { id: req.params.id },
+            include: {
+                account: { select: { id: true, name: true, type: true, bankName: true, accountNumber: true } },
+                lines: {
+                    include: {
+                        transaction: {
+                            select: {
+                                id: true, type: true, amount: true, description: true,
+                                transactionDate: true, referenceType: true, referenceId: true,
+                            },
+                        },
+                    },
+                    orderBy: { lineNumber: "asc" },
+                },
+            },
+        });
+
+        if (!statement) {
+            return res.status(404).json({ error: "Bank statement not found" });
+        }
+
+        const tz = await getTimezone(req.prisma, req.tenantId);
+        const unmatchedTransactions = await findOpenTransactions(req.prisma, statement, tz);
+
+        res.json({
+            success: true,
+            data: {
+                ...statement,
+                unmatchedTransactions,
+                summary: {
+                    ...summarize(statement.lines),
+                    unmatchedTransactions: unmatchedTransactions.length,
+                },
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error getting bank statement:", error.message);
+        res.status(500).json({ error: "Failed to get bank statement" });
+    }
+});
+
+/**
+ * POST /api/bank-statements
+ * Import a CSV/OFX statement for an account and auto-match its lines.
+ * Either JSON { accountId, content, format?, profile?, mapping?, fileName? }
+ * or the raw file (text/csv, application/x-ofx) with the same fields as query params
+ * (mapping as JSON string).
+ */
+router.post("/", rbac("reconciliation", "update"), express.text({ type: ["text/*", "application/x-ofx", "application/ofx"], limit: "5mb" }), async (req, res) => {
+    try {
+        const raw = typeof req.body === "string";
+        const params = raw ? req.query : (req.body || {});
+        const { accountId, format, profile, fileName } = params;
+        const content = raw ? req.body : params.content;
+
+        if (!accountId || !content) {
+            return res.status(400).json({ error: "accountId and the statement content are required" });
+        }
+
+        let mapping = params.mapping;
+        if (typeof mapping === "string") {
+            try {
+                mapping = JSON.parse(mapping);
+            } catch (jsonError) {
+                return res.status(400).json({ error: "mapping must be valid JSON" });
+            }
+        }
+
+        let parsed;
+        try {
+            parsed = parseStatement(content, { format: format?.toUpperCase(), profile: profile?.toUpperCase(), mapping });
+        } catch (parseError) {
+            return res.status(400).json({ error: parseError.message });
+        }
+
+        const account = await req.prisma.account.findFirst({
+            where: { id: accountId },
+        });
+
+        if (!account) {
+            return res.status(404).json({ error: "Account not found" });
+        }
+
+        const periodStart = new Date(`${parsed.periodStart}T00:00:00Z`);
+        const periodEnd = new Date(`${parsed.periodEnd}T00:00:00Z`);
+
+        // The same period imported twice would duplicate lines
+        const overlapping = await req.prisma.bankStatement.findFirst({
+            where: { accountId, periodStart: { lte: periodEnd }, periodEnd: { gte: periodStart } },
+            select: { number: true },
+        });
+        if (overlapping) {
+            return res.status(409).json({ error: `El periodo se cruza con el extracto #${overlapping.number} de esta cuenta` });
+        }
+
+        const tz = await getTimezone(req.prisma, req.tenantId);
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const maxStatement = await tx.bankStatement.findFirst({
+                where: { tenantId: req.tenantId },
+                orderBy: { number: "desc" },
+                select: { number: true },
+            });
+            const nextNumber = (maxStatement?.number || 0) + 1;
+
+            const statement = await tx.bankStatement.create({
+                data: {
+                    tenantId: req.tenantId,
+                    number: nextNumber,
+                    accountId,
+                    format: parsed.format,
+                    profile: parsed.profile,
+                    fileName,
+                    periodStart,
+                    periodEnd,
+                    closingBalance: parsed.closingBalance,
+                    importedBy: req.user.userId,
+                    importedByName: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
+                },
+            });
+
+            for (const [i, line] of parsed.lines.entries()) {
+                await tx.bankStatementLine.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        statementId: statement.id,
+                        lineNumber: i + 1,
+                        lineDate: new Date(`${line.date}T00:00:00Z`),
+                        description: line.description,
+                        reference: line.reference?.slice(0, 100),
+                        amount: line.amount,
+                        balance: line.balance,
+                    },
+                });
+            }
+
+            const matched = await autoMatch(tx, statement, tz);
+
+            return { ...statement, summary: { lines: parsed.lines.length, matched, unmatched: parsed.lines.length - matched } };
+        }, { timeout: 30000 });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error importing bank statement:", error.message);
+        res.status(500).json({ error: "Failed to import bank statement" });
+    }
+});
+
+/**
+ * POST /api/bank-statements/:id/auto-match
+ * Run the automatic matching again (e.g. after registering missing movements)
+ */
+router.post("/:id/auto-match", rbac("reconciliation", "update"), async (req, res) => {
+    try {
+        const statement = await req.prisma.bankStatement.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!statement) {
+            return res.status(404).json({ error: "Bank statement not found" });
+        }
+        if (statement.status !== "OPEN") {
+            return res.status(400).json({ error: "Bank statement is already closed" });
+        }
+
+        const tz = await getTimezone(req.prisma, req.tenantId);
+        const matched = await req.prisma.$transaction((tx) => autoMatch(tx, statement, tz));
+
+        res.json({ success: true, data: { matched } });
+    } catch (error) {
+        console.error("❌ Error matching bank statement:", error.message);
+        res.status(500).json({ error: "Failed to match bank statement" });
+    }
+});
+
+/**
+ * Load an open statement and one of its lines, answering 404/400 when not usable
+ */
+async function loadOpenLine(req, res) {
+    const statement = await req.prisma.bankStatement.findFirst({
+        where: { id: req.params.id },
+    });
+    if (!statement) {
+        res.status(404).json({ error: "Bank statement not found" });
+        return null;
+    }
+    if (statement.status !== "OPEN") {
+        res.status(400).json({ error: "Bank statement is already closed" });
+        return null;
+    }
+
+    const line = await req.prisma.bankStatementLine.findFirst({
+        where: { id: req.params.lineId, statementId: statement.id },
+    });
+    if (!line) {
+        res.status(404).json({ error: "Statement line not found" });
+        return null;
+    }
+
+    return { statement, line };
+}
+
+/**
+ * POST /api/bank-statements/:id/lines/:lineId/match
+ * Manually match a line to a transaction of the same account and amount
+ * Body: { transactionId }
+ */
+router.post("/:id/lines/:lineId/match", rbac("reconciliation", "update"), async (req, res) => {
+    try {
+        const { transactionId } = req.body;
+
+        if (!transactionId) {
+            return res.status(400).json({ error: "transactionId is required" });
+        }
+
+        const loaded = await loadOpenLine(req, res);
+        if (!loaded) return;
+        const { statement, line } = loaded;
+
+        if (line.matchStatus !== "UNMATCHED") {
+            return res.status(400).json({ error: "La línea ya está conciliada o ignorada. Desmárquela primero" });
+        }
+
+        const transaction = await req.prisma.transaction.findFirst({
+            where: {
+                id: transactionId,
+                accountId: statement.accountId,
+                reconciledAt: null,
+                statementLine: { is: null },
+            },
+        });
+
+        if (!transaction) {
+            return res.status(404).json({ error: "Transaction not found, from another account or already matched" });
+        }
+
+        const signedAmount = parseFloat(transaction.amount) * (transaction.type === "CREDIT" ? 1 : -1);
+        if (Math.abs(signedAmount - parseFloat(line.amount)) >= 0.005) {
+            return res.status(400).json({
+                error: `El valor de la línea (${parseFloat(line.amount)}) no coincide con la transacción (${signedAmount}). Registre un ajuste por la diferencia`,
+            });
+        }
+
+        const updated = await req.prisma.bankStatementLine.update({
+            where: { id: line.id },
+            data: { matchStatus: "MANUAL", transactionId: transaction.id },
+        });
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        console.error("❌ Error matching statement line:", error.message);
+        res.status(500).json({ error: "Failed to match statement line" });
+    }
+});
+
+/**
+ * POST /api/bank-statements/:id/lines/:lineId/ignore
+ * Mark a line as not needing a transaction (it is excluded from the reconciliation)
+ */
+router.post("/:id/lines/:lineId/ignore", rbac("reconciliation", "update"), async (req, res) => {
+    try {
+        const loaded = await loadOpenLine(req, res);
+        if (!loaded) return;
+
+        const updated = await req.prisma.bankStatementLine.update({
+            where: { id: loaded.line.id },
+            data: { matchStatus: "IGNORED", transactionId: null },
+        });
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        console.error("❌ Error ignoring statement line:", error.message);
+        res.status(500).json({ error: "Failed to ignore statement line" });
+    }
+});
+
+/**
+ * DELETE /api/bank-statements/:id/lines/:lineId/match
+ * Undo a match (or an ignore), leaving the line unmatched
+ */
+router.delete("/:id/lines/:lineId/match", rbac("reconciliation", "update"), async (req, res) => {
+    try {
+        const loaded = await loadOpenLine(req, res);
+        if (!loaded) return;
+
+        const updated = await req.prisma.bankStatementLine.update({
+            where: { id: loaded.line.id },
+            data: { matchStatus: "UNMATCHED", transactionId: null },
+        });
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        console.error("❌ Error unmatching statement line:", error.message);
+        res.status(500).json({ error: "Failed to unmatch statement line" });
+    }
+});
+
+/**
+ * POST /api/bank-statements/:id/close
+ * Close the reconciliation period: every line must be matched or ignored, and every matched
+ * line must still point at a transaction with its same signed amount.
+ * Matched transactions are marked reconciled and the book balance at the period end
+ * is stored next to the statement's closing balance.
+ */
+router.post("/:id/close", rbac("reconciliation", "update"), async (req, res) => {
+    try {
+        const statement = await req.prisma.bankStatement.findFirst({
+            where: { id: req.params.id },
+            include: {
+                account: { select: { openingBalance: true } },
+                lines: { include: { transaction: { select: { type: true, amount: true } } } },
+            },
+        });
+
+        if (!statement) {
+            return res.status(404).json({ error: "Bank statement not found" });
+        }
+        if (statement.status !== "OPEN") {
+            return res.status(400).json({ error: "Bank statement is already closed" });
+        }
+
+        const unmatched = statement.lines.filter((l) => l.matchStatus === "UNMATCHED").length;
+        if (unmatched > 0) {
+            return res.status(400).json({
+                error: `Quedan ${unmatched} movimiento(s) del extracto sin conciliar. Concílielos o márquelos como ignorados`,
+            });
+        }
+
+        // A matched movement may have been deleted (the line loses its transaction) or edited since
+        const broken = statement.lines.filter((l) => {
+            if (l.matchStatus !== "AUTO" && l.matchStatus !== "MANUAL") return false;
+            if (!l.transaction) return true;
+            const signedAmount = parseFloat(l.transaction.amount) * (l.transaction.type === "CREDIT" ? 1 : -1);
+            return Math.abs(signedAmount - parseFloat(l.amount)) >= 0.005;
+        });
+        if (broken.length > 0) {
+            return res.status(400).json({
+                error: `Las líneas ${broken.map((l) => l.lineNumber).join(", ")} ya no coinciden con su transacción. Deshaga la conciliación y vuelva a conciliarlas`,
+            });
+        }
+
+        const tz = await getTimezone(req.prisma, req.tenantId);
+        const { endOfDay } = getDayBounds(toDay(statement.periodEnd), tz);
+
+        const movements = await req.prisma.transaction.groupBy({
+            by: ["type"],
+            where: { accountId: statement.accountId, transactionDate: { lte: endOfDay } },
+            _sum: { amount: true },
+        });
+        const bookBalance = round(movements.reduce(
+            (sum, m) => sum + parseFloat(m._sum.amount || 0) * (m.type === "CREDIT" ? 1 : -1),
+            parseFloat(statement.account.openingBalance),
+        ));
+
+        const transactionIds = statement.lines.filter((l) => l.transactionId).map((l) => l.transactionId);
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const now = new Date();
+
+            if (transactionIds.length > 0) {
+                await tx.transaction.updateMany({
+                    where: { id: { in: transactionIds }, tenantId: req.tenantId },
+                    data: { reconciledAt: now, bankStatementId: statement.id },
+                });
+            }
+
+            return tx.bankStatement.update({
+                where: { id: statement.id },
+                data: {
+                    status: "CLOSED",
+                    bookBalance,
+                    closedAt: now,
+                    closedBy: req.user.userId,
+                    closedByName: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
+                },
+            });
+        });
+
+        const closingBalance = result.closingBalance !== null ? parseFloat(result.closingBalance) : null;
+
+        res.json({
+            success: true,
+            data: {
+                ...result,
+                summary: {
+                    ...summarize(statement.lines),
+                    reconciledTransactions: transactionIds.length,
+                    difference: closingBalance !== null ? round(closingBalance - bookBalance) : null,
+                },
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error closing bank statement:", error.message);
+        res.status(500).json({ error: "Failed to close bank statement" });
+    }
+});
+
+/**
+ * DELETE /api/bank-statements/:id
+ * Delete an open statement (e.g. to import it again with another mapping)
+ */
+router.delete("/:id", rbac("reconciliation", "update"), async (req, res) => {
+    try {
+        const statement = await req.prisma.bankStatement.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!statement) {
+            return res.status(404).json({ error: "Bank statement not found" });
+        }
+        if (statement.status !== "OPEN") {
+            return res.status(400).json({ error: "No se puede eliminar un extracto con el periodo cerrado" });
+        }
+
+        // Lines are removed by cascade
+        await req.prisma.bankStatement.delete({ where: { id: statement.id } });
+
+        res.json({ success: true, message: "Bank statement deleted" });
+    } catch (error) {
+        console.error("❌ Error deleting bank statement:", error.message);
+        res.status(500).json({ error: "Failed to delete bank statement" });
+    }
+});
+
+module.exports = router;
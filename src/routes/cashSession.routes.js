@@ -0,0 +1,234 @@
+const express = require("express");
+const rbac = require("../middlewares/rbac.middleware");
+const { getDayBounds } = require("../utils/date.util");
+const { getSessionSummary } = require("../utils/cashSession.util");
+const { round } = require("../utils/math.util");
+
+const router = express.Router();
+
+/**
+ * GET /api/cash-sessions
+ * List cash sessions (turnos de caja) with filters
+ */
+router.get("/", rbac("cashier", "read"), async (req, res) => {
+    try {
+        const { accountId, status, from, to, page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const where = {};
+        if (accountId) where.accountId = accountId;
+        if (status) where.status = status;
+        if (from || to) {
+            where.openedAt = {};
+
+            const config = await req.prisma.financialConfig.findFirst({
+                where: { tenantId: req.tenantId },
+                select: { timezone: true }
+            });
+            const tz = config?.timezone || 'UTC';
+
+            if (from) {
+                const bounds = getDayBounds(from, tz);
+                where.openedAt.gte = bounds.startOfDay;
+            }
+            if (to) {
+                const bounds = getDayBounds(to, tz);
+                where.openedAt.lte = bounds.endOfDay;
+            }
+        }
+
+        const [sessions, total] = await Promise.all([
+            req.prisma.cashSession.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { openedAt: "desc" },
+                include: {
+                    account: { select: { id: true, name: true, type: true } },
+                },
+            }),
+            req.prisma.cashSession.count({ where }),
+        ]);
+
+        res.json({ success: true, data: sessions, total, page: parseInt(page), limit: parseInt(limit) });
+    } catch (error) {
+        console.error("❌ Error listing cash sessions:", error.message);
+        res.status(500).json({ error: "Failed to list cash sessions" });
+    }
+});
+
+/**
+ * GET /api/cash-sessions/:id
+ * Cash session detail with its movements and totals (live expected amount while open)
+ */
+router.get("/:id", rbac("cashier", "read"), async (req, res) => {
+    try {
+        const session = await req.prisma.cashSession.findFirst({
+            where: { id: req.params.id },
+            include: {
+                account: { select: { id: true, name: true, type: true, balance: true } },
+                payments: {
+                    include: { order: { select: { id: true, number: true } } },
+                    orderBy: { paymentDate: "asc" },
+                },
+                expenses: {
+                    select: { id: true, number: true, description: true, amount: true, withholdingAmount: true, expenseDate: true },
+                    orderBy: { expenseDate: "asc" },
+                },
+                refunds: {
+                    include: { order: { select: { id: true, number: true } } },
+                    orderBy: { refundDate: "asc" },
+                },
+                creditMovements: {
+                    where: { type: { in: ["DEPOSIT", "OVERPAYMENT"] } },
+                    include: { customer: { select: { id: true, name: true } } },
+                    orderBy: { createdAt: "asc" },
+                },
+            },
+        });
+
+        if (!session) {
+            return res.status(404).json({ error: "Cash session not found" });
+        }
+
+        const summary = await getSessionSummary(req.prisma, session);
+
+        res.json({ success: true, data: { ...session, summary } });
+    } catch (error) {
+        console.error("❌ Error getting cash session:", error.message);
+        res.status(500).json({ error: "Failed to get cash session" });
+    }
+});
+
+/**
+ * POST /api/cash-sessions/open
+ * Open a cash session on an account with a starting float (base de caja)
+ * Body: { accountId, openingFloat, notes? }
+ */
+router.post("/open", rbac("cashier", "update"), async (req, res) => {
+    try {
+        const { accountId, openingFloat = 0, notes } = req.body;
+
+        if (!accountId) {
+            return res.status(400).json({ error: "accountId is required" });
+        }
+        if (isNaN(parseFloat(openingFloat)) || parseFloat(openingFloat) < 0) {
+            return res.status(400).json({ error: "openingFloat must be a number greater than or equal to 0" });
+        }
+
+        const account = await req.prisma.account.findFirst({
+            where: { id: accountId },
+        });
+
+        if (!account) {
+            return res.status(404).json({ error: "Account not found" });
+        }
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const open = await tx.cashSession.findFirst({
+                where: { accountId, status: "OPEN" },
+                select: { number: true },
+            });
+            if (open) {
+                throw new Error(`La cuenta ya tiene el turno #${open.number} abierto`);
+            }
+
+            const maxSession = await tx.cashSession.findFirst({
+                where: { tenantId: req.tenantId },
+                orderBy: { number: "desc" },
+                select: { number: true },
+            });
+            const nextNumber = (maxSession?.number || 0) + 1;
+
+            return tx.cashSession.create({
+                data: {
+                    tenantId: req.tenantId,
+                    number: nextNumber,
+                    accountId,
+                    openingFloat: round(parseFloat(openingFloat), 2),
+                    openedBy: req.user.userId,
+                    openedByName: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
+                    openingNotes: notes,
+                },
+            });
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error opening cash session:", error.message);
+        res.status(error.message.includes("abierto") ? 400 : 500).json({
+            error: error.message || "Failed to open cash session",
+        });
+    }
+});
+
+/**
+ * POST /api/cash-sessions/:id/close
+ * Close a cash session with the physical count (arqueo).
+ * Body: { denominations: [{ value, quantity }], notes? } or { countedAmount, notes? }
+ * The expected-vs-counted difference is stored with who closed the session.
+ */
+router.post("/:id/close", rbac("cashier", "update"), async (req, res) => {
+    try {
+        const { denominations, countedAmount, notes } = req.body;
+
+        let counted;
+        let denominationRows = null;
+        if (Array.isArray(denominations) && denominations.length > 0) {
+            denominationRows = [];
+            for (const d of denominations) {
+                const value = parseFloat(d.value);
+                const quantity = parseInt(d.quantity);
+                if (!(value > 0) || isNaN(quantity) || quantity < 0) {
+                    return res.status(400).json({ error: "Each denomination requires a value greater than 0 and a quantity of 0 or more" });
+                }
+                denominationRows.push({ value, quantity, subtotal: round(value * quantity, 2) });
+            }
+            counted = round(denominationRows.reduce((sum, d) => sum + d.subtotal, 0), 2);
+        } else if (countedAmount !== undefined && !isNaN(parseFloat(countedAmount))) {
+            counted = round(parseFloat(countedAmount), 2);
+        } else {
+            return res.status(400).json({ error: "denominations or countedAmount is required" });
+        }
+
+        const session = await req.prisma.cashSession.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!session) {
+            return res.status(404).json({ error: "Cash session not found" });
+        }
+
+        if (session.status !== "OPEN") {
+            return res.status(400).json({ error: "Cash session is already closed" });
+        }
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const summary = await getSessionSummary(tx, session);
+
+            const closed = await tx.cashSession.update({
+                where: { id: session.id },
+                data: {
+                    status: "CLOSED",
+                    closedAt: new Date(),
+                    closedBy: req.user.userId,
+                    closedByName: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
+                    expectedAmount: summary.expected,
+                    countedAmount: counted,
+                    difference: round(counted - summary.expected, 2),
+                    ...(denominationRows && { denominations: denominationRows }),
+                    closingNotes: notes,
+                },
+            });
+
+            return { ...closed, summary };
+        });
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error closing cash session:", error.message);
+        res.status(500).json({ error: "Failed to close cash session" });
+    }
+});
+
+module.exports = router;
@@ -1,5 +1,11 @@
 const express = require("express");
 const rbac = require("../middlewares/rbac.middleware");
+const { findAccountForMethod } = require("../utils/account.util");
+const { getAvailableCredit, lockAvailableCredit } = require("../utils/credit.util");
+const { findOpenSessionId } = require("../utils/cashSession.util");
+const { getCurrencyConfig, sumInBase } = require("../utils/currency.util");
+const { isFullyDelivered } = require("../utils/delivery.util");
+const { round } = require("../utils/math.util");
 
 const router = express.Router();
 
@@ -69,30 +75,34 @@ router.get("/:id", rbac("customers", "read"), async (req, res) => {
         }
 
         // Fetch filtered orders + aggregates in parallel
-        const [orders, orderCount, totalStats, debtStats] = await Promise.all([
+        const [orders, orderCount, totalStats, debtStats, availableCredit] = await Promise.all([
             req.prisma.order.findMany({
                 where: orderWhere,
                 skip,
                 take: parseInt(limit),
                 orderBy: { orderDate: "desc" },
                 select: {
-                    id: true, number: true, orderDate: true, total: true,
+                    id: true, number: true, orderDate: true, total: true, currency: true,
                     balance: true, status: true, sellerName: true, operationalStatus: true,
                 },
             }),
             req.prisma.order.count({ where: orderWhere }),
-            // Lifetime stats (all orders for this customer)
-            req.prisma.order.aggregate({
+            // Lifetime stats (all orders for this customer), in base currency
+            req.prisma.order.groupBy({
+                by: ["exchangeRate"],
                 where: { customerId: req.params.id },
                 _sum: { total: true },
                 _count: true,
             }),
             // Current debt (active orders with balance > 0)
-            req.prisma.order.aggregate({
+            req.prisma.order.groupBy({
+                by: ["exchangeRate"],
                 where: { customerId: req.params.id, status: "ACTIVE", balance: { gt: 0 } },
                 _sum: { balance: true },
                 _count: true,
             }),
+            // Customer credit (saldo a favor)
+            getAvailableCredit(req.prisma, req.params.id),
         ]);
 
         res.json({
@@ -104,10 +114,11 @@ router.get("/:id", rbac("customers", "read"), async (req, res) => {
                 orderPage: parseInt(page),
                 orderLimit: parseInt(limit),
                 stats: {
-                    totalOrders: totalStats._count,
-                    totalSpent: totalStats._sum.total || 0,
-                    totalDebt: debtStats._sum.balance || 0,
-                    activeDebtOrders: debtStats._count,
+                    totalOrders: totalStats.reduce((sum, g) => sum + g._count, 0),
+                    totalSpent: sumInBase(totalStats, "total"),
+                    totalDebt: sumInBase(debtStats, "balance"),
+                    activeDebtOrders: debtStats.reduce((sum, g) => sum + g._count, 0),
+                    availableCredit,
                 },
             },
         });
@@ -117,6 +128,244 @@ router.get("/:id", rbac("customers", "read"), async (req, res) => {
     }
 });
 
+/**
+ * GET /api/customers/:id/credit
+ * Customer credit (saldo a favor): available amount and movement history
+ */
+router.get("/:id/credit", rbac("customers", "read"), async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const customer = await req.prisma.customer.findFirst({
+            where: { id: req.params.id },
+            select: { id: true, name: true, identification: true },
+        });
+
+        if (!customer) {
+            return res.status(404).json({ error: "Customer not found" });
+        }
+
+        const where = { customerId: req.params.id };
+        const [movements, total, availableCredit] = await Promise.all([
+            req.prisma.customerCreditMovement.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { createdAt: "desc" },
+                include: {
+                    order: { select: { id: true, number: true } },
+                    refund: { select: { id: true, number: true } },
+                    paymentMethod: { select: { id: true, name: true } },
+                },
+            }),
+            req.prisma.customerCreditMovement.count({ where }),
+            getAvailableCredit(req.prisma, req.params.id),
+        ]);
+
+        res.json({
+            success: true,
+            data: { customer, availableCredit, movements },
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+        });
+    } catch (error) {
+        console.error("❌ Error getting customer credit:", error.message);
+        res.status(500).json({ error: "Failed to get customer credit" });
+    }
+});
+
+/**
+ * POST /api/customers/:id/credit/deposits
+ * Register an advance deposit: money received that stays as customer credit
+ */
+router.post("/:id/credit/deposits", rbac("orders", "update"), async (req, res) => {
+    try {
+        const { paymentMethodId, amount, description } = req.body;
+
+        if (!paymentMethodId || !amount) {
+            return res.status(400).json({ error: "paymentMethodId and amount are required" });
+        }
+        if (!(parseFloat(amount) > 0)) {
+            return res.status(400).json({ error: "amount must be greater than 0" });
+        }
+
+        const customer = await req.prisma.customer.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!customer) {
+            return res.status(404).json({ error: "Customer not found" });
+        }
+
+        const pm = await req.prisma.paymentMethod.findFirst({
+            where: { id: paymentMethodId, tenantId: req.tenantId },
+        });
+        if (!pm || !pm.isActive) {
+            return res.status(400).json({ error: "El medio de pago seleccionado no está activo o no existe." });
+        }
+
+        const depositAmount = parseFloat(amount);
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const movement = await tx.customerCreditMovement.create({
+                data: {
+                    tenantId: req.tenantId,
+                    customerId: customer.id,
+                    type: "DEPOSIT",
+                    amount: depositAmount,
+                    paymentMethodId,
+                    cashSessionId: await findOpenSessionId(tx, paymentMethodId),
+                    description: description || `Anticipo de ${customer.name}`,
+                    registeredBy: req.user.userId,
+                },
+            });
+
+            const account = await findAccountForMethod(tx, paymentMethodId);
+
+            if (account) {
+                await tx.transaction.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        accountId: account.id,
+                        type: "CREDIT",
+                        amount: depositAmount,
+                        description: `Anticipo cliente ${customer.name}`,
+                        referenceId: movement.id,
+                        referenceType: "CUSTOMER_CREDIT",
+                        registeredBy: req.user.userId,
+                    },
+                });
+
+                await tx.account.update({
+                    where: { id: account.id },
+                    data: { balance: { increment: depositAmount } },
+                });
+            }
+
+            return movement;
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error registering customer deposit:", error.message);
+        res.status(500).json({ error: "Failed to register customer deposit" });
+    }
+});
+
+/**
+ * POST /api/customers/:id/credit/apply
+ * Apply customer credit to one of the customer's active orders.
+ * Body: { orderId, amount? } (defaults to as much as the credit and the balance allow)
+ */
+router.post("/:id/credit/apply", rbac("orders", "update"), async (req, res) => {
+    try {
+        const { orderId, amount } = req.body;
+
+        if (!orderId) {
+            return res.status(400).json({ error: "orderId is required" });
+        }
+        if (amount !== undefined && !(parseFloat(amount) > 0)) {
+            return res.status(400).json({ error: "amount must be greater than 0" });
+        }
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const order = await tx.order.findFirst({
+                where: { id: orderId, customerId: req.params.id },
+            });
+
+            if (!order) {
+                throw new Error("Order not found for this customer");
+            }
+
+            if (order.status !== "ACTIVE") {
+                throw new Error("Credit can only be applied to active orders");
+            }
+
+            // Customer credit is kept in the base currency
+            const { baseCurrency } = await getCurrencyConfig(tx, req.tenantId);
+            if (order.currency !== baseCurrency) {
+                throw new Error(`El saldo a favor está en ${baseCurrency} y la orden en ${order.currency}`);
+            }
+
+            const balance = parseFloat(order.balance);
+            const available = await lockAvailableCredit(tx, req.params.id);
+            const appliedAmount = amount !== undefined ? parseFloat(amount) : Math.min(available, balance);
+
+            if (!(appliedAmount > 0)) {
+                throw new Error("No hay saldo a favor o saldo pendiente para aplicar");
+            }
+            if (appliedAmount > available) {
+                throw new Error(`Saldo a favor insuficiente (disponible: ${available})`);
+            }
+            if (appliedAmount > balance) {
+                throw new Error("Amount exceeds order balance");
+            }
+
+            const movement = await tx.customerCreditMovement.create({
+                data: {
+                    tenantId: req.tenantId,
+                    customerId: req.params.id,
+                    type: "APPLICATION",
+                    amount: -appliedAmount,
+                    orderId,
+                    description: `Saldo a favor aplicado a la orden #${order.number}`,
+                    registeredBy: req.user.userId,
+                },
+            });
+
+            const newBalance = balance - appliedAmount;
+            const updateData = { balance: newBalance };
+            const changedByName = `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email;
+
+            // If fully paid AND every item delivered, mark as COMPLETED
+            if (newBalance <= 0 && await isFullyDelivered(tx, order.id)) {
+                updateData.status = "COMPLETED";
+
+                await tx.orderEvent.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        orderId,
+                        type: "STATUS_CHANGE",
+                        description: "Orden completada (pagada y entregada)",
+                        fromStatus: "ACTIVE",
+                        toStatus: "COMPLETED",
+                        changedById: req.user.userId,
+                        changedByName,
+                    },
+                });
+            }
+
+            await tx.orderEvent.create({
+                data: {
+                    tenantId: req.tenantId,
+                    orderId,
+                    type: "CREDIT_APPLIED",
+                    description: `Saldo a favor aplicado por ${appliedAmount}`,
+                    metadata: { creditMovementId: movement.id, amount: appliedAmount },
+                    changedById: req.user.userId,
+                    changedByName,
+                },
+            });
+
+            await tx.order.update({
+                where: { id: orderId },
+                data: updateData,
+            });
+
+            return { ...movement, availableCredit: round(available - appliedAmount) };
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error applying customer credit:", error.message);
+        res.status(error.message.includes("not found") ? 404 : 500).json({
+            error: error.message || "Failed to apply customer credit",
+        });
+    }
+});
+
 /**
  * POST /api/customers
  * Create a new customer
@@ -216,6 +465,16 @@ router.delete("/:id", rbac("customers", "delete"), async (req, res) => {
             });
         }
 
+        const creditCount = await req.prisma.customerCreditMovement.count({
+            where: { customerId: req.params.id },
+        });
+
+        if (creditCount > 0) {
+            return res.status(400).json({
+                error: "No se puede eliminar: el cliente tiene movimientos de saldo a favor.",
+            });
+        }
+
         await req.prisma.customer.delete({
             where: { id: req.params.id },
         });
@@ -1,6 +1,10 @@
 const express = require("express");
 const rbac = require("../middlewares/rbac.middleware");
+const { isReconciled } = require("../utils/account.util");
 const { getDayBounds } = require("../utils/date.util");
+const { resolveWithholdings } = require("../utils/withholding.util");
+const { findOpenSessionId } = require("../utils/cashSession.util");
+const { registerExpenseDebit, reverseExpenseDebit } = require("../utils/expense.util");
 
 const router = express.Router();
 
@@ -10,12 +14,14 @@ const router = express.Router();
  */
 router.get("/", rbac("expenses", "read"), async (req, res) => {
     try {
-        const { categoryId, supplierId, search, from, to, page = 1, limit = 20 } = req.query;
+        const { categoryId, supplierId, supplierBillId, orderId, search, from, to, page = 1, limit = 20 } = req.query;
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
         const where = {};
         if (categoryId) where.categoryId = categoryId;
         if (supplierId) where.supplierId = supplierId;
+        if (supplierBillId) where.supplierBillId = supplierBillId;
+        if (orderId) where.orderId = orderId;
         if (from || to) {
             where.expenseDate = {};
 
@@ -75,6 +81,9 @@ router.get("/:id", rbac("expenses", "read"), async (req, res) => {
                 category: true,
                 supplier: true,
                 paymentMethod: true,
+                supplierBill: { select: { id: true, number: true, billNumber: true } },
+                order: { select: { id: true, number: true } },
+                withholdings: { orderBy: { createdAt: "asc" } },
                 attachments: { orderBy: { createdAt: "desc" } },
             },
         });
@@ -92,6 +101,9 @@ router.get("/:id", rbac("expenses", "read"), async (req, res) => {
 
 /**
  * POST /api/expenses
+ * Optional withholdings: [{ withholdingTypeId, base? }] practiced to the supplier.
+ * Base defaults to the expense amount (required for ReteIVA).
+ * orderId attributes the expense to a job (e.g. outsourced work, installation, transport).
  */
 router.post("/", rbac("expenses", "create"), async (req, res) => {
     try {
@@ -103,7 +115,9 @@ router.post("/", rbac("expenses", "create"), async (req, res) => {
             supplierId,
             paymentMethodId,
             categoryId,
+            orderId,
             notes,
+            withholdings = [],
         } = req.body;
 
         if (!description || !amount || !paymentMethodId || !categoryId) {
@@ -112,6 +126,25 @@ router.post("/", rbac("expenses", "create"), async (req, res) => {
             });
         }
 
+        if (orderId) {
+            const order = await req.prisma.order.findFirst({ where: { id: orderId }, select: { id: true } });
+            if (!order) {
+                return res.status(400).json({ error: "La orden a la que se atribuye el egreso no existe." });
+            }
+        }
+
+        const { rows, total: withholdingAmount, error } = await resolveWithholdings(
+            req.prisma,
+            withholdings,
+            (kind) => kind === "RETEIVA" ? null : parseFloat(amount)
+        );
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (withholdingAmount > parseFloat(amount)) {
+            return res.status(400).json({ error: `Las retenciones (${withholdingAmount}) superan el valor del egreso (${parseFloat(amount)}).` });
+        }
+
         const result = await req.prisma.$transaction(async (tx) => {
             // Validate payment method
             const pm = await tx.paymentMethod.findFirst({
@@ -136,20 +169,29 @@ router.post("/", rbac("expenses", "create"), async (req, res) => {
                     expenseDate: expenseDate ? new Date(expenseDate) : new Date(),
                     description,
                     amount,
+                    withholdingAmount,
                     invoiceNumber,
                     supplierId,
                     paymentMethodId,
                     categoryId,
+                    orderId: orderId || null,
+                    cashSessionId: await findOpenSessionId(tx, paymentMethodId),
                     registeredBy: req.user.userId,
                     notes,
+                    withholdings: {
+                        create: rows.map(row => ({ tenantId: req.tenantId, ...row })),
+                    },
                 },
                 include: {
                     category: { select: { id: true, name: true } },
                     supplier: { select: { id: true, name: true } },
                     paymentMethod: { select: { id: true, name: true } },
+                    withholdings: true,
                 },
             });
 
+            await registerExpenseDebit(tx, expense, req.user.userId);
+
             return expense;
         });
 
@@ -162,20 +204,58 @@ router.post("/", rbac("expenses", "create"), async (req, res) => {
 
 /**
  * PUT /api/expenses/:id
- * Edit an expense
+ * Edit an expense. Sending withholdings replaces the ones already registered.
  */
 router.put("/:id", rbac("expenses", "edit"), async (req, res) => {
     try {
-        const { description, amount, categoryId, supplierId, paymentMethodId, invoiceNumber, expenseDate, notes } = req.body;
+        const { description, amount, categoryId, supplierId, paymentMethodId, invoiceNumber, expenseDate, notes, withholdings } = req.body;
 
         const expense = await req.prisma.expense.findFirst({
             where: { id: req.params.id, tenantId: req.tenantId },
+            include: {
+                cashSession: { select: { number: true, status: true } },
+                feeOfPayment: { select: { id: true } },
+                feeOfReceipt: { select: { number: true } },
+                supplierBill: { select: { number: true } },
+                purchaseReceipt: { select: { number: true } },
+            },
         });
 
         if (!expense) {
             return res.status(404).json({ error: "Expense not found" });
         }
 
+        // Commissions follow their payment/receipt
+        if (expense.feeOfPayment || expense.feeOfReceipt) {
+            return res.status(400).json({
+                error: expense.feeOfReceipt
+                    ? `El egreso es la comisión del recibo de caja #${expense.feeOfReceipt.number}. Se ajusta al modificar o anular el recibo.`
+                    : "El egreso es la comisión de un pago. Se ajusta al editar o eliminar el pago.",
+            });
+        }
+
+        // Bill payments move the bill balance: they are managed from the bill
+        if (expense.supplierBill) {
+            return res.status(400).json({
+                error: `El egreso es un abono a la factura de proveedor #${expense.supplierBill.number}. Gestiónelo desde /api/supplier-bills.`,
+            });
+        }
+
+        // Goods receipts already put the stock in: the expense stays as what was paid for it
+        if (expense.purchaseReceipt) {
+            return res.status(400).json({
+                error: `El egreso es el pago de contado de la recepción de mercancía #${expense.purchaseReceipt.number}. No se puede modificar ni eliminar.`,
+            });
+        }
+
+        if (expense.cashSession?.status === "CLOSED") {
+            return res.status(400).json({ error: `El egreso pertenece al turno de caja #${expense.cashSession.number}, que ya está cerrado.` });
+        }
+
+        if (await isReconciled(req.prisma, "EXPENSE", expense.id)) {
+            return res.status(400).json({ error: "El egreso ya fue conciliado con un extracto bancario." });
+        }
+
         if (paymentMethodId) {
             const pm = await req.prisma.paymentMethod.findFirst({
                 where: { id: paymentMethodId, tenantId: req.tenantId },
@@ -185,23 +265,73 @@ router.put("/:id", rbac("expenses", "edit"), async (req, res) => {
             }
         }
 
-        const updated = await req.prisma.expense.update({
-            where: { id: req.params.id },
-            data: {
-                ...(description !== undefined && { description }),
-                ...(amount !== undefined && { amount: parseFloat(amount) }),
-                ...(categoryId !== undefined && { categoryId: categoryId || null }),
-                ...(supplierId !== undefined && { supplierId: supplierId || null }),
-                ...(paymentMethodId !== undefined && { paymentMethodId }),
-                ...(invoiceNumber !== undefined && { invoiceNumber }),
-                ...(expenseDate !== undefined && { expenseDate: expenseDate ? new Date(expenseDate) : new Date() }),
-                ...(notes !== undefined && { notes }),
-            },
-            include: {
-                category: { select: { id: true, name: true } },
-                supplier: { select: { id: true, name: true } },
-                paymentMethod: { select: { id: true, name: true } },
-            },
+        // Withholdings can't exceed the amount, including the ones kept through an amount change
+        const expenseAmount = parseFloat(amount !== undefined ? amount : expense.amount);
+        let withholdingAmount = parseFloat(expense.withholdingAmount || 0);
+        let withholdingData = {};
+        if (withholdings !== undefined) {
+            const { rows, total, error } = await resolveWithholdings(
+                req.prisma,
+                withholdings,
+                (kind) => kind === "RETEIVA" ? null : expenseAmount
+            );
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            withholdingAmount = total;
+            withholdingData = {
+                withholdingAmount: total,
+                withholdings: {
+                    deleteMany: {},
+                    create: rows.map(row => ({ tenantId: req.tenantId, ...row })),
+                },
+            };
+        }
+
+        if (withholdingAmount > expenseAmount) {
+            return res.status(400).json({
+                error: withholdings !== undefined
+                    ? `Las retenciones (${withholdingAmount}) superan el valor del egreso (${expenseAmount}).`
+                    : `Las retenciones registradas (${withholdingAmount}) superan el nuevo valor del egreso (${expenseAmount}). Envíe también withholdings.`,
+            });
+        }
+
+        // Changes that alter the money that left the account rebuild its ledger entry
+        const affectsLedger = amount !== undefined || paymentMethodId !== undefined
+            || withholdings !== undefined || expenseDate !== undefined || description !== undefined;
+
+        const updated = await req.prisma.$transaction(async (tx) => {
+            const result = await tx.expense.update({
+                where: { id: req.params.id },
+                data: {
+                    ...(description !== undefined && { description }),
+                    ...(amount !== undefined && { amount: parseFloat(amount) }),
+                    ...(categoryId !== undefined && { categoryId: categoryId || null }),
+                    ...(supplierId !== undefined && { supplierId: supplierId || null }),
+                    ...(paymentMethodId !== undefined && { paymentMethodId }),
+                    ...(paymentMethodId && paymentMethodId !== expense.paymentMethodId && {
+                        cashSessionId: await findOpenSessionId(tx, paymentMethodId),
+                    }),
+                    ...(invoiceNumber !== undefined && { invoiceNumber }),
+                    ...(expenseDate !== undefined && { expenseDate: expenseDate ? new Date(expenseDate) : new Date() }),
+                    ...(notes !== undefined && { notes }),
+                    ...withholdingData,
+                },
+                include: {
+                    category: { select: { id: true, name: true } },
+                    supplier: { select: { id: true, name: true } },
+                    paymentMethod: { select: { id: true, name: true } },
+                    withholdings: true,
+                },
+            });
+
+            if (affectsLedger) {
+                await reverseExpenseDebit(tx, expense);
+                await registerExpenseDebit(tx, result, req.user.userId);
+            }
+
+            return result;
         });
 
         res.json({ success: true, data: updated });
@@ -214,13 +344,105 @@ router.put("/:id", rbac("expenses", "edit"), async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/expenses/:id/order
+ * Attribute an expense to an order for job costing, or detach it with orderId null.
+ * Only classifies the cost, so it is allowed on closed or reconciled expenses and bill payments.
+ * Body: { orderId }
+ */
+router.put("/:id/order", rbac("expenses", "edit"), async (req, res) => {
+    try {
+        const { orderId } = req.body;
+
+        if (orderId === undefined) {
+            return res.status(400).json({ error: "orderId is required (null to detach)" });
+        }
+
+        const expense = await req.prisma.expense.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!expense) {
+            return res.status(404).json({ error: "Expense not found" });
+        }
+
+        if (orderId) {
+            const order = await req.prisma.order.findFirst({ where: { id: orderId }, select: { id: true } });
+            if (!order) {
+                return res.status(404).json({ error: "Order not found" });
+            }
+        }
+
+        const updated = await req.prisma.expense.update({
+            where: { id: expense.id },
+            data: { orderId: orderId || null },
+            include: { order: { select: { id: true, number: true } } },
+        });
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        console.error("❌ Error attributing expense to order:", error.message);
+        res.status(500).json({ error: "Failed to attribute expense to order" });
+    }
+});
+
 /**
  * DELETE /api/expenses/:id
  */
 router.delete("/:id", rbac("expenses", "delete"), async (req, res) => {
     try {
-        await req.prisma.expense.delete({
+        const expense = await req.prisma.expense.findFirst({
             where: { id: req.params.id },
+            include: {
+                cashSession: { select: { number: true, status: true } },
+                feeOfPayment: { select: { id: true } },
+                feeOfReceipt: { select: { number: true } },
+                supplierBill: { select: { number: true } },
+                purchaseReceipt: { select: { number: true } },
+            },
+        });
+
+        if (!expense) {
+            return res.status(404).json({ error: "Expense not found" });
+        }
+
+        // Commissions follow their payment/receipt
+        if (expense.feeOfPayment || expense.feeOfReceipt) {
+            return res.status(400).json({
+                error: expense.feeOfReceipt
+                    ? `El egreso es la comisión del recibo de caja #${expense.feeOfReceipt.number}. Se ajusta al modificar o anular el recibo.`
+                    : "El egreso es la comisión de un pago. Se ajusta al editar o eliminar el pago.",
+            });
+        }
+
+        // Bill payments move the bill balance: they are managed from the bill
+        if (expense.supplierBill) {
+            return res.status(400).json({
+                error: `El egreso es un abono a la factura de proveedor #${expense.supplierBill.number}. Gestiónelo desde /api/supplier-bills.`,
+            });
+        }
+
+        // Goods receipts already put the stock in: the expense stays as what was paid for it
+        if (expense.purchaseReceipt) {
+            return res.status(400).json({
+                error: `El egreso es el pago de contado de la recepción de mercancía #${expense.purchaseReceipt.number}. No se puede modificar ni eliminar.`,
+            });
+        }
+
+        if (expense.cashSession?.status === "CLOSED") {
+            return res.status(400).json({ error: `El egreso pertenece al turno de caja #${expense.cashSession.number}, que ya está cerrado.` });
+        }
+
+        if (await isReconciled(req.prisma, "EXPENSE", expense.id)) {
+            return res.status(400).json({ error: "El egreso ya fue conciliado con un extracto bancario." });
+        }
+
+        await req.prisma.$transaction(async (tx) => {
+            await reverseExpenseDebit(tx, expense);
+
+            await tx.expense.delete({
+                where: { id: req.params.id },
+            });
         });
 
         res.json({ success: true, message: "Expense deleted" });
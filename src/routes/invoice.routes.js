@@ -0,0 +1,571 @@
+const express = require("express");
+const rbac = require("../middlewares/rbac.middleware");
+const { getDayBounds, getLocalDateTime } = require("../utils/date.util");
+const { CREDIT_NOTE_CONCEPTS, dianTaxCode, buildUblDocument } = require("../utils/ubl.util");
+const { formatInvoiceNumber, getCreditedTotal, findOpenInvoice } = require("../utils/invoice.util");
+const dianService = require("../services/dian.service");
+const { round } = require("../utils/math.util");
+
+const router = express.Router();
+
+const INVOICEABLE_STATUSES = ["ACTIVE", "COMPLETED"];
+
+/**
+ * Loads the issuer data and timezone used to build the documents.
+ * Documents are issued in the currency of their order.
+ */
+async function loadInvoicingContext(prisma, tenantId) {
+    const [config, financial] = await Promise.all([
+        prisma.invoicingConfig.findFirst({ where: { tenantId } }),
+        prisma.financialConfig.findFirst({
+            where: { tenantId },
+            select: { timezone: true }
+        }),
+    ]);
+    return {
+        config,
+        tz: financial?.timezone || 'UTC',
+    };
+}
+
+/**
+ * Finds the numbering resolution to use: the given one, or the first active one
+ * of the document type that is valid today.
+ * @returns {Promise<object>} { resolution, error }
+ */
+async function findResolution(prisma, documentType, resolutionId) {
+    const now = new Date();
+
+    if (resolutionId) {
+        const resolution = await prisma.invoiceResolution.findFirst({
+            where: { id: resolutionId, documentType },
+        });
+        if (!resolution || !resolution.isActive) {
+            return { resolution: null, error: "La resolución de numeración no existe o está inactiva" };
+        }
+        if (resolution.validFrom > now || resolution.validTo < now) {
+            return { resolution: null, error: "La resolución de numeración no está vigente" };
+        }
+        return { resolution, error: null };
+    }
+
+    const resolution = await prisma.invoiceResolution.findFirst({
+        where: { documentType, isActive: true, validFrom: { lte: now }, validTo: { gte: now } },
+        orderBy: { validFrom: "asc" },
+    });
+    if (!resolution) {
+        return {
+            resolution: null,
+            error: documentType === "INVOICE"
+                ? "No hay una resolución de facturación vigente"
+                : "No hay una numeración de notas crédito vigente",
+        };
+    }
+    return { resolution, error: null };
+}
+
+/**
+ * Next consecutive within the resolution range (MAX+1). Must run inside the transaction.
+ */
+async function nextInvoiceNumber(tx, resolution) {
+    const last = await tx.invoice.findFirst({
+        where: { resolutionId: resolution.id },
+        orderBy: { number: "desc" },
+        select: { number: true },
+    });
+
+    const number = last ? last.number + 1 : resolution.rangeFrom;
+    if (number > resolution.rangeTo) {
+        throw new Error(`Rango de numeración agotado para la resolución ${resolution.resolutionNumber}`);
+    }
+    return number;
+}
+
+function toUblResolution(resolution, tz) {
+    return {
+        ...resolution,
+        validFrom: getLocalDateTime(resolution.validFrom, tz).date,
+        validTo: getLocalDateTime(resolution.validTo, tz).date,
+    };
+}
+
+/**
+ * Invoice lines from the order items and their tax snapshots.
+ * Orders created before tax snapshots only have a raw taxRate, applied to every line as IVA.
+ */
+function buildInvoiceLines(order) {
+    const legacyRate = order.taxes.length === 0 ? parseFloat(order.taxRate) : 0;
+
+    return order.items.map((item, index) => {
+        const lineTotal = parseFloat(item.lineTotal);
+        const rows = order.taxes.filter(t => t.orderItemId === item.id);
+        const taxes = rows.length > 0
+            ? rows.map(t => ({
+                name: t.name,
+                code: dianTaxCode(t.name),
+                rate: parseFloat(t.rate),
+                base: parseFloat(t.base),
+                amount: parseFloat(t.amount),
+            }))
+            : legacyRate > 0
+                ? [{ name: "IVA", code: "01", rate: legacyRate, base: lineTotal, amount: round(lineTotal * legacyRate, 2) }]
+                : [];
+
+        return {
+            orderItemId: item.id,
+            lineNumber: index + 1,
+            description: item.description || item.product?.name || "",
+            quantity: parseFloat(item.quantity),
+            unitPrice: parseFloat(item.unitPrice),
+            lineTotal,
+            taxAmount: round(taxes.reduce((sum, t) => sum + t.amount, 0), 2),
+            taxes,
+        };
+    });
+}
+
+function linesTotals(lines, discount) {
+    const subtotal = round(lines.reduce((sum, l) => sum + l.lineTotal, 0), 2);
+    const taxAmount = round(lines.reduce((sum, l) => sum + l.taxAmount, 0), 2);
+    return { subtotal, taxAmount, discount, total: round(subtotal + taxAmount - discount, 2) };
+}
+
+/**
+ * GET /api/invoices
+ * List invoices and credit notes with filters
+ */
+router.get("/", rbac("invoices", "read"), async (req, res) => {
+    try {
+        const { type, status, orderId, customerId, search, from, to, page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const where = {};
+        if (type) where.type = type;
+        if (status) where.status = status;
+        if (orderId) where.orderId = orderId;
+        if (customerId) where.customerId = customerId;
+        if (from || to) {
+            where.issueDate = {};
+
+            const config = await req.prisma.financialConfig.findFirst({
+                where: { tenantId: req.tenantId },
+                select: { timezone: true }
+            });
+            const tz = config?.timezone || 'UTC';
+
+            if (from) {
+                const bounds = getDayBounds(from, tz);
+                where.issueDate.gte = bounds.startOfDay;
+            }
+            if (to) {
+                const bounds = getDayBounds(to, tz);
+                where.issueDate.lte = bounds.endOfDay;
+            }
+        }
+        if (search) {
+            // Accepts the number with or without prefix (e.g. "FE1024" or "1024")
+            const number = parseInt(search.replace(/^\D+/, ""));
+            where.OR = [{ customer: { name: { contains: search, mode: "insensitive" } } }];
+            if (!isNaN(number)) where.OR.push({ number });
+        }
+
+        const [invoices, total] = await Promise.all([
+            req.prisma.invoice.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { issueDate: "desc" },
+                omit: { xml: true },
+                include: {
+                    customer: { select: { id: true, name: true, identification: true } },
+                    order: { select: { id: true, number: true } },
+                    referenceInvoice: { select: { id: true, prefix: true, number: true } },
+                },
+            }),
+            req.prisma.invoice.count({ where }),
+        ]);
+
+        res.json({ success: true, data: invoices, total, page: parseInt(page), limit: parseInt(limit) });
+    } catch (error) {
+        console.error("❌ Error listing invoices:", error.message);
+        res.status(500).json({ error: "Failed to list invoices" });
+    }
+});
+
+/**
+ * GET /api/invoices/:id
+ * Invoice/credit note detail with lines, the referenced invoice and issued credit notes
+ */
+router.get("/:id", rbac("invoices", "read"), async (req, res) => {
+    try {
+        const invoice = await req.prisma.invoice.findFirst({
+            where: { id: req.params.id },
+            omit: { xml: true },
+            include: {
+                customer: true,
+                order: { select: { id: true, number: true, status: true } },
+                resolution: true,
+                lines: { orderBy: { lineNumber: "asc" } },
+                referenceInvoice: { select: { id: true, prefix: true, number: true, cufe: true, total: true } },
+                creditNotes: {
+                    select: { id: true, prefix: true, number: true, issueDate: true, total: true, status: true, discrepancyCode: true },
+                    orderBy: { issueDate: "asc" },
+                },
+            },
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ error: "Invoice not found" });
+        }
+
+        const creditedTotal = invoice.type === "INVOICE" ? await getCreditedTotal(req.prisma, invoice.id) : 0;
+
+        res.json({
+            success: true,
+            data: { ...invoice, fullNumber: formatInvoiceNumber(invoice), creditedTotal },
+        });
+    } catch (error) {
+        console.error("❌ Error getting invoice:", error.message);
+        res.status(500).json({ error: "Failed to get invoice" });
+    }
+});
+
+/**
+ * GET /api/invoices/:id/xml
+ * Download the UBL 2.1 XML (unsigned)
+ */
+router.get("/:id/xml", rbac("invoices", "read"), async (req, res) => {
+    try {
+        const invoice = await req.prisma.invoice.findFirst({
+            where: { id: req.params.id },
+            select: { prefix: true, number: true, type: true, xml: true },
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ error: "Invoice not found" });
+        }
+
+        const kind = invoice.type === "CREDIT_NOTE" ? "nc" : "fv";
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${kind}-${formatInvoiceNumber(invoice)}.xml"`);
+        res.send(invoice.xml);
+    } catch (error) {
+        console.error("❌ Error getting invoice XML:", error.message);
+        res.status(500).json({ error: "Failed to get invoice XML" });
+    }
+});
+
+/**
+ * POST /api/invoices
+ * Issue an electronic invoice for an active or completed order.
+ * Body: { orderId, resolutionId?, dueDate?, notes? }
+ */
+router.post("/", rbac("invoices", "create"), async (req, res) => {
+    try {
+        const { orderId, resolutionId, dueDate, notes } = req.body;
+
+        if (!orderId) {
+            return res.status(400).json({ error: "orderId is required" });
+        }
+
+        const { config, tz } = await loadInvoicingContext(req.prisma, req.tenantId);
+        if (!config) {
+            return res.status(400).json({ error: "Configure los datos de facturación electrónica antes de facturar" });
+        }
+
+        const order = await req.prisma.order.findFirst({
+            where: { id: orderId },
+            include: {
+                customer: true,
+                items: {
+                    include: { product: { select: { name: true } } },
+                    orderBy: { createdAt: "asc" },
+                },
+                taxes: true,
+            },
+        });
+
+        if (!order) {
+            return res.status(404).json({ error: "Order not found" });
+        }
+
+        if (!INVOICEABLE_STATUSES.includes(order.status)) {
+            return res.status(400).json({ error: "Only active or completed orders can be invoiced" });
+        }
+
+        if (order.items.length === 0) {
+            return res.status(400).json({ error: "La orden no tiene items para facturar" });
+        }
+
+        const openInvoice = await findOpenInvoice(req.prisma, orderId);
+        if (openInvoice) {
+            return res.status(409).json({
+                error: `La orden ya está facturada en ${formatInvoiceNumber(openInvoice)}. Emita una nota crédito para anularla.`,
+            });
+        }
+
+        const { resolution, error } = await findResolution(req.prisma, "INVOICE", resolutionId);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (!resolution.technicalKey) {
+            return res.status(400).json({ error: "La resolución no tiene clave técnica configurada" });
+        }
+
+        const lines = buildInvoiceLines(order);
+        const totals = linesTotals(lines, parseFloat(order.discount));
+        const due = dueDate ? new Date(dueDate) : order.dueDate;
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const number = await nextInvoiceNumber(tx, resolution);
+            const issueDate = new Date();
+            const fullNumber = formatInvoiceNumber({ prefix: resolution.prefix, number });
+
+            const { cufe, xml } = buildUblDocument({
+                type: "INVOICE",
+                fullNumber,
+                issue: getLocalDateTime(issueDate, tz),
+                dueDate: due ? getLocalDateTime(due, tz).date : null,
+                currency: order.currency,
+                config,
+                resolution: toUblResolution(resolution, tz),
+                customer: order.customer,
+                lines,
+                totals,
+                notes,
+            });
+
+            return tx.invoice.create({
+                data: {
+                    tenantId: req.tenantId,
+                    type: "INVOICE",
+                    resolutionId: resolution.id,
+                    prefix: resolution.prefix,
+                    number,
+                    orderId,
+                    customerId: order.customerId,
+                    issueDate,
+                    dueDate: due,
+                    ...totals,
+                    cufe,
+                    xml,
+                    issuedBy: req.user.userId,
+                    notes,
+                    lines: {
+                        create: lines.map(line => ({ tenantId: req.tenantId, ...line })),
+                    },
+                },
+                omit: { xml: true },
+                include: { lines: { orderBy: { lineNumber: "asc" } } },
+            });
+        });
+
+        res.status(201).json({ success: true, data: { ...result, fullNumber: formatInvoiceNumber(result) } });
+    } catch (error) {
+        console.error("❌ Error creating invoice:", error.message);
+        res.status(500).json({ error: error.message || "Failed to create invoice" });
+    }
+});
+
+/**
+ * POST /api/invoices/:id/credit-notes
+ * Issue a credit note against an invoice.
+ * Body: { discrepancyCode, reason?, lines?: [{ lineId, quantity }], resolutionId?, notes? }
+ * Without lines the whole invoice is reversed (only while it has no other credit notes).
+ */
+router.post("/:id/credit-notes", rbac("invoices", "create"), async (req, res) => {
+    try {
+        const { discrepancyCode, reason, lines: creditLines, resolutionId, notes } = req.body;
+
+        if (!CREDIT_NOTE_CONCEPTS[discrepancyCode]) {
+            return res.status(400).json({
+                error: `discrepancyCode inválido. Valid: ${Object.keys(CREDIT_NOTE_CONCEPTS).join(", ")}`,
+            });
+        }
+
+        const { config, tz } = await loadInvoicingContext(req.prisma, req.tenantId);
+        if (!config) {
+            return res.status(400).json({ error: "Configure los datos de facturación electrónica antes de facturar" });
+        }
+
+        const invoice = await req.prisma.invoice.findFirst({
+            where: { id: req.params.id },
+            include: {
+                customer: true,
+                order: { select: { currency: true } },
+                lines: { orderBy: { lineNumber: "asc" } },
+            },
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ error: "Invoice not found" });
+        }
+
+        if (invoice.type !== "INVOICE") {
+            return res.status(400).json({ error: "Credit notes can only reference invoices" });
+        }
+
+        const credited = await getCreditedTotal(req.prisma, invoice.id);
+        const remaining = round(parseFloat(invoice.total) - credited, 2);
+
+        let lines;
+        let totals;
+        if (!Array.isArray(creditLines) || creditLines.length === 0) {
+            if (credited > 0) {
+                return res.status(400).json({ error: "La factura ya tiene notas crédito. Indique las líneas a acreditar." });
+            }
+            lines = invoice.lines.map(line => ({
+                orderItemId: line.orderItemId,
+                lineNumber: line.lineNumber,
+                description: line.description,
+                quantity: parseFloat(line.quantity),
+                unitPrice: parseFloat(line.unitPrice),
+                lineTotal: parseFloat(line.lineTotal),
+                taxAmount: parseFloat(line.taxAmount),
+                taxes: line.taxes,
+            }));
+            totals = linesTotals(lines, parseFloat(invoice.discount));
+        } else {
+            const lineMap = Object.fromEntries(invoice.lines.map(l => [l.id, l]));
+            lines = [];
+            for (const [index, entry] of creditLines.entries()) {
+                const line = lineMap[entry.lineId];
+                const quantity = parseFloat(entry.quantity ?? line?.quantity);
+                if (!line) {
+                    return res.status(400).json({ error: `Línea ${index + 1}: no pertenece a la factura` });
+                }
+                if (!(quantity > 0) || quantity > parseFloat(line.quantity)) {
+                    return res.status(400).json({ error: `Línea ${index + 1}: quantity debe estar entre 0 y ${parseFloat(line.quantity)}` });
+                }
+
+                // Prorratea la línea (y sus impuestos) por la cantidad acreditada
+                const ratio = quantity / parseFloat(line.quantity);
+                const lineTotal = round(parseFloat(line.lineTotal) * ratio, 2);
+                const taxes = (line.taxes || []).map(t => ({
+                    ...t,
+                    base: lineTotal,
+                    amount: round(lineTotal * t.rate, 2),
+                }));
+
+                lines.push({
+                    orderItemId: line.orderItemId,
+                    lineNumber: index + 1,
+                    description: line.description,
+                    quantity,
+                    unitPrice: parseFloat(line.unitPrice),
+                    lineTotal,
+                    taxAmount: round(taxes.reduce((sum, t) => sum + t.amount, 0), 2),
+                    taxes,
+                });
+            }
+            totals = linesTotals(lines, 0);
+        }
+
+        if (totals.total > remaining) {
+            return res.status(400).json({ error: `El valor de la nota crédito excede el saldo por acreditar de la factura (${remaining})` });
+        }
+
+        const { resolution, error } = await findResolution(req.prisma, "CREDIT_NOTE", resolutionId);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const reference = {
+            fullNumber: formatInvoiceNumber(invoice),
+            cufe: invoice.cufe,
+            issueDate: getLocalDateTime(invoice.issueDate, tz).date,
+        };
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const number = await nextInvoiceNumber(tx, resolution);
+            const issueDate = new Date();
+
+            const { cufe, xml } = buildUblDocument({
+                type: "CREDIT_NOTE",
+                fullNumber: formatInvoiceNumber({ prefix: resolution.prefix, number }),
+                issue: getLocalDateTime(issueDate, tz),
+                dueDate: null,
+                currency: invoice.order.currency,
+                config,
+                resolution: toUblResolution(resolution, tz),
+                customer: invoice.customer,
+                lines,
+                totals,
+                notes,
+                reference,
+                discrepancy: { code: discrepancyCode, reason },
+            });
+
+            return tx.invoice.create({
+                data: {
+                    tenantId: req.tenantId,
+                    type: "CREDIT_NOTE",
+                    resolutionId: resolution.id,
+                    prefix: resolution.prefix,
+                    number,
+                    orderId: invoice.orderId,
+                    customerId: invoice.customerId,
+                    referenceInvoiceId: invoice.id,
+                    issueDate,
+                    ...totals,
+                    cufe,
+                    xml,
+                    discrepancyCode,
+                    discrepancyReason: reason || CREDIT_NOTE_CONCEPTS[discrepancyCode],
+                    issuedBy: req.user.userId,
+                    notes,
+                    lines: {
+                        create: lines.map(line => ({ tenantId: req.tenantId, ...line })),
+                    },
+                },
+                omit: { xml: true },
+                include: { lines: { orderBy: { lineNumber: "asc" } } },
+            });
+        });
+
+        res.status(201).json({ success: true, data: { ...result, fullNumber: formatInvoiceNumber(result) } });
+    } catch (error) {
+        console.error("❌ Error creating credit note:", error.message);
+        res.status(500).json({ error: error.message || "Failed to create credit note" });
+    }
+});
+
+/**
+ * POST /api/invoices/:id/send
+ * Submit the document to DIAN through the configured adapter
+ */
+router.post("/:id/send", rbac("invoices", "update"), async (req, res) => {
+    try {
+        const invoice = await req.prisma.invoice.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!invoice) {
+            return res.status(404).json({ error: "Invoice not found" });
+        }
+
+        if (invoice.status === "ACCEPTED") {
+            return res.status(400).json({ error: "El documento ya fue aceptado por la DIAN" });
+        }
+
+        const result = await dianService.send(invoice);
+
+        const updated = await req.prisma.invoice.update({
+            where: { id: invoice.id },
+            data: {
+                status: result.accepted === true ? "ACCEPTED" : result.accepted === false ? "REJECTED" : "SENT",
+                dianTrackId: result.trackId || null,
+                dianResponse: result.response || null,
+                sentAt: new Date(),
+            },
+            omit: { xml: true },
+        });
+
+        res.json({ success: true, data: { ...updated, fullNumber: formatInvoiceNumber(updated) } });
+    } catch (error) {
+        console.error("❌ Error sending invoice:", error.message);
+        res.status(500).json({ error: "Failed to send invoice" });
+    }
+});
+
+module.exports = router;
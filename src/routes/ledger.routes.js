@@ -0,0 +1,78 @@
+const express = require("express");
+const rbac = require("../middlewares/rbac.middleware");
+const ledgerService = require("../services/ledger.service");
+
+const router = express.Router();
+
+/**
+ * GET /api/ledger/integrity
+ * Recompute account balances (from transactions), order balances (from payments) and
+ * supplier bill balances (from their payments) and report the ones that drifted from the stored value
+ */
+router.get("/integrity", rbac("ledger", "read"), async (req, res) => {
+    try {
+        const result = await ledgerService.check(req.tenantId);
+
+        res.json({
+            success: true,
+            data: {
+                ...result,
+                discrepancyCount: result.accounts.length + result.orders.length + result.bills.length,
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error checking ledger integrity:", error.message);
+        res.status(500).json({ error: "Failed to check ledger integrity" });
+    }
+});
+
+/**
+ * POST /api/ledger/integrity/repair
+ * Overwrite the drifted balances with the recomputed ones and record a LedgerAudit
+ */
+router.post("/integrity/repair", rbac("ledger", "repair"), async (req, res) => {
+    try {
+        const result = await ledgerService.repair(req.tenantId, {
+            id: req.user.userId,
+            name: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
+        });
+
+        res.json({
+            success: true,
+            data: {
+                ...result,
+                discrepancyCount: result.accounts.length + result.orders.length + result.bills.length,
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error repairing ledger:", error.message);
+        res.status(500).json({ error: "Failed to repair ledger" });
+    }
+});
+
+/**
+ * GET /api/ledger/audits
+ * History of ledger repairs
+ */
+router.get("/audits", rbac("ledger", "read"), async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [audits, total] = await Promise.all([
+            req.prisma.ledgerAudit.findMany({
+                skip,
+                take: parseInt(limit),
+                orderBy: { createdAt: "desc" },
+            }),
+            req.prisma.ledgerAudit.count(),
+        ]);
+
+        res.json({ success: true, data: audits, total, page: parseInt(page), limit: parseInt(limit) });
+    } catch (error) {
+        console.error("❌ Error listing ledger audits:", error.message);
+        res.status(500).json({ error: "Failed to list ledger audits" });
+    }
+});
+
+module.exports = router;
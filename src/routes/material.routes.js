@@ -1,8 +1,21 @@
 const express = require("express");
 const rbac = require("../middlewares/rbac.middleware");
+const { getDayBounds } = require("../utils/date.util");
+const { MOVEMENT_TYPES, lockMaterialStock, registerStockMovement, stockPosition } = require("../utils/inventory.util");
+const { round } = require("../utils/math.util");
 
 const router = express.Router();
 
+/**
+ * Parse an optional minimum stock: null/"" clears it. Invalid values come back as NaN.
+ */
+function parseMinStock(value) {
+    if (value === undefined) return undefined;
+    if (value === null || value === "") return null;
+    const parsed = Number(value);
+    return parsed >= 0 ? parsed : NaN;
+}
+
 /**
  * GET /api/materials
  * List materials for the current tenant
@@ -34,6 +47,76 @@ router.get("/", rbac("materials", "read"), async (req, res) => {
     }
 });
 
+/**
+ * GET /api/materials/stock
+ * Current stock of every material valued at average cost.
+ * includeInactive=true also lists deactivated materials.
+ */
+router.get("/stock", rbac("inventory", "read"), async (req, res) => {
+    try {
+        const { search, includeInactive } = req.query;
+
+        const where = {};
+        if (includeInactive !== "true") where.isActive = true;
+        if (search) {
+            where.name = { contains: search, mode: "insensitive" };
+        }
+
+        const materials = await req.prisma.material.findMany({
+            where,
+            orderBy: { name: "asc" },
+            select: { id: true, name: true, unit: true, isActive: true, stockQuantity: true, averageCost: true, minStock: true },
+        });
+
+        const data = materials.map(m => ({
+            id: m.id,
+            name: m.name,
+            unit: m.unit,
+            isActive: m.isActive,
+            ...stockPosition(m),
+        }));
+
+        const totalValue = round(data.reduce((sum, m) => sum + m.stockValue, 0));
+
+        res.json({
+            success: true,
+            data,
+            summary: {
+                materials: data.length,
+                totalValue,
+                lowStock: data.filter(m => m.isLow).length,
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error getting stock:", error.message);
+        res.status(500).json({ error: "Failed to get stock" });
+    }
+});
+
+/**
+ * GET /api/materials/low-stock
+ * Active materials at or below their minimum stock, most short first
+ */
+router.get("/low-stock", rbac("inventory", "read"), async (req, res) => {
+    try {
+        const materials = await req.prisma.material.findMany({
+            where: { isActive: true, minStock: { not: null } },
+            select: { id: true, name: true, unit: true, stockQuantity: true, averageCost: true, minStock: true },
+        });
+
+        const data = materials
+            .map(m => ({ id: m.id, name: m.name, unit: m.unit, ...stockPosition(m) }))
+            .filter(m => m.isLow)
+            .map(m => ({ ...m, shortfall: round(m.minStock - m.stockQuantity, 3) }))
+            .sort((a, b) => b.shortfall - a.shortfall);
+
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error("❌ Error getting low stock materials:", error.message);
+        res.status(500).json({ error: "Failed to get low stock materials" });
+    }
+});
+
 /**
  * GET /api/materials/:id
  */
@@ -59,14 +142,19 @@ router.get("/:id", rbac("materials", "read"), async (req, res) => {
  */
 router.post("/", rbac("materials", "create"), async (req, res) => {
     try {
-        const { name, description, price, unit } = req.body;
+        const { name, description, price, unit, minStock } = req.body;
 
         if (!name) {
             return res.status(400).json({ error: "name is required" });
         }
 
+        const parsedMinStock = parseMinStock(minStock);
+        if (Number.isNaN(parsedMinStock)) {
+            return res.status(400).json({ error: "minStock must be a number, 0 or greater" });
+        }
+
         const material = await req.prisma.material.create({
-            data: { name, description, price: price || 0, unit },
+            data: { name, description, price: price || 0, unit, minStock: parsedMinStock },
         });
 
         res.status(201).json({ success: true, data: material });
@@ -84,11 +172,16 @@ router.post("/", rbac("materials", "create"), async (req, res) => {
  */
 router.put("/:id", rbac("materials", "update"), async (req, res) => {
     try {
-        const { name, description, price, unit, isActive } = req.body;
+        const { name, description, price, unit, isActive, minStock } = req.body;
+
+        const parsedMinStock = parseMinStock(minStock);
+        if (Number.isNaN(parsedMinStock)) {
+            return res.status(400).json({ error: "minStock must be a number, 0 or greater" });
+        }
 
         const material = await req.prisma.material.update({
             where: { id: req.params.id },
-            data: { name, description, price, unit, isActive },
+            data: { name, description, price, unit, isActive, minStock: parsedMinStock },
         });
 
         res.json({ success: true, data: material });
@@ -101,6 +194,167 @@ router.put("/:id", rbac("materials", "update"), async (req, res) => {
     }
 });
 
+/**
+ * GET /api/materials/:id/movements
+ * Stock ledger of a material, newest first (stockAfter follows registration order)
+ */
+router.get("/:id/movements", rbac("inventory", "read"), async (req, res) => {
+    try {
+        const { type, from, to, page = 1, limit = 50 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const material = await req.prisma.material.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!material) {
+            return res.status(404).json({ error: "Material not found" });
+        }
+
+        const where = { materialId: material.id };
+        if (type) where.type = type;
+        if (from || to) {
+            where.movementDate = {};
+
+            const config = await req.prisma.financialConfig.findFirst({
+                where: { tenantId: req.tenantId },
+                select: { timezone: true }
+            });
+            const tz = config?.timezone || 'UTC';
+
+            if (from) {
+                const bounds = getDayBounds(from, tz);
+                where.movementDate.gte = bounds.startOfDay;
+            }
+            if (to) {
+                const bounds = getDayBounds(to, tz);
+                where.movementDate.lte = bounds.endOfDay;
+            }
+        }
+
+        const [movements, total] = await Promise.all([
+            req.prisma.stockMovement.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { createdAt: "desc" },
+                include: {
+                    order: { select: { id: true, number: true } },
+                    purchaseReceipt: { select: { id: true, number: true, purchaseOrderId: true } },
+                },
+            }),
+            req.prisma.stockMovement.count({ where }),
+        ]);
+
+        res.json({
+            success: true,
+            data: movements,
+            material: { id: material.id, name: material.name, unit: material.unit, ...stockPosition(material) },
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+        });
+    } catch (error) {
+        console.error("❌ Error listing stock movements:", error.message);
+        res.status(500).json({ error: "Failed to list stock movements" });
+    }
+});
+
+/**
+ * POST /api/materials/:id/movements
+ * Register a stock movement. Movements can't be edited or deleted: mistakes are fixed
+ * with a new ADJUSTMENT.
+ * - PURCHASE: quantity received at unitCost (purchases outside a purchase order)
+ * - CONSUMPTION: quantity used by orderId
+ * - WASTE: quantity lost or damaged
+ * - ADJUSTMENT: signed quantity, or countedQuantity from a physical count
+ * Body: { type, quantity?, countedQuantity?, unitCost?, orderId?, movementDate?, notes? }
+ */
+router.post("/:id/movements", rbac("inventory", "adjust"), async (req, res) => {
+    try {
+        const { type, quantity, countedQuantity, unitCost, orderId, movementDate, notes } = req.body;
+
+        if (!MOVEMENT_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of ${MOVEMENT_TYPES.join(", ")}` });
+        }
+
+        const material = await req.prisma.material.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!material) {
+            return res.status(404).json({ error: "Material not found" });
+        }
+
+        const hasCount = type === "ADJUSTMENT" && countedQuantity !== undefined && countedQuantity !== null && countedQuantity !== "";
+        if (hasCount && !(parseFloat(countedQuantity) >= 0)) {
+            return res.status(400).json({ error: "countedQuantity must be 0 or greater" });
+        }
+        if (type === "ADJUSTMENT" && !hasCount && !parseFloat(quantity)) {
+            return res.status(400).json({ error: "The adjustment doesn't change the stock" });
+        }
+        if (type !== "ADJUSTMENT" && !(parseFloat(quantity) > 0)) {
+            return res.status(400).json({ error: "quantity must be greater than 0" });
+        }
+
+        if (type === "PURCHASE" && !(parseFloat(unitCost) >= 0)) {
+            return res.status(400).json({ error: "unitCost is required for purchases" });
+        }
+
+        if (type === "CONSUMPTION") {
+            if (!orderId) {
+                return res.status(400).json({ error: "orderId is required for consumption" });
+            }
+            const order = await req.prisma.order.findFirst({ where: { id: orderId }, select: { id: true } });
+            if (!order) {
+                return res.status(404).json({ error: "Order not found" });
+            }
+        }
+
+        // Counts and the sufficiency check read the stock under the material's lock
+        const movement = await req.prisma.$transaction(async (tx) => {
+            const stock = await lockMaterialStock(tx, material.id);
+
+            let delta;
+            if (hasCount) {
+                delta = round(parseFloat(countedQuantity) - stock, 3);
+                if (!delta) {
+                    throw new Error("The adjustment doesn't change the stock");
+                }
+            } else if (type === "ADJUSTMENT") {
+                delta = parseFloat(quantity);
+            } else {
+                delta = type === "PURCHASE" ? parseFloat(quantity) : -parseFloat(quantity);
+            }
+
+            if (delta < 0 && stock + delta < 0) {
+                throw new Error(`Stock insuficiente de ${material.name}: disponible ${stock}${material.unit ? ` ${material.unit}` : ""}.`);
+            }
+
+            return registerStockMovement(tx, {
+                tenantId: req.tenantId,
+                materialId: material.id,
+                type,
+                quantity: delta,
+                unitCost: delta > 0 ? unitCost : undefined,
+                orderId: type === "CONSUMPTION" ? orderId : null,
+                notes,
+                movementDate: movementDate ? new Date(movementDate) : new Date(),
+                userId: req.user.userId,
+                userName: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
+            });
+        });
+
+        res.status(201).json({ success: true, data: movement });
+    } catch (error) {
+        if (error.message.includes("Stock insuficiente") || error.message.includes("doesn't change the stock")) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("❌ Error registering stock movement:", error.message);
+        res.status(500).json({ error: "Failed to register stock movement" });
+    }
+});
+
 /**
  * DELETE /api/materials/:id
  */
@@ -115,6 +369,9 @@ router.delete("/:id", rbac("materials", "delete"), async (req, res) => {
         if (error.code === "P2025") {
             return res.status(404).json({ error: "Material not found" });
         }
+        if (error.code === "P2003") {
+            return res.status(400).json({ error: "No se puede eliminar: el material tiene órdenes de compra, movimientos de inventario o está en recetas de productos. Desactívelo en su lugar." });
+        }
         console.error("❌ Error deleting material:", error.message);
         res.status(500).json({ error: "Failed to delete material" });
     }
@@ -1,22 +1,70 @@
 const express = require("express");
 const rbac = require("../middlewares/rbac.middleware");
-const { getDayBounds } = require("../utils/date.util");
+const { getDayBounds, formatLongDate } = require("../utils/date.util");
+const { loadItemProducts, buildItemLines, formatDimensions } = require("../utils/pricing.util");
+const { resolveLineTaxes, calculateTaxes, snapshotsFromRows, summarizeTaxes } = require("../utils/tax.util");
+const { formatInvoiceNumber, findOpenInvoice } = require("../utils/invoice.util");
+const { resolveExchangeRate } = require("../utils/currency.util");
+const { estimateOrderMaterials, summarizeMaterialCost } = require("../utils/bom.util");
+const { getJobCosts } = require("../utils/jobCost.util");
+const { getWorkflow, stageName, canEnterStage } = require("../utils/workflow.util");
+const { pendingQuantity, syncOrderStage, registerDelivery, cancelDelivery } = require("../utils/delivery.util");
+const { resolvePerformer } = require("../utils/assignment.util");
+const { round } = require("../utils/math.util");
 const axios = require("axios");
 
 const router = express.Router();
 
+/**
+ * Creates order items one by one so each line's tax snapshot rows can reference its item.
+ * All items start in the given workflow stage.
+ */
+async function createOrderItems(tx, tenantId, orderId, lines, taxRowsByLine, operationalStatus) {
+    for (const [index, line] of lines.entries()) {
+        await tx.orderItem.create({
+            data: {
+                tenantId,
+                orderId,
+                operationalStatus,
+                ...line,
+                taxes: {
+                    create: (taxRowsByLine[index] || []).map(row => ({ tenantId, orderId, ...row })),
+                },
+            },
+        });
+    }
+}
+
+/**
+ * Validates the actual consumption sent when an order reaches the consumesMaterials stage.
+ * @returns {Promise<string|null>} Error message, or null when valid or omitted
+ */
+async function validateConsumedMaterials(prisma, materials) {
+    if (materials === undefined) return null;
+    if (!Array.isArray(materials) || materials.some(m => !m.materialId || !(parseFloat(m.quantity) >= 0))) {
+        return "materials must be an array of { materialId, quantity >= 0 }";
+    }
+    const materialIds = [...new Set(materials.map(m => m.materialId))];
+    const found = await prisma.material.count({ where: { id: { in: materialIds } } });
+    if (found !== materialIds.length || materialIds.length !== materials.length) {
+        return "materials contains unknown or repeated materialId";
+    }
+    return null;
+}
+
 /**
  * GET /api/orders
  * List orders with filters
  */
 router.get("/", rbac("orders", "read"), async (req, res) => {
     try {
-        const { status, customerId, search, dateFrom, dateTo, page = 1, limit = 20 } = req.query;
+        const { status, customerId, currency, search, dateFrom, dateTo, page = 1, limit = 20 } = req.query;
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
         const where = {};
         if (status) where.status = status;
         if (customerId) where.customerId = customerId;
+        if (currency) where.currency = currency.toUpperCase();
         if (dateFrom || dateTo) {
             where.orderDate = {};
 
@@ -65,7 +113,8 @@ router.get("/", rbac("orders", "read"), async (req, res) => {
 
 /**
  * GET /api/orders/:id
- * Get order detail with items, payments, attachments, and status history
+ * Get order detail with items, payments, attachments, status history, material cost
+ * and job cost (revenue, attributed costs and gross margin in the base currency)
  */
 router.get("/:id", rbac("orders", "read"), async (req, res) => {
     try {
@@ -78,11 +127,38 @@ router.get("/:id", rbac("orders", "read"), async (req, res) => {
                     orderBy: { createdAt: "asc" },
                 },
                 payments: {
-                    include: { paymentMethod: { select: { id: true, name: true } } },
+                    include: {
+                        paymentMethod: { select: { id: true, name: true } },
+                        receipt: { select: { id: true, number: true } },
+                    },
                     orderBy: { paymentDate: "desc" },
                 },
+                withholdings: { orderBy: { withholdingDate: "desc" } },
+                refunds: {
+                    include: { paymentMethod: { select: { id: true, name: true } } },
+                    orderBy: { refundDate: "desc" },
+                },
+                creditMovements: { orderBy: { createdAt: "desc" } },
+                invoices: {
+                    select: { id: true, type: true, prefix: true, number: true, issueDate: true, total: true, status: true },
+                    orderBy: { issueDate: "asc" },
+                },
                 attachments: { orderBy: { createdAt: "desc" } },
                 events: { orderBy: { createdAt: "desc" } },
+                taxes: true,
+                quote: { select: { id: true, number: true } },
+                materials: {
+                    include: { material: { select: { id: true, name: true, unit: true } } },
+                },
+                expenses: {
+                    select: { id: true, number: true, expenseDate: true, description: true, amount: true },
+                    orderBy: { expenseDate: "asc" },
+                },
+                deliveryNotes: {
+                    include: { lines: true },
+                    orderBy: { number: "asc" },
+                },
+                assignments: { orderBy: { createdAt: "asc" } },
             },
         });
 
@@ -90,7 +166,17 @@ router.get("/:id", rbac("orders", "read"), async (req, res) => {
             return res.status(404).json({ error: "Order not found" });
         }
 
-        res.json({ success: true, data: order });
+        const jobCosts = await getJobCosts(req.prisma, [order]);
+
+        res.json({
+            success: true,
+            data: {
+                ...order,
+                taxBreakdown: summarizeTaxes(order.taxes),
+                materialCost: summarizeMaterialCost(order.materials),
+                jobCost: jobCosts.get(order.id),
+            },
+        });
     } catch (error) {
         console.error("❌ Error getting order:", error.message);
         res.status(500).json({ error: "Failed to get order" });
@@ -99,15 +185,17 @@ router.get("/:id", rbac("orders", "read"), async (req, res) => {
 
 /**
  * PUT /api/orders/:id
- * Edit order details (notes, dueDate, items)
+ * Edit order details (notes, dueDate, items, taxConfigIds)
+ * Without taxConfigIds, the taxes already snapshotted on the order are kept.
+ * Replaced items restart in the order's current stage.
  */
 router.put("/:id", rbac("orders", "edit"), async (req, res) => {
     try {
-        const { notes, dueDate, items } = req.body;
+        const { notes, dueDate, items, taxConfigIds, exchangeRate } = req.body;
 
         const order = await req.prisma.order.findFirst({
             where: { id: req.params.id, tenantId: req.tenantId },
-            include: { items: true },
+            include: { items: true, taxes: true },
         });
 
         if (!order) {
@@ -118,43 +206,96 @@ router.put("/:id", rbac("orders", "edit"), async (req, res) => {
             return res.status(400).json({ error: "Only active orders can be edited" });
         }
 
+        // Items are replaced on edit, so their delivered copies would be lost
+        if ((Array.isArray(items) || taxConfigIds !== undefined) && order.items.some(item => parseFloat(item.deliveredQuantity) > 0)) {
+            return res.status(400).json({ error: "No se pueden modificar items ni impuestos: la orden ya tiene entregas registradas" });
+        }
+
+        if (Array.isArray(items) || taxConfigIds !== undefined) {
+            const openInvoice = await findOpenInvoice(req.prisma, order.id);
+            if (openInvoice) {
+                return res.status(400).json({
+                    error: `No se pueden modificar items ni impuestos: la orden está facturada en ${formatInvoiceNumber(openInvoice)}`,
+                });
+            }
+        }
+
+        // The rate can be corrected while nothing has been paid in the order's currency
+        let newExchangeRate = null;
+        if (exchangeRate !== undefined) {
+            const paymentCount = await req.prisma.payment.count({ where: { orderId: order.id } });
+            if (paymentCount > 0) {
+                return res.status(400).json({ error: "No se puede cambiar la tasa de cambio: la orden ya tiene pagos" });
+            }
+            const resolved = await resolveExchangeRate(req.prisma, req.tenantId, { currency: order.currency, exchangeRate });
+            if (resolved.error) {
+                return res.status(400).json({ error: resolved.error });
+            }
+            newExchangeRate = resolved.exchangeRate;
+        }
+
+        // Changing taxes alone re-prices the current items
+        const itemsInput = Array.isArray(items)
+            ? items
+            : taxConfigIds !== undefined
+                ? order.items.map(({ productId, description, pricingMode, width, height, measureUnit, quantity, unitPrice }) => (
+                    { productId, description, pricingMode, width, height, measureUnit, quantity, unitPrice }
+                ))
+                : null;
+
+        let lines = null;
+        let lineTaxes = null;
+        if (itemsInput) {
+            const productMap = await loadItemProducts(req.prisma, itemsInput);
+            const built = buildItemLines(itemsInput, productMap);
+            if (built.error) {
+                return res.status(400).json({ error: built.error });
+            }
+            lines = built.lines;
+
+            // Orders created before tax configs existed only carry a raw taxRate; keep it unless a new selection is sent
+            const previousTaxes = snapshotsFromRows(order.taxes);
+            const keepLegacyRate = !previousTaxes && parseFloat(order.taxRate) > 0
+                && taxConfigIds === undefined && !itemsInput.some(i => i.taxConfigIds);
+            if (!keepLegacyRate) {
+                const resolved = await resolveLineTaxes(req.prisma, itemsInput, taxConfigIds, previousTaxes || []);
+                if (resolved.error) {
+                    return res.status(400).json({ error: resolved.error });
+                }
+                lineTaxes = resolved.lineTaxes;
+            }
+        }
+
         const result = await req.prisma.$transaction(async (tx) => {
             const updateData = {};
             if (notes !== undefined) updateData.notes = notes;
             if (dueDate !== undefined) updateData.dueDate = dueDate ? new Date(dueDate) : null;
+            if (newExchangeRate !== null) updateData.exchangeRate = newExchangeRate;
 
             // If items provided, replace them and recalculate totals
-            if (items && Array.isArray(items)) {
+            if (lines) {
+                // Tax rows cascade with their items
                 await tx.orderItem.deleteMany({ where: { orderId: req.params.id } });
 
-                const newItemsData = items.map(item => {
-                    const lineTotal = parseFloat(item.quantity) * parseFloat(item.unitPrice);
-                    return {
-                        tenantId: req.tenantId,
-                        orderId: req.params.id,
-                        productId: item.productId || null,
-                        description: item.description,
-                        quantity: item.quantity,
-                        unitPrice: item.unitPrice,
-                        lineTotal,
-                    };
-                });
-
-                let subtotal = newItemsData.reduce((sum, item) => sum + item.lineTotal, 0);
+                const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
 
-                if (newItemsData.length > 0) {
-                    await tx.orderItem.createMany({
-                        data: newItemsData
-                    });
+                let taxAmount = subtotal * parseFloat(order.taxRate);
+                let taxRate = parseFloat(order.taxRate);
+                let taxRowsByLine = [];
+                if (lineTaxes) {
+                    ({ taxRowsByLine, taxAmount, taxRate } = calculateTaxes(lines, lineTaxes));
                 }
 
-                const taxAmount = subtotal * parseFloat(order.taxRate);
+                await createOrderItems(tx, req.tenantId, req.params.id, lines, taxRowsByLine, order.operationalStatus);
+                await estimateOrderMaterials(tx, req.tenantId, req.params.id);
+
                 const discount = parseFloat(order.discount);
                 const total = subtotal + taxAmount - discount;
                 const paidSoFar = parseFloat(order.total) - parseFloat(order.balance);
                 const newBalance = Math.max(0, total - paidSoFar);
 
                 updateData.subtotal = subtotal;
+                updateData.taxRate = taxRate;
                 updateData.taxAmount = taxAmount;
                 updateData.total = total;
                 updateData.balance = newBalance;
@@ -173,11 +314,12 @@ router.put("/:id", rbac("orders", "edit"), async (req, res) => {
                         include: { paymentMethod: { select: { id: true, name: true } } },
                         orderBy: { paymentDate: "desc" },
                     },
+                    taxes: true,
                 },
             });
         });
 
-        res.json({ success: true, data: result });
+        res.json({ success: true, data: { ...result, taxBreakdown: summarizeTaxes(result.taxes) } });
     } catch (error) {
         console.error("❌ Error editing order:", error.message);
         res.status(500).json({ error: "Failed to edit order" });
@@ -186,7 +328,10 @@ router.put("/:id", rbac("orders", "edit"), async (req, res) => {
 
 /**
  * POST /api/orders
- * Create a new order with items
+ * Create a new order with items.
+ * Taxes come from taxConfigIds (order level) or item.taxConfigIds; when omitted the tenant's default taxes apply.
+ * Prices are in `currency` (default: the tenant's base currency); exchangeRate defaults to the rate
+ * in effect on the order date.
  */
 router.post("/", rbac("orders", "create"), async (req, res) => {
     try {
@@ -194,7 +339,9 @@ router.post("/", rbac("orders", "create"), async (req, res) => {
             customerId,
             orderDate,
             dueDate,
-            taxRate = 0,
+            currency,
+            exchangeRate,
+            taxConfigIds,
             discount = 0,
             notes,
             items = [],
@@ -204,6 +351,11 @@ router.post("/", rbac("orders", "create"), async (req, res) => {
             return res.status(400).json({ error: "customerId and at least one item are required" });
         }
 
+        // taxRate was replaced by tax configs: refuse it instead of creating the order without tax
+        if (req.body.taxRate !== undefined) {
+            return res.status(400).json({ error: "taxRate is no longer supported. Send the taxes to apply in taxConfigIds" });
+        }
+
         const customer = await req.prisma.customer.findUnique({
             where: { id: customerId },
         });
@@ -223,10 +375,27 @@ router.post("/", rbac("orders", "create"), async (req, res) => {
             }
         }
 
+        const rate = await resolveExchangeRate(req.prisma, req.tenantId, { currency, exchangeRate, date: orderDate });
+        if (rate.error) {
+            return res.status(400).json({ error: rate.error });
+        }
+
+        const productMap = await loadItemProducts(req.prisma, items);
+        const { lines, error: itemsError } = buildItemLines(items, productMap);
+        if (itemsError) {
+            return res.status(400).json({ error: itemsError });
+        }
+
+        const { lineTaxes, error: taxError } = await resolveLineTaxes(req.prisma, items, taxConfigIds);
+        if (taxError) {
+            return res.status(400).json({ error: taxError });
+        }
+
         // Calculate totals
-        const subtotal = items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
-        const taxAmount = subtotal * taxRate;
+        const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+        const { taxRowsByLine, taxAmount, taxRate } = calculateTaxes(lines, lineTaxes);
         const total = subtotal + taxAmount - discount;
+        const workflow = await getWorkflow(req.prisma);
 
         // Get next order number (transactional)
         const result = await req.prisma.$transaction(async (tx) => {
@@ -242,6 +411,7 @@ router.post("/", rbac("orders", "create"), async (req, res) => {
                 data: {
                     tenantId: req.tenantId,
                     number: nextNumber,
+                    operationalStatus: workflow.initialStage,
                     customerId,
                     orderDate: orderDate ? new Date(orderDate) : new Date(),
                     dueDate: dueDate ? new Date(dueDate) : null,
@@ -251,19 +421,11 @@ router.post("/", rbac("orders", "create"), async (req, res) => {
                     discount,
                     total,
                     balance: total,
+                    currency: rate.currency,
+                    exchangeRate: rate.exchangeRate,
                     sellerId: req.user.userId,
                     sellerName: `${req.user.firstName} ${req.user.lastName}`,
                     notes,
-                    items: {
-                        create: items.map((item) => ({
-                            tenantId: req.tenantId,
-                            productId: item.productId || null,
-                            description: item.description,
-                            quantity: item.quantity,
-                            unitPrice: item.unitPrice,
-                            lineTotal: item.quantity * item.unitPrice,
-                        })),
-                    },
                     events: {
                         create: {
                             tenantId: req.tenantId,
@@ -275,13 +437,18 @@ router.post("/", rbac("orders", "create"), async (req, res) => {
                         },
                     },
                 },
+            });
+
+            await createOrderItems(tx, req.tenantId, order.id, lines, taxRowsByLine, workflow.initialStage);
+            await estimateOrderMaterials(tx, req.tenantId, order.id);
+
+            return await tx.order.findFirst({
+                where: { id: order.id },
                 include: {
                     customer: { select: { id: true, name: true } },
-                    items: true,
+                    items: { include: { taxes: true } },
                 },
             });
-
-            return order;
         });
 
         res.status(201).json({ success: true, data: result });
@@ -318,7 +485,34 @@ router.put("/:id/cancel", rbac("orders", "update"), async (req, res) => {
 
         if (paymentCount > 0) {
             return res.status(400).json({
-                error: `No se puede cancelar: la orden tiene ${paymentCount} pago(s) registrado(s). Elimine los pagos primero.`,
+                error: `No se puede cancelar: la orden tiene ${paymentCount} pago(s) registrado(s). Registre una devolución (POST /api/refunds) para anularla conservando los pagos.`,
+            });
+        }
+
+        const creditApplications = await req.prisma.customerCreditMovement.count({
+            where: { orderId: req.params.id, type: "APPLICATION" },
+        });
+
+        if (creditApplications > 0) {
+            return res.status(400).json({
+                error: "No se puede cancelar: la orden fue pagada con saldo a favor. Registre una devolución (POST /api/refunds) para anularla.",
+            });
+        }
+
+        const openInvoice = await findOpenInvoice(req.prisma, req.params.id);
+        if (openInvoice) {
+            return res.status(400).json({
+                error: `No se puede cancelar: la orden está facturada en ${formatInvoiceNumber(openInvoice)}. Emita una nota crédito primero.`,
+            });
+        }
+
+        const withholdingCount = await req.prisma.orderWithholding.count({
+            where: { orderId: req.params.id },
+        });
+
+        if (withholdingCount > 0) {
+            return res.status(400).json({
+                error: `No se puede cancelar: la orden tiene ${withholdingCount} retención(es) registrada(s). Elimine las retenciones primero.`,
             });
         }
 
@@ -357,20 +551,29 @@ router.put("/:id/cancel", rbac("orders", "update"), async (req, res) => {
 });
 /**
  * PUT /api/orders/:id/operational-status
- * Update operational status (production tracking)
+ * Move the whole order to another stage of the tenant's workflow: the items sitting in the
+ * order's current stage (the least advanced ones) move with it. Only configured transitions
+ * are allowed, and stages with requiredPermission need the matching workflow:<action> permission.
+ * Moving to the delivered stage delivers every pending copy in one delivery note; deliveries
+ * are reverted by cancelling their notes.
+ * Reaching the stage marked consumesMaterials confirms material consumption: `materials`
+ * [{ materialId, quantity }] with the actual quantities, or the estimate when omitted.
+ * `performedBy` (userId of an assignee of the order or target stage) records who did the
+ * work when it isn't the current user.
  */
-const OPERATIONAL_FLOW = ["PENDING", "APPROVED", "IN_PRODUCTION", "PRODUCED", "DELIVERED"];
-
 router.put("/:id/operational-status", rbac("orders", "update"), async (req, res) => {
     try {
-        const { operationalStatus } = req.body;
+        const { operationalStatus, materials, performedBy } = req.body;
 
-        if (!operationalStatus || !OPERATIONAL_FLOW.includes(operationalStatus)) {
-            return res.status(400).json({ error: `Invalid status. Valid: ${OPERATIONAL_FLOW.join(", ")}` });
+        const workflow = await getWorkflow(req.prisma);
+        const target = workflow.stages.find(s => s.key === operationalStatus);
+        if (!target) {
+            return res.status(400).json({ error: `Invalid status. Valid: ${workflow.stages.map(s => s.key).join(", ")}` });
         }
 
         const order = await req.prisma.order.findFirst({
             where: { id: req.params.id },
+            include: { items: { orderBy: { createdAt: "asc" } } },
         });
 
         if (!order) {
@@ -381,50 +584,584 @@ router.put("/:id/operational-status", rbac("orders", "update"), async (req, res)
             return res.status(400).json({ error: "Cannot change operational status of non-active orders" });
         }
 
-        // Validate transition (only allow forward or backward by 1 step)
-        const currentIdx = OPERATIONAL_FLOW.indexOf(order.operationalStatus);
-        const nextIdx = OPERATIONAL_FLOW.indexOf(operationalStatus);
-
-        if (Math.abs(nextIdx - currentIdx) !== 1) {
+        const allowed = workflow.transitions.filter(t => t.from === order.operationalStatus).map(t => t.to);
+        if (!allowed.includes(operationalStatus)) {
             return res.status(400).json({
-                error: `Cannot transition from ${order.operationalStatus} to ${operationalStatus}. Only adjacent transitions allowed.`,
+                error: `Cannot transition from ${order.operationalStatus} to ${operationalStatus}. Allowed: ${allowed.join(", ") || "none"}`,
             });
         }
 
-        const updated = await req.prisma.$transaction(async (tx) => {
-            const updateData = { operationalStatus };
+        if (order.operationalStatus === workflow.deliveredStage) {
+            return res.status(400).json({ error: "La orden ya fue entregada: anula sus remisiones para revertir la entrega" });
+        }
+
+        if (!canEnterStage(req, target)) {
+            return res.status(403).json({
+                error: "Forbidden",
+                message: `Missing permission: workflow:${target.requiredPermission}`,
+            });
+        }
+
+        const materialsError = await validateConsumedMaterials(req.prisma, materials);
+        if (materialsError) {
+            return res.status(400).json({ error: materialsError });
+        }
+
+        const { performer, error: performerError } = await resolvePerformer(req.prisma, {
+            user: req.user,
+            orderId: order.id,
+            stage: operationalStatus,
+            performedBy,
+        });
+        if (performerError) {
+            return res.status(400).json({ error: performerError });
+        }
+
+        const userName = `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email;
+        const pending = order.items.filter(item => pendingQuantity(item) > 0);
 
-            // If delivered and fully paid, auto-complete
-            if (operationalStatus === "DELIVERED" && parseFloat(order.balance) <= 0) {
-                updateData.status = "COMPLETED";
+        const updated = await req.prisma.$transaction(async (tx) => {
+            if (target.isDelivered) {
+                await registerDelivery(tx, {
+                    tenantId: req.tenantId,
+                    workflow,
+                    order,
+                    lines: pending.map(item => ({ item, quantity: pendingQuantity(item) })),
+                    userId: req.user.userId,
+                    userName,
+                });
+            } else {
+                await tx.orderItem.updateMany({
+                    where: {
+                        id: { in: pending.filter(i => i.operationalStatus === order.operationalStatus).map(i => i.id) },
+                    },
+                    data: { operationalStatus },
+                });
             }
 
-            const result = await tx.order.update({
-                where: { id: req.params.id },
-                data: updateData,
+            await syncOrderStage(tx, {
+                tenantId: req.tenantId,
+                workflow,
+                orderId: order.id,
+                materials,
+                userId: req.user.userId,
+                userName,
+                performedBy: performer,
             });
 
+            return tx.order.findFirst({
+                where: { id: order.id },
+                include: { items: { orderBy: { createdAt: "asc" } } },
+            });
+        });
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        if (error.message.includes("pending copies")) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("❌ Error updating operational status:", error.message);
+        res.status(500).json({ error: "Failed to update operational status" });
+    }
+});
+
+/**
+ * PUT /api/orders/:id/items/:itemId/operational-status
+ * Move a single item through the workflow (same transition and permission rules as the order).
+ * Moving it to the delivered stage delivers its pending copies in a delivery note.
+ * The order's stage follows its least advanced pending item.
+ * Body: operationalStatus, materials?, performedBy?
+ */
+router.put("/:id/items/:itemId/operational-status", rbac("orders", "update"), async (req, res) => {
+    try {
+        const { operationalStatus, materials, performedBy } = req.body;
+
+        const workflow = await getWorkflow(req.prisma);
+        const target = workflow.stages.find(s => s.key === operationalStatus);
+        if (!target) {
+            return res.status(400).json({ error: `Invalid status. Valid: ${workflow.stages.map(s => s.key).join(", ")}` });
+        }
+
+        const order = await req.prisma.order.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!order) {
+            return res.status(404).json({ error: "Order not found" });
+        }
+
+        if (order.status !== "ACTIVE") {
+            return res.status(400).json({ error: "Cannot change operational status of non-active orders" });
+        }
+
+        const item = await req.prisma.orderItem.findFirst({
+            where: { id: req.params.itemId, orderId: order.id },
+        });
+
+        if (!item) {
+            return res.status(404).json({ error: "Order item not found" });
+        }
+
+        if (pendingQuantity(item) <= 0) {
+            return res.status(400).json({ error: "El item ya fue entregado: anula sus remisiones para revertir la entrega" });
+        }
+
+        const allowed = workflow.transitions.filter(t => t.from === item.operationalStatus).map(t => t.to);
+        if (!allowed.includes(operationalStatus)) {
+            return res.status(400).json({
+                error: `Cannot transition from ${item.operationalStatus} to ${operationalStatus}. Allowed: ${allowed.join(", ") || "none"}`,
+            });
+        }
+
+        if (!canEnterStage(req, target)) {
+            return res.status(403).json({
+                error: "Forbidden",
+                message: `Missing permission: workflow:${target.requiredPermission}`,
+            });
+        }
+
+        const materialsError = await validateConsumedMaterials(req.prisma, materials);
+        if (materialsError) {
+            return res.status(400).json({ error: materialsError });
+        }
+
+        const { performer, error: performerError } = await resolvePerformer(req.prisma, {
+            user: req.user,
+            orderId: order.id,
+            stage: operationalStatus,
+            performedBy,
+        });
+        if (performerError) {
+            return res.status(400).json({ error: performerError });
+        }
+
+        const userName = `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email;
+
+        const updated = await req.prisma.$transaction(async (tx) => {
+            if (target.isDelivered) {
+                await registerDelivery(tx, {
+                    tenantId: req.tenantId,
+                    workflow,
+                    order,
+                    lines: [{ item, quantity: pendingQuantity(item) }],
+                    userId: req.user.userId,
+                    userName,
+                });
+            } else {
+                await tx.orderItem.update({
+                    where: { id: item.id },
+                    data: { operationalStatus },
+                });
+            }
+
             await tx.orderEvent.create({
                 data: {
                     tenantId: req.tenantId,
-                    orderId: req.params.id,
+                    orderId: order.id,
                     type: "STATUS_CHANGE",
-                    description: `Operación: ${order.operationalStatus} → ${operationalStatus}`,
-                    fromStatus: order.status,
-                    toStatus: updateData.status || order.status,
-                    metadata: { fromOperational: order.operationalStatus, toOperational: operationalStatus },
+                    description: `Item "${item.description}": ${stageName(workflow, item.operationalStatus)} → ${target.name}`,
+                    metadata: { orderItemId: item.id, fromItemStage: item.operationalStatus, toItemStage: operationalStatus },
                     changedById: req.user.userId,
-                    changedByName: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
+                    changedByName: userName,
+                    performedById: performer.userId,
+                    performedByName: performer.userName,
                 },
             });
 
-            return result;
+            await syncOrderStage(tx, {
+                tenantId: req.tenantId,
+                workflow,
+                orderId: order.id,
+                materials,
+                userId: req.user.userId,
+                userName,
+                performedBy: performer,
+            });
+
+            return tx.order.findFirst({
+                where: { id: order.id },
+                include: { items: { orderBy: { createdAt: "asc" } } },
+            });
         });
 
         res.json({ success: true, data: updated });
     } catch (error) {
-        console.error("❌ Error updating operational status:", error.message);
-        res.status(500).json({ error: "Failed to update operational status" });
+        if (error.message.includes("pending copies")) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("❌ Error updating item operational status:", error.message);
+        res.status(500).json({ error: "Failed to update item operational status" });
+    }
+});
+
+/**
+ * GET /api/orders/:id/deliveries
+ * Delivery notes of an order, with their lines
+ */
+router.get("/:id/deliveries", rbac("orders", "read"), async (req, res) => {
+    try {
+        const order = await req.prisma.order.findFirst({
+            where: { id: req.params.id },
+            select: { id: true },
+        });
+
+        if (!order) {
+            return res.status(404).json({ error: "Order not found" });
+        }
+
+        const deliveries = await req.prisma.deliveryNote.findMany({
+            where: { orderId: order.id },
+            include: { lines: { orderBy: { createdAt: "asc" } } },
+            orderBy: { number: "desc" },
+        });
+
+        res.json({ success: true, data: deliveries });
+    } catch (error) {
+        console.error("❌ Error listing deliveries:", error.message);
+        res.status(500).json({ error: "Failed to list deliveries" });
+    }
+});
+
+/**
+ * POST /api/orders/:id/deliveries
+ * Register a (partial) delivery: items [{ orderItemId, quantity }] with copies handed to the customer.
+ * Items must be in a stage that can move to the delivered stage. Items whose copies are all
+ * delivered reach the delivered stage; once every item is delivered a fully paid order is completed.
+ * Body: items, deliveryDate?, receivedBy?, notes?
+ */
+router.post("/:id/deliveries", rbac("orders", "update"), async (req, res) => {
+    try {
+        const { items, deliveryDate, receivedBy, notes } = req.body;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: "items must be a non-empty array of { orderItemId, quantity }" });
+        }
+
+        const order = await req.prisma.order.findFirst({
+            where: { id: req.params.id },
+            include: { items: true },
+        });
+
+        if (!order) {
+            return res.status(404).json({ error: "Order not found" });
+        }
+
+        if (order.status !== "ACTIVE") {
+            return res.status(400).json({ error: "Only active orders can be delivered" });
+        }
+
+        const workflow = await getWorkflow(req.prisma);
+        const deliveredStage = workflow.stages.find(s => s.key === workflow.deliveredStage);
+        if (!canEnterStage(req, deliveredStage)) {
+            return res.status(403).json({
+                error: "Forbidden",
+                message: `Missing permission: workflow:${deliveredStage.requiredPermission}`,
+            });
+        }
+
+        const lines = [];
+        for (const entry of items) {
+            const item = order.items.find(i => i.id === entry.orderItemId);
+            if (!item) {
+                return res.status(400).json({ error: `Item ${entry.orderItemId} does not belong to this order` });
+            }
+            if (lines.some(l => l.item.id === item.id)) {
+                return res.status(400).json({ error: `Item "${item.description}" está repetido` });
+            }
+
+            const quantity = round(parseFloat(entry.quantity));
+            const pending = pendingQuantity(item);
+            if (!(quantity > 0) || quantity > pending) {
+                return res.status(400).json({
+                    error: `Item "${item.description}": quantity must be greater than 0 and at most ${pending} (pending copies)`,
+                });
+            }
+
+            const ready = workflow.transitions.some(t => t.from === item.operationalStatus && t.to === workflow.deliveredStage);
+            if (!ready) {
+                return res.status(400).json({
+                    error: `Item "${item.description}" está en ${stageName(workflow, item.operationalStatus)} y aún no se puede entregar`,
+                });
+            }
+
+            lines.push({ item, quantity });
+        }
+
+        const userName = `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email;
+
+        const delivery = await req.prisma.$transaction(async (tx) => {
+            const note = await registerDelivery(tx, {
+                tenantId: req.tenantId,
+                workflow,
+                order,
+                lines,
+                deliveryDate,
+                receivedBy,
+                notes,
+                userId: req.user.userId,
+                userName,
+            });
+
+            await syncOrderStage(tx, {
+                tenantId: req.tenantId,
+                workflow,
+                orderId: order.id,
+                userId: req.user.userId,
+                userName,
+            });
+
+            return note;
+        });
+
+        res.status(201).json({ success: true, data: delivery });
+    } catch (error) {
+        if (error.message.includes("pending copies")) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("❌ Error registering delivery:", error.message);
+        res.status(500).json({ error: "Failed to register delivery" });
+    }
+});
+
+/**
+ * PUT /api/orders/:id/deliveries/:deliveryId/cancel
+ * Cancel a delivery note: its copies become pending again and a completed order is reopened.
+ * Body: reason?
+ */
+router.put("/:id/deliveries/:deliveryId/cancel", rbac("orders", "update"), async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        const note = await req.prisma.deliveryNote.findFirst({
+            where: { id: req.params.deliveryId, orderId: req.params.id },
+            include: { lines: true, order: { select: { id: true, status: true } } },
+        });
+
+        if (!note) {
+            return res.status(404).json({ error: "Delivery note not found" });
+        }
+
+        if (note.status === "CANCELLED") {
+            return res.status(400).json({ error: "La remisión ya está anulada" });
+        }
+
+        if (note.order.status === "CANCELLED") {
+            return res.status(400).json({ error: "Cannot cancel deliveries of a cancelled order" });
+        }
+
+        const workflow = await getWorkflow(req.prisma);
+        const userName = `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email;
+
+        const cancelled = await req.prisma.$transaction(async (tx) => {
+            const result = await cancelDelivery(tx, { workflow, note, reason });
+
+            await syncOrderStage(tx, {
+                tenantId: req.tenantId,
+                workflow,
+                orderId: note.orderId,
+                userId: req.user.userId,
+                userName,
+            });
+
+            return result;
+        });
+
+        res.json({ success: true, data: cancelled });
+    } catch (error) {
+        console.error("❌ Error cancelling delivery:", error.message);
+        res.status(500).json({ error: "Failed to cancel delivery" });
+    }
+});
+
+/**
+ * GET /api/orders/:id/assignments
+ * Staff assigned to the order (stage null) or to its stages
+ */
+router.get("/:id/assignments", rbac("orders", "read"), async (req, res) => {
+    try {
+        const order = await req.prisma.order.findFirst({
+            where: { id: req.params.id },
+            select: { id: true },
+        });
+
+        if (!order) {
+            return res.status(404).json({ error: "Order not found" });
+        }
+
+        const assignments = await req.prisma.orderAssignment.findMany({
+            where: { orderId: order.id },
+            orderBy: { createdAt: "asc" },
+        });
+
+        res.json({ success: true, data: assignments });
+    } catch (error) {
+        console.error("❌ Error listing assignments:", error.message);
+        res.status(500).json({ error: "Failed to list assignments" });
+    }
+});
+
+/**
+ * PUT /api/orders/:id/assignments
+ * Replace the staff assigned to the whole order (stage omitted/null) or to one workflow stage.
+ * Body: stage?, assignees: [{ userId, userName }] (empty array to unassign)
+ */
+router.put("/:id/assignments", rbac("production", "assign"), async (req, res) => {
+    try {
+        const { stage = null, assignees } = req.body;
+
+        if (!Array.isArray(assignees) || assignees.some(a => !a.userId || !a.userName)) {
+            return res.status(400).json({ error: "assignees must be an array of { userId, userName }" });
+        }
+        if (new Set(assignees.map(a => a.userId)).size !== assignees.length) {
+            return res.status(400).json({ error: "assignees contains repeated userId" });
+        }
+
+        const order = await req.prisma.order.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!order) {
+            return res.status(404).json({ error: "Order not found" });
+        }
+
+        if (order.status !== "ACTIVE") {
+            return res.status(400).json({ error: "Only active orders can be assigned" });
+        }
+
+        if (stage) {
+            const workflow = await getWorkflow(req.prisma);
+            if (!workflow.stages.some(s => s.key === stage)) {
+                return res.status(400).json({ error: `Invalid stage. Valid: ${workflow.stages.map(s => s.key).join(", ")}` });
+            }
+        }
+
+        const assignedByName = `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email;
+
+        const assignments = await req.prisma.$transaction(async (tx) => {
+            await tx.orderAssignment.deleteMany({ where: { orderId: order.id, stage } });
+
+            await tx.orderAssignment.createMany({
+                data: assignees.map(a => ({
+                    tenantId: req.tenantId,
+                    orderId: order.id,
+                    stage,
+                    userId: a.userId,
+                    userName: a.userName.trim(),
+                    assignedBy: req.user.userId,
+                    assignedByName,
+                })),
+            });
+
+            return tx.orderAssignment.findMany({
+                where: { orderId: order.id },
+                orderBy: { createdAt: "asc" },
+            });
+        });
+
+        res.json({ success: true, data: assignments });
+    } catch (error) {
+        console.error("❌ Error assigning order:", error.message);
+        res.status(500).json({ error: "Failed to assign order" });
+    }
+});
+
+/**
+ * DELETE /api/orders/:id/assignments/:assignmentId
+ * Remove one assignee
+ */
+router.delete("/:id/assignments/:assignmentId", rbac("production", "assign"), async (req, res) => {
+    try {
+        const assignment = await req.prisma.orderAssignment.findFirst({
+            where: { id: req.params.assignmentId, orderId: req.params.id },
+        });
+
+        if (!assignment) {
+            return res.status(404).json({ error: "Assignment not found" });
+        }
+
+        await req.prisma.orderAssignment.delete({
+            where: { id: assignment.id },
+        });
+
+        res.json({ success: true, message: "Assignment removed" });
+    } catch (error) {
+        console.error("❌ Error removing assignment:", error.message);
+        res.status(500).json({ error: "Failed to remove assignment" });
+    }
+});
+
+/**
+ * GET /api/orders/:id/deliveries/:deliveryId/pdf
+ * Generate and download the delivery note PDF (remisión)
+ */
+router.get("/:id/deliveries/:deliveryId/pdf", rbac("orders", "read"), async (req, res) => {
+    try {
+        const note = await req.prisma.deliveryNote.findFirst({
+            where: { id: req.params.deliveryId, orderId: req.params.id },
+            include: {
+                tenant: { select: { name: true } },
+                order: { include: { customer: true } },
+                lines: {
+                    include: { orderItem: true },
+                    orderBy: { createdAt: "asc" },
+                },
+            },
+        });
+
+        if (!note) {
+            return res.status(404).json({ error: "Delivery note not found" });
+        }
+
+        const config = await req.prisma.financialConfig.findFirst({
+            where: { tenantId: req.tenantId },
+            select: { timezone: true }
+        });
+        const tz = config?.timezone || 'UTC';
+
+        const documentData = {
+            documentId: `REM-${note.number}`,
+            date: formatLongDate(note.deliveryDate, tz),
+            companyName: note.tenant?.name || "ORDAMY SYSTEM",
+            status: note.status,
+            orderNumber: note.order.number.toString(),
+            receivedBy: note.receivedBy || "",
+            deliveredBy: note.createdByName,
+            notes: note.notes || "",
+            customer: {
+                name: note.order.customer.name,
+                identification: note.order.customer.identification || "",
+                phone: note.order.customer.phone || "",
+                email: note.order.customer.email || "",
+                address: note.order.customer.address || ""
+            },
+            items: note.lines.map(line => ({
+                description: line.description,
+                dimensions: line.orderItem ? formatDimensions(line.orderItem) : "",
+                quantity: parseFloat(line.quantity).toString(),
+                ordered: line.orderItem ? parseFloat(line.orderItem.quantity).toString() : "",
+                delivered: line.orderItem ? parseFloat(line.orderItem.deliveredQuantity).toString() : "",
+            }))
+        };
+
+        const docForgeUrl = process.env.DOC_FORGE_URL;
+        const response = await axios.post(`${docForgeUrl}/api/generate/pdf`, {
+            templateId: 't0000003008',
+            documentData
+        }, {
+            responseType: 'stream'
+        });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="remision-${note.number}.pdf"`);
+
+        response.data.pipe(res);
+
+    } catch (error) {
+        console.error("❌ Error generating delivery note PDF:", error.message);
+        if (error.response) {
+            console.error("DocForge Error:", error.response.status, error.response.data);
+        }
+        res.status(500).json({ error: "Failed to generate delivery note PDF" });
     }
 });
 
@@ -446,6 +1183,7 @@ router.get("/:id/pdf", rbac("orders", "read"), async (req, res) => {
                     include: { product: { select: { id: true, name: true } } },
                     orderBy: { createdAt: "asc" },
                 },
+                taxes: true,
             },
         });
 
@@ -460,34 +1198,15 @@ router.get("/:id/pdf", rbac("orders", "read"), async (req, res) => {
         const tz = config?.timezone || 'UTC';
 
         // Formatear la fecha ej: "04 de marzo de 2026"
-        const dateFormatter = new Intl.DateTimeFormat('es-CO', {
-            timeZone: tz,
-            day: '2-digit',
-            month: 'long',
-            year: 'numeric'
-        });
-        // Extraemos componentes para armar string customizado
-        const dparts = dateFormatter.formatToParts(order.orderDate);
-        const day = dparts.find(p => p.type === 'day').value;
-        const month = dparts.find(p => p.type === 'month').value;
-        const year = dparts.find(p => p.type === 'year').value;
-        let dateStr = `${day} de ${month} de ${year}`;
-
-        // Para dueDate
-        let dueDateStr = "";
-        if (order.dueDate) {
-            const dueDateParts = dateFormatter.formatToParts(order.dueDate);
-            const dDue = dueDateParts.find(p => p.type === 'day').value;
-            const mDue = dueDateParts.find(p => p.type === 'month').value;
-            const yDue = dueDateParts.find(p => p.type === 'year').value;
-            dueDateStr = `${dDue} de ${mDue} de ${yDue}`;
-        }
+        const dateStr = formatLongDate(order.orderDate, tz);
+        const dueDateStr = formatLongDate(order.dueDate, tz);
 
         const documentData = {
             documentId: `ORD-${order.number}`,
             date: dateStr,
             amount: parseFloat(order.total).toString(), // required string without dots
             companyName: order.tenant?.name || "ORDAMY SYSTEM",
+            currency: order.currency,
             status: order.status,
             operationalStatus: order.operationalStatus,
             sellerName: order.sellerName,
@@ -495,6 +1214,12 @@ router.get("/:id/pdf", rbac("orders", "read"), async (req, res) => {
             subtotal: parseFloat(order.subtotal).toString(),
             taxRate: parseFloat(order.taxRate).toString(),
             taxAmount: parseFloat(order.taxAmount).toString(),
+            taxes: summarizeTaxes(order.taxes).map(t => ({
+                name: t.name,
+                rate: t.rate.toString(),
+                base: t.base.toString(),
+                amount: t.amount.toString(),
+            })),
             discount: parseFloat(order.discount).toString(),
             balance: parseFloat(order.balance).toString(),
             customer: {
@@ -506,6 +1231,9 @@ router.get("/:id/pdf", rbac("orders", "read"), async (req, res) => {
             },
             items: order.items.map(item => ({
                 description: item.description || (item.product ? item.product.name : ""),
+                pricingMode: item.pricingMode,
+                dimensions: formatDimensions(item),
+                measure: item.measure ? parseFloat(item.measure).toString() : "",
                 quantity: parseFloat(item.quantity).toString(),
                 unitPrice: parseFloat(item.unitPrice).toString(),
                 lineTotal: parseFloat(item.lineTotal).toString()
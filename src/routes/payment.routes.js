@@ -1,16 +1,27 @@
 const express = require("express");
 const rbac = require("../middlewares/rbac.middleware");
+const { findAccountForMethod, isReconciled } = require("../utils/account.util");
 const { getDayBounds } = require("../utils/date.util");
+const { getAvailableCredit } = require("../utils/credit.util");
+const { findOpenSessionId } = require("../utils/cashSession.util");
+const { computeFee, registerFeeExpense, removeFeeExpense } = require("../utils/fee.util");
+const { resolveExchangeRate, toBase } = require("../utils/currency.util");
+const { isFullyDelivered } = require("../utils/delivery.util");
+const { round } = require("../utils/math.util");
 
 const router = express.Router();
 
 /**
  * POST /api/payments
- * Register a payment (abono) for an order
+ * Register a payment (abono) for an order.
+ * Whatever exceeds the order balance is kept as customer credit (saldo a favor).
+ * The payment method's commission on the amount received is posted as an expense.
+ * The amount is in the order's currency; exchangeRate defaults to the rate in effect on the
+ * payment date and converts what lands in the account (and the customer credit) to base currency.
  */
 router.post("/", rbac("orders", "update"), async (req, res) => {
     try {
-        const { orderId, paymentMethodId, amount, paymentDate, notes } = req.body;
+        const { orderId, paymentMethodId, amount, paymentDate, exchangeRate, notes } = req.body;
 
         if (!orderId || !paymentMethodId || !amount) {
             return res.status(400).json({
@@ -18,6 +29,23 @@ router.post("/", rbac("orders", "update"), async (req, res) => {
             });
         }
 
+        const target = await req.prisma.order.findFirst({
+            where: { id: orderId },
+            select: { currency: true },
+        });
+        if (!target) {
+            return res.status(404).json({ error: "Order not found" });
+        }
+
+        const rate = await resolveExchangeRate(req.prisma, req.tenantId, {
+            currency: target.currency,
+            exchangeRate,
+            date: paymentDate,
+        });
+        if (rate.error) {
+            return res.status(400).json({ error: rate.error });
+        }
+
         const result = await req.prisma.$transaction(async (tx) => {
             // Validate payment method
             const pm = await tx.paymentMethod.findFirst({
@@ -40,29 +68,42 @@ router.post("/", rbac("orders", "update"), async (req, res) => {
                 throw new Error("Can only add payments to active orders");
             }
 
-            if (parseFloat(amount) > parseFloat(order.balance)) {
-                throw new Error("Payment amount exceeds order balance");
+            const balance = parseFloat(order.balance);
+            if (balance <= 0) {
+                throw new Error("Order has no pending balance. Register a customer deposit instead");
             }
 
+            // Anything above the balance becomes customer credit
+            const appliedAmount = Math.min(parseFloat(amount), balance);
+            const overpayment = round(parseFloat(amount) - appliedAmount);
+            const appliedBase = toBase(appliedAmount, rate.exchangeRate);
+            const overpaymentBase = toBase(overpayment, rate.exchangeRate);
+            const cashSessionId = await findOpenSessionId(tx, paymentMethodId);
+            const fee = computeFee(pm, toBase(amount, rate.exchangeRate));
+
             // Create the payment
             const payment = await tx.payment.create({
                 data: {
                     tenantId: req.tenantId,
                     orderId,
                     paymentMethodId,
-                    amount,
+                    amount: appliedAmount,
+                    currency: rate.currency,
+                    exchangeRate: rate.exchangeRate,
                     paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
                     registeredBy: req.user.userId,
                     notes,
+                    cashSessionId,
+                    feeAmount: fee,
                 },
             });
 
             // Update order balance
-            const newBalance = parseFloat(order.balance) - parseFloat(amount);
+            const newBalance = balance - appliedAmount;
             const updateData = { balance: newBalance };
 
-            // If fully paid AND delivered, mark as COMPLETED
-            if (newBalance <= 0 && order.operationalStatus === "DELIVERED") {
+            // If fully paid AND every item delivered, mark as COMPLETED
+            if (newBalance <= 0 && await isFullyDelivered(tx, order.id)) {
                 updateData.status = "COMPLETED";
 
                 await tx.orderEvent.create({
@@ -85,8 +126,10 @@ router.post("/", rbac("orders", "update"), async (req, res) => {
                     tenantId: req.tenantId,
                     orderId,
                     type: "PAYMENT_ADDED",
-                    description: `Abono registrado por ${amount}`,
-                    metadata: { paymentId: payment.id, amount, paymentMethodId },
+                    description: overpayment > 0
+                        ? `Abono registrado por ${appliedAmount} (excedente de ${overpayment} como saldo a favor)`
+                        : `Abono registrado por ${appliedAmount}`,
+                    metadata: { paymentId: payment.id, amount: appliedAmount, overpayment, paymentMethodId },
                     changedById: req.user.userId,
                     changedByName: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
                 },
@@ -98,9 +141,7 @@ router.post("/", rbac("orders", "update"), async (req, res) => {
             });
 
             // Create transaction record for the account
-            const account = await tx.account.findFirst({
-                where: { tenantId: req.tenantId, paymentMethodId },
-            });
+            const account = await findAccountForMethod(tx, paymentMethodId);
 
             if (account) {
                 await tx.transaction.create({
@@ -108,7 +149,7 @@ router.post("/", rbac("orders", "update"), async (req, res) => {
                         tenantId: req.tenantId,
                         accountId: account.id,
                         type: "CREDIT",
-                        amount,
+                        amount: appliedBase,
                         description: `Pago orden #${order.number}`,
                         referenceId: payment.id,
                         referenceType: "PAYMENT",
@@ -118,11 +159,67 @@ router.post("/", rbac("orders", "update"), async (req, res) => {
 
                 await tx.account.update({
                     where: { id: account.id },
-                    data: { balance: { increment: parseFloat(amount) } },
+                    data: { balance: { increment: appliedBase } },
                 });
             }
 
-            return payment;
+            let creditMovement = null;
+            if (overpayment > 0) {
+                creditMovement = await tx.customerCreditMovement.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        customerId: order.customerId,
+                        type: "OVERPAYMENT",
+                        amount: overpaymentBase,
+                        orderId,
+                        paymentId: payment.id,
+                        paymentMethodId,
+                        cashSessionId,
+                        description: `Excedente del pago de la orden #${order.number}`,
+                        registeredBy: req.user.userId,
+                    },
+                });
+
+                if (account) {
+                    await tx.transaction.create({
+                        data: {
+                            tenantId: req.tenantId,
+                            accountId: account.id,
+                            type: "CREDIT",
+                            amount: overpaymentBase,
+                            description: `Saldo a favor (excedente orden #${order.number})`,
+                            referenceId: creditMovement.id,
+                            referenceType: "CUSTOMER_CREDIT",
+                            registeredBy: req.user.userId,
+                        },
+                    });
+
+                    await tx.account.update({
+                        where: { id: account.id },
+                        data: { balance: { increment: overpaymentBase } },
+                    });
+                }
+            }
+
+            // Commission withheld by the card processor / wallet
+            const feeExpense = await registerFeeExpense(tx, {
+                tenantId: req.tenantId,
+                method: pm,
+                accountId: account?.id,
+                fee,
+                date: payment.paymentDate,
+                description: `Comisión ${pm.name} - pago orden #${order.number}`,
+                cashSessionId,
+                userId: req.user.userId,
+            });
+            if (feeExpense) {
+                await tx.payment.update({
+                    where: { id: payment.id },
+                    data: { feeExpenseId: feeExpense.id },
+                });
+            }
+
+            return { ...payment, feeExpenseId: feeExpense?.id || null, overpayment, creditMovement };
         });
 
         res.status(201).json({ success: true, data: result });
@@ -187,7 +284,8 @@ router.get("/", rbac("orders", "read"), async (req, res) => {
 
 /**
  * PUT /api/payments/:id
- * Edit a payment (amount, method, notes)
+ * Edit a payment (amount, method, notes). The commission is recalculated when the
+ * amount or the method changes.
  */
 router.put("/:id", rbac("payments", "edit"), async (req, res) => {
     try {
@@ -195,7 +293,7 @@ router.put("/:id", rbac("payments", "edit"), async (req, res) => {
 
         const payment = await req.prisma.payment.findFirst({
             where: { id: req.params.id, tenantId: req.tenantId },
-            include: { order: true },
+            include: { order: true, cashSession: { select: { number: true, status: true } } },
         });
 
         if (!payment) {
@@ -206,6 +304,24 @@ router.put("/:id", rbac("payments", "edit"), async (req, res) => {
             return res.status(400).json({ error: "Cannot edit payment on cancelled order" });
         }
 
+        if (payment.cashSession?.status === "CLOSED") {
+            return res.status(400).json({ error: `El pago pertenece al turno de caja #${payment.cashSession.number}, que ya está cerrado.` });
+        }
+
+        if (await isReconciled(req.prisma, "PAYMENT", payment.id)
+            || (payment.feeExpenseId && await isReconciled(req.prisma, "EXPENSE", payment.feeExpenseId))) {
+            return res.status(400).json({ error: "El pago ya fue conciliado con un extracto bancario." });
+        }
+
+        if (payment.receiptId) {
+            return res.status(400).json({ error: "El pago pertenece a un recibo de caja. Anule el recibo (DELETE /api/receipts/:id)." });
+        }
+
+        const refundCount = await req.prisma.refund.count({ where: { orderId: payment.orderId } });
+        if (refundCount > 0) {
+            return res.status(400).json({ error: "Cannot edit payment on an order with refunds" });
+        }
+
         const oldAmount = parseFloat(payment.amount);
         const newAmount = parseFloat(amount || oldAmount);
         const diff = newAmount - oldAmount;
@@ -217,8 +333,9 @@ router.put("/:id", rbac("payments", "edit"), async (req, res) => {
         }
 
         const result = await req.prisma.$transaction(async (tx) => {
+            let pm = null;
             if (paymentMethodId) {
-                const pm = await tx.paymentMethod.findFirst({
+                pm = await tx.paymentMethod.findFirst({
                     where: { id: paymentMethodId, tenantId: req.tenantId },
                 });
                 if (!pm || !pm.isActive) {
@@ -230,18 +347,56 @@ router.put("/:id", rbac("payments", "edit"), async (req, res) => {
                 where: { id: req.params.id },
                 data: {
                     ...(paymentMethodId && { paymentMethodId }),
+                    ...(paymentMethodId && paymentMethodId !== payment.paymentMethodId && {
+                        cashSessionId: await findOpenSessionId(tx, paymentMethodId),
+                    }),
                     ...(amount && { amount: newAmount }),
                     ...(notes !== undefined && { notes }),
                 },
                 include: { paymentMethod: { select: { id: true, name: true } } },
             });
 
+            const transaction = await tx.transaction.findFirst({
+                where: { referenceId: payment.id, referenceType: "PAYMENT" },
+            });
+
+            // Recalculate the commission on the amount received (payment + its overpayment), in base currency
+            const methodChanged = paymentMethodId && paymentMethodId !== payment.paymentMethodId;
+            if (diff !== 0 || methodChanged) {
+                const method = pm || await tx.paymentMethod.findFirst({ where: { id: payment.paymentMethodId } });
+                const overpaid = await tx.customerCreditMovement.aggregate({
+                    where: { paymentId: payment.id, type: "OVERPAYMENT" },
+                    _sum: { amount: true },
+                });
+                const fee = computeFee(method, toBase(newAmount, payment.exchangeRate) + parseFloat(overpaid._sum.amount || 0));
+
+                if (fee !== parseFloat(payment.feeAmount) || methodChanged) {
+                    await removeFeeExpense(tx, payment.feeExpenseId);
+                    const feeExpense = await registerFeeExpense(tx, {
+                        tenantId: req.tenantId,
+                        method,
+                        accountId: transaction?.accountId,
+                        fee,
+                        date: payment.paymentDate,
+                        description: `Comisión ${method.name} - pago orden #${payment.order.number}`,
+                        cashSessionId: updated.cashSessionId,
+                        userId: req.user.userId,
+                    });
+                    await tx.payment.update({
+                        where: { id: payment.id },
+                        data: { feeAmount: fee, feeExpenseId: feeExpense?.id || null },
+                    });
+                    updated.feeAmount = fee;
+                    updated.feeExpenseId = feeExpense?.id || null;
+                }
+            }
+
             // Recalculate order balance
             if (diff !== 0) {
                 const newBalance = parseFloat(payment.order.balance) - diff;
                 const updateData = { balance: newBalance };
 
-                if (newBalance <= 0 && payment.order.status === "ACTIVE" && payment.order.operationalStatus === "DELIVERED") {
+                if (newBalance <= 0 && payment.order.status === "ACTIVE" && await isFullyDelivered(tx, payment.orderId)) {
                     updateData.status = "COMPLETED";
                 } else if (newBalance > 0 && payment.order.status === "COMPLETED") {
                     updateData.status = "ACTIVE";
@@ -252,14 +407,16 @@ router.put("/:id", rbac("payments", "edit"), async (req, res) => {
                     data: updateData,
                 });
 
-                // Update account transaction
-                const account = await tx.account.findFirst({
-                    where: { tenantId: req.tenantId, paymentMethodId: payment.paymentMethodId },
-                });
-                if (account) {
+                // Update account transaction (on the account it was recorded in, at the payment's rate)
+                if (transaction) {
+                    const newBase = toBase(newAmount, payment.exchangeRate);
+                    await tx.transaction.update({
+                        where: { id: transaction.id },
+                        data: { amount: newBase },
+                    });
                     await tx.account.update({
-                        where: { id: account.id },
-                        data: { balance: { increment: diff } },
+                        where: { id: transaction.accountId },
+                        data: { balance: { increment: newBase - parseFloat(transaction.amount) } },
                     });
                 }
             }
@@ -276,13 +433,18 @@ router.put("/:id", rbac("payments", "edit"), async (req, res) => {
 
 /**
  * DELETE /api/payments/:id
- * Delete a payment and reverse its effects on order balance and account
+ * Delete a payment and reverse its effects on order balance and account. The customer
+ * credit from an overpayment goes away with it, as long as it hasn't been used.
  */
 router.delete("/:id", rbac("payments", "delete"), async (req, res) => {
     try {
         const payment = await req.prisma.payment.findFirst({
             where: { id: req.params.id, tenantId: req.tenantId },
-            include: { order: true },
+            include: {
+                order: true,
+                cashSession: { select: { number: true, status: true } },
+                creditMovements: true,
+            },
         });
 
         if (!payment) {
@@ -293,7 +455,56 @@ router.delete("/:id", rbac("payments", "delete"), async (req, res) => {
             return res.status(400).json({ error: "Cannot delete payment on cancelled order" });
         }
 
+        if (payment.cashSession?.status === "CLOSED") {
+            return res.status(400).json({ error: `El pago pertenece al turno de caja #${payment.cashSession.number}, que ya está cerrado.` });
+        }
+
+        let creditReconciled = false;
+        for (const movement of payment.creditMovements) {
+            creditReconciled = creditReconciled || await isReconciled(req.prisma, "CUSTOMER_CREDIT", movement.id);
+        }
+        if (creditReconciled || await isReconciled(req.prisma, "PAYMENT", payment.id)
+            || (payment.feeExpenseId && await isReconciled(req.prisma, "EXPENSE", payment.feeExpenseId))) {
+            return res.status(400).json({ error: "El pago ya fue conciliado con un extracto bancario." });
+        }
+
+        if (payment.receiptId) {
+            return res.status(400).json({ error: "El pago pertenece a un recibo de caja. Anule el recibo (DELETE /api/receipts/:id)." });
+        }
+
+        const refundCount = await req.prisma.refund.count({ where: { orderId: payment.orderId } });
+        if (refundCount > 0) {
+            return res.status(400).json({ error: "Cannot delete payment on an order with refunds" });
+        }
+
+        const creditAmount = payment.creditMovements.reduce((sum, m) => sum + parseFloat(m.amount), 0);
+        if (creditAmount > 0) {
+            const available = await getAvailableCredit(req.prisma, payment.order.customerId);
+            if (available < creditAmount) {
+                return res.status(400).json({
+                    error: `El saldo a favor generado por el pago (${creditAmount}) ya fue utilizado (disponible: ${available})`,
+                });
+            }
+        }
+
         await req.prisma.$transaction(async (tx) => {
+            // The overpayment credit and the money it put in the account
+            for (const movement of payment.creditMovements) {
+                const creditTransactions = await tx.transaction.findMany({
+                    where: { referenceId: movement.id, referenceType: "CUSTOMER_CREDIT" },
+                });
+                for (const t of creditTransactions) {
+                    await tx.account.update({
+                        where: { id: t.accountId },
+                        data: { balance: { decrement: parseFloat(t.amount) } },
+                    });
+                }
+                await tx.transaction.deleteMany({
+                    where: { referenceId: movement.id, referenceType: "CUSTOMER_CREDIT", tenantId: req.tenantId },
+                });
+            }
+            await tx.customerCreditMovement.deleteMany({ where: { paymentId: payment.id, tenantId: req.tenantId } });
+
             await tx.payment.delete({ where: { id: req.params.id } });
 
             // Reverse order balance
@@ -336,14 +547,14 @@ router.delete("/:id", rbac("payments", "delete"), async (req, res) => {
                 data: updateData,
             });
 
-            // Reverse account transaction
-            const account = await tx.account.findFirst({
-                where: { tenantId: req.tenantId, paymentMethodId: payment.paymentMethodId },
+            // Reverse account transaction (on the account it was recorded in)
+            const transactions = await tx.transaction.findMany({
+                where: { referenceId: req.params.id, referenceType: "PAYMENT" },
             });
-            if (account) {
+            for (const t of transactions) {
                 await tx.account.update({
-                    where: { id: account.id },
-                    data: { balance: { decrement: amt } },
+                    where: { id: t.accountId },
+                    data: { balance: { decrement: parseFloat(t.amount) } },
                 });
             }
 
@@ -351,6 +562,9 @@ router.delete("/:id", rbac("payments", "delete"), async (req, res) => {
             await tx.transaction.deleteMany({
                 where: { referenceId: req.params.id, referenceType: "PAYMENT" },
             });
+
+            // The commission goes away with the payment
+            await removeFeeExpense(tx, payment.feeExpenseId);
         });
 
         res.json({ success: true, message: "Payment deleted" });
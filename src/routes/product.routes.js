@@ -1,5 +1,6 @@
 const express = require("express");
 const rbac = require("../middlewares/rbac.middleware");
+const { MATERIAL_BASES } = require("../utils/bom.util");
 
 const router = express.Router();
 
@@ -36,11 +37,18 @@ router.get("/", rbac("products", "read"), async (req, res) => {
 
 /**
  * GET /api/products/:id
+ * Product with its bill of materials
  */
 router.get("/:id", rbac("products", "read"), async (req, res) => {
     try {
         const product = await req.prisma.product.findFirst({
             where: { id: req.params.id },
+            include: {
+                materials: {
+                    include: { material: { select: { id: true, name: true, unit: true, price: true, averageCost: true } } },
+                    orderBy: { createdAt: "asc" },
+                },
+            },
         });
 
         if (!product) {
@@ -101,4 +109,75 @@ router.put("/:id", rbac("products", "update"), async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/products/:id/materials
+ * Replace the product's bill of materials. quantity is in the material's unit, per unit
+ * of product (PER_UNIT) or per m² (PER_M2). An empty array removes the recipe.
+ * Orders already created keep their estimate until their items are edited.
+ * Body: { materials: [{ materialId, quantity, basis? }] }
+ */
+router.put("/:id/materials", rbac("products", "update"), async (req, res) => {
+    try {
+        const { materials } = req.body;
+
+        if (!Array.isArray(materials)) {
+            return res.status(400).json({ error: "materials must be an array" });
+        }
+
+        const product = await req.prisma.product.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!product) {
+            return res.status(404).json({ error: "Product not found" });
+        }
+
+        for (const [index, line] of materials.entries()) {
+            if (!line.materialId || !(parseFloat(line.quantity) > 0)) {
+                return res.status(400).json({ error: `Material ${index + 1}: materialId y quantity mayor a 0 son requeridos` });
+            }
+            if (line.basis && !MATERIAL_BASES.includes(line.basis)) {
+                return res.status(400).json({ error: `Material ${index + 1}: basis inválido. Valid: ${MATERIAL_BASES.join(", ")}` });
+            }
+        }
+
+        const materialIds = [...new Set(materials.map(m => m.materialId))];
+        if (materialIds.length !== materials.length) {
+            return res.status(400).json({ error: "Each material can appear only once in the recipe" });
+        }
+
+        const found = await req.prisma.material.count({ where: { id: { in: materialIds } } });
+        if (found !== materialIds.length) {
+            return res.status(400).json({ error: "Uno o más materiales no existen" });
+        }
+
+        const recipe = await req.prisma.$transaction(async (tx) => {
+            await tx.productMaterial.deleteMany({ where: { productId: product.id } });
+
+            for (const line of materials) {
+                await tx.productMaterial.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        productId: product.id,
+                        materialId: line.materialId,
+                        quantity: parseFloat(line.quantity),
+                        basis: line.basis || "PER_UNIT",
+                    },
+                });
+            }
+
+            return tx.productMaterial.findMany({
+                where: { productId: product.id },
+                include: { material: { select: { id: true, name: true, unit: true } } },
+                orderBy: { createdAt: "asc" },
+            });
+        });
+
+        res.json({ success: true, data: recipe });
+    } catch (error) {
+        console.error("❌ Error updating product materials:", error.message);
+        res.status(500).json({ error: "Failed to update product materials" });
+    }
+});
+
 module.exports = router;
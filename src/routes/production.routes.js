@@ -0,0 +1,437 @@
+const express = require("express");
+const rbac = require("../middlewares/rbac.middleware");
+const { getDayBounds, getMonthBounds } = require("../utils/date.util");
+const { getWorkflow, stageName } = require("../utils/workflow.util");
+const { isActionable } = require("../utils/assignment.util");
+const { round } = require("../utils/math.util");
+const {
+    DEFAULT_STUCK_HOURS,
+    HOUR_MS,
+    isOperationalEvent,
+    stageEntryTimes,
+    stageVisits,
+    dueUrgency,
+    weekStart,
+} = require("../utils/production.util");
+
+const router = express.Router();
+
+const URGENCY_ORDER = ["OVERDUE", "DUE_TODAY", "DUE_SOON", "ON_TIME", "NO_DUE_DATE"];
+
+/**
+ * Timezone and stuck threshold of the tenant. stuckHours in the query overrides the setting.
+ */
+async function loadBoardConfig(prisma, tenantId, stuckHours) {
+    const config = await prisma.financialConfig.findFirst({
+        where: { tenantId },
+        select: { timezone: true, stuckAfterHours: true }
+    });
+    return {
+        tz: config?.timezone || 'UTC',
+        stuckAfterHours: parseInt(stuckHours) > 0
+            ? parseInt(stuckHours)
+            : config?.stuckAfterHours || DEFAULT_STUCK_HOURS,
+    };
+}
+
+/**
+ * Active orders in production with the time spent in their current stage.
+ * @returns {Promise<Array>} Orders with stageSince, hoursInStage, isStuck, urgency and daysToDue
+ */
+async function loadFloorOrders(prisma, { tz, stuckAfterHours, includeDelivered, deliveredStage }) {
+    const where = { status: "ACTIVE" };
+    if (!includeDelivered) where.operationalStatus = { not: deliveredStage };
+
+    const orders = await prisma.order.findMany({
+        where,
+        select: {
+            id: true, number: true, orderDate: true, dueDate: true, createdAt: true,
+            operationalStatus: true, total: true, balance: true, currency: true, notes: true,
+            customer: { select: { id: true, name: true } },
+            items: {
+                select: {
+                    id: true, description: true, quantity: true, pricingMode: true, width: true, height: true,
+                    measureUnit: true, operationalStatus: true, deliveredQuantity: true,
+                },
+                orderBy: { createdAt: "asc" },
+            },
+            assignments: { select: { id: true, stage: true, userId: true, userName: true } },
+        },
+    });
+
+    const events = await prisma.orderEvent.findMany({
+        where: { orderId: { in: orders.map(o => o.id) }, type: "STATUS_CHANGE" },
+        orderBy: { createdAt: "asc" },
+        select: { orderId: true, metadata: true, createdAt: true },
+    });
+
+    const entries = stageEntryTimes(orders, events);
+    const now = new Date();
+
+    return orders.map((order) => {
+        const stageSince = entries.get(order.id);
+        const hoursInStage = round((now - stageSince) / HOUR_MS);
+        return {
+            ...order,
+            stageSince,
+            hoursInStage,
+            isStuck: order.operationalStatus !== deliveredStage && hoursInStage > stuckAfterHours,
+            ...dueUrgency(order.dueDate, now, tz),
+        };
+    });
+}
+
+/**
+ * GET /api/production/board
+ * Active orders grouped by the tenant's workflow stages, most urgent first within each stage.
+ * Orders in the delivered stage still awaiting payment are left out unless includeDelivered=true.
+ * Query: includeDelivered?, stuckHours?
+ */
+router.get("/board", rbac("production", "read"), async (req, res) => {
+    try {
+        const { includeDelivered, stuckHours } = req.query;
+        const { tz, stuckAfterHours } = await loadBoardConfig(req.prisma, req.tenantId, stuckHours);
+        const workflow = await getWorkflow(req.prisma);
+
+        const orders = await loadFloorOrders(req.prisma, {
+            tz,
+            stuckAfterHours,
+            includeDelivered: includeDelivered === "true",
+            deliveredStage: workflow.deliveredStage,
+        });
+
+        const byUrgency = (a, b) =>
+            URGENCY_ORDER.indexOf(a.urgency) - URGENCY_ORDER.indexOf(b.urgency)
+            || (a.daysToDue ?? 0) - (b.daysToDue ?? 0)
+            || a.stageSince - b.stageSince;
+
+        const stages = includeDelivered === "true"
+            ? workflow.stages
+            : workflow.stages.filter(s => s.key !== workflow.deliveredStage);
+        const columns = stages.map((stage) => {
+            const stageOrders = orders.filter(o => o.operationalStatus === stage.key).sort(byUrgency);
+            return {
+                stage: stage.key,
+                name: stage.name,
+                count: stageOrders.length,
+                stuck: stageOrders.filter(o => o.isStuck).length,
+                orders: stageOrders,
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                columns,
+                summary: {
+                    orders: orders.length,
+                    stuck: orders.filter(o => o.isStuck).length,
+                    ...Object.fromEntries(URGENCY_ORDER.map(u => [u, orders.filter(o => o.urgency === u).length])),
+                },
+                stuckAfterHours,
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error getting production board:", error.message);
+        res.status(500).json({ error: "Failed to get production board" });
+    }
+});
+
+/**
+ * GET /api/production/metrics
+ * Lead-time metrics from the operational-status events:
+ * - stageTimes: average/max hours spent in each stage, over the visits that ended between
+ *   from and to (default: last 30 days)
+ * - throughput: orders delivered per week (Monday to Sunday) over the last `weeks` weeks
+ * - stuck: active orders sitting in their stage longer than the threshold
+ * Query: from?, to?, weeks? (default 8), stuckHours?
+ */
+router.get("/metrics", rbac("production", "read"), async (req, res) => {
+    try {
+        const { from, to, weeks = 8, stuckHours } = req.query;
+        const { tz, stuckAfterHours } = await loadBoardConfig(req.prisma, req.tenantId, stuckHours);
+        const workflow = await getWorkflow(req.prisma);
+
+        const now = new Date();
+        const rangeEnd = to ? getDayBounds(to, tz).endOfDay : now;
+        const rangeStart = from
+            ? getDayBounds(from, tz).startOfDay
+            : new Date(rangeEnd.getTime() - 30 * 24 * HOUR_MS);
+
+        // Stage times: visits closed inside the range, measured from the event that opened them
+        const closing = await req.prisma.orderEvent.findMany({
+            where: { type: "STATUS_CHANGE", createdAt: { gte: rangeStart, lte: rangeEnd } },
+            select: { orderId: true, metadata: true },
+        });
+        const orderIds = [...new Set(closing.filter(isOperationalEvent).map(e => e.orderId))];
+
+        const [rangeOrders, history] = await Promise.all([
+            req.prisma.order.findMany({
+                where: { id: { in: orderIds } },
+                select: { id: true, createdAt: true },
+            }),
+            req.prisma.orderEvent.findMany({
+                where: { orderId: { in: orderIds }, type: "STATUS_CHANGE", createdAt: { lte: rangeEnd } },
+                orderBy: { createdAt: "asc" },
+                select: { orderId: true, metadata: true, createdAt: true },
+            }),
+        ]);
+
+        const visits = stageVisits(rangeOrders, history, workflow.initialStage).filter(v => v.leftAt >= rangeStart);
+        const stageTimes = workflow.stages.filter(s => s.key !== workflow.deliveredStage).map((stage) => {
+            const stageVisitsList = visits.filter(v => v.stage === stage.key);
+            const total = stageVisitsList.reduce((sum, v) => sum + v.hours, 0);
+            return {
+                stage: stage.key,
+                name: stage.name,
+                visits: stageVisitsList.length,
+                averageHours: stageVisitsList.length > 0 ? round(total / stageVisitsList.length) : null,
+                maxHours: stageVisitsList.length > 0 ? Math.max(...stageVisitsList.map(v => v.hours)) : null,
+            };
+        });
+
+        // Throughput: distinct orders reaching the delivered stage per local week
+        const weekCount = Math.max(1, parseInt(weeks) || 8);
+        const currentWeek = weekStart(now, tz);
+        const weekKeys = [];
+        for (let i = weekCount - 1; i >= 0; i--) {
+            const start = new Date(`${currentWeek}T00:00:00Z`);
+            start.setUTCDate(start.getUTCDate() - i * 7);
+            weekKeys.push(start.toISOString().slice(0, 10));
+        }
+
+        const deliveredEvents = await req.prisma.orderEvent.findMany({
+            where: { type: "STATUS_CHANGE", createdAt: { gte: getDayBounds(weekKeys[0], tz).startOfDay } },
+            select: { orderId: true, metadata: true, createdAt: true },
+        });
+        const deliveredByWeek = Object.fromEntries(weekKeys.map(w => [w, new Set()]));
+        deliveredEvents
+            .filter(e => isOperationalEvent(e) && e.metadata.toOperational === workflow.deliveredStage)
+            .forEach((e) => {
+                const key = weekStart(new Date(e.createdAt), tz);
+                if (deliveredByWeek[key]) deliveredByWeek[key].add(e.orderId);
+            });
+        const throughput = weekKeys.map(w => ({ weekStart: w, delivered: deliveredByWeek[w].size }));
+
+        // Stuck orders, longest first
+        const floor = await loadFloorOrders(req.prisma, {
+            tz,
+            stuckAfterHours,
+            includeDelivered: false,
+            deliveredStage: workflow.deliveredStage,
+        });
+        const stuck = floor
+            .filter(o => o.isStuck)
+            .sort((a, b) => b.hoursInStage - a.hoursInStage)
+            .map(o => ({
+                id: o.id,
+                number: o.number,
+                customer: o.customer,
+                operationalStatus: o.operationalStatus,
+                stageSince: o.stageSince,
+                hoursInStage: o.hoursInStage,
+                dueDate: o.dueDate,
+                urgency: o.urgency,
+            }));
+
+        res.json({
+            success: true,
+            data: {
+                from: rangeStart,
+                to: rangeEnd,
+                stageTimes,
+                throughput,
+                averageWeeklyThroughput: round(throughput.reduce((sum, w) => sum + w.delivered, 0) / throughput.length),
+                stuck,
+                stuckAfterHours,
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error getting production metrics:", error.message);
+        res.status(500).json({ error: "Failed to get production metrics" });
+    }
+});
+
+/**
+ * GET /api/production/my-work
+ * Active orders assigned to the current user, whole or by stage. `actionable` tells whether the
+ * work is waiting on them now (for stage assignments: some pending item sits in that stage);
+ * actionable work comes first, most urgent first.
+ * Query: actionableOnly?
+ */
+router.get("/my-work", rbac("orders", "read"), async (req, res) => {
+    try {
+        const { actionableOnly } = req.query;
+
+        const config = await req.prisma.financialConfig.findFirst({
+            where: { tenantId: req.tenantId },
+            select: { timezone: true }
+        });
+        const tz = config?.timezone || 'UTC';
+        const workflow = await getWorkflow(req.prisma);
+
+        const assignments = await req.prisma.orderAssignment.findMany({
+            where: { userId: req.user.userId, order: { status: "ACTIVE" } },
+            include: {
+                order: {
+                    select: {
+                        id: true, number: true, orderDate: true, dueDate: true, operationalStatus: true, notes: true,
+                        customer: { select: { id: true, name: true } },
+                        items: {
+                            select: {
+                                id: true, description: true, quantity: true, deliveredQuantity: true, operationalStatus: true,
+                                pricingMode: true, width: true, height: true, measureUnit: true,
+                            },
+                            orderBy: { createdAt: "asc" },
+                        },
+                    },
+                },
+            },
+        });
+
+        const now = new Date();
+        let work = assignments.map(({ order, ...assignment }) => ({
+            assignmentId: assignment.id,
+            stage: assignment.stage,
+            stageName: assignment.stage ? stageName(workflow, assignment.stage) : null,
+            assignedByName: assignment.assignedByName,
+            assignedAt: assignment.createdAt,
+            actionable: isActionable(assignment, order, workflow),
+            ...dueUrgency(order.dueDate, now, tz),
+            order: {
+                ...order,
+                operationalStatusName: stageName(workflow, order.operationalStatus),
+                // Stage assignments only concern the items in that stage
+                items: assignment.stage ? order.items.filter(i => i.operationalStatus === assignment.stage) : order.items,
+            },
+        }));
+        if (actionableOnly === "true") work = work.filter(w => w.actionable);
+
+        work.sort((a, b) =>
+            Number(b.actionable) - Number(a.actionable)
+            || URGENCY_ORDER.indexOf(a.urgency) - URGENCY_ORDER.indexOf(b.urgency)
+            || (a.daysToDue ?? 0) - (b.daysToDue ?? 0)
+        );
+
+        res.json({
+            success: true,
+            data: work,
+            summary: {
+                assignments: work.length,
+                actionable: work.filter(w => w.actionable).length,
+                overdue: work.filter(w => w.actionable && w.urgency === "OVERDUE").length,
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error getting assigned work:", error.message);
+        res.status(500).json({ error: "Failed to get assigned work" });
+    }
+});
+
+/**
+ * GET /api/production/workload
+ * Workload per person:
+ * - open: assignments on active orders, how many are actionable now and how many of those are overdue
+ * - done in the period (default: current month): stage transitions they performed (order and
+ *   item level, counted separately) and delivery notes they issued
+ * Query: dateFrom?, dateTo?
+ */
+router.get("/workload", rbac("production", "read"), async (req, res) => {
+    try {
+        const { dateFrom, dateTo } = req.query;
+
+        const config = await req.prisma.financialConfig.findFirst({
+            where: { tenantId: req.tenantId },
+            select: { timezone: true }
+        });
+        const tz = config?.timezone || 'UTC';
+        const workflow = await getWorkflow(req.prisma);
+
+        const month = getMonthBounds(null, null, tz);
+        const from = dateFrom ? getDayBounds(dateFrom, tz).startOfDay : month.startOfMonth;
+        const to = dateTo ? getDayBounds(dateTo, tz).endOfDay : month.endOfMonth;
+
+        const [assignments, events, deliveries] = await Promise.all([
+            req.prisma.orderAssignment.findMany({
+                where: { order: { status: "ACTIVE" } },
+                include: {
+                    order: {
+                        select: {
+                            dueDate: true, operationalStatus: true,
+                            items: { select: { quantity: true, deliveredQuantity: true, operationalStatus: true } },
+                        },
+                    },
+                },
+            }),
+            req.prisma.orderEvent.findMany({
+                where: { type: "STATUS_CHANGE", performedById: { not: null }, createdAt: { gte: from, lte: to } },
+                select: { performedById: true, performedByName: true, metadata: true },
+            }),
+            req.prisma.deliveryNote.groupBy({
+                by: ["createdBy", "createdByName"],
+                where: { status: "ISSUED", deliveryDate: { gte: from, lte: to } },
+                _count: { id: true },
+            }),
+        ]);
+
+        const people = new Map();
+        const person = (userId, userName) => {
+            if (!people.has(userId)) {
+                people.set(userId, {
+                    userId,
+                    userName,
+                    assignedOrders: new Set(),
+                    assignments: 0,
+                    actionable: 0,
+                    overdue: 0,
+                    byStage: {},
+                    orderTransitions: 0,
+                    itemTransitions: 0,
+                    deliveries: 0,
+                });
+            }
+            return people.get(userId);
+        };
+
+        const now = new Date();
+        for (const assignment of assignments) {
+            const entry = person(assignment.userId, assignment.userName);
+            entry.assignedOrders.add(assignment.orderId);
+            entry.assignments += 1;
+            if (!isActionable(assignment, assignment.order, workflow)) continue;
+
+            entry.actionable += 1;
+            const stage = assignment.stage || assignment.order.operationalStatus;
+            entry.byStage[stage] = (entry.byStage[stage] || 0) + 1;
+            if (dueUrgency(assignment.order.dueDate, now, tz).urgency === "OVERDUE") entry.overdue += 1;
+        }
+
+        for (const event of events) {
+            const entry = person(event.performedById, event.performedByName);
+            if (event.metadata?.toItemStage) entry.itemTransitions += 1;
+            else if (isOperationalEvent(event)) entry.orderTransitions += 1;
+        }
+
+        for (const group of deliveries) {
+            person(group.createdBy, group.createdByName).deliveries += group._count.id;
+        }
+
+        const workload = [...people.values()]
+            .map(({ assignedOrders, ...entry }) => ({ ...entry, assignedOrders: assignedOrders.size }))
+            .sort((a, b) => b.actionable - a.actionable || a.userName.localeCompare(b.userName));
+
+        res.json({
+            success: true,
+            data: {
+                from,
+                to,
+                workload,
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error getting workload:", error.message);
+        res.status(500).json({ error: "Failed to get workload" });
+    }
+});
+
+module.exports = router;
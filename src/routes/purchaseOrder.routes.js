@@ -0,0 +1,680 @@
+const express = require("express");
+const rbac = require("../middlewares/rbac.middleware");
+const { getDayBounds, formatLongDate } = require("../utils/date.util");
+const { findOpenSessionId } = require("../utils/cashSession.util");
+const { registerExpenseDebit } = require("../utils/expense.util");
+const { registerStockMovement } = require("../utils/inventory.util");
+const { round } = require("../utils/math.util");
+const axios = require("axios");
+
+const router = express.Router();
+
+const DEFAULT_PURCHASE_CATEGORY = "Compras de materiales";
+
+/**
+ * Build purchase order lines from the request, taking description, unit and price
+ * from the material when not given.
+ * @returns {Promise<object>} { lines, total, error }
+ */
+async function buildPurchaseLines(prisma, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: "lines must be a non-empty array" };
+    }
+
+    const materialIds = [...new Set(items.map(i => i.materialId))];
+    const materials = await prisma.material.findMany({
+        where: { id: { in: materialIds } },
+    });
+    const materialMap = new Map(materials.map(m => [m.id, m]));
+
+    const lines = [];
+    for (const item of items) {
+        const material = materialMap.get(item.materialId);
+        if (!material || !material.isActive) {
+            return { error: `Material ${item.materialId} no existe o se encuentra inactivo.` };
+        }
+
+        const quantity = round(parseFloat(item.quantity), 3);
+        if (!(quantity > 0)) {
+            return { error: "quantity must be greater than 0" };
+        }
+
+        const unitPrice = round(parseFloat(item.unitPrice ?? material.price), 2);
+        if (!(unitPrice >= 0)) {
+            return { error: "unitPrice must be 0 or greater" };
+        }
+
+        lines.push({
+            materialId: material.id,
+            description: item.description || material.name,
+            unit: material.unit,
+            quantity,
+            unitPrice,
+            lineTotal: round(quantity * unitPrice, 2),
+        });
+    }
+
+    const total = round(lines.reduce((sum, line) => sum + line.lineTotal, 0), 2);
+    return { lines, total, error: null };
+}
+
+/**
+ * Expense category for goods received: the given one, or a "Compras de materiales"
+ * category created on first use.
+ * @returns {Promise<string>} Category id
+ */
+async function resolvePurchaseCategoryId(tx, tenantId, categoryId) {
+    if (categoryId) return categoryId;
+
+    const existing = await tx.category.findFirst({
+        where: { name: DEFAULT_PURCHASE_CATEGORY },
+        select: { id: true },
+    });
+    if (existing) return existing.id;
+
+    const created = await tx.category.create({
+        data: { tenantId, name: DEFAULT_PURCHASE_CATEGORY, type: "EXPENSE" },
+    });
+    return created.id;
+}
+
+/**
+ * GET /api/purchase-orders
+ * List purchase orders with filters
+ */
+router.get("/", rbac("purchases", "read"), async (req, res) => {
+    try {
+        const { supplierId, status, search, from, to, page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const where = {};
+        if (supplierId) where.supplierId = supplierId;
+        if (status) where.status = status;
+        if (from || to) {
+            where.orderDate = {};
+
+            const config = await req.prisma.financialConfig.findFirst({
+                where: { tenantId: req.tenantId },
+                select: { timezone: true }
+            });
+            const tz = config?.timezone || 'UTC';
+
+            if (from) {
+                const bounds = getDayBounds(from, tz);
+                where.orderDate.gte = bounds.startOfDay;
+            }
+            if (to) {
+                const bounds = getDayBounds(to, tz);
+                where.orderDate.lte = bounds.endOfDay;
+            }
+        }
+        if (search) {
+            const searchNumber = parseInt(search);
+            where.OR = [
+                { supplier: { name: { contains: search, mode: "insensitive" } } },
+                { notes: { contains: search, mode: "insensitive" } },
+                ...(!isNaN(searchNumber) ? [{ number: searchNumber }] : []),
+            ];
+        }
+
+        const [purchaseOrders, total] = await Promise.all([
+            req.prisma.purchaseOrder.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { number: "desc" },
+                include: {
+                    supplier: { select: { id: true, name: true } },
+                    _count: { select: { lines: true, receipts: true } },
+                },
+            }),
+            req.prisma.purchaseOrder.count({ where }),
+        ]);
+
+        res.json({ success: true, data: purchaseOrders, total, page: parseInt(page), limit: parseInt(limit) });
+    } catch (error) {
+        console.error("❌ Error listing purchase orders:", error.message);
+        res.status(500).json({ error: "Failed to list purchase orders" });
+    }
+});
+
+/**
+ * GET /api/purchase-orders/:id
+ * Purchase order with its lines and goods receipts
+ */
+router.get("/:id", rbac("purchases", "read"), async (req, res) => {
+    try {
+        const purchaseOrder = await req.prisma.purchaseOrder.findFirst({
+            where: { id: req.params.id },
+            include: {
+                supplier: true,
+                lines: {
+                    orderBy: { createdAt: "asc" },
+                    include: { material: { select: { id: true, name: true, unit: true } } },
+                },
+                receipts: {
+                    orderBy: { receiptDate: "asc" },
+                    include: {
+                        lines: true,
+                        supplierBill: { select: { id: true, number: true, status: true, balance: true } },
+                        expense: { select: { id: true, number: true } },
+                    },
+                },
+            },
+        });
+
+        if (!purchaseOrder) {
+            return res.status(404).json({ error: "Purchase order not found" });
+        }
+
+        res.json({ success: true, data: purchaseOrder });
+    } catch (error) {
+        console.error("❌ Error getting purchase order:", error.message);
+        res.status(500).json({ error: "Failed to get purchase order" });
+    }
+});
+
+/**
+ * POST /api/purchase-orders
+ * Create a draft purchase order. unitPrice defaults to the material price.
+ * Body: { supplierId, lines: [{ materialId, quantity, unitPrice?, description? }], orderDate?, expectedDate?, notes? }
+ */
+router.post("/", rbac("purchases", "create"), async (req, res) => {
+    try {
+        const { supplierId, lines: items, orderDate, expectedDate, notes } = req.body;
+
+        if (!supplierId) {
+            return res.status(400).json({ error: "supplierId is required" });
+        }
+
+        const supplier = await req.prisma.supplier.findFirst({ where: { id: supplierId } });
+        if (!supplier || !supplier.isActive) {
+            return res.status(400).json({ error: "El proveedor no existe o se encuentra inactivo." });
+        }
+
+        const { lines, total, error: linesError } = await buildPurchaseLines(req.prisma, items);
+        if (linesError) {
+            return res.status(400).json({ error: linesError });
+        }
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const maxOrder = await tx.purchaseOrder.findFirst({
+                where: { tenantId: req.tenantId },
+                orderBy: { number: "desc" },
+                select: { number: true },
+            });
+            const nextNumber = (maxOrder?.number || 0) + 1;
+
+            return tx.purchaseOrder.create({
+                data: {
+                    tenantId: req.tenantId,
+                    number: nextNumber,
+                    supplierId,
+                    orderDate: orderDate ? new Date(orderDate) : new Date(),
+                    expectedDate: expectedDate ? new Date(expectedDate) : null,
+                    total,
+                    notes,
+                    createdBy: req.user.userId,
+                    createdByName: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
+                    lines: {
+                        create: lines.map(line => ({ tenantId: req.tenantId, ...line })),
+                    },
+                },
+                include: {
+                    supplier: { select: { id: true, name: true } },
+                    lines: true,
+                },
+            });
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error creating purchase order:", error.message);
+        res.status(500).json({ error: "Failed to create purchase order" });
+    }
+});
+
+/**
+ * PUT /api/purchase-orders/:id
+ * Edit a draft purchase order. lines, when given, replace the current ones.
+ */
+router.put("/:id", rbac("purchases", "update"), async (req, res) => {
+    try {
+        const { lines: items, expectedDate, notes } = req.body;
+
+        const purchaseOrder = await req.prisma.purchaseOrder.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!purchaseOrder) {
+            return res.status(404).json({ error: "Purchase order not found" });
+        }
+
+        if (purchaseOrder.status !== "DRAFT") {
+            return res.status(400).json({ error: "Only draft purchase orders can be edited" });
+        }
+
+        let built = null;
+        if (items !== undefined) {
+            built = await buildPurchaseLines(req.prisma, items);
+            if (built.error) {
+                return res.status(400).json({ error: built.error });
+            }
+        }
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const updateData = {
+                ...(expectedDate !== undefined && { expectedDate: expectedDate ? new Date(expectedDate) : null }),
+                ...(notes !== undefined && { notes }),
+            };
+
+            if (built) {
+                await tx.purchaseOrderLine.deleteMany({ where: { purchaseOrderId: purchaseOrder.id } });
+                await tx.purchaseOrderLine.createMany({
+                    data: built.lines.map(line => ({
+                        tenantId: req.tenantId,
+                        purchaseOrderId: purchaseOrder.id,
+                        ...line,
+                    })),
+                });
+                updateData.total = built.total;
+            }
+
+            return tx.purchaseOrder.update({
+                where: { id: purchaseOrder.id },
+                data: updateData,
+                include: {
+                    supplier: { select: { id: true, name: true } },
+                    lines: { orderBy: { createdAt: "asc" } },
+                },
+            });
+        });
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error updating purchase order:", error.message);
+        res.status(500).json({ error: "Failed to update purchase order" });
+    }
+});
+
+/**
+ * POST /api/purchase-orders/:id/send
+ * Mark a draft as sent to the supplier. From here on the order can only be received or cancelled.
+ */
+router.post("/:id/send", rbac("purchases", "update"), async (req, res) => {
+    try {
+        const purchaseOrder = await req.prisma.purchaseOrder.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!purchaseOrder) {
+            return res.status(404).json({ error: "Purchase order not found" });
+        }
+
+        if (purchaseOrder.status !== "DRAFT") {
+            return res.status(400).json({ error: "Only draft purchase orders can be sent" });
+        }
+
+        const updated = await req.prisma.purchaseOrder.update({
+            where: { id: purchaseOrder.id },
+            data: { status: "SENT", sentAt: new Date() },
+        });
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        console.error("❌ Error sending purchase order:", error.message);
+        res.status(500).json({ error: "Failed to send purchase order" });
+    }
+});
+
+/**
+ * PUT /api/purchase-orders/:id/cancel
+ * Cancel a purchase order that has not received any goods
+ */
+router.put("/:id/cancel", rbac("purchases", "delete"), async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        const purchaseOrder = await req.prisma.purchaseOrder.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!purchaseOrder) {
+            return res.status(404).json({ error: "Purchase order not found" });
+        }
+
+        if (!["DRAFT", "SENT"].includes(purchaseOrder.status)) {
+            return res.status(400).json({
+                error: purchaseOrder.status === "CANCELLED"
+                    ? "Purchase order is already cancelled"
+                    : "No se puede anular: la orden de compra ya tiene mercancía recibida.",
+            });
+        }
+
+        const updated = await req.prisma.purchaseOrder.update({
+            where: { id: purchaseOrder.id },
+            data: { status: "CANCELLED", cancellationReason: reason },
+        });
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        console.error("❌ Error cancelling purchase order:", error.message);
+        res.status(500).json({ error: "Failed to cancel purchase order" });
+    }
+});
+
+/**
+ * POST /api/purchase-orders/:id/receipts
+ * Receive goods of a sent purchase order. Without lines, everything pending is received.
+ * Received quantities enter the material stock at the receipt price.
+ * settlement BILL registers a supplier bill (on credit); EXPENSE registers an expense paid
+ * with paymentMethodId. categoryId defaults to "Compras de materiales".
+ * Body: { settlement, lines?: [{ lineId, quantity, unitPrice? }], categoryId?, billNumber?, dueDate?,
+ *         paymentMethodId?, receiptDate?, notes? }
+ */
+router.post("/:id/receipts", rbac("purchases", "update"), async (req, res) => {
+    try {
+        const { settlement, lines: items, categoryId, billNumber, dueDate, paymentMethodId, receiptDate, notes } = req.body;
+
+        if (!["BILL", "EXPENSE"].includes(settlement)) {
+            return res.status(400).json({ error: "settlement must be BILL or EXPENSE" });
+        }
+
+        if (settlement === "EXPENSE" && !paymentMethodId) {
+            return res.status(400).json({ error: "paymentMethodId is required for EXPENSE settlement" });
+        }
+
+        const purchaseOrder = await req.prisma.purchaseOrder.findFirst({
+            where: { id: req.params.id },
+            include: {
+                supplier: { select: { id: true, name: true } },
+                lines: true,
+            },
+        });
+
+        if (!purchaseOrder) {
+            return res.status(404).json({ error: "Purchase order not found" });
+        }
+
+        if (!["SENT", "PARTIALLY_RECEIVED"].includes(purchaseOrder.status)) {
+            return res.status(400).json({ error: "Only sent or partially received purchase orders can receive goods" });
+        }
+
+        if (categoryId) {
+            const category = await req.prisma.category.findFirst({ where: { id: categoryId } });
+            if (!category || category.type === "INCOME") {
+                return res.status(400).json({ error: "categoryId must be an expense category" });
+            }
+        }
+
+        if (settlement === "EXPENSE") {
+            const pm = await req.prisma.paymentMethod.findFirst({ where: { id: paymentMethodId } });
+            if (!pm || !pm.isActive) {
+                return res.status(400).json({ error: "El medio de pago seleccionado no está activo o no existe." });
+            }
+        }
+
+        const pendingOf = (line) => round(parseFloat(line.quantity) - parseFloat(line.receivedQuantity), 3);
+        const lineMap = new Map(purchaseOrder.lines.map(l => [l.id, l]));
+
+        const requested = Array.isArray(items)
+            ? items
+            : purchaseOrder.lines
+                .filter(l => pendingOf(l) > 0)
+                .map(l => ({ lineId: l.id, quantity: pendingOf(l) }));
+
+        const receiptLines = [];
+        for (const item of requested) {
+            const line = lineMap.get(item.lineId);
+            if (!line) {
+                return res.status(400).json({ error: `La línea ${item.lineId} no pertenece a la orden de compra.` });
+            }
+            if (receiptLines.some(r => r.line.id === line.id)) {
+                return res.status(400).json({ error: `La línea "${line.description}" está repetida.` });
+            }
+
+            const quantity = round(parseFloat(item.quantity), 3);
+            if (!(quantity > 0) || quantity > pendingOf(line)) {
+                return res.status(400).json({
+                    error: `Cantidad inválida para "${line.description}": pendiente por recibir ${pendingOf(line)}.`,
+                });
+            }
+
+            const unitPrice = round(parseFloat(item.unitPrice ?? line.unitPrice), 2);
+            if (!(unitPrice >= 0)) {
+                return res.status(400).json({ error: "unitPrice must be 0 or greater" });
+            }
+
+            receiptLines.push({ line, quantity, unitPrice, lineTotal: round(quantity * unitPrice, 2) });
+        }
+
+        if (receiptLines.length === 0) {
+            return res.status(400).json({ error: "No hay cantidades pendientes por recibir." });
+        }
+
+        const amount = round(receiptLines.reduce((sum, r) => sum + r.lineTotal, 0), 2);
+        const received = receiptDate ? new Date(receiptDate) : new Date();
+        const description = `Compra OC #${purchaseOrder.number} - ${purchaseOrder.supplier.name}`;
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            // Concurrent receipts of the same order apply one after the other: re-check what is
+            // still pending once the order is locked
+            await tx.$queryRaw`SELECT id FROM purchase_orders WHERE id = ${purchaseOrder.id}::uuid FOR UPDATE`;
+            const current = await tx.purchaseOrder.findFirst({
+                where: { id: purchaseOrder.id },
+                include: { lines: { select: { id: true, quantity: true, receivedQuantity: true } } },
+            });
+            if (!["SENT", "PARTIALLY_RECEIVED"].includes(current.status)) {
+                throw new Error("Only sent or partially received purchase orders can receive goods");
+            }
+            for (const r of receiptLines) {
+                const pending = pendingOf(current.lines.find(l => l.id === r.line.id));
+                if (r.quantity > pending) {
+                    throw new Error(`Cantidad inválida para "${r.line.description}": pendiente por recibir ${pending}.`);
+                }
+            }
+
+            const purchaseCategoryId = await resolvePurchaseCategoryId(tx, req.tenantId, categoryId);
+
+            let supplierBill = null;
+            let expense = null;
+
+            // Goods received at no cost leave nothing to pay
+            if (amount > 0 && settlement === "BILL") {
+                const maxBill = await tx.supplierBill.findFirst({
+                    where: { tenantId: req.tenantId },
+                    orderBy: { number: "desc" },
+                    select: { number: true },
+                });
+
+                supplierBill = await tx.supplierBill.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        number: (maxBill?.number || 0) + 1,
+                        supplierId: purchaseOrder.supplierId,
+                        categoryId: purchaseCategoryId,
+                        billNumber,
+                        description,
+                        billDate: received,
+                        dueDate: dueDate ? new Date(dueDate) : null,
+                        total: amount,
+                        balance: amount,
+                        registeredBy: req.user.userId,
+                        notes,
+                    },
+                });
+            } else if (amount > 0) {
+                const maxExpense = await tx.expense.findFirst({
+                    where: { tenantId: req.tenantId },
+                    orderBy: { number: "desc" },
+                    select: { number: true },
+                });
+
+                expense = await tx.expense.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        number: (maxExpense?.number || 0) + 1,
+                        expenseDate: received,
+                        description,
+                        amount,
+                        invoiceNumber: billNumber,
+                        supplierId: purchaseOrder.supplierId,
+                        paymentMethodId,
+                        categoryId: purchaseCategoryId,
+                        cashSessionId: await findOpenSessionId(tx, paymentMethodId),
+                        registeredBy: req.user.userId,
+                        notes,
+                    },
+                });
+
+                await registerExpenseDebit(tx, expense, req.user.userId);
+            }
+
+            const maxReceipt = await tx.purchaseReceipt.findFirst({
+                where: { tenantId: req.tenantId },
+                orderBy: { number: "desc" },
+                select: { number: true },
+            });
+
+            const receipt = await tx.purchaseReceipt.create({
+                data: {
+                    tenantId: req.tenantId,
+                    number: (maxReceipt?.number || 0) + 1,
+                    purchaseOrderId: purchaseOrder.id,
+                    receiptDate: received,
+                    amount,
+                    supplierBillId: supplierBill?.id || null,
+                    expenseId: expense?.id || null,
+                    notes,
+                    receivedBy: req.user.userId,
+                    receivedByName: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
+                    lines: {
+                        create: receiptLines.map(r => ({
+                            tenantId: req.tenantId,
+                            purchaseOrderLineId: r.line.id,
+                            quantity: r.quantity,
+                            unitPrice: r.unitPrice,
+                            lineTotal: r.lineTotal,
+                        })),
+                    },
+                },
+                include: { lines: true },
+            });
+
+            for (const r of receiptLines) {
+                await tx.purchaseOrderLine.update({
+                    where: { id: r.line.id },
+                    data: { receivedQuantity: { increment: r.quantity } },
+                });
+
+                await registerStockMovement(tx, {
+                    tenantId: req.tenantId,
+                    materialId: r.line.materialId,
+                    type: "PURCHASE",
+                    quantity: r.quantity,
+                    unitCost: r.unitPrice,
+                    purchaseReceiptId: receipt.id,
+                    notes: `Recepción #${receipt.number} - OC #${purchaseOrder.number}`,
+                    movementDate: received,
+                    userId: req.user.userId,
+                    userName: receipt.receivedByName,
+                });
+            }
+
+            const lines = await tx.purchaseOrderLine.findMany({
+                where: { purchaseOrderId: purchaseOrder.id },
+                select: { quantity: true, receivedQuantity: true },
+            });
+            const complete = lines.every(l => parseFloat(l.receivedQuantity) >= parseFloat(l.quantity));
+
+            const updatedOrder = await tx.purchaseOrder.update({
+                where: { id: purchaseOrder.id },
+                data: { status: complete ? "RECEIVED" : "PARTIALLY_RECEIVED" },
+            });
+
+            return { receipt, supplierBill, expense, purchaseOrder: updatedOrder };
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        if (error.message.includes("can receive goods") || error.message.includes("Cantidad inválida")) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("❌ Error receiving purchase order:", error.message);
+        res.status(500).json({ error: "Failed to receive purchase order" });
+    }
+});
+
+/**
+ * GET /api/purchase-orders/:id/pdf
+ * Generate the purchase order PDF to send to the supplier
+ */
+router.get("/:id/pdf", rbac("purchases", "read"), async (req, res) => {
+    try {
+        const purchaseOrder = await req.prisma.purchaseOrder.findFirst({
+            where: { id: req.params.id },
+            include: {
+                tenant: { select: { name: true } },
+                supplier: true,
+                lines: { orderBy: { createdAt: "asc" } },
+            },
+        });
+
+        if (!purchaseOrder) {
+            return res.status(404).json({ error: "Purchase order not found" });
+        }
+
+        const config = await req.prisma.financialConfig.findFirst({
+            where: { tenantId: req.tenantId },
+            select: { timezone: true, currency: true }
+        });
+        const tz = config?.timezone || 'UTC';
+
+        const documentData = {
+            documentId: `OC-${purchaseOrder.number}`,
+            date: formatLongDate(purchaseOrder.orderDate, tz),
+            expectedDate: purchaseOrder.expectedDate ? formatLongDate(purchaseOrder.expectedDate, tz) : "",
+            amount: parseFloat(purchaseOrder.total).toString(),
+            currency: config?.currency || "COP",
+            companyName: purchaseOrder.tenant?.name || "ORDAMY SYSTEM",
+            status: purchaseOrder.status,
+            createdByName: purchaseOrder.createdByName,
+            notes: purchaseOrder.notes || "",
+            supplier: {
+                name: purchaseOrder.supplier.name,
+                identification: purchaseOrder.supplier.identification || "",
+                phone: purchaseOrder.supplier.phone || "",
+                email: purchaseOrder.supplier.email || ""
+            },
+            items: purchaseOrder.lines.map(line => ({
+                description: line.description,
+                unit: line.unit || "",
+                quantity: parseFloat(line.quantity).toString(),
+                unitPrice: parseFloat(line.unitPrice).toString(),
+                lineTotal: parseFloat(line.lineTotal).toString()
+            }))
+        };
+
+        const docForgeUrl = process.env.DOC_FORGE_URL;
+        const response = await axios.post(`${docForgeUrl}/api/generate/pdf`, {
+            templateId: "t0000003007",
+            documentData
+        }, {
+            responseType: 'stream'
+        });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="orden-compra-${purchaseOrder.number}.pdf"`);
+
+        response.data.pipe(res);
+
+    } catch (error) {
+        console.error("❌ Error generating purchase order PDF:", error.message);
+        if (error.response) {
+            console.error("DocForge Error:", error.response.status, error.response.data);
+        }
+        res.status(500).json({ error: "Failed to generate purchase order PDF" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,655 @@
+const express = require("express");
+const rbac = require("../middlewares/rbac.middleware");
+const { getDayBounds, formatLongDate } = require("../utils/date.util");
+const { loadItemProducts, buildItemLines, formatDimensions } = require("../utils/pricing.util");
+const { resolveLineTaxes, calculateTaxes, snapshotsFromRows, summarizeTaxes } = require("../utils/tax.util");
+const { getCurrencyConfig } = require("../utils/currency.util");
+const { estimateOrderMaterials } = require("../utils/bom.util");
+const { getWorkflow } = require("../utils/workflow.util");
+const axios = require("axios");
+
+const router = express.Router();
+
+// Allowed manual status transitions. Conversion to order is handled by POST /:id/convert
+// and expiration is applied automatically once validUntil has passed.
+const QUOTE_TRANSITIONS = {
+    DRAFT: ["SENT", "REJECTED"],
+    SENT: ["DRAFT", "ACCEPTED", "REJECTED"],
+    ACCEPTED: ["REJECTED"],
+    REJECTED: [],
+    EXPIRED: [],
+};
+
+const EDITABLE_STATUSES = ["DRAFT", "SENT"];
+const CONVERTIBLE_STATUSES = ["SENT", "ACCEPTED"];
+
+/**
+ * Marks DRAFT/SENT quotes whose validUntil already passed as EXPIRED.
+ * updateMany is not covered by tenantScope, so tenantId is set explicitly.
+ */
+async function expireOverdueQuotes(prisma, tenantId) {
+    await prisma.quote.updateMany({
+        where: {
+            tenantId,
+            status: { in: EDITABLE_STATUSES },
+            validUntil: { lt: new Date() },
+        },
+        data: { status: "EXPIRED" },
+    });
+}
+
+/**
+ * Creates quote items one by one so each line's tax snapshot rows can reference its item.
+ */
+async function createQuoteItems(tx, tenantId, quoteId, lines, taxRowsByLine) {
+    for (const [index, line] of lines.entries()) {
+        await tx.quoteItem.create({
+            data: {
+                tenantId,
+                quoteId,
+                ...line,
+                taxes: {
+                    create: (taxRowsByLine[index] || []).map(row => ({ tenantId, quoteId, ...row })),
+                },
+            },
+        });
+    }
+}
+
+function canApplyDiscount(req) {
+    const permissions = req.ssoSession?.tenant?.permissions || [];
+    return req.user?.isSuperAdmin || permissions.some(
+        (p) => p.resource === "orders" && p.action === "apply_discount"
+    );
+}
+
+/**
+ * GET /api/quotes
+ * List quotes with filters
+ */
+router.get("/", rbac("quotes", "read"), async (req, res) => {
+    try {
+        const { status, customerId, search, dateFrom, dateTo, page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        await expireOverdueQuotes(req.prisma, req.tenantId);
+
+        const where = {};
+        if (status) where.status = status;
+        if (customerId) where.customerId = customerId;
+        if (dateFrom || dateTo) {
+            where.quoteDate = {};
+
+            const config = await req.prisma.financialConfig.findFirst({
+                where: { tenantId: req.tenantId },
+                select: { timezone: true }
+            });
+            const tz = config?.timezone || 'UTC';
+
+            if (dateFrom) {
+                const bounds = getDayBounds(dateFrom, tz);
+                where.quoteDate.gte = bounds.startOfDay;
+            }
+            if (dateTo) {
+                const bounds = getDayBounds(dateTo, tz);
+                where.quoteDate.lte = bounds.endOfDay;
+            }
+        }
+        if (search) {
+            where.OR = [
+                { number: isNaN(search) ? undefined : parseInt(search) },
+                { customer: { name: { contains: search, mode: "insensitive" } } },
+            ].filter(Boolean);
+        }
+
+        const [quotes, total] = await Promise.all([
+            req.prisma.quote.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { quoteDate: "desc" },
+                include: {
+                    customer: { select: { id: true, name: true, identification: true } },
+                    order: { select: { id: true, number: true } },
+                    _count: { select: { items: true } },
+                },
+            }),
+            req.prisma.quote.count({ where }),
+        ]);
+
+        res.json({ success: true, data: quotes, total, page: parseInt(page), limit: parseInt(limit) });
+    } catch (error) {
+        console.error("❌ Error listing quotes:", error.message);
+        res.status(500).json({ error: "Failed to list quotes" });
+    }
+});
+
+/**
+ * GET /api/quotes/:id
+ * Get quote detail with items and the order it was converted into
+ */
+router.get("/:id", rbac("quotes", "read"), async (req, res) => {
+    try {
+        await expireOverdueQuotes(req.prisma, req.tenantId);
+
+        const quote = await req.prisma.quote.findFirst({
+            where: { id: req.params.id },
+            include: {
+                customer: true,
+                items: {
+                    include: { product: { select: { id: true, name: true } } },
+                    orderBy: { createdAt: "asc" },
+                },
+                order: { select: { id: true, number: true, status: true, operationalStatus: true } },
+                taxes: true,
+            },
+        });
+
+        if (!quote) {
+            return res.status(404).json({ error: "Quote not found" });
+        }
+
+        res.json({ success: true, data: { ...quote, taxBreakdown: summarizeTaxes(quote.taxes) } });
+    } catch (error) {
+        console.error("❌ Error getting quote:", error.message);
+        res.status(500).json({ error: "Failed to get quote" });
+    }
+});
+
+/**
+ * POST /api/quotes
+ * Create a new quote (DRAFT) with items.
+ * Taxes follow the same rules as orders: taxConfigIds / item.taxConfigIds, or the tenant's default taxes.
+ */
+router.post("/", rbac("quotes", "create"), async (req, res) => {
+    try {
+        const {
+            customerId,
+            quoteDate,
+            validUntil,
+            taxConfigIds,
+            discount = 0,
+            notes,
+            items = [],
+        } = req.body;
+
+        if (!customerId || items.length === 0) {
+            return res.status(400).json({ error: "customerId and at least one item are required" });
+        }
+
+        const customer = await req.prisma.customer.findUnique({
+            where: { id: customerId },
+        });
+
+        if (!customer || !customer.isActive) {
+            return res.status(400).json({ error: "No se puede generar cotizaciones: el cliente no existe o se encuentra inactivo." });
+        }
+
+        if (discount > 0 && !canApplyDiscount(req)) {
+            return res.status(403).json({ error: "You don't have permission to apply discounts" });
+        }
+
+        const productMap = await loadItemProducts(req.prisma, items);
+        const { lines, error: itemsError } = buildItemLines(items, productMap);
+        if (itemsError) {
+            return res.status(400).json({ error: itemsError });
+        }
+
+        const { lineTaxes, error: taxError } = await resolveLineTaxes(req.prisma, items, taxConfigIds);
+        if (taxError) {
+            return res.status(400).json({ error: taxError });
+        }
+
+        // Calculate totals
+        const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+        const { taxRowsByLine, taxAmount, taxRate } = calculateTaxes(lines, lineTaxes);
+        const total = subtotal + taxAmount - discount;
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const maxQuote = await tx.quote.findFirst({
+                where: { tenantId: req.tenantId },
+                orderBy: { number: "desc" },
+                select: { number: true },
+            });
+
+            const nextNumber = (maxQuote?.number || 0) + 1;
+
+            const quote = await tx.quote.create({
+                data: {
+                    tenantId: req.tenantId,
+                    number: nextNumber,
+                    customerId,
+                    quoteDate: quoteDate ? new Date(quoteDate) : new Date(),
+                    validUntil: validUntil ? new Date(validUntil) : null,
+                    subtotal,
+                    taxRate,
+                    taxAmount,
+                    discount,
+                    total,
+                    sellerId: req.user.userId,
+                    sellerName: `${req.user.firstName} ${req.user.lastName}`,
+                    notes,
+                },
+            });
+
+            await createQuoteItems(tx, req.tenantId, quote.id, lines, taxRowsByLine);
+
+            return await tx.quote.findFirst({
+                where: { id: quote.id },
+                include: {
+                    customer: { select: { id: true, name: true } },
+                    items: { include: { taxes: true } },
+                },
+            });
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error creating quote:", error.message);
+        res.status(500).json({ error: "Failed to create quote" });
+    }
+});
+
+/**
+ * PUT /api/quotes/:id
+ * Edit quote details (notes, validUntil, discount, items, taxConfigIds) while DRAFT or SENT.
+ * Without taxConfigIds, the taxes already snapshotted on the quote are kept.
+ */
+router.put("/:id", rbac("quotes", "edit"), async (req, res) => {
+    try {
+        const { notes, validUntil, discount, items, taxConfigIds } = req.body;
+
+        await expireOverdueQuotes(req.prisma, req.tenantId);
+
+        const quote = await req.prisma.quote.findFirst({
+            where: { id: req.params.id, tenantId: req.tenantId },
+            include: { items: true, taxes: true },
+        });
+
+        if (!quote) {
+            return res.status(404).json({ error: "Quote not found" });
+        }
+
+        if (!EDITABLE_STATUSES.includes(quote.status)) {
+            return res.status(400).json({ error: "Only draft or sent quotes can be edited" });
+        }
+
+        if (discount !== undefined && parseFloat(discount) > 0 && !canApplyDiscount(req)) {
+            return res.status(403).json({ error: "You don't have permission to apply discounts" });
+        }
+
+        // Changing taxes alone re-prices the current items
+        const itemsInput = Array.isArray(items)
+            ? items
+            : taxConfigIds !== undefined
+                ? quote.items.map(({ productId, description, pricingMode, width, height, measureUnit, quantity, unitPrice }) => (
+                    { productId, description, pricingMode, width, height, measureUnit, quantity, unitPrice }
+                ))
+                : null;
+
+        let lines = null;
+        let lineTaxes = null;
+        if (itemsInput) {
+            const productMap = await loadItemProducts(req.prisma, itemsInput);
+            const built = buildItemLines(itemsInput, productMap);
+            if (built.error) {
+                return res.status(400).json({ error: built.error });
+            }
+            lines = built.lines;
+
+            const resolved = await resolveLineTaxes(req.prisma, itemsInput, taxConfigIds, snapshotsFromRows(quote.taxes) || []);
+            if (resolved.error) {
+                return res.status(400).json({ error: resolved.error });
+            }
+            lineTaxes = resolved.lineTaxes;
+        }
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const updateData = {};
+            if (notes !== undefined) updateData.notes = notes;
+            if (validUntil !== undefined) updateData.validUntil = validUntil ? new Date(validUntil) : null;
+
+            let subtotal = parseFloat(quote.subtotal);
+            let taxAmount = parseFloat(quote.taxAmount);
+
+            // If items provided, replace them (tax rows cascade with their items)
+            if (lines) {
+                await tx.quoteItem.deleteMany({ where: { quoteId: req.params.id } });
+
+                const taxes = calculateTaxes(lines, lineTaxes);
+                await createQuoteItems(tx, req.tenantId, req.params.id, lines, taxes.taxRowsByLine);
+
+                subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+                taxAmount = taxes.taxAmount;
+                updateData.taxRate = taxes.taxRate;
+            }
+
+            // Recalculate totals when anything that affects them changed
+            if (lines || discount !== undefined) {
+                const disc = discount !== undefined ? parseFloat(discount) : parseFloat(quote.discount);
+
+                updateData.subtotal = subtotal;
+                updateData.taxAmount = taxAmount;
+                updateData.discount = disc;
+                updateData.total = subtotal + taxAmount - disc;
+            }
+
+            return await tx.quote.update({
+                where: { id: req.params.id },
+                data: updateData,
+                include: {
+                    customer: true,
+                    items: {
+                        include: { product: { select: { id: true, name: true } } },
+                        orderBy: { createdAt: "asc" },
+                    },
+                    taxes: true,
+                },
+            });
+        });
+
+        res.json({ success: true, data: { ...result, taxBreakdown: summarizeTaxes(result.taxes) } });
+    } catch (error) {
+        console.error("❌ Error editing quote:", error.message);
+        res.status(500).json({ error: "Failed to edit quote" });
+    }
+});
+
+/**
+ * PUT /api/quotes/:id/status
+ * Move a quote through its lifecycle (DRAFT → SENT → ACCEPTED / REJECTED)
+ */
+router.put("/:id/status", rbac("quotes", "update"), async (req, res) => {
+    try {
+        const { status } = req.body;
+
+        if (!status || !QUOTE_TRANSITIONS[status]) {
+            return res.status(400).json({ error: `Invalid status. Valid: ${Object.keys(QUOTE_TRANSITIONS).join(", ")}` });
+        }
+
+        await expireOverdueQuotes(req.prisma, req.tenantId);
+
+        const quote = await req.prisma.quote.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!quote) {
+            return res.status(404).json({ error: "Quote not found" });
+        }
+
+        if (quote.orderId) {
+            return res.status(400).json({ error: "La cotización ya fue convertida en orden" });
+        }
+
+        if (!QUOTE_TRANSITIONS[quote.status].includes(status)) {
+            return res.status(400).json({
+                error: `Cannot transition from ${quote.status} to ${status}.`,
+            });
+        }
+
+        const updated = await req.prisma.quote.update({
+            where: { id: req.params.id },
+            data: { status },
+        });
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        console.error("❌ Error updating quote status:", error.message);
+        res.status(500).json({ error: "Failed to update quote status" });
+    }
+});
+
+/**
+ * POST /api/quotes/:id/convert
+ * Convert a sent/accepted quote into an order, copying its items, tax snapshots and totals
+ */
+router.post("/:id/convert", rbac("quotes", "update"), rbac("orders", "create"), async (req, res) => {
+    try {
+        const { dueDate, notes } = req.body;
+
+        await expireOverdueQuotes(req.prisma, req.tenantId);
+
+        const quote = await req.prisma.quote.findFirst({
+            where: { id: req.params.id },
+            include: {
+                customer: true,
+                items: { include: { taxes: true }, orderBy: { createdAt: "asc" } },
+            },
+        });
+
+        if (!quote) {
+            return res.status(404).json({ error: "Quote not found" });
+        }
+
+        if (quote.orderId) {
+            return res.status(400).json({ error: "La cotización ya fue convertida en orden" });
+        }
+
+        if (!CONVERTIBLE_STATUSES.includes(quote.status)) {
+            return res.status(400).json({ error: `Only ${CONVERTIBLE_STATUSES.join(" or ")} quotes can be converted` });
+        }
+
+        if (!quote.customer.isActive) {
+            return res.status(400).json({ error: "No se puede generar órdenes: el cliente no existe o se encuentra inactivo." });
+        }
+
+        const changedByName = `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email;
+        // Quotes are priced in the base currency
+        const { baseCurrency } = await getCurrencyConfig(req.prisma, req.tenantId);
+        const workflow = await getWorkflow(req.prisma);
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const maxOrder = await tx.order.findFirst({
+                where: { tenantId: req.tenantId },
+                orderBy: { number: "desc" },
+                select: { number: true },
+            });
+
+            const nextNumber = (maxOrder?.number || 0) + 1;
+
+            const order = await tx.order.create({
+                data: {
+                    tenantId: req.tenantId,
+                    number: nextNumber,
+                    operationalStatus: workflow.initialStage,
+                    customerId: quote.customerId,
+                    orderDate: new Date(),
+                    dueDate: dueDate ? new Date(dueDate) : null,
+                    subtotal: quote.subtotal,
+                    taxRate: quote.taxRate,
+                    taxAmount: quote.taxAmount,
+                    discount: quote.discount,
+                    total: quote.total,
+                    balance: quote.total,
+                    currency: baseCurrency,
+                    exchangeRate: 1,
+                    sellerId: quote.sellerId,
+                    sellerName: quote.sellerName,
+                    notes: notes !== undefined ? notes : quote.notes,
+                    events: {
+                        create: {
+                            tenantId: req.tenantId,
+                            type: "STATUS_CHANGE",
+                            description: `Orden creada desde cotización #${quote.number}`,
+                            toStatus: "ACTIVE",
+                            metadata: { quoteId: quote.id, quoteNumber: quote.number },
+                            changedById: req.user.userId,
+                            changedByName,
+                        },
+                    },
+                },
+            });
+
+            for (const item of quote.items) {
+                await tx.orderItem.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        orderId: order.id,
+                        productId: item.productId,
+                        description: item.description,
+                        pricingMode: item.pricingMode,
+                        width: item.width,
+                        height: item.height,
+                        measureUnit: item.measureUnit,
+                        measure: item.measure,
+                        quantity: item.quantity,
+                        unitPrice: item.unitPrice,
+                        lineTotal: item.lineTotal,
+                        operationalStatus: workflow.initialStage,
+                        taxes: {
+                            create: item.taxes.map(tax => ({
+                                tenantId: req.tenantId,
+                                orderId: order.id,
+                                taxConfigId: tax.taxConfigId,
+                                name: tax.name,
+                                rate: tax.rate,
+                                base: tax.base,
+                                amount: tax.amount,
+                            })),
+                        },
+                    },
+                });
+            }
+
+            await estimateOrderMaterials(tx, req.tenantId, order.id);
+
+            await tx.quote.update({
+                where: { id: quote.id },
+                data: { status: "ACCEPTED", orderId: order.id },
+            });
+
+            return await tx.order.findFirst({
+                where: { id: order.id },
+                include: {
+                    customer: { select: { id: true, name: true } },
+                    items: { include: { taxes: true } },
+                },
+            });
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error converting quote:", error.message);
+        res.status(500).json({ error: "Failed to convert quote" });
+    }
+});
+
+/**
+ * DELETE /api/quotes/:id
+ * Delete a quote (only if it was not converted into an order)
+ */
+router.delete("/:id", rbac("quotes", "delete"), async (req, res) => {
+    try {
+        const quote = await req.prisma.quote.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!quote) {
+            return res.status(404).json({ error: "Quote not found" });
+        }
+
+        if (quote.orderId) {
+            return res.status(400).json({ error: "No se puede eliminar: la cotización ya fue convertida en orden" });
+        }
+
+        await req.prisma.quote.delete({
+            where: { id: req.params.id },
+        });
+
+        res.json({ success: true, message: "Quote deleted" });
+    } catch (error) {
+        if (error.code === "P2025") {
+            return res.status(404).json({ error: "Quote not found" });
+        }
+        console.error("❌ Error deleting quote:", error.message);
+        res.status(500).json({ error: "Failed to delete quote" });
+    }
+});
+
+/**
+ * GET /api/quotes/:id/pdf
+ * Generate and download the quote PDF for the customer
+ */
+router.get("/:id/pdf", rbac("quotes", "read"), async (req, res) => {
+    try {
+        const quote = await req.prisma.quote.findFirst({
+            where: { id: req.params.id },
+            include: {
+                tenant: { select: { name: true } },
+                customer: true,
+                items: {
+                    include: { product: { select: { id: true, name: true } } },
+                    orderBy: { createdAt: "asc" },
+                },
+                taxes: true,
+            },
+        });
+
+        if (!quote) {
+            return res.status(404).json({ error: "Quote not found" });
+        }
+
+        const config = await req.prisma.financialConfig.findFirst({
+            where: { tenantId: req.tenantId },
+            select: { timezone: true }
+        });
+        const tz = config?.timezone || 'UTC';
+
+        const documentData = {
+            documentId: `COT-${quote.number}`,
+            date: formatLongDate(quote.quoteDate, tz),
+            validUntil: formatLongDate(quote.validUntil, tz),
+            amount: parseFloat(quote.total).toString(),
+            companyName: quote.tenant?.name || "ORDAMY SYSTEM",
+            status: quote.status,
+            sellerName: quote.sellerName,
+            subtotal: parseFloat(quote.subtotal).toString(),
+            taxRate: parseFloat(quote.taxRate).toString(),
+            taxAmount: parseFloat(quote.taxAmount).toString(),
+            taxes: summarizeTaxes(quote.taxes).map(t => ({
+                name: t.name,
+                rate: t.rate.toString(),
+                base: t.base.toString(),
+                amount: t.amount.toString(),
+            })),
+            discount: parseFloat(quote.discount).toString(),
+            notes: quote.notes || "",
+            customer: {
+                name: quote.customer.name,
+                identification: quote.customer.identification || "",
+                phone: quote.customer.phone || "",
+                email: quote.customer.email || "",
+                address: quote.customer.address || ""
+            },
+            items: quote.items.map(item => ({
+                description: item.description || (item.product ? item.product.name : ""),
+                dimensions: formatDimensions(item),
+                quantity: parseFloat(item.quantity).toString(),
+                unitPrice: parseFloat(item.unitPrice).toString(),
+                lineTotal: parseFloat(item.lineTotal).toString()
+            }))
+        };
+
+        const docForgeUrl = process.env.DOC_FORGE_URL;
+        const response = await axios.post(`${docForgeUrl}/api/generate/pdf`, {
+            templateId: "t0000003004",
+            documentData
+        }, {
+            responseType: 'stream'
+        });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="cotizacion-${quote.number}.pdf"`);
+
+        response.data.pipe(res);
+
+    } catch (error) {
+        console.error("❌ Error generating quote PDF:", error.message);
+        if (error.response) {
+            console.error("DocForge Error:", error.response.status, error.response.data);
+        }
+        res.status(500).json({ error: "Failed to generate quote PDF" });
+    }
+});
+
+module.exports = router;
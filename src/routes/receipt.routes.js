@@ -0,0 +1,561 @@
+const express = require("express");
+const rbac = require("../middlewares/rbac.middleware");
+const { findAccountForMethod, isReconciled } = require("../utils/account.util");
+const { getDayBounds, formatLongDate } = require("../utils/date.util");
+const { getAvailableCredit } = require("../utils/credit.util");
+const { findOpenSessionId } = require("../utils/cashSession.util");
+const { computeFee, registerFeeExpense, removeFeeExpense } = require("../utils/fee.util");
+const { getCurrencyConfig } = require("../utils/currency.util");
+const { isFullyDelivered } = require("../utils/delivery.util");
+const { round } = require("../utils/math.util");
+const axios = require("axios");
+
+const router = express.Router();
+
+/**
+ * POST /api/receipts
+ * Register a receipt (recibo de caja): one incoming amount allocated over several
+ * active orders of the same customer.
+ * Body: { customerId, paymentMethodId, amount, receiptDate?, notes?,
+ *         allocations?: [{ orderId, amount }] }
+ *
+ * Receipts are in the base currency and only settle base-currency orders.
+ * Without allocations the amount is applied oldest-due-first (due date, then order date).
+ * Whatever is left after the allocations is kept as customer credit (saldo a favor).
+ * The whole amount enters the account as a single transaction; the payment method's
+ * commission on it is posted as an expense.
+ */
+router.post("/", rbac("orders", "update"), async (req, res) => {
+    try {
+        const { customerId, paymentMethodId, amount, receiptDate, notes, allocations } = req.body;
+
+        if (!customerId || !paymentMethodId || !amount) {
+            return res.status(400).json({ error: "customerId, paymentMethodId and amount are required" });
+        }
+
+        const receiptAmount = round(parseFloat(amount), 2);
+        if (!(receiptAmount > 0)) {
+            return res.status(400).json({ error: "amount must be greater than 0" });
+        }
+
+        if (allocations !== undefined) {
+            if (!Array.isArray(allocations) || allocations.length === 0) {
+                return res.status(400).json({ error: "allocations must be a non-empty array of { orderId, amount }" });
+            }
+            const seen = new Set();
+            for (const a of allocations) {
+                if (!a.orderId || !(parseFloat(a.amount) > 0)) {
+                    return res.status(400).json({ error: "Each allocation requires orderId and an amount greater than 0" });
+                }
+                if (seen.has(a.orderId)) {
+                    return res.status(400).json({ error: "An order can only appear once in allocations" });
+                }
+                seen.add(a.orderId);
+            }
+            const allocated = round(allocations.reduce((sum, a) => sum + parseFloat(a.amount), 0), 2);
+            if (allocated > receiptAmount) {
+                return res.status(400).json({ error: `Allocations (${allocated}) exceed the receipt amount (${receiptAmount})` });
+            }
+        }
+
+        const customer = await req.prisma.customer.findFirst({
+            where: { id: customerId },
+        });
+
+        if (!customer) {
+            return res.status(404).json({ error: "Customer not found" });
+        }
+
+        const pm = await req.prisma.paymentMethod.findFirst({
+            where: { id: paymentMethodId, tenantId: req.tenantId },
+        });
+        if (!pm || !pm.isActive) {
+            return res.status(400).json({ error: "El medio de pago seleccionado no está activo o no existe." });
+        }
+
+        const changedByName = `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email;
+        const { baseCurrency } = await getCurrencyConfig(req.prisma, req.tenantId);
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            // Resolve the allocation plan against the current balances
+            let plan;
+            if (allocations) {
+                const orders = await tx.order.findMany({
+                    where: { id: { in: allocations.map((a) => a.orderId) }, customerId },
+                });
+                const orderMap = {};
+                orders.forEach((o) => { orderMap[o.id] = o; });
+
+                plan = allocations.map((a) => {
+                    const order = orderMap[a.orderId];
+                    if (!order) {
+                        throw new Error(`Order ${a.orderId} not found for this customer`);
+                    }
+                    if (order.status !== "ACTIVE") {
+                        throw new Error(`La orden #${order.number} no está activa`);
+                    }
+                    if (order.currency !== baseCurrency) {
+                        throw new Error(`La orden #${order.number} está en ${order.currency}. Registre el pago directamente en la orden.`);
+                    }
+                    const allocAmount = round(parseFloat(a.amount), 2);
+                    if (allocAmount > parseFloat(order.balance)) {
+                        throw new Error(`El abono a la orden #${order.number} supera su saldo (${parseFloat(order.balance)})`);
+                    }
+                    return { order, amount: allocAmount };
+                });
+            } else {
+                const orders = await tx.order.findMany({
+                    where: { customerId, status: "ACTIVE", currency: baseCurrency, balance: { gt: 0 } },
+                    orderBy: [{ dueDate: { sort: "asc", nulls: "last" } }, { orderDate: "asc" }, { number: "asc" }],
+                });
+
+                plan = [];
+                let remaining = receiptAmount;
+                for (const order of orders) {
+                    if (remaining <= 0) break;
+                    const allocAmount = round(Math.min(remaining, parseFloat(order.balance)), 2);
+                    plan.push({ order, amount: allocAmount });
+                    remaining = round(remaining - allocAmount, 2);
+                }
+            }
+
+            const allocatedTotal = round(plan.reduce((sum, p) => sum + p.amount, 0), 2);
+            const creditAmount = round(receiptAmount - allocatedTotal, 2);
+
+            const maxReceipt = await tx.receipt.findFirst({
+                where: { tenantId: req.tenantId },
+                orderBy: { number: "desc" },
+                select: { number: true },
+            });
+            const nextNumber = (maxReceipt?.number || 0) + 1;
+            const date = receiptDate ? new Date(receiptDate) : new Date();
+            const cashSessionId = await findOpenSessionId(tx, paymentMethodId);
+            const fee = computeFee(pm, receiptAmount);
+
+            const receipt = await tx.receipt.create({
+                data: {
+                    tenantId: req.tenantId,
+                    number: nextNumber,
+                    customerId,
+                    paymentMethodId,
+                    amount: receiptAmount,
+                    receiptDate: date,
+                    registeredBy: req.user.userId,
+                    notes,
+                    feeAmount: fee,
+                },
+            });
+
+            for (const { order, amount: allocAmount } of plan) {
+                const payment = await tx.payment.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        orderId: order.id,
+                        paymentMethodId,
+                        amount: allocAmount,
+                        currency: order.currency,
+                        paymentDate: date,
+                        registeredBy: req.user.userId,
+                        notes: `Recibo de caja #${nextNumber}`,
+                        receiptId: receipt.id,
+                        cashSessionId,
+                    },
+                });
+
+                const newBalance = round(parseFloat(order.balance) - allocAmount, 2);
+                const updateData = { balance: newBalance };
+
+                // If fully paid AND every item delivered, mark as COMPLETED
+                if (newBalance <= 0 && await isFullyDelivered(tx, order.id)) {
+                    updateData.status = "COMPLETED";
+
+                    await tx.orderEvent.create({
+                        data: {
+                            tenantId: req.tenantId,
+                            orderId: order.id,
+                            type: "STATUS_CHANGE",
+                            description: "Orden completada (pagada y entregada)",
+                            fromStatus: "ACTIVE",
+                            toStatus: "COMPLETED",
+                            changedById: req.user.userId,
+                            changedByName,
+                        },
+                    });
+                }
+
+                await tx.orderEvent.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        orderId: order.id,
+                        type: "PAYMENT_ADDED",
+                        description: `Abono registrado por ${allocAmount} (recibo de caja #${nextNumber})`,
+                        metadata: { paymentId: payment.id, amount: allocAmount, paymentMethodId, receiptId: receipt.id },
+                        changedById: req.user.userId,
+                        changedByName,
+                    },
+                });
+
+                await tx.order.update({
+                    where: { id: order.id },
+                    data: updateData,
+                });
+            }
+
+            if (creditAmount > 0) {
+                await tx.customerCreditMovement.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        customerId,
+                        type: "OVERPAYMENT",
+                        amount: creditAmount,
+                        paymentMethodId,
+                        receiptId: receipt.id,
+                        cashSessionId,
+                        description: `Excedente del recibo de caja #${nextNumber}`,
+                        registeredBy: req.user.userId,
+                    },
+                });
+            }
+
+            // One account transaction for the whole receipt
+            const account = await findAccountForMethod(tx, paymentMethodId);
+
+            if (account) {
+                await tx.transaction.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        accountId: account.id,
+                        type: "CREDIT",
+                        amount: receiptAmount,
+                        description: `Recibo de caja #${nextNumber} - ${customer.name}`,
+                        referenceId: receipt.id,
+                        referenceType: "RECEIPT",
+                        registeredBy: req.user.userId,
+                    },
+                });
+
+                await tx.account.update({
+                    where: { id: account.id },
+                    data: { balance: { increment: receiptAmount } },
+                });
+            }
+
+            const feeExpense = await registerFeeExpense(tx, {
+                tenantId: req.tenantId,
+                method: pm,
+                accountId: account?.id,
+                fee,
+                date,
+                description: `Comisión ${pm.name} - recibo de caja #${nextNumber}`,
+                cashSessionId,
+                userId: req.user.userId,
+            });
+            if (feeExpense) {
+                await tx.receipt.update({
+                    where: { id: receipt.id },
+                    data: { feeExpenseId: feeExpense.id },
+                });
+            }
+
+            return tx.receipt.findFirst({
+                where: { id: receipt.id },
+                include: {
+                    payments: { include: { order: { select: { id: true, number: true, balance: true, status: true } } } },
+                    creditMovements: true,
+                },
+            });
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error creating receipt:", error.message);
+        res.status(error.message.includes("not found") ? 404 : 500).json({
+            error: error.message || "Failed to create receipt",
+        });
+    }
+});
+
+/**
+ * GET /api/receipts
+ * List receipts with filters
+ */
+router.get("/", rbac("orders", "read"), async (req, res) => {
+    try {
+        const { customerId, from, to, page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const where = {};
+        if (customerId) where.customerId = customerId;
+        if (from || to) {
+            where.receiptDate = {};
+
+            const config = await req.prisma.financialConfig.findFirst({
+                where: { tenantId: req.tenantId },
+                select: { timezone: true }
+            });
+            const tz = config?.timezone || 'UTC';
+
+            if (from) {
+                const bounds = getDayBounds(from, tz);
+                where.receiptDate.gte = bounds.startOfDay;
+            }
+            if (to) {
+                const bounds = getDayBounds(to, tz);
+                where.receiptDate.lte = bounds.endOfDay;
+            }
+        }
+
+        const [receipts, total] = await Promise.all([
+            req.prisma.receipt.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { receiptDate: "desc" },
+                include: {
+                    customer: { select: { id: true, name: true } },
+                    paymentMethod: { select: { id: true, name: true } },
+                    _count: { select: { payments: true } },
+                },
+            }),
+            req.prisma.receipt.count({ where }),
+        ]);
+
+        res.json({ success: true, data: receipts, total, page: parseInt(page), limit: parseInt(limit) });
+    } catch (error) {
+        console.error("❌ Error listing receipts:", error.message);
+        res.status(500).json({ error: "Failed to list receipts" });
+    }
+});
+
+/**
+ * GET /api/receipts/:id
+ * Receipt detail with its per-order payments
+ */
+router.get("/:id", rbac("orders", "read"), async (req, res) => {
+    try {
+        const receipt = await req.prisma.receipt.findFirst({
+            where: { id: req.params.id },
+            include: {
+                customer: { select: { id: true, name: true, identification: true } },
+                paymentMethod: { select: { id: true, name: true } },
+                payments: {
+                    include: { order: { select: { id: true, number: true, total: true, balance: true, status: true } } },
+                    orderBy: { createdAt: "asc" },
+                },
+                creditMovements: true,
+            },
+        });
+
+        if (!receipt) {
+            return res.status(404).json({ error: "Receipt not found" });
+        }
+
+        res.json({ success: true, data: receipt });
+    } catch (error) {
+        console.error("❌ Error getting receipt:", error.message);
+        res.status(500).json({ error: "Failed to get receipt" });
+    }
+});
+
+/**
+ * GET /api/receipts/:id/pdf
+ * Printable receipt via DocForge Ordamy t0000003006
+ */
+router.get("/:id/pdf", rbac("orders", "read"), async (req, res) => {
+    try {
+        const receipt = await req.prisma.receipt.findFirst({
+            where: { id: req.params.id },
+            include: {
+                tenant: { select: { name: true } },
+                customer: true,
+                paymentMethod: { select: { name: true } },
+                payments: {
+                    include: { order: { select: { number: true, total: true, balance: true } } },
+                    orderBy: { createdAt: "asc" },
+                },
+                creditMovements: { select: { amount: true } },
+            },
+        });
+
+        if (!receipt) {
+            return res.status(404).json({ error: "Receipt not found" });
+        }
+
+        const config = await req.prisma.financialConfig.findFirst({
+            where: { tenantId: req.tenantId },
+            select: { timezone: true }
+        });
+        const tz = config?.timezone || 'UTC';
+
+        const creditAmount = receipt.creditMovements.reduce((sum, m) => sum + parseFloat(m.amount), 0);
+
+        const documentData = {
+            documentId: `RC-${receipt.number}`,
+            date: formatLongDate(receipt.receiptDate, tz),
+            amount: parseFloat(receipt.amount).toString(),
+            companyName: receipt.tenant?.name || "ORDAMY SYSTEM",
+            paymentMethod: receipt.paymentMethod?.name || "",
+            notes: receipt.notes || "",
+            customer: {
+                name: receipt.customer.name,
+                identification: receipt.customer.identification || "",
+                phone: receipt.customer.phone || "",
+                email: receipt.customer.email || "",
+                address: receipt.customer.address || ""
+            },
+            allocations: receipt.payments.map(p => ({
+                orderNumber: p.order?.number || 0,
+                orderTotal: parseFloat(p.order?.total || 0).toString(),
+                amount: parseFloat(p.amount).toString(),
+                balance: parseFloat(p.order?.balance || 0).toString()
+            })),
+            creditAmount: creditAmount.toString(),
+            signature: "N/A"
+        };
+
+        const docForgeUrl = process.env.DOC_FORGE_URL;
+        const response = await axios.post(`${docForgeUrl}/api/generate/pdf`, {
+            templateId: "t0000003006",
+            documentData
+        }, {
+            responseType: 'stream'
+        });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="recibo-caja-${receipt.number}.pdf"`);
+
+        response.data.pipe(res);
+
+    } catch (error) {
+        console.error("❌ Error generating receipt PDF:", error.message);
+        if (error.response) {
+            console.error("DocForge Error:", error.response.status, error.response.data);
+        }
+        res.status(500).json({ error: "Failed to generate receipt PDF" });
+    }
+});
+
+/**
+ * DELETE /api/receipts/:id
+ * Void a receipt: removes its payments, restores the order balances, takes back the
+ * credit it generated and reverses the account transaction and commission
+ */
+router.delete("/:id", rbac("payments", "delete"), async (req, res) => {
+    try {
+        const receipt = await req.prisma.receipt.findFirst({
+            where: { id: req.params.id },
+            include: {
+                payments: { include: { order: true, cashSession: { select: { number: true, status: true } } } },
+                creditMovements: true,
+            },
+        });
+
+        if (!receipt) {
+            return res.status(404).json({ error: "Receipt not found" });
+        }
+
+        const closedSession = receipt.payments.find((p) => p.cashSession?.status === "CLOSED")?.cashSession;
+        if (closedSession) {
+            return res.status(400).json({ error: `El recibo pertenece al turno de caja #${closedSession.number}, que ya está cerrado.` });
+        }
+
+        if (await isReconciled(req.prisma, "RECEIPT", receipt.id)
+            || (receipt.feeExpenseId && await isReconciled(req.prisma, "EXPENSE", receipt.feeExpenseId))) {
+            return res.status(400).json({ error: "El recibo ya fue conciliado con un extracto bancario." });
+        }
+
+        for (const payment of receipt.payments) {
+            if (payment.order.status === "CANCELLED") {
+                return res.status(400).json({ error: `La orden #${payment.order.number} está anulada` });
+            }
+        }
+
+        const orderIds = receipt.payments.map((p) => p.orderId);
+        const refundCount = await req.prisma.refund.count({ where: { orderId: { in: orderIds } } });
+        if (refundCount > 0) {
+            return res.status(400).json({ error: "Cannot void a receipt paying orders with refunds" });
+        }
+
+        const creditAmount = receipt.creditMovements.reduce((sum, m) => sum + parseFloat(m.amount), 0);
+        if (creditAmount > 0) {
+            const available = await getAvailableCredit(req.prisma, receipt.customerId);
+            if (available < creditAmount) {
+                return res.status(400).json({
+                    error: `El saldo a favor generado por el recibo (${creditAmount}) ya fue utilizado (disponible: ${available})`,
+                });
+            }
+        }
+
+        const changedByName = `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email;
+
+        await req.prisma.$transaction(async (tx) => {
+            for (const payment of receipt.payments) {
+                const amt = parseFloat(payment.amount);
+                const order = await tx.order.findFirst({ where: { id: payment.orderId } });
+                const updateData = { balance: round(parseFloat(order.balance) + amt, 2) };
+
+                // If order was COMPLETED, revert to ACTIVE
+                if (order.status === "COMPLETED") {
+                    updateData.status = "ACTIVE";
+                    await tx.orderEvent.create({
+                        data: {
+                            tenantId: req.tenantId,
+                            orderId: payment.orderId,
+                            type: "STATUS_CHANGE",
+                            description: `Orden reabierta por recibo de caja #${receipt.number} anulado`,
+                            fromStatus: "COMPLETED",
+                            toStatus: "ACTIVE",
+                            changedById: req.user.userId,
+                            changedByName,
+                        },
+                    });
+                }
+
+                await tx.orderEvent.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        orderId: payment.orderId,
+                        type: "PAYMENT_DELETED",
+                        description: `Abono eliminado por ${amt} (recibo de caja #${receipt.number} anulado)`,
+                        metadata: { paymentId: payment.id, amount: amt, receiptId: receipt.id },
+                        changedById: req.user.userId,
+                        changedByName,
+                    },
+                });
+
+                await tx.order.update({
+                    where: { id: payment.orderId },
+                    data: updateData,
+                });
+            }
+
+            await tx.payment.deleteMany({ where: { receiptId: receipt.id } });
+            await tx.customerCreditMovement.deleteMany({ where: { receiptId: receipt.id } });
+
+            // Reverse account transaction (on the account it was recorded in)
+            const transactions = await tx.transaction.findMany({
+                where: { referenceId: receipt.id, referenceType: "RECEIPT" },
+            });
+            for (const t of transactions) {
+                await tx.account.update({
+                    where: { id: t.accountId },
+                    data: { balance: { decrement: parseFloat(t.amount) } },
+                });
+            }
+
+            await tx.transaction.deleteMany({
+                where: { referenceId: receipt.id, referenceType: "RECEIPT" },
+            });
+
+            await removeFeeExpense(tx, receipt.feeExpenseId);
+            await tx.receipt.delete({ where: { id: receipt.id } });
+        });
+
+        res.json({ success: true, message: "Receipt voided" });
+    } catch (error) {
+        console.error("❌ Error voiding receipt:", error.message);
+        res.status(500).json({ error: "Failed to void receipt" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,336 @@
+const express = require("express");
+const rbac = require("../middlewares/rbac.middleware");
+const { findAccountForMethod } = require("../utils/account.util");
+const { getDayBounds } = require("../utils/date.util");
+const { formatInvoiceNumber, findOpenInvoice } = require("../utils/invoice.util");
+const { findOpenSessionId } = require("../utils/cashSession.util");
+const { toBase, paidExchangeRate } = require("../utils/currency.util");
+const { isFullyDelivered } = require("../utils/delivery.util");
+const { round } = require("../utils/math.util");
+
+const router = express.Router();
+
+const REFUND_TYPES = ["CANCELLATION", "ADJUSTMENT"];
+const REFUND_DESTINATIONS = ["ACCOUNT", "CUSTOMER_CREDIT"];
+const REFUNDABLE_STATUSES = ["ACTIVE", "COMPLETED"];
+
+/**
+ * POST /api/refunds
+ * Cancel (CANCELLATION) or reduce (ADJUSTMENT) an order keeping its payments.
+ * Body: { orderId, type, amount (ADJUSTMENT: reduction of the order total), destination,
+ *         paymentMethodId (ACCOUNT), reason, creditNoteId?, refundDate? }
+ *
+ * - CANCELLATION returns everything paid and cancels the order.
+ * - ADJUSTMENT lowers the order total (as discount); whatever was paid above the new
+ *   total is returned to the customer.
+ * The money returned leaves the account of paymentMethodId (DEBIT transaction) or is kept
+ * as customer credit, converted to base currency at the average rate of the order's payments
+ * (the rate the money came in at).
+ */
+router.post("/", rbac("payments", "refund"), async (req, res) => {
+    try {
+        const { orderId, type, amount, destination, paymentMethodId, reason, creditNoteId, refundDate } = req.body;
+
+        if (!orderId || !type || !reason) {
+            return res.status(400).json({ error: "orderId, type and reason are required" });
+        }
+        if (!REFUND_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Invalid type. Valid: ${REFUND_TYPES.join(", ")}` });
+        }
+
+        const order = await req.prisma.order.findFirst({
+            where: { id: orderId },
+        });
+
+        if (!order) {
+            return res.status(404).json({ error: "Order not found" });
+        }
+
+        if (!REFUNDABLE_STATUSES.includes(order.status)) {
+            return res.status(400).json({ error: "Only active or completed orders can be refunded" });
+        }
+
+        const total = parseFloat(order.total);
+        const balance = parseFloat(order.balance);
+
+        let orderReduction;
+        let refundAmount;
+        if (type === "CANCELLATION") {
+            const withholdingCount = await req.prisma.orderWithholding.count({ where: { orderId } });
+            if (withholdingCount > 0) {
+                return res.status(400).json({
+                    error: `No se puede anular: la orden tiene ${withholdingCount} retención(es) registrada(s). Elimine las retenciones primero.`,
+                });
+            }
+            orderReduction = total;
+            refundAmount = round(total - balance, 2);
+        } else {
+            orderReduction = parseFloat(amount);
+            if (!(orderReduction > 0) || orderReduction > total) {
+                return res.status(400).json({ error: `amount must be greater than 0 and at most the order total (${total})` });
+            }
+            refundAmount = round(Math.max(0, orderReduction - balance), 2);
+        }
+
+        if (refundAmount > 0) {
+            if (!REFUND_DESTINATIONS.includes(destination)) {
+                return res.status(400).json({ error: `Invalid destination. Valid: ${REFUND_DESTINATIONS.join(", ")}` });
+            }
+            if (destination === "ACCOUNT") {
+                if (!paymentMethodId) {
+                    return res.status(400).json({ error: "paymentMethodId is required to refund to an account" });
+                }
+                const pm = await req.prisma.paymentMethod.findFirst({
+                    where: { id: paymentMethodId, tenantId: req.tenantId },
+                });
+                if (!pm || !pm.isActive) {
+                    return res.status(400).json({ error: "El medio de pago seleccionado no está activo o no existe." });
+                }
+            }
+        }
+
+        // A fiscal invoice must be reversed with a credit note before the order changes
+        if (creditNoteId) {
+            const creditNote = await req.prisma.invoice.findFirst({
+                where: { id: creditNoteId, orderId, type: "CREDIT_NOTE" },
+                include: { _count: { select: { refunds: true } } },
+            });
+            if (!creditNote) {
+                return res.status(400).json({ error: "La nota crédito no existe o no pertenece a la orden" });
+            }
+            if (creditNote._count.refunds > 0) {
+                return res.status(400).json({ error: "La nota crédito ya está asociada a otra devolución" });
+            }
+        } else {
+            const openInvoice = await findOpenInvoice(req.prisma, orderId);
+            if (openInvoice) {
+                return res.status(400).json({
+                    error: `La orden está facturada en ${formatInvoiceNumber(openInvoice)}. Emita una nota crédito e indíquela en creditNoteId.`,
+                });
+            }
+        }
+
+        const finalDestination = refundAmount > 0 ? destination : null;
+        const changedByName = `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email;
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const maxRefund = await tx.refund.findFirst({
+                where: { tenantId: req.tenantId },
+                orderBy: { number: "desc" },
+                select: { number: true },
+            });
+            const nextNumber = (maxRefund?.number || 0) + 1;
+            const refundRate = await paidExchangeRate(tx, orderId, order.exchangeRate);
+
+            const refund = await tx.refund.create({
+                data: {
+                    tenantId: req.tenantId,
+                    number: nextNumber,
+                    orderId,
+                    type,
+                    orderReduction,
+                    amount: refundAmount,
+                    exchangeRate: refundRate,
+                    destination: finalDestination,
+                    paymentMethodId: finalDestination === "ACCOUNT" ? paymentMethodId : null,
+                    creditNoteId: creditNoteId || null,
+                    cashSessionId: finalDestination === "ACCOUNT" ? await findOpenSessionId(tx, paymentMethodId) : null,
+                    reason,
+                    refundDate: refundDate ? new Date(refundDate) : new Date(),
+                    registeredBy: req.user.userId,
+                },
+            });
+
+            const updateData = {};
+            if (type === "CANCELLATION") {
+                updateData.status = "CANCELLED";
+                updateData.balance = 0;
+                updateData.cancellationReason = reason;
+
+                await tx.orderEvent.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        orderId,
+                        type: "STATUS_CHANGE",
+                        description: "Orden anulada con devolución",
+                        fromStatus: order.status,
+                        toStatus: "CANCELLED",
+                        metadata: { reason, refundId: refund.id },
+                        changedById: req.user.userId,
+                        changedByName,
+                    },
+                });
+            } else {
+                const newBalance = round(Math.max(0, balance - orderReduction), 2);
+                updateData.discount = round(parseFloat(order.discount) + orderReduction, 2);
+                updateData.total = round(total - orderReduction, 2);
+                updateData.balance = newBalance;
+
+                // If fully paid AND every item delivered, mark as COMPLETED
+                if (newBalance <= 0 && order.status === "ACTIVE" && await isFullyDelivered(tx, order.id)) {
+                    updateData.status = "COMPLETED";
+
+                    await tx.orderEvent.create({
+                        data: {
+                            tenantId: req.tenantId,
+                            orderId,
+                            type: "STATUS_CHANGE",
+                            description: "Orden completada (pagada y entregada)",
+                            fromStatus: "ACTIVE",
+                            toStatus: "COMPLETED",
+                            changedById: req.user.userId,
+                            changedByName,
+                        },
+                    });
+                }
+            }
+
+            await tx.order.update({
+                where: { id: orderId },
+                data: updateData,
+            });
+
+            await tx.orderEvent.create({
+                data: {
+                    tenantId: req.tenantId,
+                    orderId,
+                    type: "REFUND_ISSUED",
+                    description: type === "CANCELLATION"
+                        ? `Devolución #${nextNumber} por anulación (${refundAmount})`
+                        : `Devolución #${nextNumber}: orden reducida en ${orderReduction}, devuelto ${refundAmount}`,
+                    metadata: { refundId: refund.id, type, orderReduction, amount: refundAmount, destination: finalDestination },
+                    changedById: req.user.userId,
+                    changedByName,
+                },
+            });
+
+            const refundBase = toBase(refundAmount, refundRate);
+            if (refundAmount > 0 && finalDestination === "ACCOUNT") {
+                const account = await findAccountForMethod(tx, paymentMethodId);
+
+                if (account) {
+                    await tx.transaction.create({
+                        data: {
+                            tenantId: req.tenantId,
+                            accountId: account.id,
+                            type: "DEBIT",
+                            amount: refundBase,
+                            description: `Devolución #${nextNumber} orden #${order.number}`,
+                            referenceId: refund.id,
+                            referenceType: "REFUND",
+                            registeredBy: req.user.userId,
+                        },
+                    });
+
+                    await tx.account.update({
+                        where: { id: account.id },
+                        data: { balance: { decrement: refundBase } },
+                    });
+                }
+            } else if (refundAmount > 0 && finalDestination === "CUSTOMER_CREDIT") {
+                await tx.customerCreditMovement.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        customerId: order.customerId,
+                        type: "REFUND",
+                        amount: refundBase,
+                        orderId,
+                        refundId: refund.id,
+                        description: `Saldo a favor por devolución #${nextNumber} (orden #${order.number})`,
+                        registeredBy: req.user.userId,
+                    },
+                });
+            }
+
+            return refund;
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error creating refund:", error.message);
+        res.status(500).json({ error: "Failed to create refund" });
+    }
+});
+
+/**
+ * GET /api/refunds
+ * List refunds with filters
+ */
+router.get("/", rbac("orders", "read"), async (req, res) => {
+    try {
+        const { orderId, customerId, type, destination, from, to, page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const where = {};
+        if (orderId) where.orderId = orderId;
+        if (customerId) where.order = { customerId };
+        if (type) where.type = type;
+        if (destination) where.destination = destination;
+        if (from || to) {
+            where.refundDate = {};
+
+            const config = await req.prisma.financialConfig.findFirst({
+                where: { tenantId: req.tenantId },
+                select: { timezone: true }
+            });
+            const tz = config?.timezone || 'UTC';
+
+            if (from) {
+                const bounds = getDayBounds(from, tz);
+                where.refundDate.gte = bounds.startOfDay;
+            }
+            if (to) {
+                const bounds = getDayBounds(to, tz);
+                where.refundDate.lte = bounds.endOfDay;
+            }
+        }
+
+        const [refunds, total] = await Promise.all([
+            req.prisma.refund.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { refundDate: "desc" },
+                include: {
+                    order: { select: { id: true, number: true, customer: { select: { id: true, name: true } } } },
+                    paymentMethod: { select: { id: true, name: true } },
+                    creditNote: { select: { id: true, prefix: true, number: true } },
+                },
+            }),
+            req.prisma.refund.count({ where }),
+        ]);
+
+        res.json({ success: true, data: refunds, total, page: parseInt(page), limit: parseInt(limit) });
+    } catch (error) {
+        console.error("❌ Error listing refunds:", error.message);
+        res.status(500).json({ error: "Failed to list refunds" });
+    }
+});
+
+/**
+ * GET /api/refunds/:id
+ */
+router.get("/:id", rbac("orders", "read"), async (req, res) => {
+    try {
+        const refund = await req.prisma.refund.findFirst({
+            where: { id: req.params.id },
+            include: {
+                order: { include: { customer: { select: { id: true, name: true, identification: true } } } },
+                paymentMethod: { select: { id: true, name: true } },
+                creditNote: { select: { id: true, prefix: true, number: true, total: true, cufe: true } },
+                creditMovements: true,
+            },
+        });
+
+        if (!refund) {
+            return res.status(404).json({ error: "Refund not found" });
+        }
+
+        res.json({ success: true, data: refund });
+    } catch (error) {
+        console.error("❌ Error getting refund:", error.message);
+        res.status(500).json({ error: "Failed to get refund" });
+    }
+});
+
+module.exports = router;
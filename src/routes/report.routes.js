@@ -1,12 +1,30 @@
 const express = require("express");
 const rbac = require("../middlewares/rbac.middleware");
 const { getDayBounds, getMonthBounds } = require("../utils/date.util");
+const { toBase, sumInBase } = require("../utils/currency.util");
+const { getJobCosts } = require("../utils/jobCost.util");
+const { getWorkflow, stageName } = require("../utils/workflow.util");
+const { round } = require("../utils/math.util");
 const axios = require("axios");
 
 const router = express.Router();
 
 // --- HELPER FUNCTIONS ---
 
+/**
+ * Report totals are in the tenant's base currency. Merges groupBy rows split by exchangeRate
+ * into one row per `key`, each converted at its rate.
+ */
+function mergeInBase(groups, key, field = "amount") {
+    const map = {};
+    groups.forEach((g) => {
+        if (!map[g[key]]) map[g[key]] = { [key]: g[key], total: 0, count: 0 };
+        map[g[key]].total += toBase(g._sum[field], g.exchangeRate);
+        map[g[key]].count += g._count;
+    });
+    return Object.values(map);
+}
+
 async function getDailyData(prisma, tenantId, filterDate) {
     const config = await prisma.financialConfig.findFirst({
         where: { tenantId },
@@ -20,7 +38,7 @@ async function getDailyData(prisma, tenantId, filterDate) {
 
     const dateFilter = { gte: startOfDay, lte: endOfDay };
 
-    const [payments, expenses, ordersCreated] = await Promise.all([
+    const [paymentRows, expenses, refundRows, cashSessions, ordersCreated] = await Promise.all([
         prisma.payment.findMany({
             where: { paymentDate: dateFilter },
             include: {
@@ -35,22 +53,49 @@ async function getDailyData(prisma, tenantId, filterDate) {
                 category: { select: { name: true } },
                 paymentMethod: { select: { id: true, name: true } },
                 supplier: { select: { name: true } },
+                feeOfPayment: { select: { id: true } },
+                feeOfReceipt: { select: { id: true } },
             },
             orderBy: { expenseDate: "asc" },
         }),
+        prisma.refund.findMany({
+            where: { refundDate: dateFilter, amount: { gt: 0 } },
+            include: {
+                order: { select: { number: true, customer: { select: { name: true } } } },
+                paymentMethod: { select: { id: true, name: true } },
+            },
+            orderBy: { refundDate: "asc" },
+        }),
+        // Cash sessions (turnos) opened or closed during the day
+        prisma.cashSession.findMany({
+            where: { OR: [{ openedAt: dateFilter }, { closedAt: dateFilter }] },
+            include: {
+                account: { select: { id: true, name: true } },
+            },
+            orderBy: { openedAt: "asc" },
+        }),
         prisma.order.count({
             where: { orderDate: dateFilter },
         }),
     ]);
 
-    const totalIncome = payments.reduce((sum, p) => sum + parseFloat(p.amount), 0);
+    const payments = paymentRows.map((p) => ({ ...p, baseAmount: toBase(p.amount, p.exchangeRate) }));
+    const refunds = refundRows.map((r) => ({ ...r, baseAmount: toBase(r.amount, r.exchangeRate) }));
+
+    const totalIncome = payments.reduce((sum, p) => sum + p.baseAmount, 0);
     const totalExpense = expenses.reduce((sum, e) => sum + parseFloat(e.amount), 0);
+    // Only refunds paid out of an account leave the register; customer credit stays in the business
+    const accountRefunds = refunds.filter((r) => r.destination === "ACCOUNT");
+    const totalRefunds = accountRefunds.reduce((sum, r) => sum + r.baseAmount, 0);
+    const totalCreditRefunds = refunds
+        .filter((r) => r.destination === "CUSTOMER_CREDIT")
+        .reduce((sum, r) => sum + r.baseAmount, 0);
 
     const incomeByMethodMap = {};
     payments.forEach((p) => {
         const name = p.paymentMethod?.name || "Sin medio";
         if (!incomeByMethodMap[name]) incomeByMethodMap[name] = { method: name, transactions: 0, total: 0 };
-        incomeByMethodMap[name].total += parseFloat(p.amount);
+        incomeByMethodMap[name].total += p.baseAmount;
         incomeByMethodMap[name].transactions += 1;
     });
 
@@ -62,19 +107,52 @@ async function getDailyData(prisma, tenantId, filterDate) {
         expensesByMethodMap[name].transactions += 1;
     });
 
+    // Payment method commissions (already part of the expenses) broken out by method
+    const feeExpenses = expenses.filter((e) => e.feeOfPayment || e.feeOfReceipt);
+    const totalFees = feeExpenses.reduce((sum, e) => sum + parseFloat(e.amount), 0);
+    const feesByMethodMap = {};
+    feeExpenses.forEach((e) => {
+        const name = e.paymentMethod?.name || "Sin medio";
+        if (!feesByMethodMap[name]) feesByMethodMap[name] = { method: name, transactions: 0, total: 0 };
+        feesByMethodMap[name].total += parseFloat(e.amount);
+        feesByMethodMap[name].transactions += 1;
+    });
+
+    const refundsByMethodMap = {};
+    accountRefunds.forEach((r) => {
+        const name = r.paymentMethod?.name || "Sin medio";
+        if (!refundsByMethodMap[name]) refundsByMethodMap[name] = { method: name, transactions: 0, total: 0 };
+        refundsByMethodMap[name].total += r.baseAmount;
+        refundsByMethodMap[name].transactions += 1;
+    });
+
+    const closedSessions = cashSessions.filter((s) => s.status === "CLOSED");
+    const cashDifference = closedSessions.reduce((sum, s) => sum + parseFloat(s.difference || 0), 0);
+
     return {
         date: startOfDay,
         dateString: bounds.dateUsed,
         payments,
         expenses,
+        refunds,
         totalIncome,
         totalExpense,
-        net: totalIncome - totalExpense,
+        totalRefunds,
+        totalCreditRefunds,
+        totalFees,
+        net: totalIncome - totalExpense - totalRefunds,
         ordersCreated,
         incomeByMethodMap,
         expensesByMethodMap,
+        refundsByMethodMap,
+        feesByMethodMap,
         incomeByMethod: Object.values(incomeByMethodMap).map(m => ({ ...m, count: m.transactions })),
-        expensesByMethod: Object.values(expensesByMethodMap).map(m => ({ ...m, count: m.transactions }))
+        expensesByMethod: Object.values(expensesByMethodMap).map(m => ({ ...m, count: m.transactions })),
+        refundsByMethod: Object.values(refundsByMethodMap).map(m => ({ ...m, count: m.transactions })),
+        feesByMethod: Object.values(feesByMethodMap).map(m => ({ ...m, count: m.transactions })),
+        cashSessions,
+        openSessions: cashSessions.length - closedSessions.length,
+        cashDifference
     };
 }
 
@@ -96,12 +174,15 @@ async function getMonthlyData(prisma, tenantId, year, month) {
         paymentsByMethod,
         expensesByCategory,
         expensesByMethod,
+        refunds,
+        feesByMethod,
         ordersSummary,
+        orderTaxes,
         paymentMethods,
         categories,
     ] = await Promise.all([
         prisma.payment.groupBy({
-            by: ["paymentMethodId"],
+            by: ["paymentMethodId", "exchangeRate"],
             where: { paymentDate: dateFilter },
             _sum: { amount: true },
             _count: true,
@@ -118,11 +199,31 @@ async function getMonthlyData(prisma, tenantId, year, month) {
             _sum: { amount: true },
             _count: true,
         }),
-        prisma.order.aggregate({
+        // Refunds take the rate they were paid out at
+        prisma.refund.findMany({
+            where: { refundDate: dateFilter, destination: { in: ["ACCOUNT", "CUSTOMER_CREDIT"] } },
+            select: { paymentMethodId: true, destination: true, amount: true, exchangeRate: true },
+        }),
+        // Payment method commissions (expenses linked to a payment or receipt)
+        prisma.expense.groupBy({
+            by: ["paymentMethodId"],
+            where: {
+                expenseDate: dateFilter,
+                OR: [{ feeOfPayment: { isNot: null } }, { feeOfReceipt: { isNot: null } }],
+            },
+            _sum: { amount: true },
+            _count: true,
+        }),
+        prisma.order.groupBy({
+            by: ["exchangeRate"],
             where: { orderDate: dateFilter },
             _sum: { total: true },
             _count: true,
         }),
+        prisma.orderTax.findMany({
+            where: { order: { orderDate: dateFilter, status: { not: "CANCELLED" } } },
+            select: { name: true, rate: true, base: true, amount: true, order: { select: { exchangeRate: true } } },
+        }),
         prisma.paymentMethod.findMany({ select: { id: true, name: true } }),
         prisma.category.findMany({ select: { id: true, name: true } }),
     ]);
@@ -132,16 +233,43 @@ async function getMonthlyData(prisma, tenantId, year, month) {
     const categoryMap = {};
     categories.forEach((c) => { categoryMap[c.id] = c.name; });
 
-    const totalIncome = paymentsByMethod.reduce((sum, g) => sum + Number(g._sum.amount || 0), 0);
+    const incomeByMethod = mergeInBase(paymentsByMethod, "paymentMethodId");
+
+    const refundsMap = {};
+    let totalCreditRefunds = 0;
+    refunds.forEach((r) => {
+        const amount = toBase(r.amount, r.exchangeRate);
+        if (r.destination === "CUSTOMER_CREDIT") {
+            totalCreditRefunds += amount;
+            return;
+        }
+        if (!refundsMap[r.paymentMethodId]) refundsMap[r.paymentMethodId] = { paymentMethodId: r.paymentMethodId, total: 0, count: 0 };
+        refundsMap[r.paymentMethodId].total += amount;
+        refundsMap[r.paymentMethodId].count += 1;
+    });
+    const refundsByMethod = Object.values(refundsMap);
+
+    const taxesMap = {};
+    orderTaxes.forEach((t) => {
+        const key = `${t.name}|${t.rate}`;
+        if (!taxesMap[key]) taxesMap[key] = { name: t.name, rate: Number(t.rate), base: 0, total: 0, count: 0 };
+        taxesMap[key].base += toBase(t.base, t.order.exchangeRate);
+        taxesMap[key].total += toBase(t.amount, t.order.exchangeRate);
+        taxesMap[key].count += 1;
+    });
+
+    const totalIncome = incomeByMethod.reduce((sum, g) => sum + g.total, 0);
     const totalExpenses = expensesByCategory.reduce((sum, g) => sum + Number(g._sum.amount || 0), 0);
-    const netIncome = totalIncome - totalExpenses;
+    const totalRefunds = refundsByMethod.reduce((sum, g) => sum + g.total, 0);
+    const totalFees = feesByMethod.reduce((sum, g) => sum + Number(g._sum.amount || 0), 0);
+    const netIncome = totalIncome - totalExpenses - totalRefunds;
 
-    const byMethod = paymentsByMethod.map((g) => ({
+    const byMethod = incomeByMethod.map((g) => ({
         name: methodMap[g.paymentMethodId] || "Sin medio",
         method: methodMap[g.paymentMethodId] || "Sin medio",
-        total: Number(g._sum.amount || 0),
-        count: g._count,
-        transactions: g._count,
+        total: g.total,
+        count: g.count,
+        transactions: g.count,
     }));
 
     const byCategory = expensesByCategory.map((g) => ({
@@ -160,19 +288,44 @@ async function getMonthlyData(prisma, tenantId, year, month) {
         transactions: g._count,
     }));
 
+    const refByMethod = refundsByMethod.map((g) => ({
+        name: methodMap[g.paymentMethodId] || "Sin medio",
+        method: methodMap[g.paymentMethodId] || "Sin medio",
+        total: g.total,
+        count: g.count,
+        transactions: g.count,
+    }));
+
+    const feeByMethod = feesByMethod.map((g) => ({
+        name: methodMap[g.paymentMethodId] || "Sin medio",
+        method: methodMap[g.paymentMethodId] || "Sin medio",
+        total: Number(g._sum.amount || 0),
+        count: g._count,
+        transactions: g._count,
+    }));
+
+    const byTax = Object.values(taxesMap);
+
     return {
         year: y,
         month: m,
         totalIncome,
         totalExpenses,
+        totalRefunds,
+        totalCreditRefunds,
+        totalFees,
         netIncome,
         ordersSummary: {
-            count: ordersSummary._count,
-            total: Number(ordersSummary._sum.total || 0),
+            count: ordersSummary.reduce((sum, g) => sum + g._count, 0),
+            total: sumInBase(ordersSummary, "total"),
         },
         byMethod,
         byCategory,
         expensesByMethod: exByMethod,
+        refundsByMethod: refByMethod,
+        feesByMethod: feeByMethod,
+        byTax,
+        totalTaxes: byTax.reduce((sum, t) => sum + t.total, 0),
     };
 }
 
@@ -217,18 +370,20 @@ router.get("/dashboard", rbac("dashboard", "read"), async (req, res) => {
             portfolioBalance,
             accounts,
             customersThisMonth,
-            topClientsBySales,
-            topClientsWithDebt,
+            clientSales,
+            clientDebts,
             expensesByCategory,
             ordersByOpStatus,
         ] = await Promise.all([
             // Sales this month
-            req.prisma.payment.aggregate({
+            req.prisma.payment.groupBy({
+                by: ["exchangeRate"],
                 where: { paymentDate: { gte: startOfMonth } },
                 _sum: { amount: true },
             }),
             // Sales last month
-            req.prisma.payment.aggregate({
+            req.prisma.payment.groupBy({
+                by: ["exchangeRate"],
                 where: { paymentDate: { gte: startOfLastMonth, lte: endOfLastMonth } },
                 _sum: { amount: true },
             }),
@@ -245,13 +400,15 @@ router.get("/dashboard", rbac("dashboard", "read"), async (req, res) => {
             // Active orders
             req.prisma.order.count({ where: { status: "ACTIVE" } }),
             // Portfolio balance
-            req.prisma.order.aggregate({
+            req.prisma.order.groupBy({
+                by: ["exchangeRate"],
                 where: { status: "ACTIVE", balance: { gt: 0 } },
                 _sum: { balance: true },
             }),
             // Accounts
             req.prisma.account.findMany({
-                include: { paymentMethod: { select: { name: true } } },
+                where: { isActive: true },
+                orderBy: { createdAt: "asc" },
             }),
             // Distinct customers this month
             req.prisma.order.findMany({
@@ -259,23 +416,19 @@ router.get("/dashboard", rbac("dashboard", "read"), async (req, res) => {
                 select: { customerId: true },
                 distinct: ["customerId"],
             }),
-            // Top 5 clients by total orders this month
+            // Clients by total orders this month (top 5 picked once converted to base currency)
             req.prisma.order.groupBy({
-                by: ["customerId"],
+                by: ["customerId", "exchangeRate"],
                 where: { orderDate: { gte: startOfMonth }, status: { not: "CANCELLED" } },
                 _sum: { total: true },
                 _count: true,
-                orderBy: { _sum: { total: "desc" } },
-                take: 5,
             }),
-            // Top 5 clients with most debt
+            // Clients with debt
             req.prisma.order.groupBy({
-                by: ["customerId"],
+                by: ["customerId", "exchangeRate"],
                 where: { status: "ACTIVE", balance: { gt: 0 } },
                 _sum: { balance: true },
                 _count: true,
-                orderBy: { _sum: { balance: "desc" } },
-                take: 5,
             }),
             // Expenses by category this month
             req.prisma.expense.groupBy({
@@ -292,6 +445,15 @@ router.get("/dashboard", rbac("dashboard", "read"), async (req, res) => {
             }),
         ]);
 
+        const workflow = await getWorkflow(req.prisma);
+
+        const topClientsBySales = mergeInBase(clientSales, "customerId", "total")
+            .sort((a, b) => b.total - a.total)
+            .slice(0, 5);
+        const topClientsWithDebt = mergeInBase(clientDebts, "customerId", "balance")
+            .sort((a, b) => b.total - a.total)
+            .slice(0, 5);
+
         // Resolve customer names for top lists
         const allCustomerIds = [
             ...topClientsBySales.map((c) => c.customerId),
@@ -316,9 +478,9 @@ router.get("/dashboard", rbac("dashboard", "read"), async (req, res) => {
             : [];
         const categoryMap = Object.fromEntries(categories.map((c) => [c.id, c]));
 
-        const sales = salesThisMonth._sum.amount || 0;
+        const sales = sumInBase(salesThisMonth);
         const expenses = expensesThisMonth._sum.amount || 0;
-        const salesPrev = salesLastMonth._sum.amount || 0;
+        const salesPrev = sumInBase(salesLastMonth);
         const expensesPrev = expensesLastMonth._sum.amount || 0;
 
         res.json({
@@ -333,26 +495,27 @@ router.get("/dashboard", rbac("dashboard", "read"), async (req, res) => {
                 expensesChange: expensesPrev > 0 ? ((expenses - expensesPrev) / Number(expensesPrev)) * 100 : null,
                 profitThisMonth: sales - expenses,
                 activeOrders: activeOrdersCount,
-                portfolioBalance: portfolioBalance._sum.balance || 0,
+                portfolioBalance: sumInBase(portfolioBalance, "balance"),
                 customersThisMonth: customersThisMonth.length,
 
                 // Accounts
                 accounts: accounts.map((a) => ({
                     id: a.id,
-                    name: a.paymentMethod.name,
+                    name: a.name,
+                    type: a.type,
                     balance: a.balance,
                 })),
 
                 // Top clients
                 topClientsBySales: topClientsBySales.map((c) => ({
                     ...customerMap[c.customerId],
-                    totalSales: c._sum.total || 0,
-                    orderCount: c._count,
+                    totalSales: c.total,
+                    orderCount: c.count,
                 })),
                 topClientsWithDebt: topClientsWithDebt.map((c) => ({
                     ...customerMap[c.customerId],
-                    totalDebt: c._sum.balance || 0,
-                    orderCount: c._count,
+                    totalDebt: c.total,
+                    orderCount: c.count,
                 })),
 
                 // Expense breakdown
@@ -365,6 +528,7 @@ router.get("/dashboard", rbac("dashboard", "read"), async (req, res) => {
                 // Operational status breakdown
                 ordersByOperationalStatus: ordersByOpStatus.map((o) => ({
                     status: o.operationalStatus,
+                    name: stageName(workflow, o.operationalStatus),
                     count: o._count,
                 })),
             },
@@ -426,7 +590,8 @@ router.get("/portfolio", rbac("portfolio", "read"), async (req, res) => {
                 },
             }),
             req.prisma.order.count({ where }),
-            req.prisma.order.aggregate({
+            req.prisma.order.groupBy({
+                by: ["exchangeRate"],
                 where,
                 _sum: { balance: true }
             })
@@ -440,7 +605,8 @@ router.get("/portfolio", rbac("portfolio", "read"), async (req, res) => {
             return { ...o, daysOverdue };
         });
 
-        const totalBalance = balanceAgg._sum.balance || 0;
+        // Each order's balance is in its currency; the total is in base currency
+        const totalBalance = sumInBase(balanceAgg, "balance");
         const pages = Math.ceil(totalOrders / take);
 
         res.json({ success: true, data: enriched, totalBalance, count: totalOrders, page: parseInt(page), pages });
@@ -450,9 +616,204 @@ router.get("/portfolio", rbac("portfolio", "read"), async (req, res) => {
     }
 });
 
+const AGING_BUCKETS = [
+    { key: "current", label: "Por vencer", from: -Infinity, to: 0 },
+    { key: "days1to30", label: "1-30 días", from: 1, to: 30 },
+    { key: "days31to60", label: "31-60 días", from: 31, to: 60 },
+    { key: "days61to90", label: "61-90 días", from: 61, to: 90 },
+    { key: "over90", label: "Más de 90 días", from: 91, to: Infinity },
+];
+
+/**
+ * GET /api/reports/payables-aging
+ * Accounts payable (open supplier bills) per supplier, aged by days past due.
+ * Bills without due date age from their bill date.
+ */
+router.get("/payables-aging", rbac("payables", "read"), async (req, res) => {
+    try {
+        const { supplierId } = req.query;
+
+        const where = { status: "OPEN", balance: { gt: 0 } };
+        if (supplierId) where.supplierId = supplierId;
+
+        const bills = await req.prisma.supplierBill.findMany({
+            where,
+            select: {
+                id: true, number: true, billNumber: true, billDate: true, dueDate: true, balance: true,
+                supplier: { select: { id: true, name: true, identification: true } },
+            },
+            orderBy: { billDate: "asc" },
+        });
+
+        const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0]));
+        const now = new Date();
+        const supplierMap = {};
+        const totals = { ...emptyBuckets(), total: 0, bills: 0 };
+
+        bills.forEach((bill) => {
+            const due = bill.dueDate || bill.billDate;
+            const daysOverdue = Math.floor((now - new Date(due)) / (1000 * 60 * 60 * 24));
+            const bucket = AGING_BUCKETS.find((b) => daysOverdue >= b.from && daysOverdue <= b.to);
+            const balance = parseFloat(bill.balance);
+
+            if (!supplierMap[bill.supplier.id]) {
+                supplierMap[bill.supplier.id] = { supplier: bill.supplier, ...emptyBuckets(), total: 0, bills: 0, oldestDaysOverdue: 0 };
+            }
+            const row = supplierMap[bill.supplier.id];
+            row[bucket.key] += balance;
+            row.total += balance;
+            row.bills += 1;
+            row.oldestDaysOverdue = Math.max(row.oldestDaysOverdue, daysOverdue);
+
+            totals[bucket.key] += balance;
+            totals.total += balance;
+            totals.bills += 1;
+        });
+
+        const suppliers = Object.values(supplierMap).sort((a, b) => b.total - a.total);
+
+        res.json({
+            success: true,
+            data: {
+                buckets: AGING_BUCKETS.map((b) => ({ key: b.key, label: b.label })),
+                suppliers,
+                totals,
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error getting payables aging:", error.message);
+        res.status(500).json({ error: "Failed to get payables aging" });
+    }
+});
+
+/**
+ * GET /api/reports/profitability
+ * Gross margin of the orders placed in a date range (default: current month), ranked by
+ * order, product and customer. Cancelled orders are left out. An order's revenue and cost
+ * are split across its products in proportion to each item's line total.
+ * Query: dateFrom?, dateTo?, customerId?, limit? (orders listed, default 50)
+ */
+router.get("/profitability", rbac("reports", "read"), async (req, res) => {
+    try {
+        const { dateFrom, dateTo, customerId, limit = 50 } = req.query;
+
+        const config = await req.prisma.financialConfig.findFirst({
+            where: { tenantId: req.tenantId },
+            select: { timezone: true }
+        });
+        const tz = config?.timezone || 'UTC';
+
+        const month = getMonthBounds(null, null, tz);
+        const where = {
+            status: { not: "CANCELLED" },
+            orderDate: {
+                gte: dateFrom ? getDayBounds(dateFrom, tz).startOfDay : month.startOfMonth,
+                lte: dateTo ? getDayBounds(dateTo, tz).endOfDay : month.endOfMonth,
+            },
+        };
+        if (customerId) where.customerId = customerId;
+
+        const orders = await req.prisma.order.findMany({
+            where,
+            select: {
+                id: true, number: true, orderDate: true, status: true, operationalStatus: true,
+                subtotal: true, discount: true, currency: true, exchangeRate: true,
+                customer: { select: { id: true, name: true } },
+                items: { select: { productId: true, lineTotal: true, product: { select: { name: true } } } },
+            },
+            orderBy: { orderDate: "asc" },
+        });
+
+        const costs = await getJobCosts(req.prisma, orders);
+
+        const emptyRow = () => ({ orders: 0, revenue: 0, materialCost: 0, expenseCost: 0, totalCost: 0, grossMargin: 0 });
+        const addTo = (row, cost, share = 1) => {
+            row.revenue += cost.revenue * share;
+            row.materialCost += cost.materialCost * share;
+            row.expenseCost += cost.expenseCost * share;
+            row.totalCost += cost.totalCost * share;
+            row.grossMargin += cost.grossMargin * share;
+        };
+        const finish = (row) => {
+            for (const key of ["revenue", "materialCost", "expenseCost", "totalCost", "grossMargin"]) {
+                row[key] = round(row[key]);
+            }
+            row.marginPercentage = row.revenue > 0 ? round(row.grossMargin / row.revenue * 100, 2) : null;
+            return row;
+        };
+
+        const totals = emptyRow();
+        const productMap = {};
+        const customerMap = {};
+        const orderRows = [];
+
+        orders.forEach((order) => {
+            const cost = costs.get(order.id);
+            orderRows.push({
+                id: order.id,
+                number: order.number,
+                orderDate: order.orderDate,
+                status: order.status,
+                operationalStatus: order.operationalStatus,
+                currency: order.currency,
+                customer: order.customer,
+                ...cost,
+            });
+
+            totals.orders += 1;
+            addTo(totals, cost);
+
+            if (!customerMap[order.customer.id]) {
+                customerMap[order.customer.id] = { customer: order.customer, ...emptyRow() };
+            }
+            customerMap[order.customer.id].orders += 1;
+            addTo(customerMap[order.customer.id], cost);
+
+            const itemsTotal = order.items.reduce((sum, item) => sum + parseFloat(item.lineTotal), 0);
+            const productsCounted = new Set();
+            order.items.forEach((item) => {
+                const key = item.productId || "none";
+                if (!productMap[key]) {
+                    productMap[key] = {
+                        product: { id: item.productId, name: item.product?.name || "Sin producto" },
+                        ...emptyRow(),
+                    };
+                }
+                const share = itemsTotal > 0 ? parseFloat(item.lineTotal) / itemsTotal : 1 / order.items.length;
+                // Several lines of the same product still count as one order
+                if (!productsCounted.has(key)) {
+                    productsCounted.add(key);
+                    productMap[key].orders += 1;
+                }
+                addTo(productMap[key], cost, share);
+            });
+        });
+
+        const byMargin = (a, b) => b.grossMargin - a.grossMargin;
+
+        res.json({
+            success: true,
+            data: {
+                from: where.orderDate.gte,
+                to: where.orderDate.lte,
+                totals: finish(totals),
+                orders: orderRows.sort(byMargin).slice(0, parseInt(limit)),
+                products: Object.values(productMap).map(finish).sort(byMargin),
+                customers: Object.values(customerMap).map(finish).sort(byMargin),
+                estimatedOrders: orderRows.filter(o => o.materialCostEstimated).length,
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error getting profitability report:", error.message);
+        res.status(500).json({ error: "Failed to get profitability report" });
+    }
+});
+
 /**
  * GET /api/reports/daily
- * Daily report: payments and expenses with breakdown by payment method
+ * Daily report: payments, expenses and refunds with breakdown by payment method
+ * (payment method commissions broken out of the expenses),
+ * plus the cash sessions (turnos) opened or closed that day with their count differences
  */
 router.get("/daily", rbac("reports", "read"), async (req, res) => {
     try {
@@ -465,12 +826,21 @@ router.get("/daily", rbac("reports", "read"), async (req, res) => {
                 date: data.dateString,
                 payments: data.payments,
                 expenses: data.expenses,
+                refunds: data.refunds,
                 totalIncome: data.totalIncome,
                 totalExpense: data.totalExpense,
+                totalRefunds: data.totalRefunds,
+                totalCreditRefunds: data.totalCreditRefunds,
+                totalFees: data.totalFees,
                 net: data.net,
                 ordersCreated: data.ordersCreated,
                 incomeByMethod: data.incomeByMethod,
                 expensesByMethod: data.expensesByMethod,
+                refundsByMethod: data.refundsByMethod,
+                feesByMethod: data.feesByMethod,
+                cashSessions: data.cashSessions,
+                openSessions: data.openSessions,
+                cashDifference: data.cashDifference,
             },
         });
     } catch (error) {
@@ -497,12 +867,14 @@ router.get("/daily/pdf", rbac("reports", "read"), async (req, res) => {
         // Formato para la vista del documento DocForge
         const incomeByMethod = Object.values(data.incomeByMethodMap).map(m => ({ ...m, total: m.total.toString() }));
         const expensesByMethod = Object.values(data.expensesByMethodMap).map(m => ({ ...m, total: m.total.toString() }));
+        const refundsByMethod = Object.values(data.refundsByMethodMap).map(m => ({ ...m, total: m.total.toString() }));
+        const feesByMethod = Object.values(data.feesByMethodMap).map(m => ({ ...m, total: m.total.toString() }));
 
         const paymentsList = data.payments.map(p => ({
             orderNumber: p.order?.number || 0,
             customer: p.order?.customer?.name || "N/A",
             method: p.paymentMethod?.name || "Sin medio",
-            amount: parseFloat(p.amount).toString()
+            amount: p.baseAmount.toString()
         }));
 
         const expenseDetails = data.expenses.map(e => ({
@@ -512,6 +884,26 @@ router.get("/daily/pdf", rbac("reports", "read"), async (req, res) => {
             amount: parseFloat(e.amount).toString()
         }));
 
+        const refundDetails = data.refunds.map(r => ({
+            number: r.number,
+            orderNumber: r.order?.number || 0,
+            customer: r.order?.customer?.name || "N/A",
+            destination: r.destination === "CUSTOMER_CREDIT" ? "Saldo a favor" : (r.paymentMethod?.name || "Sin medio"),
+            amount: r.baseAmount.toString()
+        }));
+
+        const cashSessions = data.cashSessions.map(s => ({
+            number: s.number,
+            method: s.account?.name || "Sin cuenta",
+            status: s.status,
+            openedByName: s.openedByName,
+            closedByName: s.closedByName || "",
+            openingFloat: parseFloat(s.openingFloat).toString(),
+            expected: s.expectedAmount !== null ? parseFloat(s.expectedAmount).toString() : "",
+            counted: s.countedAmount !== null ? parseFloat(s.countedAmount).toString() : "",
+            difference: s.difference !== null ? parseFloat(s.difference).toString() : ""
+        }));
+
         const dateStr = data.dateString.split('-').reverse().join('/'); // DD/MM/YYYY
 
         const documentData = {
@@ -526,8 +918,16 @@ router.get("/daily/pdf", rbac("reports", "read"), async (req, res) => {
             incomeTotalAmount: data.totalIncome.toString(),
             expensesByMethod,
             expensesTotalAmount: data.totalExpense.toString(),
+            refundsByMethod,
+            refundsTotalAmount: data.totalRefunds.toString(),
+            creditRefundsTotalAmount: data.totalCreditRefunds.toString(),
+            feesByMethod,
+            feesTotalAmount: data.totalFees.toString(),
             payments: paymentsList,
             expenseDetails,
+            refunds: refundDetails,
+            cashSessions,
+            cashDifference: data.cashDifference.toString(),
             documentId: `CORTE-${dateStr.replace(/\//g, '')}`,
             signature: "N/A"
         };
@@ -552,7 +952,8 @@ router.get("/daily/pdf", rbac("reports", "read"), async (req, res) => {
 
 /**
  * GET /api/reports/monthly
- * Monthly summary with breakdowns by payment method and expense category
+ * Monthly summary with breakdowns by payment method and expense category,
+ * and payment method commissions by method
  */
 router.get("/monthly", rbac("reports", "read"), async (req, res) => {
     try {
@@ -566,11 +967,18 @@ router.get("/monthly", rbac("reports", "read"), async (req, res) => {
                 month: data.month,
                 totalIncome: data.totalIncome,
                 totalExpenses: data.totalExpenses,
+                totalRefunds: data.totalRefunds,
+                totalCreditRefunds: data.totalCreditRefunds,
+                totalFees: data.totalFees,
                 netIncome: data.netIncome,
                 ordersSummary: data.ordersSummary,
                 byMethod: data.byMethod,
                 byCategory: data.byCategory,
                 expensesByMethod: data.expensesByMethod,
+                refundsByMethod: data.refundsByMethod,
+                feesByMethod: data.feesByMethod,
+                byTax: data.byTax,
+                totalTaxes: data.totalTaxes,
             },
         });
     } catch (error) {
@@ -606,12 +1014,31 @@ router.get("/monthly/pdf", rbac("reports", "read"), async (req, res) => {
             transactions: g.transactions,
         }));
 
+        const refundsByMethodForm = data.refundsByMethod.map((g) => ({
+            method: g.method,
+            total: g.total.toString(),
+            transactions: g.transactions,
+        }));
+
+        const feesByMethodForm = data.feesByMethod.map((g) => ({
+            method: g.method,
+            total: g.total.toString(),
+            transactions: g.transactions,
+        }));
+
         const expensesByCategoryForm = data.byCategory.map((g) => ({
             category: g.category,
             total: g.total.toString(),
             quantity: g.quantity,
         }));
 
+        const taxesByTypeForm = data.byTax.map((g) => ({
+            name: g.name,
+            rate: g.rate.toString(),
+            base: g.base.toString(),
+            total: g.total.toString(),
+        }));
+
         const monthNames = ["Enero", "Febrero", "Marzo", "Abril", "Mayo", "Junio", "Julio", "Agosto", "Septiembre", "Octubre", "Noviembre", "Diciembre"];
         const dateStr = `${monthNames[data.month - 1]} ${data.year}`;
 
@@ -628,7 +1055,14 @@ router.get("/monthly/pdf", rbac("reports", "read"), async (req, res) => {
             incomeTotalAmount: data.totalIncome.toString(),
             expensesByMethod: expensesByMethodForm,
             expensesTotalAmount: data.totalExpenses.toString(),
+            refundsByMethod: refundsByMethodForm,
+            refundsTotalAmount: data.totalRefunds.toString(),
+            creditRefundsTotalAmount: data.totalCreditRefunds.toString(),
+            feesByMethod: feesByMethodForm,
+            feesTotalAmount: data.totalFees.toString(),
             expensesByCategory: expensesByCategoryForm,
+            taxesByType: taxesByTypeForm,
+            taxesTotalAmount: data.totalTaxes.toString(),
             documentId: `CORTE-${data.month}-${data.year}`,
             signature: "N/A"
         };
@@ -1,13 +1,28 @@
 const express = require("express");
 const rbac = require("../middlewares/rbac.middleware");
+const { computeDv } = require("../utils/ubl.util");
+const { getDayBounds } = require("../utils/date.util");
+const { getWorkflow, normalizeWorkflow } = require("../utils/workflow.util");
 
 const router = express.Router();
 
 // ─── Payment Methods ──────────────────────────────────────
 
+// Commission rule: feePercentage (0-100) and/or feeFixed (>= 0)
+function validateFee(feePercentage, feeFixed) {
+    if (feePercentage !== undefined && !(parseFloat(feePercentage) >= 0 && parseFloat(feePercentage) <= 100)) {
+        return "feePercentage must be between 0 and 100";
+    }
+    if (feeFixed !== undefined && !(parseFloat(feeFixed) >= 0)) {
+        return "feeFixed must be greater than or equal to 0";
+    }
+    return null;
+}
+
 router.get("/payment-methods", rbac("settings", "read"), async (req, res) => {
     try {
         const methods = await req.prisma.paymentMethod.findMany({
+            include: { account: { select: { id: true, name: true, type: true } } },
             orderBy: { name: "asc" },
         });
         res.json({ success: true, data: methods });
@@ -18,14 +33,38 @@ router.get("/payment-methods", rbac("settings", "read"), async (req, res) => {
 
 router.post("/payment-methods", rbac("settings", "update"), async (req, res) => {
     try {
-        const { name } = req.body;
+        const { name, accountId, accountType, feePercentage, feeFixed } = req.body;
         if (!name) return res.status(400).json({ error: "name is required" });
 
-        const method = await req.prisma.paymentMethod.create({ data: { tenantId: req.tenantId, name } });
+        const feeError = validateFee(feePercentage, feeFixed);
+        if (feeError) return res.status(400).json({ error: feeError });
 
-        // Auto-create account for this payment method
-        await req.prisma.account.create({
-            data: { tenantId: req.tenantId, paymentMethodId: method.id, balance: 0 },
+        if (accountId) {
+            const account = await req.prisma.account.findFirst({ where: { id: accountId } });
+            if (!account) return res.status(404).json({ error: "Account not found" });
+        }
+
+        const method = await req.prisma.$transaction(async (tx) => {
+            // Without a target account, money goes to an account named after the method
+            let targetId = accountId;
+            if (!targetId) {
+                const existing = await tx.account.findFirst({ where: { name } });
+                targetId = existing
+                    ? existing.id
+                    : (await tx.account.create({
+                        data: { tenantId: req.tenantId, name, type: accountType || "CASH", balance: 0 },
+                    })).id;
+            }
+
+            return tx.paymentMethod.create({
+                data: {
+                    tenantId: req.tenantId,
+                    name,
+                    accountId: targetId,
+                    ...(feePercentage !== undefined && { feePercentage: parseFloat(feePercentage) }),
+                    ...(feeFixed !== undefined && { feeFixed: parseFloat(feeFixed) }),
+                },
+            });
         });
 
         res.status(201).json({ success: true, data: method });
@@ -37,10 +76,25 @@ router.post("/payment-methods", rbac("settings", "update"), async (req, res) =>
 
 router.put("/payment-methods/:id", rbac("settings", "update"), async (req, res) => {
     try {
-        const { name, isActive } = req.body;
+        const { name, isActive, accountId, feePercentage, feeFixed } = req.body;
+
+        const feeError = validateFee(feePercentage, feeFixed);
+        if (feeError) return res.status(400).json({ error: feeError });
+
+        if (accountId) {
+            const account = await req.prisma.account.findFirst({ where: { id: accountId } });
+            if (!account) return res.status(404).json({ error: "Account not found" });
+        }
+
         const method = await req.prisma.paymentMethod.update({
             where: { id: req.params.id },
-            data: { name, isActive },
+            data: {
+                name,
+                isActive,
+                accountId,
+                ...(feePercentage !== undefined && { feePercentage: parseFloat(feePercentage) }),
+                ...(feeFixed !== undefined && { feeFixed: parseFloat(feeFixed) }),
+            },
         });
         res.json({ success: true, data: method });
     } catch (error) {
@@ -136,6 +190,103 @@ router.get("/suppliers", rbac("settings", "read"), async (req, res) => {
     }
 });
 
+/**
+ * GET /api/settings/suppliers/:id
+ * Supplier with its bills (cuentas por pagar) and summary stats
+ */
+router.get("/suppliers/:id", rbac("payables", "read"), async (req, res) => {
+    try {
+        const { dateFrom, dateTo, status, page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const supplier = await req.prisma.supplier.findFirst({
+            where: { id: req.params.id },
+        });
+
+        if (!supplier) {
+            return res.status(404).json({ error: "Supplier not found" });
+        }
+
+        // Build bill filter
+        const billWhere = { supplierId: req.params.id };
+        if (status) billWhere.status = status;
+        if (dateFrom || dateTo) {
+            billWhere.billDate = {};
+
+            const config = await req.prisma.financialConfig.findFirst({
+                where: { tenantId: req.tenantId },
+                select: { timezone: true }
+            });
+            const tz = config?.timezone || 'UTC';
+
+            if (dateFrom) billWhere.billDate.gte = getDayBounds(dateFrom, tz).startOfDay;
+            if (dateTo) billWhere.billDate.lte = getDayBounds(dateTo, tz).endOfDay;
+        }
+
+        // Fetch filtered bills + aggregates in parallel
+        const [bills, billCount, totalStats, debtStats, overdueStats, directExpenses] = await Promise.all([
+            req.prisma.supplierBill.findMany({
+                where: billWhere,
+                skip,
+                take: parseInt(limit),
+                orderBy: { billDate: "desc" },
+                select: {
+                    id: true, number: true, billNumber: true, description: true, billDate: true,
+                    dueDate: true, total: true, balance: true, status: true,
+                },
+            }),
+            req.prisma.supplierBill.count({ where: billWhere }),
+            // Lifetime purchases on credit
+            req.prisma.supplierBill.aggregate({
+                where: { supplierId: req.params.id, status: { not: "CANCELLED" } },
+                _sum: { total: true },
+                _count: true,
+            }),
+            // Current debt (open bills)
+            req.prisma.supplierBill.aggregate({
+                where: { supplierId: req.params.id, status: "OPEN" },
+                _sum: { balance: true },
+                _count: true,
+            }),
+            // Past due
+            req.prisma.supplierBill.aggregate({
+                where: { supplierId: req.params.id, status: "OPEN", dueDate: { lt: new Date() } },
+                _sum: { balance: true },
+                _count: true,
+            }),
+            // Purchases paid on the spot (expenses not tied to a bill)
+            req.prisma.expense.aggregate({
+                where: { supplierId: req.params.id, supplierBillId: null },
+                _sum: { amount: true },
+                _count: true,
+            }),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                ...supplier,
+                bills,
+                billTotal: billCount,
+                billPage: parseInt(page),
+                billLimit: parseInt(limit),
+                stats: {
+                    totalBills: totalStats._count,
+                    totalBilled: totalStats._sum.total || 0,
+                    totalDebt: debtStats._sum.balance || 0,
+                    openBills: debtStats._count,
+                    overdueDebt: overdueStats._sum.balance || 0,
+                    overdueBills: overdueStats._count,
+                    cashPurchases: directExpenses._sum.amount || 0,
+                    cashPurchaseCount: directExpenses._count,
+                },
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to get supplier" });
+    }
+});
+
 router.post("/suppliers", rbac("settings", "update"), async (req, res) => {
     try {
         const { name, identification, phone, email } = req.body;
@@ -171,7 +322,7 @@ router.delete("/suppliers/:id", rbac("settings", "delete"), async (req, res) =>
         res.json({ success: true, message: "Supplier deleted" });
     } catch (error) {
         if (error.code === "P2025") return res.status(404).json({ error: "Supplier not found" });
-        if (error.code === "P2003") return res.status(400).json({ error: "No se puede eliminar: tiene egresos asociados" });
+        if (error.code === "P2003") return res.status(400).json({ error: "No se puede eliminar: tiene egresos, facturas u órdenes de compra asociados" });
         res.status(500).json({ error: "Failed to delete supplier" });
     }
 });
@@ -228,6 +379,305 @@ router.delete("/tax-configs/:id", rbac("settings", "delete"), async (req, res) =
     }
 });
 
+// ─── Withholding Types ────────────────────────────────────
+
+const WITHHOLDING_KINDS = ["RETEFUENTE", "RETEIVA", "RETEICA"];
+
+router.get("/withholding-types", rbac("settings", "read"), async (req, res) => {
+    try {
+        const { kind } = req.query;
+        const where = {};
+        if (kind) where.kind = kind;
+
+        const types = await req.prisma.withholdingType.findMany({
+            where,
+            orderBy: [{ kind: "asc" }, { name: "asc" }],
+        });
+        res.json({ success: true, data: types });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to list withholding types" });
+    }
+});
+
+router.post("/withholding-types", rbac("settings", "update"), async (req, res) => {
+    try {
+        const { name, kind, rate } = req.body;
+        if (!name || !kind || rate === undefined) return res.status(400).json({ error: "name, kind and rate are required" });
+        if (!WITHHOLDING_KINDS.includes(kind)) return res.status(400).json({ error: `Invalid kind. Valid: ${WITHHOLDING_KINDS.join(", ")}` });
+
+        const type = await req.prisma.withholdingType.create({
+            data: { tenantId: req.tenantId, name, kind, rate },
+        });
+        res.status(201).json({ success: true, data: type });
+    } catch (error) {
+        if (error.code === "P2002") return res.status(409).json({ error: "Withholding type already exists" });
+        res.status(500).json({ error: "Failed to create withholding type" });
+    }
+});
+
+router.put("/withholding-types/:id", rbac("settings", "update"), async (req, res) => {
+    try {
+        const { name, kind, rate, isActive } = req.body;
+        if (kind !== undefined && !WITHHOLDING_KINDS.includes(kind)) return res.status(400).json({ error: `Invalid kind. Valid: ${WITHHOLDING_KINDS.join(", ")}` });
+
+        const type = await req.prisma.withholdingType.update({
+            where: { id: req.params.id },
+            data: { name, kind, rate, isActive },
+        });
+        res.json({ success: true, data: type });
+    } catch (error) {
+        if (error.code === "P2025") return res.status(404).json({ error: "Withholding type not found" });
+        res.status(500).json({ error: "Failed to update withholding type" });
+    }
+});
+
+router.delete("/withholding-types/:id", rbac("settings", "delete"), async (req, res) => {
+    try {
+        await req.prisma.withholdingType.delete({ where: { id: req.params.id } });
+        res.json({ success: true, message: "Withholding type deleted" });
+    } catch (error) {
+        if (error.code === "P2025") return res.status(404).json({ error: "Withholding type not found" });
+        res.status(500).json({ error: "Failed to delete withholding type" });
+    }
+});
+
+// ─── Electronic Invoicing ─────────────────────────────────
+
+router.get("/invoicing", rbac("settings", "read"), async (req, res) => {
+    try {
+        const config = await req.prisma.invoicingConfig.findFirst();
+        res.json({ success: true, data: config });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to get invoicing config" });
+    }
+});
+
+router.put("/invoicing", rbac("settings", "update"), async (req, res) => {
+    try {
+        const {
+            nit, dv, legalName, tradeName, taxLevelCode, address,
+            cityCode, cityName, departmentCode, departmentName,
+            email, phone, softwareId, softwarePin, environment,
+        } = req.body;
+
+        if (!nit || !legalName || !address || !cityCode || !cityName || !departmentCode || !departmentName || !softwareId || !softwarePin) {
+            return res.status(400).json({
+                error: "nit, legalName, address, cityCode, cityName, departmentCode, departmentName, softwareId and softwarePin are required",
+            });
+        }
+        if (environment !== undefined && ![1, 2].includes(parseInt(environment))) {
+            return res.status(400).json({ error: "environment must be 1 (producción) or 2 (pruebas)" });
+        }
+
+        const cleanNit = String(nit).replace(/\D/g, "");
+        const data = {
+            nit: cleanNit,
+            dv: dv !== undefined && dv !== "" ? String(dv) : computeDv(cleanNit),
+            legalName,
+            tradeName,
+            taxLevelCode,
+            address,
+            cityCode,
+            cityName,
+            departmentCode,
+            departmentName,
+            email,
+            phone,
+            softwareId,
+            softwarePin,
+            environment: environment !== undefined ? parseInt(environment) : undefined,
+        };
+
+        const config = await req.prisma.invoicingConfig.upsert({
+            where: { tenantId: req.tenantId },
+            update: data,
+            create: { tenantId: req.tenantId, ...data },
+        });
+
+        res.json({ success: true, data: config });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to update invoicing config" });
+    }
+});
+
+const RESOLUTION_DOCUMENT_TYPES = ["INVOICE", "CREDIT_NOTE"];
+
+router.get("/invoice-resolutions", rbac("settings", "read"), async (req, res) => {
+    try {
+        const resolutions = await req.prisma.invoiceResolution.findMany({
+            orderBy: [{ documentType: "asc" }, { validFrom: "desc" }],
+            include: { _count: { select: { invoices: true } } },
+        });
+        res.json({ success: true, data: resolutions });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to list invoice resolutions" });
+    }
+});
+
+router.post("/invoice-resolutions", rbac("settings", "update"), async (req, res) => {
+    try {
+        const { documentType = "INVOICE", resolutionNumber, prefix = "", rangeFrom, rangeTo, validFrom, validTo, technicalKey } = req.body;
+
+        if (!resolutionNumber || !rangeFrom || !rangeTo || !validFrom || !validTo) {
+            return res.status(400).json({ error: "resolutionNumber, rangeFrom, rangeTo, validFrom and validTo are required" });
+        }
+        if (!RESOLUTION_DOCUMENT_TYPES.includes(documentType)) {
+            return res.status(400).json({ error: `Invalid documentType. Valid: ${RESOLUTION_DOCUMENT_TYPES.join(", ")}` });
+        }
+        if (parseInt(rangeFrom) > parseInt(rangeTo)) {
+            return res.status(400).json({ error: "rangeFrom must be less than or equal to rangeTo" });
+        }
+        if (documentType === "INVOICE" && !technicalKey) {
+            return res.status(400).json({ error: "technicalKey is required for invoice resolutions" });
+        }
+
+        const resolution = await req.prisma.invoiceResolution.create({
+            data: {
+                tenantId: req.tenantId,
+                documentType,
+                resolutionNumber,
+                prefix,
+                rangeFrom: parseInt(rangeFrom),
+                rangeTo: parseInt(rangeTo),
+                validFrom: new Date(validFrom),
+                validTo: new Date(validTo),
+                technicalKey,
+            },
+        });
+        res.status(201).json({ success: true, data: resolution });
+    } catch (error) {
+        if (error.code === "P2002") return res.status(409).json({ error: "Invoice resolution already exists" });
+        res.status(500).json({ error: "Failed to create invoice resolution" });
+    }
+});
+
+router.put("/invoice-resolutions/:id", rbac("settings", "update"), async (req, res) => {
+    try {
+        const { rangeTo, validTo, technicalKey, isActive } = req.body;
+
+        // Prefix, número y rango inicial identifican la numeración ya usada; sólo se permite extenderla o desactivarla
+        const resolution = await req.prisma.invoiceResolution.update({
+            where: { id: req.params.id },
+            data: {
+                rangeTo: rangeTo !== undefined ? parseInt(rangeTo) : undefined,
+                validTo: validTo ? new Date(validTo) : undefined,
+                technicalKey,
+                isActive,
+            },
+        });
+        res.json({ success: true, data: resolution });
+    } catch (error) {
+        if (error.code === "P2025") return res.status(404).json({ error: "Invoice resolution not found" });
+        res.status(500).json({ error: "Failed to update invoice resolution" });
+    }
+});
+
+router.delete("/invoice-resolutions/:id", rbac("settings", "delete"), async (req, res) => {
+    try {
+        const used = await req.prisma.invoice.count({ where: { resolutionId: req.params.id } });
+        if (used > 0) {
+            return res.status(400).json({ error: "La resolución ya tiene documentos emitidos. Desactívela en lugar de eliminarla." });
+        }
+
+        await req.prisma.invoiceResolution.delete({ where: { id: req.params.id } });
+        res.json({ success: true, message: "Invoice resolution deleted" });
+    } catch (error) {
+        if (error.code === "P2025") return res.status(404).json({ error: "Invoice resolution not found" });
+        res.status(500).json({ error: "Failed to delete invoice resolution" });
+    }
+});
+
+// ─── Exchange Rates ───────────────────────────────────────
+
+// Manually maintained rates to the base currency; each one applies from its effectiveDate
+// until the next one of the same currency.
+router.get("/exchange-rates", rbac("settings", "read"), async (req, res) => {
+    try {
+        const { currency } = req.query;
+        const rates = await req.prisma.exchangeRate.findMany({
+            where: currency ? { currency: currency.toUpperCase() } : {},
+            orderBy: [{ currency: "asc" }, { effectiveDate: "desc" }],
+        });
+        res.json({ success: true, data: rates });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to list exchange rates" });
+    }
+});
+
+router.post("/exchange-rates", rbac("settings", "update"), async (req, res) => {
+    try {
+        const { currency, rate, effectiveDate, notes } = req.body;
+
+        if (!currency || !rate || !effectiveDate) {
+            return res.status(400).json({ error: "currency, rate and effectiveDate are required" });
+        }
+        const code = currency.toUpperCase();
+        if (!/^[A-Z]{3}$/.test(code)) {
+            return res.status(400).json({ error: "currency must be an ISO 4217 code (e.g. USD)" });
+        }
+        if (!(parseFloat(rate) > 0)) {
+            return res.status(400).json({ error: "rate must be greater than 0" });
+        }
+
+        const config = await req.prisma.financialConfig.findFirst({ select: { currency: true } });
+        if (code === (config?.currency || "COP")) {
+            return res.status(400).json({ error: "La moneda base no necesita tasa de cambio" });
+        }
+
+        const exchangeRate = await req.prisma.exchangeRate.create({
+            data: {
+                tenantId: req.tenantId,
+                currency: code,
+                rate: parseFloat(rate),
+                effectiveDate: new Date(effectiveDate),
+                notes,
+                createdBy: req.user.userId,
+            },
+        });
+        res.status(201).json({ success: true, data: exchangeRate });
+    } catch (error) {
+        if (error.code === "P2002") return res.status(409).json({ error: "Ya existe una tasa para esa moneda en esa fecha" });
+        res.status(500).json({ error: "Failed to create exchange rate" });
+    }
+});
+
+router.put("/exchange-rates/:id", rbac("settings", "update"), async (req, res) => {
+    try {
+        const { rate, notes } = req.body;
+
+        if (rate !== undefined && !(parseFloat(rate) > 0)) {
+            return res.status(400).json({ error: "rate must be greater than 0" });
+        }
+
+        const existing = await req.prisma.exchangeRate.findFirst({ where: { id: req.params.id } });
+        if (!existing) return res.status(404).json({ error: "Exchange rate not found" });
+
+        // Orders and payments keep the rate they were registered with
+        const exchangeRate = await req.prisma.exchangeRate.update({
+            where: { id: req.params.id },
+            data: {
+                rate: rate !== undefined ? parseFloat(rate) : undefined,
+                notes,
+            },
+        });
+        res.json({ success: true, data: exchangeRate });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to update exchange rate" });
+    }
+});
+
+router.delete("/exchange-rates/:id", rbac("settings", "delete"), async (req, res) => {
+    try {
+        const existing = await req.prisma.exchangeRate.findFirst({ where: { id: req.params.id } });
+        if (!existing) return res.status(404).json({ error: "Exchange rate not found" });
+
+        await req.prisma.exchangeRate.delete({ where: { id: req.params.id } });
+        res.json({ success: true, message: "Exchange rate deleted" });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to delete exchange rate" });
+    }
+});
+
 // ─── Financial Config ─────────────────────────────────────
 
 router.get("/financial", rbac("settings", "read"), async (req, res) => {
@@ -249,16 +699,47 @@ router.get("/financial", rbac("settings", "read"), async (req, res) => {
 
 router.put("/financial", rbac("settings", "update"), async (req, res) => {
     try {
-        const { currency, timezone, dueDate } = req.body;
+        const { currency, timezone, dueDate, feeCategoryId, stuckAfterHours } = req.body;
+
+        // Existing amounts and exchange rates are expressed against the current base currency
+        if (currency) {
+            const current = await req.prisma.financialConfig.findFirst({ select: { currency: true } });
+            if (current && current.currency !== currency) {
+                const orderCount = await req.prisma.order.count();
+                if (orderCount > 0) {
+                    return res.status(400).json({ error: "No se puede cambiar la moneda base: ya hay órdenes registradas" });
+                }
+            }
+        }
+
+        // Category where payment method commissions are posted
+        if (feeCategoryId) {
+            const category = await req.prisma.category.findFirst({ where: { id: feeCategoryId } });
+            if (!category) return res.status(404).json({ error: "Category not found" });
+            if (category.type === "INCOME") return res.status(400).json({ error: "feeCategoryId must be an expense category" });
+        }
+
+        // Production board threshold for stuck orders
+        if (stuckAfterHours !== undefined && !(parseInt(stuckAfterHours) > 0)) {
+            return res.status(400).json({ error: "stuckAfterHours must be a positive number of hours" });
+        }
 
         const config = await req.prisma.financialConfig.upsert({
             where: { tenantId: req.tenantId },
-            update: { currency, timezone, dueDate: dueDate ? new Date(dueDate) : null },
+            update: {
+                currency,
+                timezone,
+                dueDate: dueDate ? new Date(dueDate) : null,
+                ...(feeCategoryId !== undefined && { feeCategoryId: feeCategoryId || null }),
+                ...(stuckAfterHours !== undefined && { stuckAfterHours: parseInt(stuckAfterHours) }),
+            },
             create: {
                 tenantId: req.tenantId,
                 currency: currency || "COP",
                 timezone: timezone || "America/Bogota",
                 dueDate: dueDate ? new Date(dueDate) : null,
+                feeCategoryId: feeCategoryId || null,
+                ...(stuckAfterHours !== undefined && { stuckAfterHours: parseInt(stuckAfterHours) }),
             },
         });
 
@@ -268,4 +749,70 @@ router.put("/financial", rbac("settings", "update"), async (req, res) => {
     }
 });
 
+// ─── Operational Workflow ─────────────────────────────────
+
+router.get("/workflow", rbac("settings", "read"), async (req, res) => {
+    try {
+        const workflow = await getWorkflow(req.prisma);
+        res.json({ success: true, data: workflow });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to get workflow" });
+    }
+});
+
+/**
+ * PUT /api/settings/workflow
+ * Replace the tenant's operational workflow. Stages go in display order (the first one is
+ * where new orders start); transitions list every allowed move { from, to }.
+ * Stages still holding items of active orders can't be removed.
+ */
+router.put("/workflow", rbac("settings", "update"), async (req, res) => {
+    try {
+        const { stages, transitions, error } = normalizeWorkflow(req.body);
+        if (error) return res.status(400).json({ error });
+
+        // Items move on their own, so a stage may hold items of orders sitting in an earlier one
+        const inUse = await req.prisma.orderItem.groupBy({
+            by: ["operationalStatus"],
+            where: { order: { status: "ACTIVE" }, operationalStatus: { notIn: stages.map(s => s.key) } },
+            _count: { id: true },
+        });
+        if (inUse.length > 0) {
+            const detail = inUse.map(g => `${g.operationalStatus} (${g._count.id} items)`).join(", ");
+            return res.status(400).json({ error: `No se pueden eliminar etapas con órdenes activas: ${detail}` });
+        }
+
+        const workflow = await req.prisma.$transaction(async (tx) => {
+            // Transitions cascade with their stages
+            await tx.workflowStage.deleteMany({ where: { tenantId: req.tenantId } });
+            // Stage assignments follow their stage; whole-order ones (stage null) are kept
+            await tx.orderAssignment.deleteMany({
+                where: { tenantId: req.tenantId, stage: { notIn: stages.map(s => s.key) } },
+            });
+
+            const ids = {};
+            for (const stage of stages) {
+                const created = await tx.workflowStage.create({
+                    data: { tenantId: req.tenantId, ...stage },
+                });
+                ids[stage.key] = created.id;
+            }
+
+            await tx.workflowTransition.createMany({
+                data: transitions.map(t => ({
+                    tenantId: req.tenantId,
+                    fromStageId: ids[t.from],
+                    toStageId: ids[t.to],
+                })),
+            });
+
+            return getWorkflow(tx);
+        });
+
+        res.json({ success: true, data: workflow });
+    } catch (error) {
+        res.status(500).json({ error: "Failed to update workflow" });
+    }
+});
+
 module.exports = router;
@@ -12,19 +12,48 @@ const APP_RESOURCES = [
     { resource: "orders", action: "update", description: "Operaciones en órdenes (pagos, anulación, estado)" },
     { resource: "orders", action: "edit", description: "Editar datos de una orden (cliente, items, notas)" },
     { resource: "orders", action: "apply_discount", description: "Aplicar descuentos en órdenes" },
+    { resource: "quotes", action: "create", description: "Crear cotizaciones" },
+    { resource: "quotes", action: "read", description: "Ver cotizaciones" },
+    { resource: "quotes", action: "update", description: "Operaciones en cotizaciones (estado, convertir en orden)" },
+    { resource: "quotes", action: "edit", description: "Editar datos de una cotización (items, notas, vigencia)" },
+    { resource: "quotes", action: "delete", description: "Eliminar cotizaciones" },
+    { resource: "invoices", action: "create", description: "Emitir facturas electrónicas y notas crédito" },
+    { resource: "invoices", action: "read", description: "Ver facturas electrónicas" },
+    { resource: "invoices", action: "update", description: "Enviar facturas electrónicas a la DIAN" },
     { resource: "payments", action: "edit", description: "Editar pagos registrados" },
     { resource: "payments", action: "delete", description: "Eliminar pagos registrados" },
+    { resource: "payments", action: "refund", description: "Registrar devoluciones (anular o reducir órdenes con pagos)" },
     { resource: "customers", action: "read", description: "Ver clientes" },
     { resource: "customers", action: "create", description: "Crear clientes" },
     { resource: "customers", action: "edit", description: "Editar datos de clientes" },
     { resource: "customers", action: "delete", description: "Eliminar clientes" },
     { resource: "cashier", action: "read", description: "Ver caja" },
     { resource: "cashier", action: "update", description: "Operar en caja" },
+    { resource: "ledger", action: "read", description: "Verificar integridad de saldos (cuentas y órdenes)" },
+    { resource: "ledger", action: "repair", description: "Reparar saldos descuadrados" },
+    { resource: "reconciliation", action: "read", description: "Ver extractos bancarios y conciliaciones" },
+    { resource: "reconciliation", action: "update", description: "Importar extractos, conciliar movimientos y cerrar periodos" },
     { resource: "expenses", action: "read", description: "Ver egresos" },
     { resource: "expenses", action: "create", description: "Crear egresos" },
     { resource: "expenses", action: "edit", description: "Editar egresos" },
     { resource: "expenses", action: "delete", description: "Eliminar egresos" },
     { resource: "portfolio", action: "read", description: "Ver cartera" },
+    { resource: "payables", action: "read", description: "Ver cuentas por pagar a proveedores" },
+    { resource: "payables", action: "create", description: "Registrar facturas de proveedores a crédito" },
+    { resource: "payables", action: "update", description: "Editar facturas de proveedores y registrar abonos" },
+    { resource: "payables", action: "delete", description: "Anular facturas de proveedores" },
+    { resource: "purchases", action: "read", description: "Ver órdenes de compra" },
+    { resource: "purchases", action: "create", description: "Crear órdenes de compra a proveedores" },
+    { resource: "purchases", action: "update", description: "Editar, enviar y recibir órdenes de compra" },
+    { resource: "purchases", action: "delete", description: "Anular órdenes de compra" },
+    { resource: "inventory", action: "read", description: "Ver stock, movimientos y valorización de materiales" },
+    { resource: "inventory", action: "adjust", description: "Registrar ajustes, mermas y consumos de materiales" },
+    { resource: "production", action: "read", description: "Ver tablero de producción y tiempos por etapa" },
+    { resource: "production", action: "assign", description: "Asignar órdenes y etapas al personal de producción" },
+    { resource: "workflow", action: "approve", description: "Mover órdenes a etapas que requieren aprobación" },
+    { resource: "workflow", action: "produce", description: "Mover órdenes a etapas de producción restringidas" },
+    { resource: "workflow", action: "finish", description: "Mover órdenes a etapas de terminado/control de calidad" },
+    { resource: "workflow", action: "deliver", description: "Mover órdenes a etapas de entrega" },
     { resource: "reports", action: "read", description: "Generar reportes/cortes" },
     { resource: "reports", action: "print", description: "Imprimir reportes" },
     { resource: "products", action: "read", description: "Ver catálogo de productos" },
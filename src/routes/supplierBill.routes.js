@@ -0,0 +1,443 @@
+const express = require("express");
+const rbac = require("../middlewares/rbac.middleware");
+const { isReconciled } = require("../utils/account.util");
+const { getDayBounds } = require("../utils/date.util");
+const { findOpenSessionId } = require("../utils/cashSession.util");
+const { registerExpenseDebit, reverseExpenseDebit } = require("../utils/expense.util");
+const { round } = require("../utils/math.util");
+
+const router = express.Router();
+
+/**
+ * Label of a bill for expense descriptions: the supplier's number when there is one
+ */
+function billLabel(bill) {
+    return bill.billNumber ? `factura ${bill.billNumber}` : `factura proveedor #${bill.number}`;
+}
+
+/**
+ * GET /api/supplier-bills
+ * List supplier bills (cuentas por pagar) with filters.
+ * overdue=true returns open bills past their due date.
+ */
+router.get("/", rbac("payables", "read"), async (req, res) => {
+    try {
+        const { supplierId, status, overdue, search, from, to, page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const where = {};
+        if (supplierId) where.supplierId = supplierId;
+        if (status) where.status = status;
+        if (overdue === "true") {
+            where.status = "OPEN";
+            where.dueDate = { lt: new Date() };
+        }
+        if (from || to) {
+            where.billDate = {};
+
+            const config = await req.prisma.financialConfig.findFirst({
+                where: { tenantId: req.tenantId },
+                select: { timezone: true }
+            });
+            const tz = config?.timezone || 'UTC';
+
+            if (from) {
+                const bounds = getDayBounds(from, tz);
+                where.billDate.gte = bounds.startOfDay;
+            }
+            if (to) {
+                const bounds = getDayBounds(to, tz);
+                where.billDate.lte = bounds.endOfDay;
+            }
+        }
+        if (search) {
+            where.OR = [
+                { description: { contains: search, mode: "insensitive" } },
+                { billNumber: { contains: search, mode: "insensitive" } },
+                { supplier: { name: { contains: search, mode: "insensitive" } } },
+            ];
+        }
+
+        const [bills, total] = await Promise.all([
+            req.prisma.supplierBill.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: [{ dueDate: { sort: "asc", nulls: "last" } }, { billDate: "asc" }],
+                include: {
+                    supplier: { select: { id: true, name: true } },
+                    category: { select: { id: true, name: true } },
+                },
+            }),
+            req.prisma.supplierBill.count({ where }),
+        ]);
+
+        res.json({ success: true, data: bills, total, page: parseInt(page), limit: parseInt(limit) });
+    } catch (error) {
+        console.error("❌ Error listing supplier bills:", error.message);
+        res.status(500).json({ error: "Failed to list supplier bills" });
+    }
+});
+
+/**
+ * GET /api/supplier-bills/:id
+ * Bill with its payments (expenses)
+ */
+router.get("/:id", rbac("payables", "read"), async (req, res) => {
+    try {
+        const bill = await req.prisma.supplierBill.findFirst({
+            where: { id: req.params.id },
+            include: {
+                supplier: true,
+                category: { select: { id: true, name: true } },
+                payments: {
+                    orderBy: { expenseDate: "asc" },
+                    include: { paymentMethod: { select: { id: true, name: true } } },
+                },
+            },
+        });
+
+        if (!bill) {
+            return res.status(404).json({ error: "Supplier bill not found" });
+        }
+
+        res.json({ success: true, data: bill });
+    } catch (error) {
+        console.error("❌ Error getting supplier bill:", error.message);
+        res.status(500).json({ error: "Failed to get supplier bill" });
+    }
+});
+
+/**
+ * POST /api/supplier-bills
+ * Register a purchase on credit. Nothing leaves the accounts until it is paid.
+ * Body: { supplierId, categoryId, description, total, billNumber?, billDate?, dueDate?, notes? }
+ */
+router.post("/", rbac("payables", "create"), async (req, res) => {
+    try {
+        const { supplierId, categoryId, description, total, billNumber, billDate, dueDate, notes } = req.body;
+
+        if (!supplierId || !categoryId || !description || !total) {
+            return res.status(400).json({ error: "supplierId, categoryId, description and total are required" });
+        }
+
+        const billTotal = round(parseFloat(total), 2);
+        if (!(billTotal > 0)) {
+            return res.status(400).json({ error: "total must be greater than 0" });
+        }
+
+        const [supplier, category] = await Promise.all([
+            req.prisma.supplier.findFirst({ where: { id: supplierId } }),
+            req.prisma.category.findFirst({ where: { id: categoryId } }),
+        ]);
+        if (!supplier || !supplier.isActive) {
+            return res.status(400).json({ error: "El proveedor no existe o se encuentra inactivo." });
+        }
+        if (!category || category.type === "INCOME") {
+            return res.status(400).json({ error: "categoryId must be an expense category" });
+        }
+
+        const issued = billDate ? new Date(billDate) : new Date();
+        if (dueDate && new Date(dueDate) < issued) {
+            return res.status(400).json({ error: "dueDate must be on or after billDate" });
+        }
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const maxBill = await tx.supplierBill.findFirst({
+                where: { tenantId: req.tenantId },
+                orderBy: { number: "desc" },
+                select: { number: true },
+            });
+            const nextNumber = (maxBill?.number || 0) + 1;
+
+            return tx.supplierBill.create({
+                data: {
+                    tenantId: req.tenantId,
+                    number: nextNumber,
+                    supplierId,
+                    categoryId,
+                    billNumber,
+                    description,
+                    billDate: issued,
+                    dueDate: dueDate ? new Date(dueDate) : null,
+                    total: billTotal,
+                    balance: billTotal,
+                    registeredBy: req.user.userId,
+                    notes,
+                },
+                include: {
+                    supplier: { select: { id: true, name: true } },
+                    category: { select: { id: true, name: true } },
+                },
+            });
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error creating supplier bill:", error.message);
+        res.status(500).json({ error: "Failed to create supplier bill" });
+    }
+});
+
+/**
+ * PUT /api/supplier-bills/:id
+ * Edit an open bill. The total can't go below what was already paid, and bills created by a
+ * goods receipt keep the total of what was received.
+ */
+router.put("/:id", rbac("payables", "update"), async (req, res) => {
+    try {
+        const { description, total, billNumber, billDate, dueDate, categoryId, notes } = req.body;
+
+        const bill = await req.prisma.supplierBill.findFirst({
+            where: { id: req.params.id },
+            include: { purchaseReceipt: { select: { number: true } } },
+        });
+
+        if (!bill) {
+            return res.status(404).json({ error: "Supplier bill not found" });
+        }
+
+        if (bill.status === "CANCELLED") {
+            return res.status(400).json({ error: "Cancelled bills can't be edited" });
+        }
+
+        if (total !== undefined && bill.purchaseReceipt) {
+            return res.status(400).json({
+                error: `La factura corresponde a la recepción de mercancía #${bill.purchaseReceipt.number}: su total no se puede cambiar.`,
+            });
+        }
+
+        if (categoryId) {
+            const category = await req.prisma.category.findFirst({ where: { id: categoryId } });
+            if (!category || category.type === "INCOME") {
+                return res.status(400).json({ error: "categoryId must be an expense category" });
+            }
+        }
+
+        const updateData = {
+            ...(description !== undefined && { description }),
+            ...(billNumber !== undefined && { billNumber }),
+            ...(billDate !== undefined && { billDate: new Date(billDate) }),
+            ...(dueDate !== undefined && { dueDate: dueDate ? new Date(dueDate) : null }),
+            ...(categoryId && { categoryId }),
+            ...(notes !== undefined && { notes }),
+        };
+
+        if (total !== undefined) {
+            const newTotal = round(parseFloat(total), 2);
+            const paid = round(parseFloat(bill.total) - parseFloat(bill.balance), 2);
+            if (!(newTotal > 0) || newTotal < paid) {
+                return res.status(400).json({ error: `total must be greater than 0 and at least what was already paid (${paid})` });
+            }
+            updateData.total = newTotal;
+            updateData.balance = round(newTotal - paid, 2);
+            updateData.status = newTotal - paid > 0 ? "OPEN" : "PAID";
+        }
+
+        const updated = await req.prisma.supplierBill.update({
+            where: { id: req.params.id },
+            data: updateData,
+            include: {
+                supplier: { select: { id: true, name: true } },
+                category: { select: { id: true, name: true } },
+            },
+        });
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        console.error("❌ Error updating supplier bill:", error.message);
+        res.status(500).json({ error: "Failed to update supplier bill" });
+    }
+});
+
+/**
+ * PUT /api/supplier-bills/:id/cancel
+ * Cancel a bill without payments. Bills created by a goods receipt can't be cancelled: the
+ * goods are already in stock.
+ */
+router.put("/:id/cancel", rbac("payables", "delete"), async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        const bill = await req.prisma.supplierBill.findFirst({
+            where: { id: req.params.id },
+            include: {
+                purchaseReceipt: { select: { number: true } },
+                _count: { select: { payments: true } },
+            },
+        });
+
+        if (!bill) {
+            return res.status(404).json({ error: "Supplier bill not found" });
+        }
+
+        if (bill.status === "CANCELLED") {
+            return res.status(400).json({ error: "Bill is already cancelled" });
+        }
+
+        if (bill.purchaseReceipt) {
+            return res.status(400).json({
+                error: `No se puede anular: la factura corresponde a la recepción de mercancía #${bill.purchaseReceipt.number}, que ya entró al inventario.`,
+            });
+        }
+
+        if (bill._count.payments > 0) {
+            return res.status(400).json({
+                error: `No se puede anular: la factura tiene ${bill._count.payments} abono(s). Elimine los abonos primero.`,
+            });
+        }
+
+        const updated = await req.prisma.supplierBill.update({
+            where: { id: req.params.id },
+            data: { status: "CANCELLED", balance: 0, cancellationReason: reason },
+        });
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        console.error("❌ Error cancelling supplier bill:", error.message);
+        res.status(500).json({ error: "Failed to cancel supplier bill" });
+    }
+});
+
+/**
+ * POST /api/supplier-bills/:id/payments
+ * Pay part or all of a bill. The payment is registered as an expense of the bill's
+ * category, so it leaves the account of paymentMethodId and shows in cash sessions and reports.
+ * Body: { paymentMethodId, amount, paymentDate?, notes? }
+ */
+router.post("/:id/payments", rbac("payables", "update"), async (req, res) => {
+    try {
+        const { paymentMethodId, amount, paymentDate, notes } = req.body;
+
+        if (!paymentMethodId || !amount) {
+            return res.status(400).json({ error: "paymentMethodId and amount are required" });
+        }
+
+        const paymentAmount = round(parseFloat(amount), 2);
+        if (!(paymentAmount > 0)) {
+            return res.status(400).json({ error: "amount must be greater than 0" });
+        }
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const pm = await tx.paymentMethod.findFirst({
+                where: { id: paymentMethodId, tenantId: req.tenantId },
+            });
+            if (!pm || !pm.isActive) {
+                throw new Error("El medio de pago seleccionado no está activo o no existe.");
+            }
+
+            const bill = await tx.supplierBill.findFirst({
+                where: { id: req.params.id },
+                include: { supplier: { select: { name: true } } },
+            });
+
+            if (!bill) {
+                throw new Error("Supplier bill not found");
+            }
+
+            if (bill.status !== "OPEN") {
+                throw new Error("Only open bills can receive payments");
+            }
+
+            const balance = parseFloat(bill.balance);
+            if (paymentAmount > balance) {
+                throw new Error(`El abono supera el saldo de la factura (${balance})`);
+            }
+
+            const maxExpense = await tx.expense.findFirst({
+                where: { tenantId: req.tenantId },
+                orderBy: { number: "desc" },
+                select: { number: true },
+            });
+            const nextNumber = (maxExpense?.number || 0) + 1;
+
+            const expense = await tx.expense.create({
+                data: {
+                    tenantId: req.tenantId,
+                    number: nextNumber,
+                    expenseDate: paymentDate ? new Date(paymentDate) : new Date(),
+                    description: `Abono ${billLabel(bill)} - ${bill.supplier.name}`,
+                    amount: paymentAmount,
+                    invoiceNumber: bill.billNumber,
+                    supplierId: bill.supplierId,
+                    paymentMethodId,
+                    categoryId: bill.categoryId,
+                    cashSessionId: await findOpenSessionId(tx, paymentMethodId),
+                    supplierBillId: bill.id,
+                    registeredBy: req.user.userId,
+                    notes,
+                },
+                include: { paymentMethod: { select: { id: true, name: true } } },
+            });
+
+            await registerExpenseDebit(tx, expense, req.user.userId);
+
+            const newBalance = round(balance - paymentAmount, 2);
+            const updatedBill = await tx.supplierBill.update({
+                where: { id: bill.id },
+                data: { balance: newBalance, status: newBalance <= 0 ? "PAID" : "OPEN" },
+            });
+
+            return { payment: expense, bill: updatedBill };
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error registering supplier bill payment:", error.message);
+        res.status(error.message.includes("not found") ? 404 : 500).json({
+            error: error.message || "Failed to register supplier bill payment",
+        });
+    }
+});
+
+/**
+ * DELETE /api/supplier-bills/:id/payments/:expenseId
+ * Delete a bill payment: the money goes back to its account and to the bill balance
+ */
+router.delete("/:id/payments/:expenseId", rbac("payables", "update"), async (req, res) => {
+    try {
+        const expense = await req.prisma.expense.findFirst({
+            where: { id: req.params.expenseId, supplierBillId: req.params.id },
+            include: {
+                supplierBill: true,
+                cashSession: { select: { number: true, status: true } },
+            },
+        });
+
+        if (!expense) {
+            return res.status(404).json({ error: "Payment not found for this bill" });
+        }
+
+        if (expense.supplierBill.status === "CANCELLED") {
+            return res.status(400).json({ error: "Cannot delete payments of a cancelled bill" });
+        }
+
+        if (expense.cashSession?.status === "CLOSED") {
+            return res.status(400).json({ error: `El abono pertenece al turno de caja #${expense.cashSession.number}, que ya está cerrado.` });
+        }
+
+        if (await isReconciled(req.prisma, "EXPENSE", expense.id)) {
+            return res.status(400).json({ error: "El abono ya fue conciliado con un extracto bancario." });
+        }
+
+        const bill = await req.prisma.$transaction(async (tx) => {
+            await reverseExpenseDebit(tx, expense);
+            await tx.expense.delete({ where: { id: expense.id } });
+
+            return tx.supplierBill.update({
+                where: { id: expense.supplierBillId },
+                data: {
+                    balance: round(parseFloat(expense.supplierBill.balance) + parseFloat(expense.amount), 2),
+                    status: "OPEN",
+                },
+            });
+        });
+
+        res.json({ success: true, data: bill });
+    } catch (error) {
+        console.error("❌ Error deleting supplier bill payment:", error.message);
+        res.status(500).json({ error: "Failed to delete supplier bill payment" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,416 @@
+const express = require("express");
+const axios = require("axios");
+const rbac = require("../middlewares/rbac.middleware");
+const { getDayBounds } = require("../utils/date.util");
+const { resolveWithholdings } = require("../utils/withholding.util");
+const { isFullyDelivered } = require("../utils/delivery.util");
+
+const router = express.Router();
+
+const WITHHOLDING_KINDS = ["RETEFUENTE", "RETEIVA", "RETEICA"];
+
+/**
+ * Builds a date range filter for the given field using the tenant's timezone.
+ */
+async function buildDateRange(prisma, tenantId, from, to) {
+    const config = await prisma.financialConfig.findFirst({
+        where: { tenantId },
+        select: { timezone: true }
+    });
+    const tz = config?.timezone || 'UTC';
+
+    const range = {};
+    if (from) range.gte = getDayBounds(from, tz).startOfDay;
+    if (to) range.lte = getDayBounds(to, tz).endOfDay;
+    return range;
+}
+
+/**
+ * Groups withholding rows by a party (customer/supplier) and kind.
+ */
+function groupByParty(rows, getParty) {
+    const groups = {};
+    rows.forEach(row => {
+        const party = getParty(row);
+        const key = `${party.id || "none"}|${row.kind}`;
+        if (!groups[key]) {
+            groups[key] = {
+                partyId: party.id || null,
+                partyName: party.name || "Sin tercero",
+                identification: party.identification || null,
+                kind: row.kind,
+                base: 0,
+                amount: 0,
+                count: 0,
+            };
+        }
+        groups[key].base += parseFloat(row.base);
+        groups[key].amount += parseFloat(row.amount);
+        groups[key].count += 1;
+    });
+    return Object.values(groups).sort((a, b) => a.partyName.localeCompare(b.partyName) || a.kind.localeCompare(b.kind));
+}
+
+/**
+ * POST /api/withholdings
+ * Register a withholding applied by the customer on an order.
+ * Reduces the order balance like a payment, without touching any account.
+ */
+router.post("/", rbac("orders", "update"), async (req, res) => {
+    try {
+        const { orderId, withholdingTypeId, base, amount, certificateNumber, withholdingDate, notes } = req.body;
+
+        if (!orderId || !withholdingTypeId) {
+            return res.status(400).json({ error: "orderId and withholdingTypeId are required" });
+        }
+
+        const result = await req.prisma.$transaction(async (tx) => {
+            const order = await tx.order.findFirst({
+                where: { id: orderId, tenantId: req.tenantId },
+            });
+
+            if (!order) {
+                throw new Error("Order not found");
+            }
+
+            if (order.status !== "ACTIVE") {
+                throw new Error("Can only add withholdings to active orders");
+            }
+
+            // ReteIVA se calcula sobre el IVA; ReteFuente y ReteICA sobre el subtotal
+            const { rows, error } = await resolveWithholdings(
+                tx,
+                [{ withholdingTypeId, base, amount }],
+                (kind) => parseFloat(kind === "RETEIVA" ? order.taxAmount : order.subtotal)
+            );
+            if (error) {
+                throw new Error(error);
+            }
+            const row = rows[0];
+
+            if (row.amount > parseFloat(order.balance)) {
+                throw new Error("Withholding amount exceeds order balance");
+            }
+
+            const withholding = await tx.orderWithholding.create({
+                data: {
+                    tenantId: req.tenantId,
+                    orderId,
+                    ...row,
+                    certificateNumber,
+                    withholdingDate: withholdingDate ? new Date(withholdingDate) : new Date(),
+                    registeredBy: req.user.userId,
+                    notes,
+                },
+            });
+
+            const newBalance = parseFloat(order.balance) - row.amount;
+            const updateData = { balance: newBalance };
+
+            // If fully paid AND every item delivered, mark as COMPLETED
+            if (newBalance <= 0 && await isFullyDelivered(tx, order.id)) {
+                updateData.status = "COMPLETED";
+
+                await tx.orderEvent.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        orderId,
+                        type: "STATUS_CHANGE",
+                        description: "Orden completada (pagada y entregada)",
+                        fromStatus: "ACTIVE",
+                        toStatus: "COMPLETED",
+                        changedById: req.user.userId,
+                        changedByName: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
+                    },
+                });
+            }
+
+            await tx.orderEvent.create({
+                data: {
+                    tenantId: req.tenantId,
+                    orderId,
+                    type: "WITHHOLDING_ADDED",
+                    description: `Retención ${row.name} registrada por ${row.amount}`,
+                    metadata: { withholdingId: withholding.id, kind: row.kind, amount: row.amount, certificateNumber },
+                    changedById: req.user.userId,
+                    changedByName: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
+                },
+            });
+
+            await tx.order.update({
+                where: { id: orderId },
+                data: updateData,
+            });
+
+            return withholding;
+        });
+
+        res.status(201).json({ success: true, data: result });
+    } catch (error) {
+        console.error("❌ Error creating withholding:", error.message);
+        res.status(error.message.includes("not found") ? 404 : 500).json({
+            error: error.message || "Failed to create withholding",
+        });
+    }
+});
+
+/**
+ * GET /api/withholdings
+ * List order withholdings with filters
+ */
+router.get("/", rbac("orders", "read"), async (req, res) => {
+    try {
+        const { orderId, customerId, kind, from, to, page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const where = {};
+        if (orderId) where.orderId = orderId;
+        if (customerId) where.order = { customerId };
+        if (kind) where.kind = kind;
+        if (from || to) {
+            where.withholdingDate = await buildDateRange(req.prisma, req.tenantId, from, to);
+        }
+
+        const [withholdings, total] = await Promise.all([
+            req.prisma.orderWithholding.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { withholdingDate: "desc" },
+                include: {
+                    order: {
+                        select: { id: true, number: true, customer: { select: { id: true, name: true } } },
+                    },
+                },
+            }),
+            req.prisma.orderWithholding.count({ where }),
+        ]);
+
+        res.json({ success: true, data: withholdings, total, page: parseInt(page), limit: parseInt(limit) });
+    } catch (error) {
+        console.error("❌ Error listing withholdings:", error.message);
+        res.status(500).json({ error: "Failed to list withholdings" });
+    }
+});
+
+/**
+ * GET /api/withholdings/report?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Withholdings for the period: received (applied by customers on orders)
+ * and applied (practiced by us to suppliers on expenses), grouped by party and kind
+ */
+router.get("/report", rbac("reports", "read"), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        if (!from || !to) {
+            return res.status(400).json({ error: "from and to are required" });
+        }
+
+        const range = await buildDateRange(req.prisma, req.tenantId, from, to);
+
+        const [received, applied] = await Promise.all([
+            req.prisma.orderWithholding.findMany({
+                where: { withholdingDate: range },
+                include: {
+                    order: {
+                        select: { customer: { select: { id: true, name: true, identification: true } } },
+                    },
+                },
+            }),
+            req.prisma.expenseWithholding.findMany({
+                where: { expense: { expenseDate: range } },
+                include: {
+                    expense: {
+                        select: { supplier: { select: { id: true, name: true, identification: true } } },
+                    },
+                },
+            }),
+        ]);
+
+        const totalsByKind = (rows) => Object.fromEntries(WITHHOLDING_KINDS.map(kind => [
+            kind,
+            rows.filter(r => r.kind === kind).reduce((sum, r) => sum + parseFloat(r.amount), 0),
+        ]));
+
+        res.json({
+            success: true,
+            data: {
+                from,
+                to,
+                received: {
+                    byCustomer: groupByParty(received, r => r.order?.customer || {}),
+                    byKind: totalsByKind(received),
+                    total: received.reduce((sum, r) => sum + parseFloat(r.amount), 0),
+                },
+                applied: {
+                    bySupplier: groupByParty(applied, r => r.expense?.supplier || {}),
+                    byKind: totalsByKind(applied),
+                    total: applied.reduce((sum, r) => sum + parseFloat(r.amount), 0),
+                },
+            },
+        });
+    } catch (error) {
+        console.error("❌ Error generating withholding report:", error.message);
+        res.status(500).json({ error: "Failed to generate withholding report" });
+    }
+});
+
+/**
+ * GET /api/withholdings/certificate/pdf?supplierId=&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Withholding certificate for a supplier over a period
+ */
+router.get("/certificate/pdf", rbac("reports", "read"), async (req, res) => {
+    try {
+        const { supplierId, from, to } = req.query;
+
+        if (!supplierId || !from || !to) {
+            return res.status(400).json({ error: "supplierId, from and to are required" });
+        }
+
+        const [tenant, supplier] = await Promise.all([
+            req.prisma.tenant.findUnique({
+                where: { id: req.tenantId },
+                select: { name: true }
+            }),
+            req.prisma.supplier.findFirst({
+                where: { id: supplierId },
+            }),
+        ]);
+
+        if (!supplier) {
+            return res.status(404).json({ error: "Supplier not found" });
+        }
+
+        const range = await buildDateRange(req.prisma, req.tenantId, from, to);
+        const rows = await req.prisma.expenseWithholding.findMany({
+            where: { expense: { supplierId, expenseDate: range } },
+            include: { expense: { select: { number: true, invoiceNumber: true, expenseDate: true } } },
+            orderBy: { createdAt: "asc" },
+        });
+
+        const byConcept = {};
+        rows.forEach(r => {
+            const key = `${r.kind}|${r.name}|${parseFloat(r.rate)}`;
+            if (!byConcept[key]) {
+                byConcept[key] = { kind: r.kind, name: r.name, rate: parseFloat(r.rate), base: 0, amount: 0 };
+            }
+            byConcept[key].base += parseFloat(r.base);
+            byConcept[key].amount += parseFloat(r.amount);
+        });
+
+        const total = rows.reduce((sum, r) => sum + parseFloat(r.amount), 0);
+        const fromStr = from.split('-').reverse().join('/');
+        const toStr = to.split('-').reverse().join('/');
+
+        const documentData = {
+            companyName: tenant?.name || "ORDAMY SYSTEM",
+            supplierName: supplier.name,
+            supplierIdentification: supplier.identification || "N/A",
+            periodFrom: fromStr,
+            periodTo: toStr,
+            concepts: Object.values(byConcept).map(c => ({
+                kind: c.kind,
+                name: c.name,
+                rate: (c.rate * 100).toString(),
+                base: c.base.toString(),
+                amount: c.amount.toString(),
+            })),
+            details: rows.map(r => ({
+                expenseNumber: r.expense.number,
+                invoiceNumber: r.expense.invoiceNumber || "N/A",
+                name: r.name,
+                base: parseFloat(r.base).toString(),
+                amount: parseFloat(r.amount).toString(),
+            })),
+            totalAmount: total.toString(),
+            documentId: `CERT-RET-${from.replace(/-/g, '')}-${to.replace(/-/g, '')}`,
+            signature: "N/A"
+        };
+
+        const docForgeUrl = process.env.DOC_FORGE_URL;
+        const response = await axios.post(`${docForgeUrl}/api/generate/pdf`, {
+            templateId: "t0000003005",
+            documentData
+        }, {
+            responseType: 'stream'
+        });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="certificado-retenciones-${from}-${to}.pdf"`);
+        response.data.pipe(res);
+
+    } catch (error) {
+        console.error("❌ Error generating withholding certificate PDF:", error.message);
+        res.status(500).json({ error: "Failed to generate withholding certificate PDF" });
+    }
+});
+
+/**
+ * DELETE /api/withholdings/:id
+ * Delete an order withholding and restore the order balance
+ */
+router.delete("/:id", rbac("payments", "delete"), async (req, res) => {
+    try {
+        const withholding = await req.prisma.orderWithholding.findFirst({
+            where: { id: req.params.id, tenantId: req.tenantId },
+            include: { order: true },
+        });
+
+        if (!withholding) {
+            return res.status(404).json({ error: "Withholding not found" });
+        }
+
+        if (withholding.order.status === "CANCELLED") {
+            return res.status(400).json({ error: "Cannot delete withholding on cancelled order" });
+        }
+
+        await req.prisma.$transaction(async (tx) => {
+            await tx.orderWithholding.delete({ where: { id: req.params.id } });
+
+            const amt = parseFloat(withholding.amount);
+            const newBalance = parseFloat(withholding.order.balance) + amt;
+            const updateData = { balance: newBalance };
+
+            // If order was COMPLETED, revert to ACTIVE
+            if (withholding.order.status === "COMPLETED") {
+                updateData.status = "ACTIVE";
+                await tx.orderEvent.create({
+                    data: {
+                        tenantId: req.tenantId,
+                        orderId: withholding.orderId,
+                        type: "STATUS_CHANGE",
+                        description: `Orden reabierta por retención eliminada (${amt})`,
+                        fromStatus: "COMPLETED",
+                        toStatus: "ACTIVE",
+                        changedById: req.user.userId,
+                        changedByName: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
+                    },
+                });
+            }
+
+            await tx.orderEvent.create({
+                data: {
+                    tenantId: req.tenantId,
+                    orderId: withholding.orderId,
+                    type: "WITHHOLDING_DELETED",
+                    description: `Retención ${withholding.name} eliminada por ${amt}`,
+                    metadata: { withholdingId: withholding.id, kind: withholding.kind, amount: amt },
+                    changedById: req.user.userId,
+                    changedByName: `${req.user.firstName} ${req.user.lastName}`.trim() || req.user.email,
+                },
+            });
+
+            await tx.order.update({
+                where: { id: withholding.orderId },
+                data: updateData,
+            });
+        });
+
+        res.json({ success: true, message: "Withholding deleted" });
+    } catch (error) {
+        console.error("❌ Error deleting withholding:", error.message);
+        res.status(500).json({ error: "Failed to delete withholding" });
+    }
+});
+
+module.exports = router;
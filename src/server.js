@@ -22,13 +22,25 @@ app.listen(PORT, () => {
     console.log("");
     console.log("   Business Endpoints:");
     console.log("   /api/customers   (CRUD)");
-    console.log("   /api/products    (CRUD)");
+    console.log("   /api/products    (CRUD + bill of materials)");
+    console.log("   /api/materials   (CRUD + stock movements, low stock, valuation)");
     console.log("   /api/orders      (CRUD + items + payments)");
-    console.log("   /api/expenses    (CRUD)");
-    console.log("   /api/accounts    (read + transactions)");
+    console.log("   /api/quotes      (CRUD + status + convert to order)");
+    console.log("   /api/invoices    (DIAN invoices + credit notes + XML)");
+    console.log("   /api/expenses    (CRUD + order attribution)");
+    console.log("   /api/accounts    (CRUD + transactions, transfers, adjustments)");
     console.log("   /api/payments    (CRUD)");
-    console.log("   /api/settings    (payment methods, categories, suppliers, tax, financial)");
-    console.log("   /api/reports     (monthly, daily, portfolio)");
+    console.log("   /api/withholdings (CRUD + report + certificate)");
+    console.log("   /api/refunds     (cancel/reduce orders keeping payments)");
+    console.log("   /api/receipts    (one payment allocated across orders)");
+    console.log("   /api/cash-sessions (open, count and close cash shifts)");
+    console.log("   /api/ledger      (balance integrity check + repair)");
+    console.log("   /api/bank-statements (CSV/OFX import + reconciliation)");
+    console.log("   /api/supplier-bills (accounts payable + partial payments)");
+    console.log("   /api/purchase-orders (material purchases, PDF + goods receipt)");
+    console.log("   /api/production  (shop floor board + lead-time metrics)");
+    console.log("   /api/settings    (payment methods, categories, suppliers, tax, withholdings, invoicing, financial, exchange rates)");
+    console.log("   /api/reports     (monthly, daily, portfolio, payables aging, profitability)");
     console.log("");
     console.log("   GET    /health");
     console.log("");
@@ -0,0 +1,55 @@
+const crypto = require("crypto");
+
+/**
+ * Local stub: accepts every document without contacting DIAN.
+ * Useful for development and for tenants that submit through an external provider.
+ */
+const stubAdapter = {
+    async send(invoice) {
+        return {
+            accepted: true,
+            trackId: crypto.randomUUID(),
+            response: {
+                adapter: "stub",
+                statusCode: "00",
+                statusDescription: "Procesado Correctamente (simulado)",
+                documentKey: invoice.cufe,
+                receivedAt: new Date().toISOString(),
+            },
+        };
+    },
+};
+
+class DianService {
+    constructor() {
+        this.adapters = { stub: stubAdapter };
+    }
+
+    /**
+     * Register a submission adapter (e.g. a DIAN web service client or a provider API).
+     * An adapter implements send(invoice) => Promise<{ accepted, trackId, response }>,
+     * receiving the Invoice with its unsigned UBL xml and being responsible for signing it.
+     * accepted: true/false when DIAN answered synchronously, null while validation is pending.
+     * @param {string} name - Adapter name, selected with DIAN_ADAPTER
+     * @param {object} adapter - Adapter implementation
+     */
+    registerAdapter(name, adapter) {
+        this.adapters[name] = adapter;
+    }
+
+    /**
+     * Submit an invoice/credit note with the configured adapter (DIAN_ADAPTER, default "stub")
+     * @param {object} invoice - Invoice record
+     * @returns {Promise<object>} { accepted, trackId, response }
+     */
+    async send(invoice) {
+        const name = process.env.DIAN_ADAPTER || "stub";
+        const adapter = this.adapters[name];
+        if (!adapter) {
+            throw new Error(`DIAN adapter "${name}" is not registered`);
+        }
+        return adapter.send(invoice);
+    }
+}
+
+module.exports = new DianService();
@@ -0,0 +1,178 @@
+const prisma = require("../config/prisma");
+const { round } = require("../utils/math.util");
+
+// Differences below half a cent are rounding noise
+const TOLERANCE = 0.005;
+
+function sumBy(groups, key, field = "amount") {
+    const map = {};
+    groups.forEach((g) => { map[g[key]] = parseFloat(g._sum[field] || 0); });
+    return map;
+}
+
+class LedgerService {
+    /**
+     * Recompute a tenant's denormalized balances and compare them with the stored ones.
+     * - Account.balance = opening balance + CREDIT - DEBIT transactions of the account
+     * - Order.balance   = total - payments - withholdings - applied customer credit + money refunded
+     *                     (0 for cancelled orders)
+     * - SupplierBill.balance = total - payments (0 for cancelled bills)
+     * @param {string} tenantId - Tenant id
+     * @returns {Promise<object>} { accountsChecked, ordersChecked, billsChecked, accounts: [...], orders: [...], bills: [...] }
+     */
+    async check(tenantId) {
+        const [accounts, transactions, orders, payments, withholdings, applications, refunds, bills, billPayments] = await Promise.all([
+            prisma.account.findMany({
+                where: { tenantId },
+                select: { id: true, name: true, balance: true, openingBalance: true },
+            }),
+            prisma.transaction.groupBy({
+                by: ["accountId", "type"],
+                where: { tenantId },
+                _sum: { amount: true },
+            }),
+            prisma.order.findMany({
+                where: { tenantId },
+                select: { id: true, number: true, total: true, balance: true, status: true },
+            }),
+            prisma.payment.groupBy({ by: ["orderId"], where: { tenantId }, _sum: { amount: true } }),
+            prisma.orderWithholding.groupBy({ by: ["orderId"], where: { tenantId }, _sum: { amount: true } }),
+            prisma.customerCreditMovement.groupBy({
+                by: ["orderId"],
+                where: { tenantId, type: "APPLICATION" },
+                _sum: { amount: true },
+            }),
+            prisma.refund.groupBy({ by: ["orderId"], where: { tenantId }, _sum: { amount: true } }),
+            prisma.supplierBill.findMany({
+                where: { tenantId },
+                select: { id: true, number: true, total: true, balance: true, status: true },
+            }),
+            prisma.expense.groupBy({
+                by: ["supplierBillId"],
+                where: { tenantId, supplierBillId: { not: null } },
+                _sum: { amount: true },
+            }),
+        ]);
+
+        const movements = {};
+        transactions.forEach((t) => {
+            const signed = parseFloat(t._sum.amount || 0) * (t.type === "CREDIT" ? 1 : -1);
+            movements[t.accountId] = (movements[t.accountId] || 0) + signed;
+        });
+
+        const accountIssues = [];
+        for (const account of accounts) {
+            const stored = parseFloat(account.balance);
+            const expected = round(parseFloat(account.openingBalance) + (movements[account.id] || 0));
+            if (Math.abs(stored - expected) >= TOLERANCE) {
+                accountIssues.push({
+                    id: account.id,
+                    name: account.name,
+                    stored,
+                    expected,
+                    difference: round(stored - expected),
+                });
+            }
+        }
+
+        const paid = sumBy(payments, "orderId");
+        const withheld = sumBy(withholdings, "orderId");
+        const applied = sumBy(applications, "orderId"); // negative amounts
+        const refunded = sumBy(refunds, "orderId");
+
+        const orderIssues = [];
+        for (const order of orders) {
+            const stored = parseFloat(order.balance);
+            const expected = order.status === "CANCELLED"
+                ? 0
+                : round(parseFloat(order.total) - (paid[order.id] || 0) - (withheld[order.id] || 0)
+                    + (applied[order.id] || 0) + (refunded[order.id] || 0));
+            if (Math.abs(stored - expected) >= TOLERANCE) {
+                orderIssues.push({
+                    id: order.id,
+                    number: order.number,
+                    status: order.status,
+                    stored,
+                    expected,
+                    difference: round(stored - expected),
+                });
+            }
+        }
+
+        const billPaid = sumBy(billPayments, "supplierBillId");
+
+        const billIssues = [];
+        for (const bill of bills) {
+            const stored = parseFloat(bill.balance);
+            const expected = bill.status === "CANCELLED"
+                ? 0
+                : round(parseFloat(bill.total) - (billPaid[bill.id] || 0));
+            if (Math.abs(stored - expected) >= TOLERANCE) {
+                billIssues.push({
+                    id: bill.id,
+                    number: bill.number,
+                    status: bill.status,
+                    stored,
+                    expected,
+                    difference: round(stored - expected),
+                });
+            }
+        }
+
+        return {
+            accountsChecked: accounts.length,
+            ordersChecked: orders.length,
+            billsChecked: bills.length,
+            accounts: accountIssues,
+            orders: orderIssues,
+            bills: billIssues,
+        };
+    }
+
+    /**
+     * Check a tenant and overwrite every drifted balance with its recomputed value,
+     * writing a LedgerAudit with what was changed.
+     * @param {string} tenantId - Tenant id
+     * @param {object} runBy - { id, name } of who ran the repair ("cli" for the script)
+     * @returns {Promise<object>} Check result plus the audit record (null when nothing drifted)
+     */
+    async repair(tenantId, runBy) {
+        const result = await this.check(tenantId);
+        const discrepancyCount = result.accounts.length + result.orders.length + result.bills.length;
+
+        if (discrepancyCount === 0) {
+            return { ...result, audit: null };
+        }
+
+        const audit = await prisma.$transaction(async (tx) => {
+            for (const a of result.accounts) {
+                await tx.account.update({ where: { id: a.id }, data: { balance: a.expected } });
+            }
+            for (const o of result.orders) {
+                await tx.order.update({ where: { id: o.id }, data: { balance: o.expected } });
+            }
+            for (const b of result.bills) {
+                await tx.supplierBill.update({
+                    where: { id: b.id },
+                    data: { balance: b.expected, ...(b.status !== "CANCELLED" && { status: b.expected > 0 ? "OPEN" : "PAID" }) },
+                });
+            }
+
+            return tx.ledgerAudit.create({
+                data: {
+                    tenantId,
+                    accountsChecked: result.accountsChecked,
+                    ordersChecked: result.ordersChecked,
+                    discrepancyCount,
+                    discrepancies: { accounts: result.accounts, orders: result.orders, bills: result.bills },
+                    runBy: runBy.id,
+                    runByName: runBy.name,
+                },
+            });
+        });
+
+        return { ...result, audit };
+    }
+}
+
+module.exports = new LedgerService();
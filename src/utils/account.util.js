@@ -0,0 +1,43 @@
+/**
+ * Account Utility
+ * Money received or paid with a payment method lands in the account the method points to.
+ */
+
+/**
+ * Account mapped to a payment method, if any.
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {string} paymentMethodId Payment method id
+ * @returns {Promise<object|null>} Account or null when the method has no target account
+ */
+async function findAccountForMethod(prisma, paymentMethodId) {
+    const method = await prisma.paymentMethod.findFirst({
+        where: { id: paymentMethodId },
+        select: { account: true },
+    });
+    return method?.account || null;
+}
+
+/**
+ * Whether a movement's account transactions were already reconciled against a bank statement,
+ * or are matched to a line of a statement still open. Either way the movement can no longer be
+ * edited or deleted: the line would end up pointing at nothing or at a different amount.
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {string} referenceType Transaction reference type (PAYMENT, EXPENSE, RECEIPT...)
+ * @param {string} referenceId Id of the movement
+ * @returns {Promise<boolean>}
+ */
+async function isReconciled(prisma, referenceType, referenceId) {
+    const count = await prisma.transaction.count({
+        where: {
+            referenceType,
+            referenceId,
+            OR: [{ reconciledAt: { not: null } }, { statementLine: { isNot: null } }],
+        },
+    });
+    return count > 0;
+}
+
+module.exports = {
+    findAccountForMethod,
+    isReconciled
+};
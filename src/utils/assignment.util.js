@@ -0,0 +1,57 @@
+/**
+ * Production Assignment Utility
+ * Orders can be assigned to SSO users as a whole (stage null) or per workflow stage. An
+ * assignment is actionable while the work it covers is waiting: a whole-order assignment until
+ * the order is delivered, a stage assignment while some pending item of the order sits in it.
+ * Stage transitions record who performed them, which may be an assignee other than the user
+ * registering the change.
+ */
+
+const { pendingQuantity } = require("./delivery.util");
+
+/**
+ * Name the current user is shown with.
+ * @param {object} user req.user
+ * @returns {string}
+ */
+function userDisplayName(user) {
+    return `${user.firstName} ${user.lastName}`.trim() || user.email;
+}
+
+/**
+ * Who performed a stage transition: the current user, or an assignee of the order (whole order
+ * or the target stage) named in `performedBy`.
+ * @param {object} prisma Tenant-scoped Prisma client
+ * @param {object} params { user: req.user, orderId, stage, performedBy? }
+ * @returns {Promise<object>} { performer: { userId, userName }, error }
+ */
+async function resolvePerformer(prisma, { user, orderId, stage, performedBy }) {
+    if (!performedBy || performedBy === user.userId) {
+        return { performer: { userId: user.userId, userName: userDisplayName(user) }, error: null };
+    }
+
+    const assignment = await prisma.orderAssignment.findFirst({
+        where: { orderId, userId: performedBy, OR: [{ stage: null }, { stage }] },
+    });
+    if (!assignment) {
+        return { performer: null, error: "performedBy must be a user assigned to this order or stage" };
+    }
+    return { performer: { userId: assignment.userId, userName: assignment.userName }, error: null };
+}
+
+/**
+ * Whether the work covered by an assignment is waiting on the assignee.
+ * @param {object} assignment OrderAssignment
+ * @param {object} order Order with operationalStatus and items (operationalStatus, quantity, deliveredQuantity)
+ * @param {object} workflow Result of getWorkflow
+ * @returns {boolean}
+ */
+function isActionable(assignment, order, workflow) {
+    if (!assignment.stage) return order.operationalStatus !== workflow.deliveredStage;
+    return order.items.some(item => pendingQuantity(item) > 0 && item.operationalStatus === assignment.stage);
+}
+
+module.exports = {
+    resolvePerformer,
+    isActionable
+};
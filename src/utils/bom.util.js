@@ -0,0 +1,171 @@
+/**
+ * Bill of Materials Utility
+ * Products may define a recipe of materials per unit or per m². Saving an order's items
+ * estimates the material it will use; reaching the workflow stage marked consumesMaterials
+ * (PRODUCED in the default flow) confirms the actual consumption,
+ * which leaves the stock as CONSUMPTION movements of the order. Consumption is registered
+ * even if it takes stock below zero: the material was already used.
+ */
+
+const { registerStockMovement } = require("./inventory.util");
+const { round } = require("./math.util");
+
+const MATERIAL_BASES = ["PER_UNIT", "PER_M2"];
+
+/**
+ * Cost used for estimates: the average cost once there is stock history, the list price before that.
+ * @param {object} material Material record
+ * @returns {number}
+ */
+function estimateUnitCost(material) {
+    const average = parseFloat(material.averageCost || 0);
+    return average > 0 ? average : parseFloat(material.price || 0);
+}
+
+/**
+ * Recompute the material estimate of an order from its items' product recipes.
+ * PER_M2 recipes use the item area, so they only apply to items priced by m².
+ * Once consumption has been confirmed the estimate is kept as it was.
+ * @param {object} tx Tenant-scoped transaction client
+ * @param {string} tenantId Tenant id
+ * @param {string} orderId Order id
+ */
+async function estimateOrderMaterials(tx, tenantId, orderId) {
+    const confirmed = await tx.orderMaterial.count({
+        where: { orderId, consumedAt: { not: null } },
+    });
+    if (confirmed > 0) return;
+
+    const items = await tx.orderItem.findMany({
+        where: { orderId, productId: { not: null } },
+        select: {
+            pricingMode: true,
+            measure: true,
+            quantity: true,
+            product: { select: { materials: { include: { material: true } } } },
+        },
+    });
+
+    const totals = new Map();
+    for (const item of items) {
+        const copies = parseFloat(item.quantity);
+        const area = item.pricingMode === "AREA" ? parseFloat(item.measure || 0) : 0;
+
+        for (const recipe of item.product.materials) {
+            const perCopy = recipe.basis === "PER_M2" ? parseFloat(recipe.quantity) * area : parseFloat(recipe.quantity);
+            const entry = totals.get(recipe.materialId) || { material: recipe.material, quantity: 0 };
+            entry.quantity += perCopy * copies;
+            totals.set(recipe.materialId, entry);
+        }
+    }
+
+    await tx.orderMaterial.deleteMany({ where: { orderId } });
+
+    for (const [materialId, { material, quantity }] of totals) {
+        const estimatedQuantity = round(quantity, 3);
+        if (!(estimatedQuantity > 0)) continue;
+
+        const unitCost = estimateUnitCost(material);
+        await tx.orderMaterial.create({
+            data: {
+                tenantId,
+                orderId,
+                materialId,
+                estimatedQuantity,
+                unitCost,
+                estimatedCost: round(estimatedQuantity * unitCost, 2),
+            },
+        });
+    }
+}
+
+/**
+ * Confirm the material consumption of an order and take it out of stock.
+ * Without `actual`, the estimated quantities are consumed. Does nothing if already confirmed.
+ * @param {object} tx Tenant-scoped transaction client
+ * @param {object} params { tenantId, order, actual?: [{ materialId, quantity }], userId, userName }
+ * @returns {Promise<Array>} The CONSUMPTION movements registered
+ */
+async function confirmOrderConsumption(tx, { tenantId, order, actual, userId, userName }) {
+    const rows = await tx.orderMaterial.findMany({ where: { orderId: order.id } });
+    if (rows.some(r => r.consumedAt)) return [];
+
+    const quantities = new Map(
+        Array.isArray(actual)
+            ? actual.map(a => [a.materialId, round(parseFloat(a.quantity), 3)])
+            : rows.map(r => [r.materialId, parseFloat(r.estimatedQuantity)])
+    );
+    for (const row of rows) {
+        if (!quantities.has(row.materialId)) quantities.set(row.materialId, 0);
+    }
+
+    const now = new Date();
+    const movements = [];
+    for (const [materialId, quantity] of quantities) {
+        let consumedCost = 0;
+        let unitCost = null;
+
+        if (quantity > 0) {
+            const movement = await registerStockMovement(tx, {
+                tenantId,
+                materialId,
+                type: "CONSUMPTION",
+                quantity: -quantity,
+                orderId: order.id,
+                notes: `Consumo orden #${order.number}`,
+                movementDate: now,
+                userId,
+                userName,
+            });
+            movements.push(movement);
+            consumedCost = round(-parseFloat(movement.totalCost), 2);
+            unitCost = parseFloat(movement.unitCost);
+        }
+
+        const existing = rows.find(r => r.materialId === materialId);
+        if (existing) {
+            await tx.orderMaterial.update({
+                where: { id: existing.id },
+                data: { consumedQuantity: quantity, consumedCost, consumedAt: now },
+            });
+        } else {
+            await tx.orderMaterial.create({
+                data: {
+                    tenantId,
+                    orderId: order.id,
+                    materialId,
+                    estimatedQuantity: 0,
+                    unitCost: unitCost || 0,
+                    estimatedCost: 0,
+                    consumedQuantity: quantity,
+                    consumedCost,
+                    consumedAt: now,
+                },
+            });
+        }
+    }
+
+    return movements;
+}
+
+/**
+ * Estimated and consumed material cost of an order.
+ * @param {Array} materials OrderMaterial rows
+ * @returns {object} { estimated, consumed } (consumed is null until production confirms it)
+ */
+function summarizeMaterialCost(materials) {
+    const confirmed = materials.some(m => m.consumedAt);
+    return {
+        estimated: round(materials.reduce((sum, m) => sum + parseFloat(m.estimatedCost), 0), 2),
+        consumed: confirmed
+            ? round(materials.reduce((sum, m) => sum + parseFloat(m.consumedCost || 0), 0), 2)
+            : null,
+    };
+}
+
+module.exports = {
+    MATERIAL_BASES,
+    estimateOrderMaterials,
+    confirmOrderConsumption,
+    summarizeMaterialCost
+};
@@ -0,0 +1,79 @@
+/**
+ * Cash Session Utility
+ * Links money movements to the open cash session (turno de caja) of their account and
+ * computes what the drawer should hold when the session is closed.
+ */
+
+const { toBase, sumInBase } = require("./currency.util");
+const { round } = require("./math.util");
+
+/**
+ * Open cash session of the account a payment method deposits into, if any.
+ * Movements registered while a session is open are attached to it.
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {string} paymentMethodId Payment method id
+ * @returns {Promise<string|null>} Cash session id or null
+ */
+async function findOpenSessionId(prisma, paymentMethodId) {
+    const session = await prisma.cashSession.findFirst({
+        where: { status: "OPEN", account: { paymentMethods: { some: { id: paymentMethodId } } } },
+        select: { id: true },
+    });
+    return session?.id || null;
+}
+
+/**
+ * Totals of a cash session and the amount expected in the drawer:
+ * opening float + payments + customer deposits/overpayments - expenses (net paid) - refunds
+ * +/- transfers and adjustments registered on the account while the session was open.
+ * Payments and refunds of foreign-currency orders count at their exchange rate.
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {object} session CashSession record
+ * @returns {Promise<object>} { openingFloat, payments, deposits, expenses, refunds, transfers, expected }
+ */
+async function getSessionSummary(prisma, session) {
+    const where = { cashSessionId: session.id };
+    const transferWhere = {
+        accountId: session.accountId,
+        referenceType: { in: ["TRANSFER", "ADJUSTMENT"] },
+        transactionDate: { gte: session.openedAt, ...(session.closedAt && { lte: session.closedAt }) },
+    };
+
+    const [payments, deposits, expenses, refunds, transfersIn, transfersOut] = await Promise.all([
+        prisma.payment.groupBy({ by: ["exchangeRate"], where, _sum: { amount: true }, _count: true }),
+        prisma.customerCreditMovement.aggregate({
+            where: { ...where, type: { in: ["DEPOSIT", "OVERPAYMENT"] } },
+            _sum: { amount: true },
+            _count: true,
+        }),
+        prisma.expense.aggregate({ where, _sum: { amount: true, withholdingAmount: true }, _count: true }),
+        prisma.refund.findMany({ where, select: { amount: true, exchangeRate: true } }),
+        prisma.transaction.aggregate({ where: { ...transferWhere, type: "CREDIT" }, _sum: { amount: true }, _count: true }),
+        prisma.transaction.aggregate({ where: { ...transferWhere, type: "DEBIT" }, _sum: { amount: true }, _count: true }),
+    ]);
+
+    const openingFloat = parseFloat(session.openingFloat);
+    const paymentsTotal = sumInBase(payments);
+    const depositsTotal = parseFloat(deposits._sum.amount || 0);
+    // Withholdings stay with us: only the net amount leaves the drawer
+    const expensesTotal = parseFloat(expenses._sum.amount || 0) - parseFloat(expenses._sum.withholdingAmount || 0);
+    const refundsTotal = refunds.reduce((sum, r) => sum + toBase(r.amount, r.exchangeRate), 0);
+    const transfersTotal = parseFloat(transfersIn._sum.amount || 0) - parseFloat(transfersOut._sum.amount || 0);
+
+    const expected = openingFloat + paymentsTotal + depositsTotal - expensesTotal - refundsTotal + transfersTotal;
+
+    return {
+        openingFloat,
+        payments: { count: payments.reduce((sum, g) => sum + g._count, 0), total: paymentsTotal },
+        deposits: { count: deposits._count, total: depositsTotal },
+        expenses: { count: expenses._count, total: round(expensesTotal) },
+        refunds: { count: refunds.length, total: round(refundsTotal) },
+        transfers: { count: transfersIn._count + transfersOut._count, total: round(transfersTotal) },
+        expected: round(expected),
+    };
+}
+
+module.exports = {
+    findOpenSessionId,
+    getSessionSummary
+};
@@ -0,0 +1,41 @@
+/**
+ * Customer Credit Utility
+ * The customer credit (saldo a favor) is the sum of the customer's credit movements:
+ * refunds, deposits and overpayments add to it, applications to orders consume it.
+ */
+
+const { round } = require("./math.util");
+
+/**
+ * Available credit of a customer.
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {string} customerId Customer id
+ * @returns {Promise<number>}
+ */
+async function getAvailableCredit(prisma, customerId) {
+    const agg = await prisma.customerCreditMovement.aggregate({
+        where: { customerId },
+        _sum: { amount: true },
+    });
+    return round(parseFloat(agg._sum.amount || 0));
+}
+
+/**
+ * Lock a customer's row until the transaction ends and return the available credit, so
+ * concurrent applications of the same credit run one after the other.
+ * @param {object} tx Tenant-scoped transaction client
+ * @param {string} customerId Customer id (already checked to belong to the tenant)
+ * @returns {Promise<number>}
+ */
+async function lockAvailableCredit(tx, customerId) {
+    const rows = await tx.$queryRaw`SELECT id FROM customers WHERE id = ${customerId}::uuid FOR UPDATE`;
+    if (rows.length === 0) {
+        throw new Error("Customer not found");
+    }
+    return getAvailableCredit(tx, customerId);
+}
+
+module.exports = {
+    getAvailableCredit,
+    lockAvailableCredit
+};
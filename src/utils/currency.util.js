@@ -0,0 +1,133 @@
+/**
+ * Currency Utility
+ * Orders and their payments are in the order's currency. Accounts, customer credit and
+ * reports are in the tenant's base currency (FinancialConfig.currency). The exchange rate
+ * stored on each order/payment converts one into the other: base = amount * exchangeRate.
+ */
+
+const { getLocalDateTime } = require("./date.util");
+const { round } = require("./math.util");
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * Base currency and timezone of a tenant.
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {string} tenantId Tenant id
+ * @returns {Promise<object>} { baseCurrency, tz }
+ */
+async function getCurrencyConfig(prisma, tenantId) {
+    const config = await prisma.financialConfig.findFirst({
+        where: { tenantId },
+        select: { currency: true, timezone: true },
+    });
+    return {
+        baseCurrency: config?.currency || "COP",
+        tz: config?.timezone || 'UTC',
+    };
+}
+
+/**
+ * Rate in effect for a currency on a date: the latest one with effectiveDate on or before
+ * the local date.
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {string} currency ISO 4217 code
+ * @param {Date} date Date of the operation
+ * @param {string} timeZone Tenant timezone
+ * @returns {Promise<number|null>} Base currency per unit, or null when no rate is registered
+ */
+async function findExchangeRate(prisma, currency, date, timeZone) {
+    const localDate = getLocalDateTime(date, timeZone).date;
+    const rate = await prisma.exchangeRate.findFirst({
+        where: { currency, effectiveDate: { lte: new Date(`${localDate}T00:00:00Z`) } },
+        orderBy: { effectiveDate: "desc" },
+        select: { rate: true },
+    });
+    return rate ? parseFloat(rate.rate) : null;
+}
+
+/**
+ * Currency and exchange rate for a new order or payment. The base currency always has
+ * rate 1; other currencies take the given rate or the one in effect on the date.
+ * @param {object} prisma Tenant-scoped Prisma client
+ * @param {string} tenantId Tenant id
+ * @param {object} params { currency?, exchangeRate?, date? }
+ * @returns {Promise<object>} { currency, exchangeRate, error }
+ */
+async function resolveExchangeRate(prisma, tenantId, { currency, exchangeRate, date } = {}) {
+    const { baseCurrency, tz } = await getCurrencyConfig(prisma, tenantId);
+    const code = (currency || baseCurrency).toUpperCase();
+
+    if (!CURRENCY_CODE.test(code)) {
+        return { error: "currency must be an ISO 4217 code (e.g. USD)" };
+    }
+    if (code === baseCurrency) {
+        return { currency: code, exchangeRate: 1, error: null };
+    }
+
+    if (exchangeRate !== undefined && exchangeRate !== null && exchangeRate !== "") {
+        const rate = parseFloat(exchangeRate);
+        if (!(rate > 0)) {
+            return { error: "exchangeRate must be greater than 0" };
+        }
+        return { currency: code, exchangeRate: rate, error: null };
+    }
+
+    const when = date ? new Date(date) : new Date();
+    const rate = await findExchangeRate(prisma, code, when, tz);
+    if (rate === null) {
+        return {
+            error: `No hay tasa de cambio de ${code} vigente al ${getLocalDateTime(when, tz).date}. Regístrela o indique exchangeRate.`,
+        };
+    }
+    return { currency: code, exchangeRate: rate, error: null };
+}
+
+/**
+ * Convert an amount to the base currency.
+ * @param {number|string} amount Amount in the original currency
+ * @param {number|string} exchangeRate Base currency per unit
+ * @returns {number}
+ */
+function toBase(amount, exchangeRate) {
+    return round(parseFloat(amount || 0) * parseFloat(exchangeRate || 1));
+}
+
+/**
+ * Average rate at which an order was paid, weighted by the amount of each payment. Money
+ * returned on the order leaves at this rate, so it undoes what its payments brought in.
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {string} orderId Order id
+ * @param {number|string} fallbackRate Rate used when the order has no payments
+ * @returns {Promise<number>}
+ */
+async function paidExchangeRate(prisma, orderId, fallbackRate) {
+    const groups = await prisma.payment.groupBy({
+        by: ["exchangeRate"],
+        where: { orderId },
+        _sum: { amount: true },
+    });
+    const paid = groups.reduce((sum, g) => sum + parseFloat(g._sum.amount || 0), 0);
+    if (!(paid > 0)) return parseFloat(fallbackRate || 1);
+    const base = groups.reduce((sum, g) => sum + parseFloat(g._sum.amount || 0) * parseFloat(g.exchangeRate), 0);
+    return round(base / paid, 6);
+}
+
+/**
+ * Total in base currency of groupBy rows that include exchangeRate in `by`.
+ * @param {Array} groups groupBy result
+ * @param {string} field Summed field
+ * @returns {number}
+ */
+function sumInBase(groups, field = "amount") {
+    return round(groups.reduce((sum, g) => sum + toBase(g._sum[field], g.exchangeRate), 0));
+}
+
+module.exports = {
+    getCurrencyConfig,
+    findExchangeRate,
+    resolveExchangeRate,
+    toBase,
+    paidExchangeRate,
+    sumInBase
+};
@@ -121,7 +121,60 @@ function getMonthBounds(year, month, timeZone) {
     };
 }
 
+/**
+ * Formats a date as a long Spanish string in the given timezone (e.g. "04 de marzo de 2026").
+ * @param {Date|null} date Date to format, falsy returns an empty string
+ * @param {string} timeZone IANA Timezone string (e.g. 'America/Bogota')
+ * @returns {string}
+ */
+function formatLongDate(date, timeZone) {
+    if (!date) return "";
+
+    const parts = new Intl.DateTimeFormat('es-CO', {
+        timeZone: timeZone || 'UTC',
+        day: '2-digit',
+        month: 'long',
+        year: 'numeric'
+    }).formatToParts(date);
+
+    const day = parts.find(p => p.type === 'day').value;
+    const month = parts.find(p => p.type === 'month').value;
+    const year = parts.find(p => p.type === 'year').value;
+
+    return `${day} de ${month} de ${year}`;
+}
+
+/**
+ * Splits a date into its local date, time and UTC offset in the given timezone.
+ * Used where documents need the local wall-clock time (e.g. "2026-03-04", "15:30:00", "-05:00").
+ * @param {Date} date Date to split
+ * @param {string} timeZone IANA Timezone string (e.g. 'America/Bogota')
+ * @returns {object} { date: 'YYYY-MM-DD', time: 'HH:mm:ss', offset: '±HH:mm' }
+ */
+function getLocalDateTime(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || 'UTC',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+        hourCycle: 'h23',
+        timeZoneName: 'longOffset'
+    }).formatToParts(date);
+
+    const get = (type) => parts.find(p => p.type === type).value;
+
+    let offset = get('timeZoneName').replace('GMT', '');
+    if (offset === '') offset = '+00:00';
+
+    return {
+        date: `${get('year')}-${get('month')}-${get('day')}`,
+        time: `${get('hour')}:${get('minute')}:${get('second')}`,
+        offset
+    };
+}
+
 module.exports = {
     getDayBounds,
-    getMonthBounds
+    getMonthBounds,
+    formatLongDate,
+    getLocalDateTime
 };
@@ -0,0 +1,241 @@
+/**
+ * Item Production & Delivery Utility
+ * Every order item moves through the tenant's workflow on its own and tracks how many copies
+ * have been delivered. An item reaches the delivered stage only when delivery notes cover all
+ * its copies. The order's operationalStatus is derived from its items: the least advanced
+ * stage among the items still pending, or the delivered stage once everything was delivered.
+ * Only then can a fully paid order be completed.
+ */
+
+const { stageName } = require("./workflow.util");
+const { confirmOrderConsumption } = require("./bom.util");
+const { round } = require("./math.util");
+
+/**
+ * Copies of an item still to be delivered.
+ * @param {object} item OrderItem with quantity and deliveredQuantity
+ * @returns {number}
+ */
+function pendingQuantity(item) {
+    return round(parseFloat(item.quantity) - parseFloat(item.deliveredQuantity || 0));
+}
+
+/**
+ * Lock an order item's row until the transaction ends and return its current state, so
+ * concurrent deliveries of the same item apply one after the other.
+ * @param {object} tx Transaction client
+ * @param {string} itemId Order item id (already checked to belong to the tenant)
+ * @returns {Promise<object>} { quantity, deliveredQuantity, operationalStatus }
+ */
+async function lockOrderItem(tx, itemId) {
+    const rows = await tx.$queryRaw`SELECT quantity, delivered_quantity, operational_status FROM order_items WHERE id = ${itemId}::uuid FOR UPDATE`;
+    if (rows.length === 0) {
+        throw new Error("Order item not found");
+    }
+    return {
+        quantity: parseFloat(rows[0].quantity),
+        deliveredQuantity: parseFloat(rows[0].delivered_quantity),
+        operationalStatus: rows[0].operational_status,
+    };
+}
+
+/**
+ * Whether every item of an order has been delivered.
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {string} orderId Order id
+ * @returns {Promise<boolean>}
+ */
+async function isFullyDelivered(prisma, orderId) {
+    const items = await prisma.orderItem.findMany({
+        where: { orderId },
+        select: { quantity: true, deliveredQuantity: true },
+    });
+    return items.length > 0 && items.every(item => pendingQuantity(item) <= 0);
+}
+
+/**
+ * Order stage derived from its items.
+ * @param {object} workflow Result of getWorkflow
+ * @param {Array} items Items with operationalStatus, quantity and deliveredQuantity
+ * @returns {string} Stage key
+ */
+function deriveOrderStage(workflow, items) {
+    if (items.length === 0) return workflow.initialStage;
+
+    const pending = items.filter(item => pendingQuantity(item) > 0);
+    if (pending.length === 0) return workflow.deliveredStage;
+
+    const position = key => {
+        const index = workflow.stages.findIndex(s => s.key === key);
+        return index === -1 ? 0 : index;
+    };
+    return pending.reduce((least, item) =>
+        position(item.operationalStatus) < position(least.operationalStatus) ? item : least
+    ).operationalStatus;
+}
+
+/**
+ * Recompute the order's operational status after its items changed, logging the change.
+ * Reaching (or passing) the consumesMaterials stage confirms material consumption, and a
+ * fully delivered and paid order is completed (or reopened if a delivery was cancelled).
+ * @param {object} tx Tenant-scoped transaction client
+ * @param {object} params { tenantId, workflow, orderId, materials?, userId, userName, performedBy? }
+ *   performedBy: { userId, userName } who did the work, when it isn't the user registering it
+ */
+async function syncOrderStage(tx, { tenantId, workflow, orderId, materials, userId, userName, performedBy }) {
+    const order = await tx.order.findFirst({
+        where: { id: orderId },
+        include: { items: { select: { operationalStatus: true, quantity: true, deliveredQuantity: true } } },
+    });
+
+    const stage = deriveOrderStage(workflow, order.items);
+    const updateData = {};
+    if (stage !== order.operationalStatus) updateData.operationalStatus = stage;
+
+    const delivered = stage === workflow.deliveredStage;
+    if (order.status === "ACTIVE" && delivered && parseFloat(order.balance) <= 0) {
+        updateData.status = "COMPLETED";
+    } else if (order.status === "COMPLETED" && !delivered) {
+        updateData.status = "ACTIVE";
+    }
+
+    const consumption = workflow.stages.find(s => s.consumesMaterials);
+    const stageIndex = workflow.stages.findIndex(s => s.key === stage);
+    if (consumption && stageIndex >= workflow.stages.indexOf(consumption)) {
+        await confirmOrderConsumption(tx, { tenantId, order, actual: materials, userId, userName });
+    }
+
+    if (Object.keys(updateData).length === 0) return;
+
+    await tx.order.update({
+        where: { id: orderId },
+        data: updateData,
+    });
+
+    await tx.orderEvent.create({
+        data: {
+            tenantId,
+            orderId,
+            type: "STATUS_CHANGE",
+            description: stage !== order.operationalStatus
+                ? `Operación: ${stageName(workflow, order.operationalStatus)} → ${stageName(workflow, stage)}`
+                : `Estado: ${order.status} → ${updateData.status}`,
+            fromStatus: order.status,
+            toStatus: updateData.status || order.status,
+            ...(stage !== order.operationalStatus && {
+                metadata: { fromOperational: order.operationalStatus, toOperational: stage },
+                performedById: performedBy?.userId || userId,
+                performedByName: performedBy?.userName || userName,
+            }),
+            changedById: userId,
+            changedByName: userName,
+        },
+    });
+}
+
+/**
+ * Register a delivery note for some copies of an order's items. Items whose copies are all
+ * delivered move to the delivered stage, remembering the stage they were in. Pending copies are
+ * checked again under the item's lock.
+ * @param {object} tx Tenant-scoped transaction client
+ * @param {object} params { tenantId, workflow, order, lines: [{ item, quantity }], deliveryDate?, receivedBy?, notes?, userId, userName }
+ * @returns {Promise<object>} The delivery note with its lines
+ */
+async function registerDelivery(tx, { tenantId, workflow, order, lines, deliveryDate, receivedBy, notes, userId, userName }) {
+    const maxNote = await tx.deliveryNote.findFirst({
+        where: { tenantId },
+        orderBy: { number: "desc" },
+        select: { number: true },
+    });
+
+    const noteLines = [];
+    for (const { item, quantity } of lines) {
+        const current = await lockOrderItem(tx, item.id);
+        const pending = pendingQuantity(current);
+        if (quantity > pending) {
+            throw new Error(`Item "${item.description}": quantity must be greater than 0 and at most ${pending} (pending copies)`);
+        }
+        const completes = round(current.deliveredQuantity + quantity) >= current.quantity;
+
+        await tx.orderItem.update({
+            where: { id: item.id },
+            data: {
+                deliveredQuantity: { increment: quantity },
+                ...(completes && { operationalStatus: workflow.deliveredStage }),
+            },
+        });
+
+        noteLines.push({
+            tenantId,
+            orderItemId: item.id,
+            description: item.description,
+            quantity,
+            previousStage: completes ? current.operationalStatus : null,
+        });
+    }
+
+    return tx.deliveryNote.create({
+        data: {
+            tenantId,
+            number: (maxNote?.number || 0) + 1,
+            orderId: order.id,
+            deliveryDate: deliveryDate ? new Date(deliveryDate) : new Date(),
+            receivedBy: receivedBy || null,
+            notes: notes || null,
+            createdBy: userId,
+            createdByName: userName,
+            lines: { create: noteLines },
+        },
+        include: { lines: true },
+    });
+}
+
+/**
+ * Cancel a delivery note: its copies become pending again and items that leave the delivered
+ * stage return to the stage they were in before their last delivery.
+ * @param {object} tx Tenant-scoped transaction client
+ * @param {object} params { workflow, note (with lines), reason }
+ * @returns {Promise<object>} The cancelled delivery note
+ */
+async function cancelDelivery(tx, { workflow, note, reason }) {
+    for (const line of note.lines) {
+        if (!line.orderItemId) continue;
+
+        await lockOrderItem(tx, line.orderItemId);
+        const item = await tx.orderItem.findFirst({ where: { id: line.orderItemId } });
+        const deliveredQuantity = Math.max(0, round(parseFloat(item.deliveredQuantity) - parseFloat(line.quantity)));
+        const updateData = { deliveredQuantity };
+
+        if (item.operationalStatus === workflow.deliveredStage && deliveredQuantity < parseFloat(item.quantity)) {
+            const completing = line.previousStage ? line : await tx.deliveryNoteLine.findFirst({
+                where: {
+                    orderItemId: item.id,
+                    previousStage: { not: null },
+                    deliveryNote: { status: "ISSUED" },
+                },
+                orderBy: { createdAt: "desc" },
+            });
+            updateData.operationalStatus = completing?.previousStage || workflow.initialStage;
+        }
+
+        await tx.orderItem.update({
+            where: { id: item.id },
+            data: updateData,
+        });
+    }
+
+    return tx.deliveryNote.update({
+        where: { id: note.id },
+        data: { status: "CANCELLED", cancelReason: reason || null, cancelledAt: new Date() },
+        include: { lines: true },
+    });
+}
+
+module.exports = {
+    pendingQuantity,
+    isFullyDelivered,
+    deriveOrderStage,
+    syncOrderStage,
+    registerDelivery,
+    cancelDelivery
+};
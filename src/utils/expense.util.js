@@ -0,0 +1,69 @@
+/**
+ * Expense Utility
+ * An expense takes its net amount (amount - withholdings) out of the account its payment
+ * method points to. Shared by plain expenses, supplier bill payments and purchase receipts
+ * paid on delivery.
+ */
+
+const { findAccountForMethod } = require("./account.util");
+
+/**
+ * Registers the DEBIT transaction of an expense on the account of its payment method
+ * for the net amount paid (amount - withholdings).
+ * @param {object} tx Tenant-scoped transaction client
+ * @param {object} expense Expense record
+ * @param {string} userId User registering the movement
+ */
+async function registerExpenseDebit(tx, expense, userId) {
+    const account = await findAccountForMethod(tx, expense.paymentMethodId);
+    if (!account) return;
+
+    const net = parseFloat(expense.amount) - parseFloat(expense.withholdingAmount || 0);
+
+    await tx.transaction.create({
+        data: {
+            tenantId: expense.tenantId,
+            accountId: account.id,
+            type: "DEBIT",
+            amount: net,
+            description: `Egreso #${expense.number} - ${expense.description}`,
+            referenceId: expense.id,
+            referenceType: "EXPENSE",
+            transactionDate: expense.expenseDate,
+            registeredBy: userId,
+        },
+    });
+
+    await tx.account.update({
+        where: { id: account.id },
+        data: { balance: { decrement: net } },
+    });
+}
+
+/**
+ * Reverses the DEBIT transactions registered for an expense, restoring the balances
+ * of the accounts they were charged to.
+ * @param {object} tx Tenant-scoped transaction client
+ * @param {object} expense Expense record
+ */
+async function reverseExpenseDebit(tx, expense) {
+    const transactions = await tx.transaction.findMany({
+        where: { referenceId: expense.id, referenceType: "EXPENSE" },
+    });
+
+    for (const t of transactions) {
+        await tx.account.update({
+            where: { id: t.accountId },
+            data: { balance: { increment: parseFloat(t.amount) } },
+        });
+    }
+
+    await tx.transaction.deleteMany({
+        where: { referenceId: expense.id, referenceType: "EXPENSE" },
+    });
+}
+
+module.exports = {
+    registerExpenseDebit,
+    reverseExpenseDebit
+};
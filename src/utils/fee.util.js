@@ -0,0 +1,135 @@
+/**
+ * Payment Fee Utility
+ * Card and wallet payments arrive net of the payment method's commission. The full amount
+ * still counts toward the order; the commission is posted as an expense debited from the
+ * account that received the money, so the account ends with what was actually credited.
+ */
+
+const { round } = require("./math.util");
+
+const DEFAULT_FEE_CATEGORY = "Comisiones medios de pago";
+
+/**
+ * Commission charged by a payment method on an amount: percentage + fixed, never above the amount.
+ * @param {object} method PaymentMethod record
+ * @param {number} amount Gross amount received
+ * @returns {number}
+ */
+function computeFee(method, amount) {
+    const percentage = parseFloat(method.feePercentage || 0);
+    const fixed = parseFloat(method.feeFixed || 0);
+    if (!(amount > 0) || (percentage <= 0 && fixed <= 0)) return 0;
+
+    const fee = round(amount * percentage / 100 + fixed);
+    return Math.min(fee, amount);
+}
+
+/**
+ * Expense category for commissions: the one configured in FinancialConfig, or a
+ * "Comisiones medios de pago" category created on first use.
+ * @param {object} tx Tenant-scoped transaction client
+ * @param {string} tenantId Tenant id
+ * @returns {Promise<string>} Category id
+ */
+async function resolveFeeCategoryId(tx, tenantId) {
+    const config = await tx.financialConfig.findFirst({
+        where: { tenantId },
+        select: { feeCategoryId: true },
+    });
+    if (config?.feeCategoryId) return config.feeCategoryId;
+
+    const existing = await tx.category.findFirst({
+        where: { name: DEFAULT_FEE_CATEGORY },
+        select: { id: true },
+    });
+    if (existing) return existing.id;
+
+    const created = await tx.category.create({
+        data: { tenantId, name: DEFAULT_FEE_CATEGORY, type: "EXPENSE" },
+    });
+    return created.id;
+}
+
+/**
+ * Post a commission as an expense and debit it from the receiving account.
+ * @param {object} tx Tenant-scoped transaction client
+ * @param {object} params { tenantId, method, accountId, fee, date, description, cashSessionId, userId }
+ * @returns {Promise<object|null>} The expense, or null when there is no fee
+ */
+async function registerFeeExpense(tx, { tenantId, method, accountId, fee, date, description, cashSessionId, userId }) {
+    if (!(fee > 0)) return null;
+
+    const maxExpense = await tx.expense.findFirst({
+        where: { tenantId },
+        orderBy: { number: "desc" },
+        select: { number: true },
+    });
+    const nextNumber = (maxExpense?.number || 0) + 1;
+
+    const expense = await tx.expense.create({
+        data: {
+            tenantId,
+            number: nextNumber,
+            expenseDate: date,
+            description,
+            amount: fee,
+            paymentMethodId: method.id,
+            categoryId: await resolveFeeCategoryId(tx, tenantId),
+            cashSessionId,
+            registeredBy: userId,
+        },
+    });
+
+    if (accountId) {
+        await tx.transaction.create({
+            data: {
+                tenantId,
+                accountId,
+                type: "DEBIT",
+                amount: fee,
+                description: `Egreso #${nextNumber} - ${description}`,
+                referenceId: expense.id,
+                referenceType: "EXPENSE",
+                transactionDate: date,
+                registeredBy: userId,
+            },
+        });
+
+        await tx.account.update({
+            where: { id: accountId },
+            data: { balance: { decrement: fee } },
+        });
+    }
+
+    return expense;
+}
+
+/**
+ * Remove a commission expense, giving the amount back to the account it was debited from.
+ * @param {object} tx Tenant-scoped transaction client
+ * @param {string|null} expenseId Fee expense id
+ */
+async function removeFeeExpense(tx, expenseId) {
+    if (!expenseId) return;
+
+    const transactions = await tx.transaction.findMany({
+        where: { referenceId: expenseId, referenceType: "EXPENSE" },
+    });
+    for (const t of transactions) {
+        await tx.account.update({
+            where: { id: t.accountId },
+            data: { balance: { increment: parseFloat(t.amount) } },
+        });
+    }
+
+    await tx.transaction.deleteMany({
+        where: { referenceId: expenseId, referenceType: "EXPENSE" },
+    });
+    await tx.expense.delete({ where: { id: expenseId } });
+}
+
+module.exports = {
+    computeFee,
+    registerFeeExpense,
+    removeFeeExpense
+};
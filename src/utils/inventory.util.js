@@ -0,0 +1,111 @@
+/**
+ * Inventory Utility
+ * Material stock is the running balance of an append-only StockMovement ledger. Every
+ * movement updates Material.stockQuantity and averageCost in the same transaction: entries
+ * with a cost re-weight the average, exits leave at the current average.
+ */
+
+const { round } = require("./math.util");
+
+const MOVEMENT_TYPES = ["PURCHASE", "CONSUMPTION", "ADJUSTMENT", "WASTE"];
+
+/**
+ * Lock a material's row until the transaction ends and return its current stock, so
+ * concurrent movements of the same material apply one after the other.
+ * @param {object} tx Transaction client
+ * @param {string} materialId Material id (already checked to belong to the tenant)
+ * @returns {Promise<number>} Stock quantity
+ */
+async function lockMaterialStock(tx, materialId) {
+    const rows = await tx.$queryRaw`SELECT stock_quantity FROM materials WHERE id = ${materialId}::uuid FOR UPDATE`;
+    if (rows.length === 0) {
+        throw new Error("Material not found");
+    }
+    return parseFloat(rows[0].stock_quantity);
+}
+
+/**
+ * Append a stock movement and update the material's stock and average cost.
+ * @param {object} tx Tenant-scoped transaction client
+ * @param {object} params { tenantId, materialId, type, quantity (signed), unitCost?, orderId?,
+ *                          purchaseReceiptId?, notes?, movementDate?, userId, userName }
+ * @returns {Promise<object>} The movement
+ */
+async function registerStockMovement(tx, { tenantId, materialId, type, quantity, unitCost, orderId, purchaseReceiptId, notes, movementDate, userId, userName }) {
+    await lockMaterialStock(tx, materialId);
+    const material = await tx.material.findFirst({
+        where: { id: materialId },
+        select: { id: true, stockQuantity: true, averageCost: true },
+    });
+    if (!material) {
+        throw new Error("Material not found");
+    }
+
+    const qty = round(parseFloat(quantity), 3);
+    const stock = parseFloat(material.stockQuantity);
+    const average = parseFloat(material.averageCost);
+    const stockAfter = round(stock + qty, 3);
+
+    // Entries without a cost (e.g. a count that found extra material) come in at the current average
+    const hasCost = unitCost !== undefined && unitCost !== null && unitCost !== "";
+    const cost = qty > 0 && hasCost ? round(parseFloat(unitCost), 2) : average;
+
+    let averageAfter = average;
+    if (qty > 0 && hasCost) {
+        averageAfter = stock > 0 && stockAfter > 0
+            ? round((stock * average + qty * cost) / stockAfter, 2)
+            : cost;
+    }
+
+    await tx.material.update({
+        where: { id: material.id },
+        data: { stockQuantity: stockAfter, averageCost: averageAfter },
+    });
+
+    return tx.stockMovement.create({
+        data: {
+            tenantId,
+            materialId: material.id,
+            type,
+            quantity: qty,
+            unitCost: cost,
+            totalCost: round(qty * cost, 2),
+            stockAfter,
+            averageCostAfter: averageAfter,
+            orderId: orderId || null,
+            purchaseReceiptId: purchaseReceiptId || null,
+            notes,
+            movementDate: movementDate || new Date(),
+            createdBy: userId,
+            createdByName: userName,
+        },
+    });
+}
+
+/**
+ * Stock position of a material: value at average cost and whether it is at or below its minimum.
+ * @param {object} material Material record
+ * @returns {object} { stockQuantity, averageCost, stockValue, minStock, isLow }
+ */
+function stockPosition(material) {
+    const stockQuantity = parseFloat(material.stockQuantity);
+    const averageCost = parseFloat(material.averageCost);
+    const minStock = material.minStock !== null && material.minStock !== undefined
+        ? parseFloat(material.minStock)
+        : null;
+
+    return {
+        stockQuantity,
+        averageCost,
+        stockValue: round(Math.max(stockQuantity, 0) * averageCost, 2),
+        minStock,
+        isLow: minStock !== null && stockQuantity <= minStock,
+    };
+}
+
+module.exports = {
+    MOVEMENT_TYPES,
+    lockMaterialStock,
+    registerStockMovement,
+    stockPosition
+};
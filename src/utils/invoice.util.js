@@ -0,0 +1,55 @@
+/**
+ * Invoice Utility
+ * Helpers shared by invoice and order routes to know whether an order is currently invoiced.
+ */
+
+/**
+ * Full document number as printed on the invoice (prefix + consecutive, e.g. "FE1024").
+ * @param {object} invoice Invoice with prefix and number
+ * @returns {string}
+ */
+function formatInvoiceNumber(invoice) {
+    return `${invoice.prefix || ""}${invoice.number}`;
+}
+
+/**
+ * Sum of the credit notes issued against an invoice.
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {string} invoiceId Invoice id
+ * @returns {Promise<number>}
+ */
+async function getCreditedTotal(prisma, invoiceId) {
+    const agg = await prisma.invoice.aggregate({
+        where: { referenceInvoiceId: invoiceId, type: "CREDIT_NOTE" },
+        _sum: { total: true },
+    });
+    return parseFloat(agg._sum.total || 0);
+}
+
+/**
+ * Returns the order's invoice that hasn't been fully reversed by credit notes, if any.
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {string} orderId Order id
+ * @returns {Promise<object|null>} Invoice or null
+ */
+async function findOpenInvoice(prisma, orderId) {
+    const invoices = await prisma.invoice.findMany({
+        where: { orderId, type: "INVOICE" },
+        select: { id: true, prefix: true, number: true, total: true },
+        orderBy: { issueDate: "desc" },
+    });
+
+    for (const invoice of invoices) {
+        const credited = await getCreditedTotal(prisma, invoice.id);
+        if (credited < parseFloat(invoice.total)) {
+            return invoice;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    formatInvoiceNumber,
+    getCreditedTotal,
+    findOpenInvoice
+};
@@ -0,0 +1,81 @@
+/**
+ * Job Costing Utility
+ * Cost of an order = materials consumed by it (the consumption production confirmed on its
+ * recipe, CONSUMPTION movements registered for orders without one, or the recipe estimate while
+ * nothing was consumed) + expenses attributed to it. Revenue is the order's
+ * amount net of taxes (subtotal - discount) in the base currency.
+ */
+
+const { toBase } = require("./currency.util");
+const { round } = require("./math.util");
+
+/**
+ * Revenue, cost and gross margin of a set of orders.
+ * @param {object} prisma Tenant-scoped Prisma client
+ * @param {Array} orders Orders with id, subtotal, discount and exchangeRate
+ * @returns {Promise<Map>} orderId → { revenue, materialCost, materialCostEstimated, expenseCost, totalCost, grossMargin, marginPercentage }
+ */
+async function getJobCosts(prisma, orders) {
+    const orderIds = orders.map(o => o.id);
+
+    const [consumption, expenses, estimates] = await Promise.all([
+        prisma.stockMovement.groupBy({
+            by: ["orderId"],
+            where: { orderId: { in: orderIds }, type: "CONSUMPTION" },
+            _sum: { totalCost: true },
+        }),
+        prisma.expense.groupBy({
+            by: ["orderId"],
+            where: { orderId: { in: orderIds } },
+            _sum: { amount: true },
+        }),
+        prisma.orderMaterial.groupBy({
+            by: ["orderId"],
+            where: { orderId: { in: orderIds } },
+            _sum: { estimatedCost: true, consumedCost: true },
+            _count: { consumedAt: true },
+        }),
+    ]);
+
+    const byOrder = (groups, field) => Object.fromEntries(groups.map(g => [g.orderId, parseFloat(g._sum[field] || 0)]));
+    const consumed = byOrder(consumption, "totalCost");
+    const expensed = byOrder(expenses, "amount");
+    const estimated = byOrder(estimates, "estimatedCost");
+    const confirmed = byOrder(estimates.filter(g => g._count.consumedAt > 0), "consumedCost");
+
+    const result = new Map();
+    for (const order of orders) {
+        const revenue = toBase(parseFloat(order.subtotal) - parseFloat(order.discount), order.exchangeRate);
+        // A confirmed consumption counts even when every quantity was 0 (no movements)
+        const isConfirmed = confirmed[order.id] !== undefined;
+        const materialCostEstimated = !isConfirmed && consumed[order.id] === undefined;
+        let materialCost;
+        if (isConfirmed) {
+            materialCost = round(confirmed[order.id]);
+        } else if (materialCostEstimated) {
+            materialCost = round(estimated[order.id] || 0);
+        } else {
+            // Consumption movements are negative quantities, so their cost is negative too
+            materialCost = round(-consumed[order.id]);
+        }
+        const expenseCost = round(expensed[order.id] || 0);
+        const totalCost = round(materialCost + expenseCost);
+        const grossMargin = round(revenue - totalCost);
+
+        result.set(order.id, {
+            revenue,
+            materialCost,
+            materialCostEstimated,
+            expenseCost,
+            totalCost,
+            grossMargin,
+            marginPercentage: revenue > 0 ? round(grossMargin / revenue * 100) : null,
+        });
+    }
+
+    return result;
+}
+
+module.exports = {
+    getJobCosts
+};
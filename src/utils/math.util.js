@@ -0,0 +1,19 @@
+/**
+ * Math Utility
+ * Rounding shared by money, quantity and rate calculations.
+ */
+
+/**
+ * Round to a number of decimals. Like Math.round, halves go toward +∞ (-2.5 cents → -2).
+ * @param {number} value Value to round
+ * @param {number} decimals Decimal places (2 for money)
+ * @returns {number}
+ */
+function round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    round
+};
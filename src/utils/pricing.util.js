@@ -0,0 +1,147 @@
+/**
+ * Line Item Pricing Utility
+ * Shared by orders and quotes to compute line totals for unit, area (m²) and linear (m) pricing.
+ */
+
+const { round } = require("./math.util");
+
+const PRICING_MODES = ["UNIT", "AREA", "LINEAR"];
+
+// Conversion factor to meters for the supported dimension units
+const MEASURE_UNITS = { m: 1, cm: 0.01, mm: 0.001 };
+
+// Product.unit values that imply a pricing mode when the item doesn't specify one
+const AREA_PRODUCT_UNITS = ["m2", "m²", "mt2", "mts2"];
+const LINEAR_PRODUCT_UNITS = ["ml", "m", "mt", "mts", "metro lineal"];
+
+/**
+ * Infers the pricing mode from a product unit (e.g. "m2" → AREA, "ml" → LINEAR).
+ * @param {string|null} unit Product.unit
+ * @returns {string} UNIT | AREA | LINEAR
+ */
+function inferPricingMode(unit) {
+    const normalized = (unit || "").trim().toLowerCase();
+    if (AREA_PRODUCT_UNITS.includes(normalized)) return "AREA";
+    if (LINEAR_PRODUCT_UNITS.includes(normalized)) return "LINEAR";
+    return "UNIT";
+}
+
+/**
+ * Loads the products referenced by a list of raw items, keyed by id.
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {Array} items Raw items from the request body
+ * @returns {Promise<object>} { [productId]: Product }
+ */
+async function loadItemProducts(prisma, items) {
+    const productIds = [...new Set(items.map(i => i.productId).filter(Boolean))];
+    if (productIds.length === 0) return {};
+
+    const products = await prisma.product.findMany({
+        where: { id: { in: productIds } },
+        select: { id: true, name: true, basePrice: true, unit: true },
+    });
+    return Object.fromEntries(products.map(p => [p.id, p]));
+}
+
+/**
+ * Normalizes raw request items into line data ready to persist.
+ * Product.basePrice is used as the default rate and Product.unit as the default pricing mode.
+ *
+ * - UNIT:   lineTotal = quantity × unitPrice
+ * - AREA:   lineTotal = (width × height in m²) × quantity (copies) × unitPrice (per m²)
+ * - LINEAR: lineTotal = (width in m) × quantity (copies) × unitPrice (per linear meter)
+ *
+ * @param {Array} items Raw items from the request body
+ * @param {object} productMap Result of loadItemProducts
+ * @returns {object} { lines: Array, error: string|null }
+ */
+function buildItemLines(items, productMap = {}) {
+    const lines = [];
+
+    for (const [index, item] of items.entries()) {
+        const product = item.productId ? productMap[item.productId] : null;
+        if (item.productId && !product) {
+            return { lines: [], error: `Item ${index + 1}: el producto no existe` };
+        }
+
+        const pricingMode = item.pricingMode || inferPricingMode(product?.unit);
+        if (!PRICING_MODES.includes(pricingMode)) {
+            return { lines: [], error: `Item ${index + 1}: pricingMode inválido. Valid: ${PRICING_MODES.join(", ")}` };
+        }
+
+        const quantity = parseFloat(item.quantity ?? 1);
+        const unitPrice = parseFloat(item.unitPrice ?? product?.basePrice ?? NaN);
+        if (!(quantity > 0) || isNaN(unitPrice) || unitPrice < 0) {
+            return { lines: [], error: `Item ${index + 1}: quantity y unitPrice son requeridos` };
+        }
+
+        const line = {
+            productId: item.productId || null,
+            description: item.description || product?.name || "",
+            pricingMode,
+            width: null,
+            height: null,
+            measureUnit: null,
+            measure: null,
+            quantity,
+            unitPrice,
+            lineTotal: round(quantity * unitPrice, 2),
+        };
+
+        if (pricingMode !== "UNIT") {
+            const measureUnit = item.measureUnit || "m";
+            const factor = MEASURE_UNITS[measureUnit];
+            const width = parseFloat(item.width);
+            const height = parseFloat(item.height);
+
+            if (!factor) {
+                return { lines: [], error: `Item ${index + 1}: measureUnit inválido. Valid: ${Object.keys(MEASURE_UNITS).join(", ")}` };
+            }
+            if (!(width > 0) || (pricingMode === "AREA" && !(height > 0))) {
+                return {
+                    lines: [],
+                    error: pricingMode === "AREA"
+                        ? `Item ${index + 1}: width y height son requeridos para precio por m²`
+                        : `Item ${index + 1}: width es requerido para precio por metro lineal`,
+                };
+            }
+
+            const measure = pricingMode === "AREA"
+                ? (width * factor) * (height * factor)
+                : width * factor;
+
+            line.width = width;
+            line.height = pricingMode === "AREA" ? height : null;
+            line.measureUnit = measureUnit;
+            line.measure = round(measure, 4);
+            line.lineTotal = round(line.measure * quantity * unitPrice, 2);
+        }
+
+        lines.push(line);
+    }
+
+    return { lines, error: null };
+}
+
+/**
+ * Human readable dimensions for documents, e.g. "120 x 80 cm" or "3.5 m".
+ * @param {object} item Persisted OrderItem/QuoteItem
+ * @returns {string}
+ */
+function formatDimensions(item) {
+    if (!item.pricingMode || item.pricingMode === "UNIT" || !item.width) return "";
+    const width = parseFloat(item.width);
+    const unit = item.measureUnit || "m";
+    if (item.pricingMode === "AREA" && item.height) {
+        return `${width} x ${parseFloat(item.height)} ${unit}`;
+    }
+    return `${width} ${unit}`;
+}
+
+module.exports = {
+    PRICING_MODES,
+    inferPricingMode,
+    loadItemProducts,
+    buildItemLines,
+    formatDimensions
+};
@@ -0,0 +1,124 @@
+/**
+ * Production Utility
+ * Operational stages of an order and the timing derived from its events. Every
+ * operational-status change stores { fromOperational, toOperational } in the OrderEvent
+ * metadata, so an order entered a stage with the last event that moved it there (or when
+ * it was created, for the tenant's initial stage).
+ */
+
+const { getLocalDateTime } = require("./date.util");
+const { round } = require("./math.util");
+
+// Default hours an order may sit in a stage before it shows as stuck
+const DEFAULT_STUCK_HOURS = 72;
+
+// Orders due within this many days are DUE_SOON
+const DUE_SOON_DAYS = 2;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Whether an event is an operational-status change.
+ * @param {object} event OrderEvent
+ * @returns {boolean}
+ */
+function isOperationalEvent(event) {
+    return Boolean(event.metadata && event.metadata.toOperational);
+}
+
+/**
+ * When each order entered its current stage.
+ * @param {Array} orders Orders with id, operationalStatus and createdAt
+ * @param {Array} events Their STATUS_CHANGE events, oldest first
+ * @returns {Map} orderId → Date
+ */
+function stageEntryTimes(orders, events) {
+    const entries = new Map(orders.map(o => [o.id, new Date(o.createdAt)]));
+    const current = new Map(orders.map(o => [o.id, o.operationalStatus]));
+
+    for (const event of events) {
+        if (isOperationalEvent(event) && event.metadata.toOperational === current.get(event.orderId)) {
+            entries.set(event.orderId, new Date(event.createdAt));
+        }
+    }
+    return entries;
+}
+
+/**
+ * Completed visits to each stage: every event leaving a stage closes the visit opened by
+ * the event that entered it (or by the order's creation).
+ * @param {Array} orders Orders with id and createdAt
+ * @param {Array} events Their STATUS_CHANGE events, oldest first
+ * @param {string} initialStage Stage new orders start in
+ * @returns {Array} [{ orderId, stage, enteredAt, leftAt, hours }]
+ */
+function stageVisits(orders, events, initialStage) {
+    const entered = new Map(orders.map(o => [o.id, { stage: initialStage, at: new Date(o.createdAt) }]));
+    const visits = [];
+
+    for (const event of events) {
+        if (!isOperationalEvent(event) || !entered.has(event.orderId)) continue;
+
+        const { fromOperational, toOperational } = event.metadata;
+        const open = entered.get(event.orderId);
+        const leftAt = new Date(event.createdAt);
+
+        if (open.stage === fromOperational) {
+            visits.push({
+                orderId: event.orderId,
+                stage: fromOperational,
+                enteredAt: open.at,
+                leftAt,
+                hours: round((leftAt - open.at) / HOUR_MS),
+            });
+        }
+        entered.set(event.orderId, { stage: toOperational, at: leftAt });
+    }
+
+    return visits;
+}
+
+/**
+ * Urgency of an order by its due date in the tenant's timezone.
+ * @param {Date|null} dueDate Order due date
+ * @param {Date} now Current instant
+ * @param {string} timeZone Tenant timezone
+ * @returns {object} { urgency: OVERDUE|DUE_TODAY|DUE_SOON|ON_TIME|NO_DUE_DATE, daysToDue }
+ */
+function dueUrgency(dueDate, now, timeZone) {
+    if (!dueDate) return { urgency: "NO_DUE_DATE", daysToDue: null };
+
+    const today = new Date(`${getLocalDateTime(now, timeZone).date}T00:00:00Z`);
+    const due = new Date(`${getLocalDateTime(new Date(dueDate), timeZone).date}T00:00:00Z`);
+    const daysToDue = Math.round((due - today) / DAY_MS);
+
+    let urgency = "ON_TIME";
+    if (daysToDue < 0) urgency = "OVERDUE";
+    else if (daysToDue === 0) urgency = "DUE_TODAY";
+    else if (daysToDue <= DUE_SOON_DAYS) urgency = "DUE_SOON";
+
+    return { urgency, daysToDue };
+}
+
+/**
+ * Local Monday (YYYY-MM-DD) of the week a date falls in.
+ * @param {Date} date Date
+ * @param {string} timeZone Tenant timezone
+ * @returns {string}
+ */
+function weekStart(date, timeZone) {
+    const local = new Date(`${getLocalDateTime(date, timeZone).date}T00:00:00Z`);
+    const monday = new Date(local.getTime() - ((local.getUTCDay() + 6) % 7) * DAY_MS);
+    return monday.toISOString().slice(0, 10);
+}
+
+module.exports = {
+    DEFAULT_STUCK_HOURS,
+    HOUR_MS,
+    isOperationalEvent,
+    stageEntryTimes,
+    stageVisits,
+    dueUrgency,
+    weekStart
+};
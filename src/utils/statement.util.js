@@ -0,0 +1,295 @@
+/**
+ * Bank Statement Utility
+ * Parses bank/wallet statements (extractos) exported as CSV or OFX into signed lines:
+ * positive amounts are money in, negative amounts money out.
+ * CSV columns are located with a per-bank profile that can be overridden per import.
+ */
+
+const { round } = require("./math.util");
+
+/**
+ * Built-in CSV column mappings. Columns are header names (case and accent insensitive)
+ * or 0-based indexes for files without header. Use `amount` for a signed value column
+ * or `debit` + `credit` when the bank splits them.
+ */
+const STATEMENT_PROFILES = {
+    BANCOLOMBIA: {
+        label: "Bancolombia",
+        columns: { date: "FECHA", description: "DESCRIPCION", reference: "DOCUMENTO", amount: "VALOR", balance: "SALDO" },
+        dateFormat: "DD/MM/YYYY",
+        decimalSeparator: ",",
+    },
+    NEQUI: {
+        label: "Nequi",
+        columns: { date: "Fecha del movimiento", description: "Descripcion", amount: "Valor", balance: "Saldo" },
+        dateFormat: "DD/MM/YYYY",
+        decimalSeparator: ".",
+    },
+    GENERIC: {
+        label: "Genérico (date, description, reference, amount, balance)",
+        columns: { date: "date", description: "description", reference: "reference", amount: "amount", balance: "balance" },
+        dateFormat: "YYYY-MM-DD",
+        decimalSeparator: ".",
+    },
+};
+
+function normalize(value) {
+    return String(value ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").trim().toLowerCase();
+}
+
+/**
+ * Split CSV text into rows of fields (quoted fields, "" escapes, ; , or tab delimiter)
+ */
+function parseCsv(text, delimiter) {
+    const content = text.replace(/^\uFEFF/, "");
+    // Title rows may come first: detect the delimiter on the first lines
+    const sample = content.split(/\r?\n/, 10);
+    const count = (d) => Math.max(...sample.map((l) => l.split(d).length));
+    const sep = delimiter || [";", "\t", ","].reduce((best, d) => (count(d) > count(best) ? d : best), ",");
+
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < content.length; i++) {
+        const ch = content[i];
+        if (quoted) {
+            if (ch === '"' && content[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === sep) {
+            row.push(field); field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && content[i + 1] === "\n") i++;
+            row.push(field); field = "";
+            if (row.some((f) => f.trim() !== "")) rows.push(row);
+            row = [];
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.some((f) => f.trim() !== "")) rows.push(row);
+    return rows;
+}
+
+/**
+ * Parse an amount like "1.234.567,89", "-1,234.50", "$ 50.000" or "(120.00)"
+ */
+function parseAmount(value, decimalSeparator = ".") {
+    if (value === undefined || value === null) return null;
+    let str = String(value).trim();
+    if (str === "") return null;
+
+    const negative = /^\(.*\)$/.test(str) || /^-|-$/.test(str.replace(/[^\d\-()]/g, ""));
+    str = str.replace(/[^\d.,]/g, "");
+    const thousands = decimalSeparator === "," ? "." : ",";
+    str = str.split(thousands).join("").replace(decimalSeparator, ".");
+
+    const num = parseFloat(str);
+    if (isNaN(num)) return null;
+    return round(negative ? -num : num);
+}
+
+/**
+ * Parse a date with the given format (YYYY, MM, DD tokens) into YYYY-MM-DD
+ */
+function parseDate(value, format = "YYYY-MM-DD") {
+    const str = String(value ?? "").trim();
+    const tokens = format.match(/YYYY|MM|DD/g) || [];
+    let parts = str.match(/\d+/g) || [];
+
+    // Compact dates (YYYYMMDD) come as a single group of digits
+    if (parts.length === 1 && parts[0].length >= 8) {
+        const digits = parts[0];
+        let pos = 0;
+        parts = tokens.map((t) => { const p = digits.substr(pos, t.length); pos += t.length; return p; });
+    }
+    if (parts.length < 3 || tokens.length !== 3) return null;
+
+    const map = {};
+    tokens.forEach((t, i) => { map[t] = parts[i]; });
+    const y = map.YYYY.length === 2 ? `20${map.YYYY}` : map.YYYY;
+    const m = map.MM.padStart(2, "0");
+    const d = map.DD.padStart(2, "0");
+
+    const date = new Date(`${y}-${m}-${d}T00:00:00Z`);
+    if (isNaN(date.getTime()) || date.getUTCMonth() + 1 !== parseInt(m)) return null;
+    return `${y}-${m}-${d}`;
+}
+
+/**
+ * Parse a CSV statement with a profile / custom mapping
+ * @returns {object} { lines, closingBalance }
+ */
+function parseCsvStatement(text, profile) {
+    const rows = parseCsv(text, profile.delimiter);
+    const { columns } = profile;
+    const byIndex = Number.isInteger(columns.date);
+
+    let header = [];
+    let start = 0;
+    if (!byIndex) {
+        // Banks add title rows before the header: use the first row naming the date column
+        start = rows.findIndex((r) => r.some((f) => normalize(f) === normalize(columns.date)));
+        if (start === -1) {
+            throw new Error(`Columna de fecha "${columns.date}" no encontrada en el archivo`);
+        }
+        header = rows[start].map(normalize);
+        start += 1;
+    }
+
+    const col = (name) => {
+        const key = columns[name];
+        if (key === undefined || key === null) return -1;
+        if (Number.isInteger(key)) return key;
+        return header.indexOf(normalize(key));
+    };
+    const idx = {
+        date: col("date"),
+        description: col("description"),
+        reference: col("reference"),
+        amount: col("amount"),
+        debit: col("debit"),
+        credit: col("credit"),
+        balance: col("balance"),
+    };
+    if (idx.amount === -1 && (idx.debit === -1 || idx.credit === -1)) {
+        throw new Error("La configuración de columnas requiere amount o debit + credit");
+    }
+
+    const lines = [];
+    for (let i = start; i < rows.length; i++) {
+        const r = rows[i];
+        const date = parseDate(r[idx.date], profile.dateFormat);
+        if (!date) continue; // totals, footers and blank rows
+
+        let amount;
+        if (idx.amount !== -1) {
+            amount = parseAmount(r[idx.amount], profile.decimalSeparator);
+        } else {
+            const credit = parseAmount(r[idx.credit], profile.decimalSeparator) || 0;
+            const debit = parseAmount(r[idx.debit], profile.decimalSeparator) || 0;
+            amount = round(Math.abs(credit) - Math.abs(debit));
+        }
+        if (amount === null || amount === 0) continue;
+
+        lines.push({
+            date,
+            description: (idx.description !== -1 ? r[idx.description] : "")?.trim() || "Sin descripción",
+            reference: idx.reference !== -1 ? (r[idx.reference]?.trim() || null) : null,
+            amount,
+            balance: idx.balance !== -1 ? parseAmount(r[idx.balance], profile.decimalSeparator) : null,
+        });
+    }
+
+    // The statement balance is the one of the latest line (files come newest or oldest first)
+    let closingBalance = null;
+    if (lines.length > 0) {
+        const newestFirst = lines[0].date > lines[lines.length - 1].date;
+        const latest = newestFirst ? lines[0] : lines[lines.length - 1];
+        closingBalance = latest.balance;
+    }
+
+    return { lines, closingBalance };
+}
+
+/**
+ * Parse an OFX (1.x SGML or 2.x XML) statement
+ * @returns {object} { lines, periodStart, periodEnd, closingBalance }
+ */
+function parseOfxStatement(text) {
+    const tag = (block, name) => {
+        const m = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, "i"));
+        return m ? m[1].trim() : null;
+    };
+
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+    if (blocks.length === 0 && !/<OFX>/i.test(text)) {
+        throw new Error("El archivo no es un OFX válido");
+    }
+
+    const lines = [];
+    for (const block of blocks) {
+        const date = parseDate((tag(block, "DTPOSTED") || "").slice(0, 8), "YYYYMMDD");
+        const amount = parseAmount(tag(block, "TRNAMT"), ".");
+        if (!date || amount === null || amount === 0) continue;
+
+        const name = tag(block, "NAME");
+        const memo = tag(block, "MEMO");
+        lines.push({
+            date,
+            description: [name, memo].filter(Boolean).join(" - ") || tag(block, "TRNTYPE") || "Sin descripción",
+            reference: tag(block, "CHECKNUM") || tag(block, "REFNUM") || tag(block, "FITID"),
+            amount,
+            balance: null,
+        });
+    }
+
+    const ledgerBal = text.match(/<LEDGERBAL>[\s\S]*?<BALAMT>([^<\r\n]*)/i);
+
+    return {
+        lines,
+        periodStart: parseDate((tag(text, "DTSTART") || "").slice(0, 8), "YYYYMMDD"),
+        periodEnd: parseDate((tag(text, "DTEND") || "").slice(0, 8), "YYYYMMDD"),
+        closingBalance: ledgerBal ? parseAmount(ledgerBal[1], ".") : null,
+    };
+}
+
+/**
+ * Parse a statement file into lines and period.
+ * @param {string} content File content
+ * @param {object} options { format?: "CSV"|"OFX" (detected when omitted), profile?: STATEMENT_PROFILES key, mapping?: overrides }
+ * @returns {object} { format, profile, lines: [{ date, description, reference, amount, balance }], periodStart, periodEnd, closingBalance }
+ * @throws {Error} When the file cannot be read with the given format/mapping
+ */
+function parseStatement(content, { format, profile, mapping } = {}) {
+    if (!content || !String(content).trim()) {
+        throw new Error("El archivo del extracto está vacío");
+    }
+
+    const text = String(content);
+    const detected = format || (/<OFX>|OFXHEADER/i.test(text) ? "OFX" : "CSV");
+
+    let result;
+    let profileName;
+    if (detected === "OFX") {
+        profileName = "OFX";
+        result = parseOfxStatement(text);
+    } else if (detected === "CSV") {
+        const base = STATEMENT_PROFILES[profile || "GENERIC"];
+        if (!base) {
+            throw new Error(`Perfil de banco desconocido: ${profile}. Válidos: ${Object.keys(STATEMENT_PROFILES).join(", ")}`);
+        }
+        profileName = mapping ? "CUSTOM" : (profile || "GENERIC");
+        result = parseCsvStatement(text, {
+            ...base,
+            ...(mapping || {}),
+            columns: { ...base.columns, ...(mapping?.columns || {}) },
+        });
+    } else {
+        throw new Error("Formato inválido. Válidos: CSV, OFX");
+    }
+
+    if (result.lines.length === 0) {
+        throw new Error("No se encontraron movimientos en el extracto");
+    }
+
+    const dates = result.lines.map((l) => l.date).sort();
+
+    return {
+        format: detected,
+        profile: profileName,
+        lines: result.lines,
+        periodStart: result.periodStart || dates[0],
+        periodEnd: result.periodEnd || dates[dates.length - 1],
+        closingBalance: result.closingBalance ?? null,
+    };
+}
+
+module.exports = {
+    STATEMENT_PROFILES,
+    parseStatement
+};
@@ -0,0 +1,133 @@
+/**
+ * Tax Utility
+ * Resolves TaxConfig entries for order/quote lines and computes tax snapshots and breakdowns.
+ * A snapshot is { taxConfigId, name, rate } copied from TaxConfig at creation time, so later
+ * changes to the config don't alter documents already issued.
+ */
+
+const { round } = require("./math.util");
+
+function toSnapshot(config) {
+    return {
+        taxConfigId: config.taxConfigId !== undefined ? config.taxConfigId : config.id,
+        name: config.name,
+        rate: parseFloat(config.rate),
+    };
+}
+
+/**
+ * Resolves which taxes apply to each line.
+ *
+ * - item.taxConfigIds (array) overrides the document-level selection for that line.
+ * - taxConfigIds (array) is the document-level selection; [] means no taxes.
+ * - When taxConfigIds is undefined, fallbackTaxes (snapshots) are used if given,
+ *   otherwise the tenant's active default TaxConfig entries.
+ *
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {Array} items Raw items from the request body (same order as the built lines)
+ * @param {Array|undefined} taxConfigIds Document-level TaxConfig ids
+ * @param {Array|null} fallbackTaxes Snapshots to reuse when no selection is sent (edits)
+ * @returns {Promise<object>} { lineTaxes: Array<Array<snapshot>>, error: string|null }
+ */
+async function resolveLineTaxes(prisma, items, taxConfigIds, fallbackTaxes = null) {
+    if (taxConfigIds !== undefined && !Array.isArray(taxConfigIds)) {
+        return { lineTaxes: [], error: "taxConfigIds must be an array" };
+    }
+
+    const requestedIds = new Set(taxConfigIds || []);
+    items.forEach(item => (item.taxConfigIds || []).forEach(id => requestedIds.add(id)));
+
+    const configs = requestedIds.size > 0
+        ? await prisma.taxConfig.findMany({
+            where: { id: { in: [...requestedIds] }, isActive: true },
+        })
+        : [];
+    const configMap = Object.fromEntries(configs.map(c => [c.id, toSnapshot(c)]));
+
+    const missing = [...requestedIds].filter(id => !configMap[id]);
+    if (missing.length > 0) {
+        return { lineTaxes: [], error: "Uno o más impuestos seleccionados no existen o están inactivos" };
+    }
+
+    let documentTaxes;
+    if (taxConfigIds !== undefined) {
+        documentTaxes = taxConfigIds.map(id => configMap[id]);
+    } else if (fallbackTaxes) {
+        documentTaxes = fallbackTaxes;
+    } else {
+        const defaults = await prisma.taxConfig.findMany({
+            where: { isDefault: true, isActive: true },
+            orderBy: { name: "asc" },
+        });
+        documentTaxes = defaults.map(toSnapshot);
+    }
+
+    const lineTaxes = items.map(item => Array.isArray(item.taxConfigIds)
+        ? item.taxConfigIds.map(id => configMap[id])
+        : documentTaxes);
+
+    return { lineTaxes, error: null };
+}
+
+/**
+ * Computes the tax rows for each line and the document totals.
+ * @param {Array} lines Built lines (see pricing.util buildItemLines)
+ * @param {Array} lineTaxes Result of resolveLineTaxes
+ * @returns {object} { taxRowsByLine, taxAmount, taxRate } where taxRate is the effective rate over the subtotal
+ */
+function calculateTaxes(lines, lineTaxes) {
+    const taxRowsByLine = lines.map((line, index) => (lineTaxes[index] || []).map(tax => ({
+        taxConfigId: tax.taxConfigId || null,
+        name: tax.name,
+        rate: tax.rate,
+        base: line.lineTotal,
+        amount: round(line.lineTotal * tax.rate, 2),
+    })));
+
+    const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+    const taxAmount = round(taxRowsByLine.flat().reduce((sum, row) => sum + row.amount, 0), 2);
+    const taxRate = subtotal > 0 ? round(taxAmount / subtotal, 4) : 0;
+
+    return { taxRowsByLine, taxAmount, taxRate };
+}
+
+/**
+ * Distinct tax snapshots of persisted tax rows, to reuse them when a document is edited.
+ * @param {Array} rows OrderTax/QuoteTax rows
+ * @returns {Array|null} snapshots, or null when the document has no tax rows
+ */
+function snapshotsFromRows(rows) {
+    if (!rows || rows.length === 0) return null;
+    const byKey = {};
+    rows.forEach(row => {
+        const key = row.taxConfigId || `${row.name}|${row.rate}`;
+        if (!byKey[key]) byKey[key] = toSnapshot(row);
+    });
+    return Object.values(byKey);
+}
+
+/**
+ * Groups persisted tax rows into a breakdown per tax (name + rate).
+ * @param {Array} rows OrderTax/QuoteTax rows
+ * @returns {Array} [{ taxConfigId, name, rate, base, amount }]
+ */
+function summarizeTaxes(rows) {
+    const byKey = {};
+    (rows || []).forEach(row => {
+        const rate = parseFloat(row.rate);
+        const key = `${row.name}|${rate}`;
+        if (!byKey[key]) {
+            byKey[key] = { taxConfigId: row.taxConfigId || null, name: row.name, rate, base: 0, amount: 0 };
+        }
+        byKey[key].base += parseFloat(row.base);
+        byKey[key].amount += parseFloat(row.amount);
+    });
+    return Object.values(byKey).map(t => ({ ...t, base: round(t.base, 2), amount: round(t.amount, 2) }));
+}
+
+module.exports = {
+    resolveLineTaxes,
+    calculateTaxes,
+    snapshotsFromRows,
+    summarizeTaxes
+};
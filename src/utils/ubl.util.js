@@ -0,0 +1,482 @@
+/**
+ * UBL 2.1 Utility (DIAN Colombia)
+ * Builds the XML of electronic invoices and credit notes following the DIAN technical annex
+ * (Resolución 000165 de 2023) and computes the CUFE/CUDE.
+ * The XML is produced unsigned: the second UBLExtension is left empty for the XAdES signature,
+ * which is the responsibility of the submission adapter (see services/dian.service.js).
+ */
+
+const crypto = require("crypto");
+const { round } = require("./math.util");
+
+const NAMESPACES = {
+    "xmlns:cac": "urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2",
+    "xmlns:cbc": "urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2",
+    "xmlns:ds": "http://www.w3.org/2000/09/xmldsig#",
+    "xmlns:ext": "urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2",
+    "xmlns:sts": "dian:gov:co:facturaelectronica:Structures-2-1",
+    "xmlns:xades": "http://uri.etsi.org/01903/v1.3.2#",
+    "xmlns:xades141": "http://uri.etsi.org/01903/v1.4.1#",
+    "xmlns:xsi": "http://www.w3.org/2001/XMLSchema-instance",
+};
+
+const DIAN_AGENCY = {
+    schemeAgencyID: "195",
+    schemeAgencyName: "CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)",
+};
+
+// NIT de la DIAN como proveedor de autorización
+const DIAN_NIT = "800197268";
+
+// Tributos (tabla 13.2.2 del anexo técnico)
+const TAX_SCHEMES = {
+    "01": "IVA",
+    "03": "ICA",
+    "04": "INC",
+};
+
+// Conceptos de corrección para notas crédito (tabla 13.2.4)
+const CREDIT_NOTE_CONCEPTS = {
+    "1": "Devolución parcial de los bienes y/o no aceptación parcial del servicio",
+    "2": "Anulación de factura electrónica",
+    "3": "Rebaja o descuento parcial o total",
+    "4": "Ajuste de precio",
+    "5": "Otros",
+};
+
+const QR_URLS = {
+    1: "https://catalogo-vpfe.dian.gov.co/document/searchqr?documentkey=",
+    2: "https://catalogo-vpfe-hab.dian.gov.co/document/searchqr?documentkey=",
+};
+
+function formatAmount(value) {
+    return round(parseFloat(value) || 0, 2).toFixed(2);
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * Element helper: children is a text value, an array of elements or null (empty element).
+ * Null/undefined entries inside arrays are skipped, so optional blocks can be inlined.
+ */
+function el(tag, attrs, children) {
+    return { tag, attrs: attrs || {}, children };
+}
+
+function render(node, depth = 0) {
+    const pad = "    ".repeat(depth);
+    const attrs = Object.entries(node.attrs)
+        .filter(([, v]) => v !== undefined && v !== null)
+        .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+        .join("");
+
+    if (node.children === null || node.children === undefined) {
+        return `${pad}<${node.tag}${attrs}/>`;
+    }
+    if (!Array.isArray(node.children)) {
+        return `${pad}<${node.tag}${attrs}>${escapeXml(node.children)}</${node.tag}>`;
+    }
+    const inner = node.children.filter(Boolean).map(child => render(child, depth + 1)).join("\n");
+    return `${pad}<${node.tag}${attrs}>\n${inner}\n${pad}</${node.tag}>`;
+}
+
+/**
+ * Maps a tax snapshot name to its DIAN tribute code (IVA 01, ICA 03, INC 04).
+ * @param {string} name Tax name (e.g. "IVA 19%", "Impuesto al consumo 8%")
+ * @returns {string}
+ */
+function dianTaxCode(name) {
+    const normalized = (name || "").toLowerCase();
+    if (/\bica\b/.test(normalized)) return "03";
+    if (/\binc\b|consumo/.test(normalized)) return "04";
+    return "01";
+}
+
+/**
+ * Verification digit (DV) of a Colombian NIT.
+ * @param {string} nit NIT without DV
+ * @returns {string}
+ */
+function computeDv(nit) {
+    const weights = [3, 7, 13, 17, 19, 23, 29, 37, 41, 43, 47, 53, 59, 67, 71];
+    const digits = String(nit).replace(/\D/g, "").split("").reverse();
+    const sum = digits.reduce((acc, d, i) => acc + parseInt(d) * weights[i], 0);
+    const mod = sum % 11;
+    return String(mod > 1 ? 11 - mod : mod);
+}
+
+/**
+ * Parses a customer identification into the DIAN party fields.
+ * "900123456-7" is taken as a NIT (legal person), anything else as a cédula (natural person).
+ * An empty identification is the generic "consumidor final".
+ * @param {string|null} identification Customer.identification
+ * @returns {object} { number, dv, schemeName, additionalAccountId }
+ */
+function parsePartyId(identification) {
+    const clean = (identification || "").replace(/[\s.]/g, "");
+    const nit = clean.match(/^(\d+)-(\d)$/);
+    if (nit) {
+        return { number: nit[1], dv: nit[2], schemeName: "31", additionalAccountId: "1" };
+    }
+    return { number: clean || "222222222222", dv: null, schemeName: "13", additionalAccountId: "2" };
+}
+
+/**
+ * Groups line tax rows by tribute code and rate, as required by cac:TaxTotal.
+ * @param {Array} lines [{ taxes: [{ code, rate, base, amount }] }]
+ * @returns {Array} [{ code, amount, subtotals: [{ rate, base, amount }] }]
+ */
+function groupTaxTotals(lines) {
+    const byCode = {};
+    lines.forEach(line => (line.taxes || []).forEach(tax => {
+        if (!byCode[tax.code]) byCode[tax.code] = { code: tax.code, amount: 0, rates: {} };
+        const group = byCode[tax.code];
+        const rateKey = String(tax.rate);
+        if (!group.rates[rateKey]) group.rates[rateKey] = { rate: tax.rate, base: 0, amount: 0 };
+        group.rates[rateKey].base += tax.base;
+        group.rates[rateKey].amount += tax.amount;
+        group.amount += tax.amount;
+    }));
+    return Object.values(byCode).map(g => ({
+        code: g.code,
+        amount: round(g.amount, 2),
+        subtotals: Object.values(g.rates).map(r => ({ ...r, base: round(r.base, 2), amount: round(r.amount, 2) })),
+    }));
+}
+
+/**
+ * CUFE (invoices, key = technical key) or CUDE (credit notes, key = software PIN).
+ * SHA-384 of NumFac + FecFac + HorFac + ValFac + 01 + ValIVA + 04 + ValINC + 03 + ValICA + ValTot + NitOFE + NumAdq + key + TipoAmbiente
+ * @returns {string} hex digest (96 chars)
+ */
+function computeCufe({ fullNumber, issue, subtotal, taxTotals, total, issuerNit, customerNumber, key, environment }) {
+    const taxOf = (code) => formatAmount(taxTotals.find(t => t.code === code)?.amount || 0);
+    const source = [
+        fullNumber,
+        issue.date,
+        `${issue.time}${issue.offset}`,
+        formatAmount(subtotal),
+        "01", taxOf("01"),
+        "04", taxOf("04"),
+        "03", taxOf("03"),
+        formatAmount(total),
+        issuerNit,
+        customerNumber,
+        key || "",
+        String(environment),
+    ].join("");
+    return crypto.createHash("sha384").update(source, "utf8").digest("hex");
+}
+
+function softwareSecurityCode(config, fullNumber) {
+    return crypto.createHash("sha384")
+        .update(`${config.softwareId}${config.softwarePin}${fullNumber}`, "utf8")
+        .digest("hex");
+}
+
+function taxSchemeNode(code) {
+    return el("cac:TaxScheme", {}, [
+        el("cbc:ID", {}, code),
+        el("cbc:Name", {}, TAX_SCHEMES[code] || code),
+    ]);
+}
+
+function supplierPartyNode(config) {
+    const address = [
+        el("cbc:ID", {}, config.cityCode),
+        el("cbc:CityName", {}, config.cityName),
+        el("cbc:CountrySubentity", {}, config.departmentName),
+        el("cbc:CountrySubentityCode", {}, config.departmentCode),
+        el("cac:AddressLine", {}, [el("cbc:Line", {}, config.address)]),
+        el("cac:Country", {}, [
+            el("cbc:IdentificationCode", {}, "CO"),
+            el("cbc:Name", { languageID: "es" }, "Colombia"),
+        ]),
+    ];
+    const companyId = el("cbc:CompanyID", { ...DIAN_AGENCY, schemeID: config.dv, schemeName: "31" }, config.nit);
+
+    return el("cac:AccountingSupplierParty", {}, [
+        el("cbc:AdditionalAccountID", {}, "1"),
+        el("cac:Party", {}, [
+            el("cac:PartyName", {}, [el("cbc:Name", {}, config.tradeName || config.legalName)]),
+            el("cac:PhysicalLocation", {}, [el("cac:Address", {}, address)]),
+            el("cac:PartyTaxScheme", {}, [
+                el("cbc:RegistrationName", {}, config.legalName),
+                companyId,
+                el("cbc:TaxLevelCode", { listName: "48" }, config.taxLevelCode),
+                el("cac:RegistrationAddress", {}, address),
+                taxSchemeNode("01"),
+            ]),
+            el("cac:PartyLegalEntity", {}, [
+                el("cbc:RegistrationName", {}, config.legalName),
+                companyId,
+            ]),
+            (config.email || config.phone) ? el("cac:Contact", {}, [
+                config.phone ? el("cbc:Telephone", {}, config.phone) : null,
+                config.email ? el("cbc:ElectronicMail", {}, config.email) : null,
+            ]) : null,
+        ]),
+    ]);
+}
+
+function customerPartyNode(customer) {
+    const party = parsePartyId(customer.identification);
+    const companyId = el("cbc:CompanyID", { ...DIAN_AGENCY, schemeID: party.dv, schemeName: party.schemeName }, party.number);
+
+    return el("cac:AccountingCustomerParty", {}, [
+        el("cbc:AdditionalAccountID", {}, party.additionalAccountId),
+        el("cac:Party", {}, [
+            el("cac:PartyIdentification", {}, [
+                el("cbc:ID", { schemeID: party.dv, schemeName: party.schemeName }, party.number),
+            ]),
+            el("cac:PartyName", {}, [el("cbc:Name", {}, customer.name)]),
+            el("cac:PartyTaxScheme", {}, [
+                el("cbc:RegistrationName", {}, customer.name),
+                companyId,
+                el("cbc:TaxLevelCode", { listName: "48" }, "R-99-PN"),
+                customer.address ? el("cac:RegistrationAddress", {}, [
+                    el("cac:AddressLine", {}, [el("cbc:Line", {}, customer.address)]),
+                    el("cac:Country", {}, [
+                        el("cbc:IdentificationCode", {}, "CO"),
+                        el("cbc:Name", { languageID: "es" }, "Colombia"),
+                    ]),
+                ]) : null,
+                el("cac:TaxScheme", {}, [el("cbc:ID", {}, "ZZ"), el("cbc:Name", {}, "No aplica")]),
+            ]),
+            el("cac:PartyLegalEntity", {}, [
+                el("cbc:RegistrationName", {}, customer.name),
+                companyId,
+            ]),
+            (customer.email || customer.phone) ? el("cac:Contact", {}, [
+                customer.phone ? el("cbc:Telephone", {}, customer.phone) : null,
+                customer.email ? el("cbc:ElectronicMail", {}, customer.email) : null,
+            ]) : null,
+        ]),
+    ]);
+}
+
+function taxTotalNodes(taxTotals, currency) {
+    return taxTotals.map(total => el("cac:TaxTotal", {}, [
+        el("cbc:TaxAmount", { currencyID: currency }, formatAmount(total.amount)),
+        ...total.subtotals.map(sub => el("cac:TaxSubtotal", {}, [
+            el("cbc:TaxableAmount", { currencyID: currency }, formatAmount(sub.base)),
+            el("cbc:TaxAmount", { currencyID: currency }, formatAmount(sub.amount)),
+            el("cac:TaxCategory", {}, [
+                el("cbc:Percent", {}, round(sub.rate * 100, 2).toFixed(2)),
+                taxSchemeNode(total.code),
+            ]),
+        ])),
+    ]));
+}
+
+function monetaryTotalNode(totals, currency) {
+    const taxInclusive = totals.subtotal + totals.taxAmount;
+    return el("cac:LegalMonetaryTotal", {}, [
+        el("cbc:LineExtensionAmount", { currencyID: currency }, formatAmount(totals.subtotal)),
+        el("cbc:TaxExclusiveAmount", { currencyID: currency }, formatAmount(totals.subtotal)),
+        el("cbc:TaxInclusiveAmount", { currencyID: currency }, formatAmount(taxInclusive)),
+        el("cbc:AllowanceTotalAmount", { currencyID: currency }, formatAmount(totals.discount)),
+        el("cbc:PayableAmount", { currencyID: currency }, formatAmount(totals.total)),
+    ]);
+}
+
+function lineNode(tag, quantityTag, line, currency) {
+    const lineTaxes = groupTaxTotals([line]);
+    return el(tag, {}, [
+        el("cbc:ID", {}, String(line.lineNumber)),
+        el(quantityTag, { unitCode: "94" }, parseFloat(line.quantity).toFixed(2)),
+        el("cbc:LineExtensionAmount", { currencyID: currency }, formatAmount(line.lineTotal)),
+        ...taxTotalNodes(lineTaxes, currency),
+        el("cac:Item", {}, [
+            el("cbc:Description", {}, line.description || "Item"),
+            el("cac:StandardItemIdentification", {}, [
+                el("cbc:ID", { schemeID: "999", schemeName: "Estándar de adopción del contribuyente" }, String(line.lineNumber)),
+            ]),
+        ]),
+        el("cac:Price", {}, [
+            el("cbc:PriceAmount", { currencyID: currency }, formatAmount(line.unitPrice)),
+            el("cbc:BaseQuantity", { unitCode: "94" }, "1.00"),
+        ]),
+    ]);
+}
+
+function qrCode(doc, taxTotals) {
+    const taxOf = (code) => formatAmount(taxTotals.find(t => t.code === code)?.amount || 0);
+    const customer = parsePartyId(doc.customer.identification);
+    return [
+        `NumFac=${doc.fullNumber}`,
+        `FecFac=${doc.issue.date}`,
+        `HorFac=${doc.issue.time}${doc.issue.offset}`,
+        `NitFac=${doc.config.nit}`,
+        `DocAdq=${customer.number}`,
+        `ValFac=${formatAmount(doc.totals.subtotal)}`,
+        `ValIva=${taxOf("01")}`,
+        `ValOtroIm=${formatAmount(parseFloat(taxOf("03")) + parseFloat(taxOf("04")))}`,
+        `ValTolFac=${formatAmount(doc.totals.total)}`,
+        `CUFE=${doc.cufe}`,
+        `${QR_URLS[doc.config.environment] || QR_URLS[2]}${doc.cufe}`,
+    ].join("\n");
+}
+
+function extensionsNode(doc, taxTotals, withInvoiceControl) {
+    const resolution = doc.resolution;
+    return el("ext:UBLExtensions", {}, [
+        el("ext:UBLExtension", {}, [
+            el("ext:ExtensionContent", {}, [
+                el("sts:DianExtensions", {}, [
+                    withInvoiceControl ? el("sts:InvoiceControl", {}, [
+                        el("sts:InvoiceAuthorization", {}, resolution.resolutionNumber),
+                        el("sts:AuthorizationPeriod", {}, [
+                            el("cbc:StartDate", {}, resolution.validFrom),
+                            el("cbc:EndDate", {}, resolution.validTo),
+                        ]),
+                        el("sts:AuthorizedInvoices", {}, [
+                            resolution.prefix ? el("sts:Prefix", {}, resolution.prefix) : null,
+                            el("sts:From", {}, String(resolution.rangeFrom)),
+                            el("sts:To", {}, String(resolution.rangeTo)),
+                        ]),
+                    ]) : null,
+                    el("sts:InvoiceSource", {}, [
+                        el("cbc:IdentificationCode", {
+                            listAgencyID: "6",
+                            listAgencyName: "United Nations Economic Commission for Europe",
+                            listSchemeURI: "urn:oasis:names:specification:ubl:codelist:gc:CountryIdentificationCode-2.1",
+                        }, "CO"),
+                    ]),
+                    el("sts:SoftwareProvider", {}, [
+                        el("sts:ProviderID", { ...DIAN_AGENCY, schemeID: doc.config.dv, schemeName: "31" }, doc.config.nit),
+                        el("sts:SoftwareID", DIAN_AGENCY, doc.config.softwareId),
+                    ]),
+                    el("sts:SoftwareSecurityCode", DIAN_AGENCY, softwareSecurityCode(doc.config, doc.fullNumber)),
+                    el("sts:AuthorizationProvider", {}, [
+                        el("sts:AuthorizationProviderID", { ...DIAN_AGENCY, schemeID: "4", schemeName: "31" }, DIAN_NIT),
+                    ]),
+                    el("sts:QRCode", {}, qrCode(doc, taxTotals)),
+                ]),
+            ]),
+        ]),
+        // Reservado para la firma digital XAdES-EPES
+        el("ext:UBLExtension", {}, [el("ext:ExtensionContent", {}, null)]),
+    ]);
+}
+
+function discountNode(totals, currency) {
+    if (!(totals.discount > 0)) return null;
+    return el("cac:AllowanceCharge", {}, [
+        el("cbc:ID", {}, "1"),
+        el("cbc:ChargeIndicator", {}, "false"),
+        el("cbc:AllowanceChargeReasonCode", {}, "11"),
+        el("cbc:AllowanceChargeReason", {}, "Descuento"),
+        el("cbc:MultiplierFactorNumeric", {}, totals.subtotal > 0 ? round((totals.discount / totals.subtotal) * 100, 2).toFixed(2) : "0.00"),
+        el("cbc:Amount", { currencyID: currency }, formatAmount(totals.discount)),
+        el("cbc:BaseAmount", { currencyID: currency }, formatAmount(totals.subtotal)),
+    ]);
+}
+
+/**
+ * Computes the CUFE/CUDE and renders the UBL 2.1 XML of an invoice or credit note.
+ *
+ * @param {object} doc
+ * @param {string} doc.type INVOICE | CREDIT_NOTE
+ * @param {string} doc.fullNumber Prefix + number (e.g. "SETP990000001")
+ * @param {object} doc.issue { date, time, offset } (see date.util getLocalDateTime)
+ * @param {string|null} doc.dueDate YYYY-MM-DD
+ * @param {string} doc.currency ISO 4217 (COP)
+ * @param {object} doc.config InvoicingConfig
+ * @param {object} doc.resolution InvoiceResolution with validFrom/validTo as YYYY-MM-DD
+ * @param {object} doc.customer Customer
+ * @param {Array} doc.lines [{ lineNumber, description, quantity, unitPrice, lineTotal, taxes: [{ code, rate, base, amount }] }]
+ * @param {object} doc.totals { subtotal, taxAmount, discount, total }
+ * @param {string|null} doc.notes
+ * @param {object} [doc.reference] Credit notes: { fullNumber, cufe, issueDate }
+ * @param {object} [doc.discrepancy] Credit notes: { code, reason }
+ * @returns {object} { cufe, xml }
+ */
+function buildUblDocument(doc) {
+    const isCreditNote = doc.type === "CREDIT_NOTE";
+    const currency = doc.currency || "COP";
+    const taxTotals = groupTaxTotals(doc.lines);
+    const customer = parsePartyId(doc.customer.identification);
+
+    const cufe = computeCufe({
+        fullNumber: doc.fullNumber,
+        issue: doc.issue,
+        subtotal: doc.totals.subtotal,
+        taxTotals,
+        total: doc.totals.total,
+        issuerNit: doc.config.nit,
+        customerNumber: customer.number,
+        key: isCreditNote ? doc.config.softwarePin : doc.resolution.technicalKey,
+        environment: doc.config.environment,
+    });
+    const withCufe = { ...doc, cufe };
+
+    const credit = doc.dueDate && doc.dueDate > doc.issue.date;
+    const children = [
+        extensionsNode(withCufe, taxTotals, !isCreditNote),
+        el("cbc:UBLVersionID", {}, "UBL 2.1"),
+        el("cbc:CustomizationID", {}, isCreditNote ? "20" : "10"),
+        el("cbc:ProfileID", {}, isCreditNote
+            ? "DIAN 2.1: Nota Crédito de Factura Electrónica de Venta"
+            : "DIAN 2.1: Factura Electrónica de Venta"),
+        el("cbc:ProfileExecutionID", {}, String(doc.config.environment)),
+        el("cbc:ID", {}, doc.fullNumber),
+        el("cbc:UUID", { schemeID: String(doc.config.environment), schemeName: isCreditNote ? "CUDE-SHA384" : "CUFE-SHA384" }, cufe),
+        el("cbc:IssueDate", {}, doc.issue.date),
+        el("cbc:IssueTime", {}, `${doc.issue.time}${doc.issue.offset}`),
+        !isCreditNote && doc.dueDate ? el("cbc:DueDate", {}, doc.dueDate) : null,
+        isCreditNote
+            ? el("cbc:CreditNoteTypeCode", {}, "91")
+            : el("cbc:InvoiceTypeCode", {}, "01"),
+        doc.notes ? el("cbc:Note", {}, doc.notes) : null,
+        el("cbc:DocumentCurrencyCode", {}, currency),
+        el("cbc:LineCountNumeric", {}, String(doc.lines.length)),
+        isCreditNote ? el("cac:DiscrepancyResponse", {}, [
+            el("cbc:ReferenceID", {}, doc.reference.fullNumber),
+            el("cbc:ResponseCode", {}, doc.discrepancy.code),
+            el("cbc:Description", {}, doc.discrepancy.reason || CREDIT_NOTE_CONCEPTS[doc.discrepancy.code]),
+        ]) : null,
+        isCreditNote ? el("cac:BillingReference", {}, [
+            el("cac:InvoiceDocumentReference", {}, [
+                el("cbc:ID", {}, doc.reference.fullNumber),
+                el("cbc:UUID", { schemeName: "CUFE-SHA384" }, doc.reference.cufe),
+                el("cbc:IssueDate", {}, doc.reference.issueDate),
+            ]),
+        ]) : null,
+        supplierPartyNode(doc.config),
+        customerPartyNode(doc.customer),
+        el("cac:PaymentMeans", {}, [
+            el("cbc:ID", {}, credit ? "2" : "1"),
+            el("cbc:PaymentMeansCode", {}, "1"),
+            credit ? el("cbc:PaymentDueDate", {}, doc.dueDate) : null,
+        ]),
+        discountNode(doc.totals, currency),
+        ...taxTotalNodes(taxTotals, currency),
+        monetaryTotalNode(doc.totals, currency),
+        ...doc.lines.map(line => isCreditNote
+            ? lineNode("cac:CreditNoteLine", "cbc:CreditedQuantity", line, currency)
+            : lineNode("cac:InvoiceLine", "cbc:InvoicedQuantity", line, currency)),
+    ];
+
+    const root = isCreditNote
+        ? el("CreditNote", { xmlns: "urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2", ...NAMESPACES }, children)
+        : el("Invoice", { xmlns: "urn:oasis:names:specification:ubl:schema:xsd:Invoice-2", ...NAMESPACES }, children);
+
+    const xml = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n${render(root)}\n`;
+    return { cufe, xml };
+}
+
+module.exports = {
+    CREDIT_NOTE_CONCEPTS,
+    dianTaxCode,
+    computeDv,
+    parsePartyId,
+    buildUblDocument
+};
@@ -0,0 +1,68 @@
+/**
+ * Withholding Utility
+ * Resolves WithholdingType entries (ReteFuente, ReteIVA, ReteICA) into snapshot rows
+ * for order withholdings (applied by customers) and expense withholdings (applied to suppliers).
+ */
+
+const { round } = require("./math.util");
+
+/**
+ * Builds withholding rows from request entries.
+ * Each entry is { withholdingTypeId, base?, amount? }: base defaults to defaultBase(kind)
+ * and amount defaults to base × rate.
+ *
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @param {Array} entries Raw withholdings from the request body
+ * @param {function} defaultBase (kind) => number|null, base used when the entry doesn't send one
+ * @returns {Promise<object>} { rows, total, error }
+ */
+async function resolveWithholdings(prisma, entries, defaultBase) {
+    if (!Array.isArray(entries)) {
+        return { rows: [], total: 0, error: "withholdings must be an array" };
+    }
+
+    const typeIds = [...new Set(entries.map(e => e.withholdingTypeId).filter(Boolean))];
+    const types = typeIds.length > 0
+        ? await prisma.withholdingType.findMany({ where: { id: { in: typeIds }, isActive: true } })
+        : [];
+    const typeMap = Object.fromEntries(types.map(t => [t.id, t]));
+
+    const rows = [];
+    for (const [index, entry] of entries.entries()) {
+        const type = typeMap[entry.withholdingTypeId];
+        if (!type) {
+            return { rows: [], total: 0, error: `Retención ${index + 1}: el tipo de retención no existe o está inactivo` };
+        }
+
+        const base = entry.base !== undefined && entry.base !== null
+            ? parseFloat(entry.base)
+            : defaultBase(type.kind);
+        if (base === null || isNaN(base) || base < 0) {
+            return { rows: [], total: 0, error: `Retención ${index + 1}: base es requerida para ${type.kind}` };
+        }
+
+        const rate = parseFloat(type.rate);
+        const amount = entry.amount !== undefined && entry.amount !== null
+            ? parseFloat(entry.amount)
+            : round(base * rate, 2);
+        if (isNaN(amount) || amount <= 0) {
+            return { rows: [], total: 0, error: `Retención ${index + 1}: el valor retenido debe ser mayor a 0` };
+        }
+
+        rows.push({
+            withholdingTypeId: type.id,
+            kind: type.kind,
+            name: type.name,
+            rate,
+            base,
+            amount,
+        });
+    }
+
+    const total = round(rows.reduce((sum, r) => sum + r.amount, 0), 2);
+    return { rows, total, error: null };
+}
+
+module.exports = {
+    resolveWithholdings
+};
@@ -0,0 +1,191 @@
+/**
+ * Operational Workflow Utility
+ * Each tenant defines its production stages (WorkflowStage), the moves allowed between them
+ * (WorkflowTransition), the "workflow" permission a stage may require, the stage that counts
+ * as delivered and the one that confirms material consumption. Order items (and the orders,
+ * derived from them) store the stage key in operationalStatus. Tenants that haven't configured a workflow follow DEFAULT_WORKFLOW.
+ */
+
+const DEFAULT_WORKFLOW = {
+    stages: [
+        { key: "PENDING", name: "Pendiente", requiredPermission: null, isDelivered: false, consumesMaterials: false },
+        { key: "APPROVED", name: "Aprobada", requiredPermission: null, isDelivered: false, consumesMaterials: false },
+        { key: "IN_PRODUCTION", name: "En producción", requiredPermission: null, isDelivered: false, consumesMaterials: false },
+        { key: "PRODUCED", name: "Producida", requiredPermission: null, isDelivered: false, consumesMaterials: true },
+        { key: "DELIVERED", name: "Entregada", requiredPermission: null, isDelivered: true, consumesMaterials: false },
+    ],
+    transitions: [
+        { from: "PENDING", to: "APPROVED" },
+        { from: "APPROVED", to: "PENDING" },
+        { from: "APPROVED", to: "IN_PRODUCTION" },
+        { from: "IN_PRODUCTION", to: "APPROVED" },
+        { from: "IN_PRODUCTION", to: "PRODUCED" },
+        { from: "PRODUCED", to: "IN_PRODUCTION" },
+        { from: "PRODUCED", to: "DELIVERED" },
+        { from: "DELIVERED", to: "PRODUCED" },
+    ],
+};
+
+// Actions of the "workflow" RBAC resource a stage can require
+const STAGE_PERMISSIONS = ["approve", "produce", "finish", "deliver"];
+
+const STAGE_KEY = /^[A-Z][A-Z0-9_]{0,49}$/;
+
+/**
+ * Complete workflow of the current tenant, stages in order.
+ * @param {object} prisma Tenant-scoped Prisma client (or transaction)
+ * @returns {Promise<object>} { stages, transitions, initialStage, deliveredStage, isDefault }
+ */
+async function getWorkflow(prisma) {
+    const stages = await prisma.workflowStage.findMany({
+        orderBy: { position: "asc" },
+        select: {
+            id: true, key: true, name: true, position: true,
+            requiredPermission: true, isDelivered: true, consumesMaterials: true,
+            transitionsFrom: { select: { toStage: { select: { key: true } } } },
+        },
+    });
+
+    if (stages.length === 0) {
+        return describe(
+            DEFAULT_WORKFLOW.stages.map((s, index) => ({ ...s, position: index + 1 })),
+            DEFAULT_WORKFLOW.transitions,
+            true
+        );
+    }
+
+    const transitions = stages.flatMap(s => s.transitionsFrom.map(t => ({ from: s.key, to: t.toStage.key })));
+    return describe(
+        stages.map(({ transitionsFrom, ...stage }) => stage),
+        transitions,
+        false
+    );
+}
+
+function describe(stages, transitions, isDefault) {
+    return {
+        stages,
+        transitions,
+        initialStage: stages[0].key,
+        deliveredStage: (stages.find(s => s.isDelivered) || stages[stages.length - 1]).key,
+        isDefault,
+    };
+}
+
+/**
+ * Display name of a stage, or its key when it's no longer part of the workflow.
+ * @param {object} workflow Result of getWorkflow
+ * @param {string} stageKey Stage key
+ * @returns {string}
+ */
+function stageName(workflow, stageKey) {
+    const stage = workflow.stages.find(s => s.key === stageKey);
+    return stage ? stage.name : stageKey;
+}
+
+/**
+ * Whether the user may move orders into a stage.
+ * @param {object} req Request with ssoSession
+ * @param {object} stage Workflow stage
+ * @returns {boolean}
+ */
+function canEnterStage(req, stage) {
+    if (!stage.requiredPermission) return true;
+    const session = req.ssoSession;
+    if (session?.user?.isSuperAdmin) return true;
+    const permissions = session?.tenant?.permissions || [];
+    return permissions.some(p => p.resource === "workflow" && p.action === stage.requiredPermission);
+}
+
+/**
+ * Validate and normalize a workflow definition sent by the tenant.
+ * @param {object} body { stages: [{ key, name, requiredPermission?, isDelivered?, consumesMaterials? }], transitions: [{ from, to }] }
+ * @returns {object} { stages, transitions, error }
+ */
+function normalizeWorkflow({ stages, transitions } = {}) {
+    if (!Array.isArray(stages) || stages.length < 2) {
+        return { error: "stages must have at least two stages" };
+    }
+    if (!Array.isArray(transitions) || transitions.length === 0) {
+        return { error: "transitions must be a non-empty array of { from, to }" };
+    }
+
+    const normalized = [];
+    for (const [index, stage] of stages.entries()) {
+        const key = (stage.key || "").trim().toUpperCase();
+        if (!STAGE_KEY.test(key)) {
+            return { error: `Etapa ${index + 1}: key debe ser MAYÚSCULAS, números y _ (ej. IN_PRODUCTION)` };
+        }
+        if (!stage.name || !stage.name.trim()) {
+            return { error: `Etapa ${index + 1}: name es requerido` };
+        }
+        if (stage.requiredPermission && !STAGE_PERMISSIONS.includes(stage.requiredPermission)) {
+            return { error: `Etapa ${index + 1}: requiredPermission inválido. Valid: ${STAGE_PERMISSIONS.join(", ")}` };
+        }
+        if (normalized.some(s => s.key === key)) {
+            return { error: `La etapa ${key} está repetida` };
+        }
+        normalized.push({
+            key,
+            name: stage.name.trim(),
+            position: index + 1,
+            requiredPermission: stage.requiredPermission || null,
+            isDelivered: Boolean(stage.isDelivered),
+            consumesMaterials: Boolean(stage.consumesMaterials),
+        });
+    }
+
+    if (normalized.filter(s => s.isDelivered).length !== 1) {
+        return { error: "Exactly one stage must be marked isDelivered" };
+    }
+    if (normalized[0].isDelivered) {
+        return { error: "The first stage (where new orders start) can't be the delivered stage" };
+    }
+    if (normalized.filter(s => s.consumesMaterials).length > 1) {
+        return { error: "At most one stage can confirm material consumption (consumesMaterials)" };
+    }
+
+    const keys = normalized.map(s => s.key);
+    const moves = [];
+    for (const t of transitions) {
+        const from = (t.from || "").trim().toUpperCase();
+        const to = (t.to || "").trim().toUpperCase();
+        if (!keys.includes(from) || !keys.includes(to)) {
+            return { error: `Transición ${t.from} → ${t.to}: ambas etapas deben existir` };
+        }
+        if (from === to) {
+            return { error: `Transición ${from} → ${to}: debe ir a otra etapa` };
+        }
+        if (!moves.some(m => m.from === from && m.to === to)) {
+            moves.push({ from, to });
+        }
+    }
+
+    // Every stage must be reachable from the first one
+    const reached = new Set([keys[0]]);
+    let grew = true;
+    while (grew) {
+        grew = false;
+        for (const m of moves) {
+            if (reached.has(m.from) && !reached.has(m.to)) {
+                reached.add(m.to);
+                grew = true;
+            }
+        }
+    }
+    const unreachable = keys.filter(k => !reached.has(k));
+    if (unreachable.length > 0) {
+        return { error: `Las etapas ${unreachable.join(", ")} no se pueden alcanzar desde ${keys[0]}` };
+    }
+
+    return { stages: normalized, transitions: moves, error: null };
+}
+
+module.exports = {
+    DEFAULT_WORKFLOW,
+    STAGE_PERMISSIONS,
+    getWorkflow,
+    stageName,
+    canEnterStage,
+    normalizeWorkflow
+};